@@ -23,6 +23,7 @@ using System.Text;
 using System.Collections.Generic;
 using System.Threading;
 using System.IO.Pipes;
+using System.IO.Compression;
 using Newtonsoft.Json;
 using Newtonsoft.Json.Linq;
 
@@ -408,6 +409,42 @@ namespace VRCX
             return output;
         }
 
+        // plugin folder name => manifest.json content
+        public Dictionary<string, string> GetPlugins()
+        {
+            var plugins = new Dictionary<string, string>();
+            var pluginsPath = Path.Combine(Environment.GetFolderPath(Environment.SpecialFolder.ApplicationData), "VRCX\\plugins");
+            if (!Directory.Exists(pluginsPath))
+                return plugins;
+
+            foreach (var pluginPath in Directory.GetDirectories(pluginsPath))
+            {
+                var manifestPath = Path.Combine(pluginPath, "manifest.json");
+                if (File.Exists(manifestPath))
+                    plugins[Path.GetFileName(pluginPath)] = File.ReadAllText(manifestPath);
+            }
+            return plugins;
+        }
+
+        public string ReadPluginFile(string folder, string fileName)
+        {
+            var pluginsPath = Path.Combine(Environment.GetFolderPath(Environment.SpecialFolder.ApplicationData), "VRCX\\plugins");
+            var pluginPath = Path.GetFullPath(Path.Combine(pluginsPath, folder));
+            var filePath = Path.GetFullPath(Path.Combine(pluginPath, fileName));
+            // don't let manifests point outside of their own folder
+            if (!filePath.StartsWith(pluginPath + Path.DirectorySeparatorChar) || !File.Exists(filePath))
+                return null;
+
+            return File.ReadAllText(filePath);
+        }
+
+        public void OpenPluginsFolder()
+        {
+            var pluginsPath = Path.Combine(Environment.GetFolderPath(Environment.SpecialFolder.ApplicationData), "VRCX\\plugins");
+            Directory.CreateDirectory(pluginsPath);
+            Process.Start("explorer.exe", $"\"{pluginsPath}\"");
+        }
+
         public string CurrentCulture()
         {
             return System.Globalization.CultureInfo.CurrentCulture.ToString();
@@ -608,6 +645,69 @@ namespace VRCX
             return true;
         }
 
+        private ZipArchive historyArchive;
+        private string historyArchivePath;
+
+        public void BeginHistoryArchive(string fileName)
+        {
+            if (historyArchive != null)
+                EndHistoryArchive(false);
+
+            var directory = Path.Combine(Program.AppDataDirectory, "exports");
+            Directory.CreateDirectory(directory);
+            historyArchivePath = Path.Combine(directory, Path.GetFileName(fileName));
+            historyArchive = ZipFile.Open(historyArchivePath, ZipArchiveMode.Create);
+        }
+
+        public void AddHistoryArchiveEntry(string entryName, string content)
+        {
+            var entry = historyArchive.CreateEntry(entryName, CompressionLevel.Optimal);
+            using (var writer = new StreamWriter(entry.Open(), new UTF8Encoding(false)))
+            {
+                writer.Write(content);
+            }
+        }
+
+        public string EndHistoryArchive(bool keep)
+        {
+            var path = historyArchivePath;
+            historyArchive?.Dispose();
+            historyArchive = null;
+            historyArchivePath = null;
+            if (!keep && path != null)
+            {
+                File.Delete(path);
+                return null;
+            }
+            return path;
+        }
+
+        public Dictionary<string, string> ReadHistoryArchive(string base64)
+        {
+            var entries = new Dictionary<string, string>();
+            using (var stream = new MemoryStream(Convert.FromBase64String(base64)))
+            using (var archive = new ZipArchive(stream, ZipArchiveMode.Read))
+            {
+                foreach (var entry in archive.Entries)
+                {
+                    if (entry.FullName.EndsWith("/"))
+                        continue;
+
+                    using (var reader = new StreamReader(entry.Open(), Encoding.UTF8))
+                    {
+                        entries[entry.FullName] = reader.ReadToEnd();
+                    }
+                }
+            }
+            return entries;
+        }
+
+        public void ShowFileInFolder(string path)
+        {
+            if (File.Exists(path))
+                Process.Start("explorer.exe", $"/select,\"{path}\"");
+        }
+
         public void SetStartup(bool enabled)
         {
             try
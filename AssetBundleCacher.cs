@@ -10,8 +10,10 @@ using System.IO;
 using System.Security.Cryptography;
 using System.Net;
 using System.Text;
-using System.ComponentModel;
+using System.Collections.Concurrent;
 using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
 
 namespace VRCX
 {
@@ -24,12 +26,29 @@ namespace VRCX
             Instance = new AssetBundleCacher();
         }
 
-        public static string DownloadTempLocation;
-        public static string DownloadDestinationLocation;
-        public static int DownloadProgress;
-        public static int DownloadSize;
-        public static bool DownloadCanceled;
-        public static WebClient client;
+        // CheckDownloadProgress returns 0-100 while downloading or one of these
+        public const int DownloadCanceled = -4;
+        public const int DownloadPaused = -5;
+        public const int DownloadFailed = -15;
+        public const int DownloadSucceeded = -16;
+        public const int DownloadChecksumMismatch = -17;
+        public const int DownloadUnknown = -1;
+
+        private class Download
+        {
+            public string Url;
+            public int Size;
+            public string Md5;
+            public string TempLocation;
+            public string DestinationLocation;
+            public string InfoLocation;
+            public int MaxBytesPerSecond;
+            public volatile int Progress;
+            public volatile int StopReason;
+            public HttpWebRequest Request;
+        }
+
+        private static readonly ConcurrentDictionary<string, Download> Downloads = new ConcurrentDictionary<string, Download>();
         public static Process process;
 
         public string GetAssetId(string id)
@@ -89,70 +108,247 @@ namespace VRCX
             };
         }
 
-        public void DownloadFile(string url, int size)
+        private static string GetDownloadDirectory()
+        {
+            var directory = Path.Combine(Program.AppDataDirectory, "downloads");
+            Directory.CreateDirectory(directory);
+            return directory;
+        }
+
+        // the partial file only depends on the id so a download can be
+        // resumed after a restart
+        private static string GetDownloadTempLocation(string id)
+        {
+            if (id == "VRCXUpdate")
+                return Path.Combine(Program.AppDataDirectory, "tempDownload.exe");
+            return Path.Combine(GetDownloadDirectory(), Path.GetFileName(id) + ".part");
+        }
+
+        private static string GetDownloadDestinationLocation(string id, string fileName)
+        {
+            if (id == "VRCXUpdate")
+                return Path.Combine(Program.AppDataDirectory, "update.exe");
+            return Path.Combine(GetDownloadDirectory(), Path.GetFileName(fileName));
+        }
+
+        // Starts a download or resumes it from its partial file. md5 is the
+        // base64 MD5 VRChat lists for its files, the finished file is checked
+        // against it, without one the download always starts over. Returns
+        // where the file will be saved.
+        public string DownloadFile(string id, string url, int size, string md5, string fileName)
+        {
+            if (Downloads.TryGetValue(id, out Download running) && running.Progress >= 0 && running.StopReason == 0)
+                return running.DestinationLocation;
+
+            return StartDownload(id, new Download
+            {
+                Url = url,
+                Size = size,
+                Md5 = md5,
+                TempLocation = GetDownloadTempLocation(id),
+                DestinationLocation = GetDownloadDestinationLocation(id, fileName)
+            });
+        }
+
+        // Like DownloadFile but the bundle ends up in the VRChat cache as if
+        // VRChat had downloaded it itself, maxKBps 0 doesn't limit the speed.
+        // The limit is for this download alone, prefetches are started one at
+        // a time so it holds for all of them.
+        public string CacheFile(string id, string url, int size, string md5, string fileId, int version, int maxKBps)
         {
-            DownloadProgress = 0;
-            DownloadSize = size;
-            DownloadCanceled = false;
-            DownloadTempLocation = Path.Combine(Program.AppDataDirectory, "tempDownload.exe");
-            DownloadDestinationLocation = Path.Combine(Program.AppDataDirectory, "update.exe");
-            client = new WebClient();
-            client.Headers.Add("user-agent", Program.Version);
-            client.DownloadProgressChanged += new DownloadProgressChangedEventHandler(DownloadProgressCallback);
-            client.DownloadFileCompleted += new AsyncCompletedEventHandler(DownloadCompletedCallback);
-            client.DownloadFileAsync(new System.Uri(url), DownloadTempLocation);
+            var fullLocation = GetVRChatCacheFullLocation(fileId, version);
+            return StartDownload(id, new Download
+            {
+                Url = url,
+                Size = size,
+                Md5 = md5,
+                TempLocation = GetDownloadTempLocation(id),
+                DestinationLocation = Path.Combine(fullLocation, "__data"),
+                InfoLocation = Path.Combine(fullLocation, "__info"),
+                MaxBytesPerSecond = maxKBps * 1024
+            });
         }
 
-        public void CancelDownload()
+        private static string StartDownload(string id, Download download)
+        {
+            if (Downloads.TryGetValue(id, out Download running) && running.Progress >= 0 && running.StopReason == 0)
+                return running.DestinationLocation;
+
+            Downloads[id] = download;
+            Task.Run(() => RunDownload(download));
+            return download.DestinationLocation;
+        }
+
+        private static void RunDownload(Download download)
         {
-            DownloadCanceled = true;
             try
             {
-                if (client != null)
-                    client.CancelAsync();
-                if (File.Exists(DownloadTempLocation))
-                    File.Delete(DownloadTempLocation);
+                // without an md5 a partial file left by another download,
+                // like an older VRCX update, couldn't be told apart
+                if (string.IsNullOrEmpty(download.Md5))
+                    DeleteFile(download.TempLocation);
+                long offset = 0;
+                if (File.Exists(download.TempLocation))
+                {
+                    offset = new FileInfo(download.TempLocation).Length;
+                    if (offset > download.Size)
+                    {
+                        File.Delete(download.TempLocation);
+                        offset = 0;
+                    }
+                }
+                if (offset < download.Size)
+                {
+                    var request = WebRequest.CreateHttp(download.Url);
+                    request.UserAgent = Program.Version;
+                    // VRChat file URLs need the login cookie
+                    request.CookieContainer = WebApi.Instance._cookieContainer;
+                    if (offset > 0)
+                        request.AddRange(offset);
+                    download.Request = request;
+                    if (download.StopReason != 0)
+                        return;
+
+                    using (var response = (HttpWebResponse)request.GetResponse())
+                    {
+                        // servers that ignore the range send the whole file again
+                        if (response.StatusCode != HttpStatusCode.PartialContent)
+                            offset = 0;
+                        using (var stream = response.GetResponseStream())
+                        using (var file = new FileStream(download.TempLocation, offset > 0 ? FileMode.Append : FileMode.Create, FileAccess.Write))
+                        {
+                            var buffer = new byte[81920];
+                            var stopwatch = Stopwatch.StartNew();
+                            long received = 0;
+                            int bytesRead;
+                            while ((bytesRead = stream.Read(buffer, 0, buffer.Length)) > 0)
+                            {
+                                if (download.StopReason != 0)
+                                    return;
+                                file.Write(buffer, 0, bytesRead);
+                                offset += bytesRead;
+                                download.Progress = (int)Math.Min(offset * 100 / Math.Max(download.Size, 1), 99);
+                                if (download.MaxBytesPerSecond > 0)
+                                {
+                                    received += bytesRead;
+                                    var wait = received * 1000 / download.MaxBytesPerSecond - stopwatch.ElapsedMilliseconds;
+                                    if (wait > 0)
+                                        Thread.Sleep((int)wait);
+                                }
+                            }
+                        }
+                    }
+                }
+                if (download.StopReason != 0)
+                    return;
+
+                if (new FileInfo(download.TempLocation).Length != download.Size)
+                {
+                    File.Delete(download.TempLocation);
+                    download.Progress = DownloadFailed;
+                    return;
+                }
+                if (!string.IsNullOrEmpty(download.Md5) && GetFileMd5(download.TempLocation) != download.Md5)
+                {
+                    File.Delete(download.TempLocation);
+                    download.Progress = DownloadChecksumMismatch;
+                    return;
+                }
+                Directory.CreateDirectory(Path.GetDirectoryName(download.DestinationLocation));
+                if (File.Exists(download.DestinationLocation))
+                    File.Delete(download.DestinationLocation);
+                File.Move(download.TempLocation, download.DestinationLocation);
+                if (download.InfoLocation != null)
+                    WriteCacheInfo(download.InfoLocation);
+                download.Progress = DownloadSucceeded;
             }
             catch (Exception)
             {
+                if (download.StopReason == 0)
+                    download.Progress = DownloadFailed;
+            }
+            finally
+            {
+                if (download.StopReason != 0 && download.Progress >= 0)
+                {
+                    // cancel drops the partial file, pause keeps it for resuming
+                    if (download.StopReason == DownloadCanceled)
+                        DeleteFile(download.TempLocation);
+                    download.Progress = download.StopReason;
+                }
             }
-            DownloadProgress = -4;
         }
 
-        public int CheckDownloadProgress()
+        // the entry Unity's cache keeps next to __data, with the time it was
+        // last used
+        private static void WriteCacheInfo(string path)
         {
-            return DownloadProgress;
+            var timestamp = DateTimeOffset.UtcNow.ToUnixTimeSeconds();
+            File.WriteAllText(path, $"-1\n{timestamp}\n1\n__data\n");
         }
 
-        private static void DownloadProgressCallback(object sender, DownloadProgressChangedEventArgs e)
+        // same base64 MD5 as AppApi.MD5File, read from disk
+        private static string GetFileMd5(string path)
         {
-            DownloadProgress = e.ProgressPercentage;
+            using (var md5 = MD5.Create())
+            using (var stream = File.OpenRead(path))
+            {
+                return Convert.ToBase64String(md5.ComputeHash(stream));
+            }
         }
 
-        private static void DownloadCompletedCallback(object sender, AsyncCompletedEventArgs e)
+        private static void DeleteFile(string path)
         {
-            if (DownloadCanceled)
+            try
             {
-                if (File.Exists(DownloadTempLocation))
-                    File.Delete(DownloadTempLocation);
-                return;
+                if (File.Exists(path))
+                    File.Delete(path);
             }
-            if (!File.Exists(DownloadTempLocation))
+            catch (Exception)
             {
-                DownloadProgress = -15;
-                return;
             }
-            FileInfo data = new FileInfo(DownloadTempLocation);
-            if (data.Length != DownloadSize)
+        }
+
+        private static void StopDownload(Download download, int reason)
+        {
+            download.StopReason = reason;
+            try
+            {
+                download.Request?.Abort();
+            }
+            catch (Exception)
             {
-                File.Delete(DownloadTempLocation);
-                DownloadProgress = -15;
+            }
+        }
+
+        public void PauseDownload(string id)
+        {
+            if (Downloads.TryGetValue(id, out Download download) && download.Progress >= 0)
+                StopDownload(download, DownloadPaused);
+        }
+
+        // also removes the partial file of a paused or interrupted download
+        public void CancelDownload(string id)
+        {
+            if (Downloads.TryGetValue(id, out Download download) && download.Progress >= 0)
+            {
+                StopDownload(download, DownloadCanceled);
                 return;
             }
-            if (File.Exists(DownloadDestinationLocation))
-                File.Delete(DownloadDestinationLocation);
-            File.Move(DownloadTempLocation, DownloadDestinationLocation);
-            DownloadProgress = -16;
+            DeleteFile(GetDownloadTempLocation(id));
+        }
+
+        public int CheckDownloadProgress(string id)
+        {
+            if (Downloads.TryGetValue(id, out Download download))
+                return download.Progress;
+            return DownloadUnknown;
+        }
+
+        // forgets a download after its final state was read
+        public void ClearDownload(string id)
+        {
+            Downloads.TryRemove(id, out _);
         }
 
         public void DeleteCache(string id, int version)
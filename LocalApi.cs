@@ -0,0 +1,279 @@
+// Copyright(c) 2019-2022 pypy, Natsumi and individual contributors.
+// All rights reserved.
+//
+// This work is licensed under the terms of the MIT license.
+// For a copy, see <https://opensource.org/licenses/MIT>.
+
+using CefSharp;
+using System;
+using System.Collections.Generic;
+using System.Net;
+using System.Net.WebSockets;
+using System.Text;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace VRCX
+{
+    // Opt-in localhost HTTP/WebSocket API, read endpoints are answered by
+    // $app.getLocalApiResponse and events are pushed from JS with Broadcast
+    public class LocalApi
+    {
+        public static readonly LocalApi Instance;
+        private const string PathPrefix = "/api/v1/";
+        private readonly object m_Lock = new object();
+        private readonly Dictionary<WebSocket, Task> m_Clients = new Dictionary<WebSocket, Task>();
+        private HttpListener m_Listener;
+        private byte[] m_Token;
+
+        static LocalApi()
+        {
+            Instance = new LocalApi();
+        }
+
+        internal void Exit()
+        {
+            Stop();
+        }
+
+        public string Start(int port, string token)
+        {
+            Stop();
+            if (string.IsNullOrEmpty(token))
+            {
+                return "Token is required";
+            }
+            var listener = new HttpListener();
+            // localhost prefixes don't need a URL ACL reservation
+            listener.Prefixes.Add($"http://localhost:{port}/");
+            try
+            {
+                listener.Start();
+            }
+            catch (Exception e)
+            {
+                listener.Close();
+                return e.Message;
+            }
+            lock (m_Lock)
+            {
+                m_Listener = listener;
+                m_Token = Encoding.UTF8.GetBytes(token);
+            }
+            Listen(listener);
+            return string.Empty;
+        }
+
+        public void Stop()
+        {
+            HttpListener listener;
+            WebSocket[] clients;
+            lock (m_Lock)
+            {
+                listener = m_Listener;
+                m_Listener = null;
+                clients = new WebSocket[m_Clients.Count];
+                m_Clients.Keys.CopyTo(clients, 0);
+                m_Clients.Clear();
+            }
+            foreach (var client in clients)
+            {
+                client.Abort();
+                client.Dispose();
+            }
+            listener?.Close();
+        }
+
+        public bool IsRunning()
+        {
+            lock (m_Lock)
+            {
+                return m_Listener != null;
+            }
+        }
+
+        public int GetClientCount()
+        {
+            lock (m_Lock)
+            {
+                return m_Clients.Count;
+            }
+        }
+
+        public void Broadcast(string json)
+        {
+            var data = new ArraySegment<byte>(Encoding.UTF8.GetBytes(json));
+            lock (m_Lock)
+            {
+                var clients = new List<WebSocket>(m_Clients.Keys);
+                foreach (var client in clients)
+                {
+                    if (client.State != WebSocketState.Open)
+                    {
+                        continue;
+                    }
+                    // a WebSocket allows one pending send, chain them per client
+                    m_Clients[client] = m_Clients[client].ContinueWith(_ =>
+                        client.SendAsync(data, WebSocketMessageType.Text, true, CancellationToken.None)
+                    ).Unwrap();
+                }
+            }
+        }
+
+        private async void Listen(HttpListener listener)
+        {
+            while (listener.IsListening)
+            {
+                HttpListenerContext context;
+                try
+                {
+                    context = await listener.GetContextAsync();
+                }
+                catch
+                {
+                    // listener was stopped
+                    return;
+                }
+                HandleContext(context);
+            }
+        }
+
+        private bool IsAuthorized(HttpListenerRequest request)
+        {
+            var token = request.QueryString["token"];
+            var authorization = request.Headers["Authorization"];
+            if (authorization != null && authorization.StartsWith("Bearer ", StringComparison.OrdinalIgnoreCase))
+            {
+                token = authorization.Substring(7).Trim();
+            }
+            if (string.IsNullOrEmpty(token))
+            {
+                return false;
+            }
+            byte[] expected;
+            lock (m_Lock)
+            {
+                expected = m_Token;
+            }
+            var actual = Encoding.UTF8.GetBytes(token);
+            if (expected == null || actual.Length != expected.Length)
+            {
+                return false;
+            }
+            // fixed time comparison
+            var diff = 0;
+            for (var i = 0; i < actual.Length; ++i)
+            {
+                diff |= actual[i] ^ expected[i];
+            }
+            return diff == 0;
+        }
+
+        private async void HandleContext(HttpListenerContext context)
+        {
+            var request = context.Request;
+            var response = context.Response;
+            try
+            {
+                response.Headers["Access-Control-Allow-Origin"] = "*";
+                response.Headers["Access-Control-Allow-Headers"] = "Authorization";
+                if (request.HttpMethod == "OPTIONS")
+                {
+                    response.StatusCode = 204;
+                    response.Close();
+                    return;
+                }
+                if (!IsAuthorized(request))
+                {
+                    WriteJson(response, 401, "{\"error\":\"Unauthorized\"}");
+                    return;
+                }
+                var path = request.Url.AbsolutePath;
+                if (!path.StartsWith(PathPrefix))
+                {
+                    WriteJson(response, 404, "{\"error\":\"Not found\"}");
+                    return;
+                }
+                var endpoint = path.Substring(PathPrefix.Length).TrimEnd('/');
+                if (endpoint == "events")
+                {
+                    if (!request.IsWebSocketRequest)
+                    {
+                        WriteJson(response, 400, "{\"error\":\"WebSocket upgrade required\"}");
+                        return;
+                    }
+                    var webSocketContext = await context.AcceptWebSocketAsync(null);
+                    await HandleWebSocket(webSocketContext.WebSocket);
+                    return;
+                }
+                if (request.HttpMethod != "GET")
+                {
+                    WriteJson(response, 405, "{\"error\":\"Method not allowed\"}");
+                    return;
+                }
+                var result = await MainForm.Instance.Browser.EvaluateScriptAsync("$app.getLocalApiResponse", endpoint);
+                if (result.Success && result.Result is string json)
+                {
+                    WriteJson(response, 200, json);
+                }
+                else
+                {
+                    WriteJson(response, 404, "{\"error\":\"Not found\"}");
+                }
+            }
+            catch (Exception e)
+            {
+                Console.WriteLine(e);
+                try
+                {
+                    response.Abort();
+                }
+                catch
+                {
+                }
+            }
+        }
+
+        private async Task HandleWebSocket(WebSocket webSocket)
+        {
+            lock (m_Lock)
+            {
+                m_Clients.Add(webSocket, Task.CompletedTask);
+            }
+            try
+            {
+                // clients only listen, incoming messages are discarded
+                var buffer = new ArraySegment<byte>(new byte[1024]);
+                while (webSocket.State == WebSocketState.Open)
+                {
+                    var message = await webSocket.ReceiveAsync(buffer, CancellationToken.None);
+                    if (message.MessageType == WebSocketMessageType.Close)
+                    {
+                        await webSocket.CloseAsync(WebSocketCloseStatus.NormalClosure, string.Empty, CancellationToken.None);
+                    }
+                }
+            }
+            catch (WebSocketException)
+            {
+            }
+            finally
+            {
+                lock (m_Lock)
+                {
+                    m_Clients.Remove(webSocket);
+                }
+                webSocket.Dispose();
+            }
+        }
+
+        private static void WriteJson(HttpListenerResponse response, int statusCode, string json)
+        {
+            var data = Encoding.UTF8.GetBytes(json);
+            response.StatusCode = statusCode;
+            response.ContentType = "application/json; charset=utf-8";
+            response.ContentLength64 = data.Length;
+            response.OutputStream.Write(data, 0, data.Length);
+            response.Close();
+        }
+    }
+}
@@ -90,6 +90,7 @@ namespace VRCX
             VRCXVR.Instance.Init();
             Application.Run(new MainForm());
             WebApi.Instance.SaveCookies();
+            LocalApi.Instance.Exit();
             VRCXVR.Instance.Exit();
             CefService.Instance.Exit();
 
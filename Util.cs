@@ -15,6 +15,7 @@ namespace VRCX
             repository.Register("LogWatcher", LogWatcher.Instance, true);
             repository.Register("Discord", Discord.Instance, true);
             repository.Register("AssetBundleCacher", AssetBundleCacher.Instance, true);
+            repository.Register("LocalApi", LocalApi.Instance, true);
         }
     }
 }
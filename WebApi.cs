@@ -261,7 +261,8 @@ namespace VRCX
                                     callback.ExecuteAsync(null, new
                                     {
                                         data = await streamReader.ReadToEndAsync(),
-                                        status = response.StatusCode
+                                        status = response.StatusCode,
+                                        etag = response.Headers["ETag"]
                                     });
                                 }
                             }
@@ -284,7 +285,8 @@ namespace VRCX
                                 callback.ExecuteAsync(null, new
                                 {
                                     data = await streamReader.ReadToEndAsync(),
-                                    status = response.StatusCode
+                                    status = response.StatusCode,
+                                    retryAfter = response.Headers["Retry-After"]
                                 });
                             }
                         }
@@ -17,10 +17,36 @@ import * as workerTimers from 'worker-timers';
 import 'default-passive-events';
 
 import configRepository from './repository/config.js';
+import secureConfigRepository from './repository/secureConfig.js';
 import webApiService from './service/webapi.js';
 import gameLogService from './service/gamelog.js';
 import security from './security.js';
 import database from './repository/database.js';
+import schemaMigrations from './repository/migrations.js';
+import historyArchive from './repository/archive.js';
+import notificationRules, {
+    notificationTypes,
+    notificationActions,
+    gameStates
+} from './notificationRules.js';
+import webhooks, {webhookCategories, webhookFormats} from './webhooks.js';
+import localApiService from './service/localapi.js';
+import localApiSchema, {localApiEvents} from './localApiSchema.js';
+import pluginHost from './plugins.js';
+import themeEngine, {themeTokens} from './theme.js';
+import chatboxFilter, {
+    chatboxFilterModes,
+    chatboxFilterScopes,
+    defaultChatboxKeywords,
+    maxChatboxFilterLogEntries
+} from './chatboxFilter.js';
+import instanceTemplates, {
+    instanceAccessTypes,
+    instanceRegions,
+    scheduleRecurrences
+} from './instanceTemplates.js';
+import friendGroups, {friendGroupColors} from './friendGroups.js';
+import sessionManager from './sessionManager.js';
 
 speechSynthesis.getVoices();
 
@@ -40,6 +66,20 @@ speechSynthesis.getVoices();
 
     await configRepository.init();
 
+    // before anything else uses the database, a migration's transaction would
+    // take in statements from the rest of the app
+    try {
+        await database.initTables();
+        configRepository.setInt(
+            'VRCX_databaseVersion',
+            await schemaMigrations.update(
+                configRepository.getInt('VRCX_databaseVersion')
+            )
+        );
+    } catch (err) {
+        console.error(err);
+    }
+
     if (configRepository.getBool('migrate_config_20201101') === null) {
         var legacyConfigKeys = [
             'orderFriendGroup0',
@@ -211,6 +251,12 @@ speechSynthesis.getVoices();
     $appDarkStyle.href = `app.dark.css?_=${Date.now()}`;
     document.head.appendChild($appDarkStyle);
 
+    var $appThemeStyle = document.createElement('link');
+    $appThemeStyle.disabled = true;
+    $appThemeStyle.rel = 'stylesheet';
+    $appThemeStyle.href = `app.theme.css?_=${Date.now()}`;
+    document.head.appendChild($appThemeStyle);
+
     //
     // Languages
     //
@@ -339,14 +385,340 @@ speechSynthesis.getVoices();
     API.endpointDomain = 'https://api.vrchat.cloud/api/1';
     API.websocketDomain = 'wss://pipeline.vrchat.cloud';
 
+    // requests are queued per endpoint bucket (first path segment) so bulk
+    // operations can't starve interactive ones or trip the rate limiter
+    API.requestQueue = [];
+    API.requestBuckets = new Map();
+    API.requestSequence = 0;
+    API.requestQueueTimer = null;
+    API.requestPriority = 'normal';
+    API.requestPriorities = {
+        high: 0,
+        normal: 1,
+        low: 2
+    };
+    API.requestConcurrency = {
+        default: 4,
+        favorites: 1,
+        invite: 2,
+        'auth/user/friends': 2
+    };
+    API.requestMaxRetries = 3;
+    API.requestRetryBaseDelay = 1000;
+    API.requestRetryMaxDelay = 60000;
+
+    API.getRequestBucket = function (endpoint) {
+        var name = endpoint.split('?')[0];
+        if (name.startsWith('auth/user/friends')) {
+            name = 'auth/user/friends';
+        } else {
+            name = name.split('/')[0];
+        }
+        var bucket = this.requestBuckets.get(name);
+        if (typeof bucket === 'undefined') {
+            bucket = {
+                name,
+                active: 0,
+                blockedUntil: 0,
+                limit:
+                    this.requestConcurrency[name] ||
+                    this.requestConcurrency.default
+            };
+            this.requestBuckets.set(name, bucket);
+        }
+        return bucket;
+    };
+
+    // run callback(...args) with every API.call made synchronously inside it
+    // queued at the given priority ('high', 'normal', 'low')
+    API.withRequestPriority = function (priority, callback, ...args) {
+        var previous = this.requestPriority;
+        this.requestPriority = priority;
+        try {
+            return callback(...args);
+        } finally {
+            this.requestPriority = previous;
+        }
+    };
+
+    API.enqueueRequest = function (endpoint, init, priority) {
+        return new Promise((resolve, reject) => {
+            this.requestQueue.push({
+                bucket: this.getRequestBucket(endpoint),
+                init,
+                priority: this.requestPriorities[priority],
+                sequence: ++this.requestSequence,
+                retries: 0,
+                notBefore: 0,
+                resolve,
+                reject
+            });
+            this.processRequestQueue();
+        });
+    };
+
+    API.raiseRequestPriority = function (url, priority) {
+        var value = this.requestPriorities[priority];
+        for (var entry of this.requestQueue) {
+            if (entry.init.url === url && entry.priority > value) {
+                entry.priority = value;
+            }
+        }
+    };
+
+    API.processRequestQueue = function () {
+        if (this.requestQueueTimer !== null) {
+            workerTimers.clearTimeout(this.requestQueueTimer);
+            this.requestQueueTimer = null;
+        }
+        var now = Date.now();
+        var wakeAt = 0;
+        this.requestQueue.sort(
+            (a, b) => a.priority - b.priority || a.sequence - b.sequence
+        );
+        for (var i = 0; i < this.requestQueue.length; ) {
+            var entry = this.requestQueue[i];
+            var {bucket} = entry;
+            var readyAt = Math.max(bucket.blockedUntil, entry.notBefore);
+            if (readyAt > now) {
+                if (wakeAt === 0 || readyAt < wakeAt) {
+                    wakeAt = readyAt;
+                }
+                ++i;
+            } else if (bucket.active >= bucket.limit) {
+                ++i;
+            } else {
+                this.requestQueue.splice(i, 1);
+                this.sendRequest(entry);
+            }
+        }
+        if (wakeAt !== 0) {
+            this.requestQueueTimer = workerTimers.setTimeout(() => {
+                this.requestQueueTimer = null;
+                this.processRequestQueue();
+            }, wakeAt - now);
+        }
+    };
+
+    API.getRequestRetryDelay = function (entry, retryAfter) {
+        if (retryAfter) {
+            var seconds = Number(retryAfter);
+            if (!isNaN(seconds)) {
+                return seconds * 1000;
+            }
+            var date = Date.parse(retryAfter);
+            if (!isNaN(date)) {
+                return Math.max(date - Date.now(), 0);
+            }
+        }
+        var delay = Math.min(
+            this.requestRetryBaseDelay * 2 ** entry.retries,
+            this.requestRetryMaxDelay
+        );
+        return delay + Math.floor(Math.random() * delay * 0.5);
+    };
+
+    API.sendRequest = function (entry) {
+        var {bucket, init} = entry;
+        ++bucket.active;
+        webApiService
+            .execute(init)
+            .then(
+                (response) => {
+                    var {status} = response;
+                    var canRetry = entry.retries < this.requestMaxRetries;
+                    if (status === 429 && canRetry) {
+                        var delay = this.getRequestRetryDelay(
+                            entry,
+                            response.retryAfter
+                        );
+                        bucket.blockedUntil = Math.max(
+                            bucket.blockedUntil,
+                            Date.now() + delay
+                        );
+                        console.warn(
+                            `429 on ${bucket.name}, retrying in ${delay}ms`,
+                            init.url
+                        );
+                    } else if (
+                        status >= 500 &&
+                        init.method === 'GET' &&
+                        canRetry
+                    ) {
+                        entry.notBefore =
+                            Date.now() + this.getRequestRetryDelay(entry);
+                    } else {
+                        entry.resolve(response);
+                        return;
+                    }
+                    ++entry.retries;
+                    this.requestQueue.push(entry);
+                },
+                (err) => {
+                    entry.reject(err);
+                }
+            )
+            .finally(() => {
+                --bucket.active;
+                this.processRequestQueue();
+            });
+    };
+
+    // GET responses for single users/worlds/avatars/groups are persisted in
+    // sqlite, revalidated with ETags and served stale while a refresh runs
+    API.responseCacheTypes = {
+        users: {
+            prefix: 'usr_',
+            ttl: 600000 // 10mins
+        },
+        worlds: {
+            prefix: 'wrld_',
+            ttl: 86400000, // 24hours
+            event: 'WORLD',
+            param: 'worldId'
+        },
+        avatars: {
+            prefix: 'avtr_',
+            ttl: 86400000, // 24hours
+            event: 'AVATAR',
+            param: 'avatarId'
+        },
+        groups: {
+            prefix: 'grp_',
+            ttl: 3600000, // 1hour
+            event: 'GROUP',
+            param: 'groupId'
+        }
+    };
+    API.responseCacheMaxAge = 2592000000; // 30days
+
+    API.getResponseCacheType = function (endpoint) {
+        var path = endpoint.split('?')[0].split('/');
+        if (path.length !== 2) {
+            return '';
+        }
+        var [type, objectId] = path;
+        var cacheType = this.responseCacheTypes[type];
+        if (
+            typeof cacheType === 'undefined' ||
+            !objectId.startsWith(cacheType.prefix)
+        ) {
+            return '';
+        }
+        return type;
+    };
+
+    API.prepareResponseCache = async function (init) {
+        try {
+            var entry = await database.getResponseCache(init.url);
+        } catch (err) {
+            console.error(err);
+            return null;
+        }
+        if (entry !== null && entry.etag) {
+            init.headers = {
+                'If-None-Match': entry.etag,
+                ...init.headers
+            };
+        }
+        return entry;
+    };
+
+    API.storeResponseCache = function (init, type, json, response) {
+        if (json !== Object(json) || !json.id) {
+            return;
+        }
+        database.setResponseCache({
+            endpoint: init.url,
+            type,
+            objectId: json.id,
+            etag: response.etag || '',
+            data: response.text,
+            updatedAt: Date.now()
+        });
+    };
+
+    // users are never restored, applying a stale user would log bogus
+    // friend/status changes, their entries only back ETag revalidation
+    API.restoreCachedResponse = async function (type, objectId) {
+        var cacheType = this.responseCacheTypes[type];
+        if (typeof cacheType.event === 'undefined') {
+            return null;
+        }
+        try {
+            var entry = await database.getResponseCacheByObjectId(
+                type,
+                objectId
+            );
+            if (entry === null) {
+                return null;
+            }
+            var json = JSON.parse(entry.data);
+        } catch (err) {
+            console.error(err);
+            return null;
+        }
+        var args = {
+            json,
+            params: {
+                [cacheType.param]: objectId
+            }
+        };
+        this.$emit(cacheType.event, args);
+        return {
+            cache: true,
+            json,
+            params: args.params,
+            ref: args.ref,
+            isStale: Date.now() - entry.updatedAt > cacheType.ttl
+        };
+    };
+
+    // resolve from the persistent cache when possible, refreshing stale
+    // entries in the background, otherwise fall back to fetch()
+    API.getStoredResponse = async function (type, objectId, fetch) {
+        var args = await this.restoreCachedResponse(type, objectId);
+        if (args === null) {
+            return fetch();
+        }
+        if (args.isStale) {
+            this.withRequestPriority('low', fetch).catch((err) => {
+                console.error(err);
+            });
+        }
+        return args;
+    };
+
+    // offline mode only answers GETs that are in the persistent cache
+    API.getOfflineResponse = async function (endpoint, init, cacheType) {
+        var entry = null;
+        if (cacheType) {
+            entry = await database.getResponseCache(init.url);
+            if (entry === null) {
+                entry = await database.getResponseCacheByObjectId(
+                    cacheType,
+                    endpoint.split('?')[0].split('/')[1]
+                );
+            }
+        }
+        if (entry === null) {
+            throw new Error(`Offline mode, ${endpoint}`);
+        }
+        return JSON.parse(entry.data);
+    };
+
     API.call = function (endpoint, options) {
         var init = {
             url: `${API.endpointDomain}/${endpoint}`,
             method: 'GET',
             ...options
         };
+        var priority = init.priority || this.requestPriority;
+        delete init.priority;
         var {params} = init;
+        var cacheType = '';
         if (init.method === 'GET') {
+            cacheType = this.getResponseCacheType(endpoint);
             // don't retry recent 404/403
             if (this.failedGetRequests.has(endpoint)) {
                 var lastRun = this.failedGetRequests.get(endpoint);
@@ -367,11 +739,19 @@ speechSynthesis.getVoices();
                 }
                 init.url = url.toString();
             }
+            if (this.isOffline) {
+                return this.getOfflineResponse(endpoint, init, cacheType);
+            }
             // merge requests
             var req = this.pendingGetRequests.get(init.url);
             if (typeof req !== 'undefined') {
+                this.raiseRequestPriority(init.url, priority);
                 return req;
             }
+        } else if (this.isOffline) {
+            return Promise.reject(
+                new Error(`Offline mode, ${init.method} ${endpoint}`)
+            );
         } else if (init.uploadImage || init.uploadFilePUT) {
             // nothing
         } else {
@@ -382,17 +762,43 @@ speechSynthesis.getVoices();
             init.body =
                 params === Object(params) ? JSON.stringify(params) : '{}';
         }
-        var req = webApiService
-            .execute(init)
+        var cacheEntry = null;
+        var req = (
+            cacheType ? this.prepareResponseCache(init) : Promise.resolve(null)
+        )
+            .then((entry) => {
+                cacheEntry = entry;
+                return this.enqueueRequest(endpoint, init, priority);
+            })
             .catch((err) => {
                 this.$throw(0, err);
             })
             .then((response) => {
+                var isNotModified = false;
+                if (response.status === 304 && cacheEntry !== null) {
+                    isNotModified = true;
+                    database.touchResponseCache(init.url, Date.now());
+                    response.data = cacheEntry.data;
+                    response.status = 200;
+                }
                 try {
+                    response.text = response.data;
                     response.data = JSON.parse(response.data);
                     if ($app.debugWebRequests) {
                         console.log(init, response.data);
                     }
+                    if (
+                        cacheType &&
+                        response.status === 200 &&
+                        !isNotModified
+                    ) {
+                        this.storeResponseCache(
+                            init,
+                            cacheType,
+                            response.data,
+                            response
+                        );
+                    }
                     return response;
                 } catch (e) {}
                 if (response.status === 200) {
@@ -1172,6 +1578,7 @@ speechSynthesis.getVoices();
     // setNewPassword: PUT auth/password {emailToken: string, id: string, password: string}
 
     API.isLoggedIn = false;
+    API.isOffline = false;
     API.cachedUsers = new Map();
     API.currentUser = {};
     API.currentTravelers = new Map();
@@ -1229,6 +1636,10 @@ speechSynthesis.getVoices();
 
     API.logout = function () {
         this.$emit('LOGOUT');
+        if (this.isOffline) {
+            this.isOffline = false;
+            return;
+        }
         webApiService.clearCookies();
         // return this.call('logout', {
         //     method: 'PUT'
@@ -1974,7 +2385,11 @@ speechSynthesis.getVoices();
         return new Promise((resolve, reject) => {
             var ref = this.cachedWorlds.get(params.worldId);
             if (typeof ref === 'undefined') {
-                this.getWorld(params).catch(reject).then(resolve);
+                this.getStoredResponse('worlds', params.worldId, () =>
+                    this.getWorld(params)
+                )
+                    .catch(reject)
+                    .then(resolve);
             } else {
                 resolve({
                     cache: true,
@@ -2284,7 +2699,9 @@ speechSynthesis.getVoices();
                 // API offset limit is 5000
                 break;
             }
-            var args = await this.getFriends(params);
+            var args = await this.withRequestPriority('low', () =>
+                this.getFriends(params)
+            );
             friends = friends.concat(args.json);
             params.offset += 50;
         }
@@ -2308,7 +2725,9 @@ speechSynthesis.getVoices();
                 // API offset limit is 5000
                 break;
             }
-            var args = await this.getFriends(params);
+            var args = await this.withRequestPriority('low', () =>
+                this.getFriends(params)
+            );
             friends = friends.concat(args.json);
             params.offset += 50;
         }
@@ -3122,6 +3541,9 @@ speechSynthesis.getVoices();
     API.$on('LOGIN', function () {
         this.cachedPlayerModerations.clear();
         this.isPlayerModerationsLoading = false;
+        if (this.isOffline) {
+            return;
+        }
         this.refreshPlayerModerations();
     });
 
@@ -3230,6 +3652,9 @@ speechSynthesis.getVoices();
             })
             .then(() => {
                 this.deleteExpiredPlayerModerations();
+            })
+            .catch((err) => {
+                console.error(err);
             });
     };
 
@@ -3441,6 +3866,9 @@ speechSynthesis.getVoices();
         this.favoriteAvatarGroups = [];
         this.isFavoriteLoading = false;
         this.isFavoriteGroupLoading = false;
+        if (this.isOffline) {
+            return;
+        }
         this.refreshFavorites();
     });
 
@@ -4117,13 +4545,26 @@ speechSynthesis.getVoices();
     // API: WebSocket
 
     API.webSocket = null;
+    API.isWebSocketConnected = false;
+    API.webSocketReconnectTimer = null;
+    API.webSocketReconnectAttempts = 0;
+    API.webSocketReconnectBaseDelay = 2000; // 2secs
+    API.webSocketReconnectMaxDelay = 120000; // 2mins
+    API.webSocketConnectTimeout = 30000; // 30secs
+    API.webSocketIdleTimeout = 600000; // 10mins
+    API.webSocketLastMessageAt = 0;
+    API.webSocketDisconnectedAt = 0;
 
     API.$on('LOGOUT', function () {
         this.closeWebSocket();
     });
 
     API.$on('USER:CURRENT', function () {
-        if ($app.friendLogInitStatus && this.webSocket === null) {
+        if (
+            $app.friendLogInitStatus &&
+            this.webSocket === null &&
+            this.webSocketReconnectTimer === null
+        ) {
             this.getAuth();
         }
     });
@@ -4131,6 +4572,8 @@ speechSynthesis.getVoices();
     API.$on('AUTH', function (args) {
         if (args.json.ok) {
             this.connectWebSocket(args.json.token);
+        } else {
+            this.reconnectWebSocket();
         }
     });
 
@@ -4334,8 +4777,19 @@ speechSynthesis.getVoices();
                 break;
 
             case 'group-joined':
+                this.$emit('GROUP:JOINED', {
+                    params: {
+                        groupId: content.groupId
+                    }
+                });
+                break;
+
             case 'group-left':
-                // content.groupId
+                this.$emit('GROUP:LEFT', {
+                    params: {
+                        groupId: content.groupId
+                    }
+                });
                 break;
 
             default:
@@ -4358,13 +4812,25 @@ speechSynthesis.getVoices();
     API.connectWebSocket = function (token) {
         if (this.webSocket === null) {
             var socket = new WebSocket(`${API.websocketDomain}/?auth=${token}`);
-            socket.onclose = () => {
-                if (this.webSocket === socket) {
-                    this.webSocket = null;
+            socket.onopen = () => {
+                if (this.webSocket !== socket) {
+                    return;
                 }
-                try {
-                    socket.close();
-                } catch (err) {}
+                var {webSocketDisconnectedAt} = this;
+                this.isWebSocketConnected = true;
+                this.webSocketReconnectAttempts = 0;
+                this.webSocketDisconnectedAt = 0;
+                this.webSocketLastMessageAt = Date.now();
+                if ($app.debugWebSocket) {
+                    console.log('WebSocket connected');
+                }
+                this.$emit('PIPELINE:CONNECTED', {
+                    isReconnect: webSocketDisconnectedAt > 0,
+                    disconnectedAt: webSocketDisconnectedAt
+                });
+            };
+            socket.onclose = () => {
+                this.dropWebSocket(socket);
             };
             socket.onerror = () => {
                 if (this.errorNoty) {
@@ -4377,6 +4843,7 @@ speechSynthesis.getVoices();
                 socket.onclose();
             };
             socket.onmessage = ({data}) => {
+                this.webSocketLastMessageAt = Date.now();
                 try {
                     var json = JSON.parse(data);
                     try {
@@ -4403,15 +4870,108 @@ speechSynthesis.getVoices();
                 }
             };
             this.webSocket = socket;
+            this.webSocketLastMessageAt = Date.now();
+        }
+    };
+
+    // unexpected close, error or idle timeout: forget the socket and retry
+    API.dropWebSocket = function (socket) {
+        if (this.webSocket === socket) {
+            this.webSocket = null;
+            if (this.isWebSocketConnected) {
+                this.isWebSocketConnected = false;
+                this.webSocketDisconnectedAt = Date.now();
+                if ($app.debugWebSocket) {
+                    console.log('WebSocket disconnected');
+                }
+                this.$emit('PIPELINE:DISCONNECTED', {
+                    isReconnecting: this.isLoggedIn
+                });
+            }
+            this.reconnectWebSocket();
+        }
+        try {
+            socket.close();
+        } catch (err) {}
+    };
+
+    API.reconnectWebSocket = function () {
+        if (
+            !this.isLoggedIn ||
+            this.webSocket !== null ||
+            this.webSocketReconnectTimer !== null
+        ) {
+            return;
+        }
+        // exponential backoff with up to 20% jitter
+        var delay = Math.min(
+            this.webSocketReconnectBaseDelay *
+                2 ** this.webSocketReconnectAttempts,
+            this.webSocketReconnectMaxDelay
+        );
+        delay += Math.floor(Math.random() * delay * 0.2);
+        ++this.webSocketReconnectAttempts;
+        if ($app.debugWebSocket) {
+            console.log(
+                `WebSocket reconnect #${this.webSocketReconnectAttempts} in ${delay}ms`
+            );
+        }
+        this.webSocketReconnectTimer = workerTimers.setTimeout(() => {
+            this.webSocketReconnectTimer = null;
+            if (!this.isLoggedIn || this.webSocket !== null) {
+                return;
+            }
+            this.getAuth().catch((err) => {
+                console.error(err);
+                this.reconnectWebSocket();
+            });
+        }, delay);
+    };
+
+    // called from updateLoop
+    API.checkWebSocket = function () {
+        if (!this.isLoggedIn || !$app.friendLogInitStatus) {
+            return;
+        }
+        var socket = this.webSocket;
+        if (socket === null) {
+            this.reconnectWebSocket();
+            return;
+        }
+        var idle = Date.now() - this.webSocketLastMessageAt;
+        if (
+            socket.readyState === WebSocket.CLOSING ||
+            socket.readyState === WebSocket.CLOSED ||
+            (socket.readyState === WebSocket.CONNECTING &&
+                idle > this.webSocketConnectTimeout) ||
+            (socket.readyState === WebSocket.OPEN &&
+                idle > this.webSocketIdleTimeout)
+        ) {
+            if ($app.debugWebSocket) {
+                console.log(`WebSocket stale, idle for ${idle}ms`);
+            }
+            this.dropWebSocket(socket);
         }
     };
 
     API.closeWebSocket = function () {
+        if (this.webSocketReconnectTimer !== null) {
+            workerTimers.clearTimeout(this.webSocketReconnectTimer);
+            this.webSocketReconnectTimer = null;
+        }
+        this.webSocketReconnectAttempts = 0;
+        this.webSocketDisconnectedAt = 0;
         var socket = this.webSocket;
         if (socket === null) {
             return;
         }
         this.webSocket = null;
+        if (this.isWebSocketConnected) {
+            this.isWebSocketConnected = false;
+            this.$emit('PIPELINE:DISCONNECTED', {
+                isReconnecting: false
+            });
+        }
         try {
             socket.close();
         } catch (err) {}
@@ -4613,7 +5173,10 @@ speechSynthesis.getVoices();
             nextFriendsRefresh: 0,
             nextAppUpdateCheck: 7200,
             ipcTimeout: 0,
+            nextWebSocketCheck: 0,
             nextClearVRCXCacheCheck: 0,
+            nextWebhookQueueCheck: 0,
+            nextInstanceScheduleCheck: 0,
             nextDiscordUpdate: 0,
             isDiscordActive: false,
             isGameRunning: false,
@@ -4651,6 +5214,9 @@ speechSynthesis.getVoices();
             this.refreshCustomCss();
             this.refreshCustomScript();
             this.checkVRChatDebugLogging();
+            this.loadWebhookSecrets();
+            this.initLocalApi();
+            this.initPlugins();
             this.$nextTick(function () {
                 this.$el.style.display = '';
                 if (!this.enablePrimaryPassword) {
@@ -4696,6 +5262,9 @@ speechSynthesis.getVoices();
         AppApi.CustomScriptPath().then((customScript) => {
             var head = document.head;
             if (customScript) {
+                console.warn(
+                    'custom.js is deprecated and may break with any update, move it to a plugin'
+                );
                 var $appCustomScript = document.createElement('script');
                 $appCustomScript.setAttribute('id', 'app-custom-script');
                 $appCustomScript.src = `file://${customScript}?_=${Date.now()}`;
@@ -4773,13 +5342,13 @@ speechSynthesis.getVoices();
     $app.methods.updateLoop = function () {
         try {
             if (API.isLoggedIn === true) {
-                if (--this.nextCurrentUserRefresh <= 0) {
+                if (--this.nextCurrentUserRefresh <= 0 && !API.isOffline) {
                     this.nextCurrentUserRefresh = 60; // 30secs
                     API.getCurrentUser().catch((err1) => {
                         throw err1;
                     });
                 }
-                if (--this.nextFriendsRefresh <= 0) {
+                if (--this.nextFriendsRefresh <= 0 && !API.isOffline) {
                     this.nextFriendsRefresh = 7200; // 1hour
                     API.refreshFriends();
                     this.updateStoredUser(API.currentUser);
@@ -4800,6 +5369,10 @@ speechSynthesis.getVoices();
                 if (--this.ipcTimeout <= 0) {
                     this.ipcEnabled = false;
                 }
+                if (--this.nextWebSocketCheck <= 0) {
+                    this.nextWebSocketCheck = 20; // 10secs
+                    API.checkWebSocket();
+                }
                 if (
                     --this.nextClearVRCXCacheCheck <= 0 &&
                     this.clearVRCXCacheFrequency > 0
@@ -4807,6 +5380,15 @@ speechSynthesis.getVoices();
                     this.nextClearVRCXCacheCheck = this.clearVRCXCacheFrequency;
                     this.clearVRCXCache();
                 }
+                if (--this.nextWebhookQueueCheck <= 0) {
+                    this.nextWebhookQueueCheck = 20; // 10secs
+                    this.processWebhookQueue();
+                }
+                // offline sessions can't invite, due schedules wait
+                if (--this.nextInstanceScheduleCheck <= 0 && !API.isOffline) {
+                    this.nextInstanceScheduleCheck = 60; // 30secs
+                    this.checkInstanceSchedules();
+                }
                 AppApi.CheckGameRunning().then(
                     ([isGameRunning, isSteamVRRunning]) => {
                         this.updateOpenVR(isGameRunning, isSteamVRRunning);
@@ -4885,6 +5467,10 @@ speechSynthesis.getVoices();
             wrist: [],
             lastEntryDate: ''
         },
+        groupLogTable: {
+            wrist: [],
+            lastEntryDate: ''
+        },
         pendingUpdate: false
     };
 
@@ -4897,6 +5483,7 @@ speechSynthesis.getVoices();
         this.updateSharedFeedNotificationTable(forceUpdate);
         this.updateSharedFeedFriendLogTable(forceUpdate);
         this.updateSharedFeedModerationAgainstTable(forceUpdate);
+        this.updateSharedFeedGroupLogTable(forceUpdate);
         var feeds = this.sharedFeed;
         if (!feeds.pendingUpdate) {
             return;
@@ -4907,7 +5494,8 @@ speechSynthesis.getVoices();
             feeds.feedTable.wrist,
             feeds.notificationTable.wrist,
             feeds.friendLogTable.wrist,
-            feeds.moderationAgainstTable.wrist
+            feeds.moderationAgainstTable.wrist,
+            feeds.groupLogTable.wrist
         );
         // OnPlayerJoining/Traveling
         API.currentTravelers.forEach((ref) => {
@@ -5169,16 +5757,8 @@ speechSynthesis.getVoices();
                 }
             }
         }
-        var notyFilter = this.sharedFeedFilters.noty;
-        if (
-            notyFilter[noty.type] &&
-            (notyFilter[noty.type] === 'On' ||
-                notyFilter[noty.type] === 'Everyone' ||
-                (notyFilter[noty.type] === 'Friends' && noty.isFriend) ||
-                (notyFilter[noty.type] === 'VIP' && noty.isFavorite))
-        ) {
-            this.playNoty(noty);
-        }
+        this.dispatchNoty('gamelog', noty);
+        this.playNoty(noty);
     };
 
     $app.methods.updateSharedFeedFeedTable = function (forceUpdate) {
@@ -5251,14 +5831,8 @@ speechSynthesis.getVoices();
         }
         noty.isFriend = this.friends.has(noty.userId);
         noty.isFavorite = API.cachedFavoritesByObjectId.has(noty.userId);
-        var notyFilter = this.sharedFeedFilters.noty;
-        if (
-            notyFilter[noty.type] &&
-            (notyFilter[noty.type] === 'Friends' ||
-                (notyFilter[noty.type] === 'VIP' && noty.isFavorite))
-        ) {
-            this.playNoty(noty);
-        }
+        this.dispatchNoty('feed', noty);
+        this.playNoty(noty);
     };
 
     $app.methods.updateSharedFeedNotificationTable = function (forceUpdate) {
@@ -5316,15 +5890,8 @@ speechSynthesis.getVoices();
     $app.methods.queueNotificationNoty = function (noty) {
         noty.isFriend = this.friends.has(noty.senderUserId);
         noty.isFavorite = API.cachedFavoritesByObjectId.has(noty.senderUserId);
-        var notyFilter = this.sharedFeedFilters.noty;
-        if (
-            notyFilter[noty.type] &&
-            (notyFilter[noty.type] === 'On' ||
-                notyFilter[noty.type] === 'Friends' ||
-                (notyFilter[noty.type] === 'VIP' && noty.isFavorite))
-        ) {
-            this.playNoty(noty);
-        }
+        this.dispatchNoty('notification', noty);
+        this.playNoty(noty);
     };
 
     $app.methods.updateSharedFeedFriendLogTable = function (forceUpdate) {
@@ -5383,15 +5950,8 @@ speechSynthesis.getVoices();
         }
         noty.isFriend = this.friends.has(noty.userId);
         noty.isFavorite = API.cachedFavoritesByObjectId.has(noty.userId);
-        var notyFilter = this.sharedFeedFilters.noty;
-        if (
-            notyFilter[noty.type] &&
-            (notyFilter[noty.type] === 'On' ||
-                notyFilter[noty.type] === 'Friends' ||
-                (notyFilter[noty.type] === 'VIP' && noty.isFavorite))
-        ) {
-            this.playNoty(noty);
-        }
+        this.dispatchNoty('friendlog', noty);
+        this.playNoty(noty);
     };
 
     $app.methods.updateSharedFeedModerationAgainstTable = function (
@@ -5448,16 +6008,63 @@ speechSynthesis.getVoices();
             noty.isFriend = this.friends.has(noty.userId);
             noty.isFavorite = API.cachedFavoritesByObjectId.has(noty.userId);
         }
-        var notyFilter = this.sharedFeedFilters.noty;
-        if (notyFilter[noty.type] && notyFilter[noty.type] === 'On') {
-            this.playNoty(noty);
+        this.dispatchNoty('moderation', noty);
+        this.playNoty(noty);
+    };
+
+    $app.methods.updateSharedFeedGroupLogTable = function (forceUpdate) {
+        // GroupJoined, GroupLeft
+        var data = this.groupLogTable;
+        var i = data.length;
+        if (i > 0) {
+            if (
+                data[i - 1].created_at ===
+                    this.sharedFeed.groupLogTable.lastEntryDate &&
+                forceUpdate === false
+            ) {
+                return;
+            }
+            this.sharedFeed.groupLogTable.lastEntryDate =
+                data[i - 1].created_at;
+        } else {
+            return;
+        }
+        var bias = new Date(Date.now() - 86400000).toJSON(); // 24 hours
+        var wristArr = [];
+        var w = 0;
+        var wristFilter = this.sharedFeedFilters.wrist;
+        for (var i = data.length - 1; i > -1; i--) {
+            var ctx = data[i];
+            if (ctx.created_at < bias) {
+                break;
+            }
+            if (
+                w < 20 &&
+                wristFilter[ctx.type] &&
+                wristFilter[ctx.type] === 'On'
+            ) {
+                wristArr.push({
+                    ...ctx,
+                    isFriend: false,
+                    isFavorite: false
+                });
+                ++w;
+            }
         }
+        this.sharedFeed.groupLogTable.wrist = wristArr;
+        this.sharedFeed.pendingUpdate = true;
+    };
+
+    $app.methods.queueGroupLogNoty = function (noty) {
+        noty.isFriend = false;
+        noty.isFavorite = false;
+        this.playNoty(noty);
     };
 
     $app.data.notyMap = [];
 
     $app.methods.playNoty = function (noty) {
-        if (API.currentUser.status === 'busy' || !this.friendLogInitStatus) {
+        if (!this.friendLogInitStatus) {
             return;
         }
         var displayName = '';
@@ -5484,44 +6091,32 @@ speechSynthesis.getVoices();
             return;
         }
 
-        var playNotificationTTS = false;
-        if (
-            this.notificationTTS === 'Always' ||
-            (this.notificationTTS === 'Inside VR' &&
-                !this.isGameNoVR &&
-                this.isGameRunning) ||
-            (this.notificationTTS === 'Game Closed' && !this.isGameRunning) ||
-            (this.notificationTTS === 'Game Running' && this.isGameRunning)
-        ) {
-            playNotificationTTS = true;
-        }
-        var playDesktopToast = false;
-        if (
-            this.desktopToast === 'Always' ||
-            (this.desktopToast === 'Outside VR' &&
-                (this.isGameNoVR || !this.isGameRunning)) ||
-            (this.desktopToast === 'Inside VR' &&
-                !this.isGameNoVR &&
-                this.isGameRunning) ||
-            (this.desktopToast === 'Game Closed' && !this.isGameRunning) ||
-            (this.desktopToast === 'Game Running' && this.isGameRunning) ||
-            (this.desktopToast === 'Desktop Mode' &&
-                this.isGameNoVR &&
-                this.isGameRunning)
-        ) {
-            playDesktopToast = true;
-        }
-        var playXSNotification = false;
-        if (this.xsNotifications && this.isGameRunning && !this.isGameNoVR) {
-            playXSNotification = true;
+        var result = notificationRules.evaluate(
+            this.notificationRules,
+            this.getNotyRuleContext(noty, new Date())
+        );
+        if (result.actions.length === 0) {
+            return;
         }
-        var playOverlayNotification = false;
-        if (
+        var gameState = notificationRules.getGameState(
+            this.isGameRunning,
+            this.isGameNoVR
+        );
+        var playNotificationTTS = result.actions.includes('tts');
+        var playDesktopToast = result.actions.includes('toast');
+        var playXSNotification =
+            result.actions.includes('xs') &&
+            this.xsNotifications &&
+            gameState === 'vr';
+        var playOverlayNotification =
+            result.actions.includes('overlay') &&
             this.overlayNotifications &&
-            !this.isGameNoVR &&
-            this.isGameRunning
-        ) {
-            playOverlayNotification = true;
+            gameState === 'vr';
+        for (var sound of result.sounds) {
+            this.playNotySound(sound);
+        }
+        if (result.webhooks.length > 0) {
+            this.queueRuleWebhooks(result.webhooks, noty);
         }
         var message = '';
         if (noty.title) {
@@ -5572,6 +6167,55 @@ speechSynthesis.getVoices();
         }
     };
 
+    $app.methods.getNotyRuleContext = function (noty, date) {
+        var userId = '';
+        if (noty.userId) {
+            userId = noty.userId;
+        } else if (noty.senderUserId) {
+            userId = noty.senderUserId;
+        } else if (noty.sourceUserId) {
+            userId = noty.sourceUserId;
+        } else if (noty.displayName) {
+            for (var ref of API.cachedUsers.values()) {
+                if (ref.displayName === noty.displayName) {
+                    userId = ref.id;
+                    break;
+                }
+            }
+        }
+        var favorite = API.cachedFavoritesByObjectId.get(userId);
+        var location = noty.location;
+        if (!location && noty.details) {
+            location = noty.details.worldId;
+        }
+        var {worldId} = API.parseLocation(location);
+        return {
+            type: noty.type,
+            userId,
+            isFriend:
+                typeof noty.isFriend === 'boolean'
+                    ? noty.isFriend
+                    : this.friends.has(userId),
+            isFavorite: typeof favorite !== 'undefined',
+            favoriteGroup:
+                typeof favorite !== 'undefined' ? favorite.$groupKey : '',
+            worldId,
+            minutes: date.getHours() * 60 + date.getMinutes(),
+            gameState: notificationRules.getGameState(
+                this.isGameRunning,
+                this.isGameNoVR
+            ),
+            status: API.currentUser.status
+        };
+    };
+
+    $app.methods.playNotySound = function (src) {
+        var audio = new Audio(src);
+        audio.play().catch((err) => {
+            console.error('Notification sound failed', src, err);
+        });
+    };
+
     $app.methods.notyGetImage = async function (noty) {
         var imageUrl = '';
         var userId = '';
@@ -5756,6 +6400,12 @@ speechSynthesis.getVoices();
             case 'group.joinRequest':
                 this.speak(noty.message);
                 break;
+            case 'GroupJoined':
+                this.speak(`You have joined the group ${noty.groupName}`);
+                break;
+            case 'GroupLeft':
+                this.speak(`You have left the group ${noty.groupName}`);
+                break;
             case 'PortalSpawn':
                 if (noty.displayName) {
                     this.speak(
@@ -5969,6 +6619,22 @@ speechSynthesis.getVoices();
             case 'group.joinRequest':
                 AppApi.XSNotification('VRCX', noty.message, timeout, image);
                 break;
+            case 'GroupJoined':
+                AppApi.XSNotification(
+                    'VRCX',
+                    `Joined group ${noty.groupName}`,
+                    timeout,
+                    image
+                );
+                break;
+            case 'GroupLeft':
+                AppApi.XSNotification(
+                    'VRCX',
+                    `Left group ${noty.groupName}`,
+                    timeout,
+                    image
+                );
+                break;
             case 'PortalSpawn':
                 if (noty.displayName) {
                     AppApi.XSNotification(
@@ -6232,6 +6898,16 @@ speechSynthesis.getVoices();
                     image
                 );
                 break;
+            case 'GroupJoined':
+                AppApi.DesktopNotification(
+                    'Group Joined',
+                    noty.groupName,
+                    image
+                );
+                break;
+            case 'GroupLeft':
+                AppApi.DesktopNotification('Group Left', noty.groupName, image);
+                break;
             case 'PortalSpawn':
                 if (noty.displayName) {
                     AppApi.DesktopNotification(
@@ -6370,6 +7046,9 @@ speechSynthesis.getVoices();
         if (index === 'notification') {
             this.unseenNotifications = [];
         }
+        if (index === 'statistics') {
+            this.refreshStatistics();
+        }
     };
 
     $app.methods.promptTOTP = function () {
@@ -6572,10 +7251,36 @@ speechSynthesis.getVoices();
     });
 
     API.$on('LOGOUT', function () {
-        $app.updateStoredUser(this.currentUser);
+        if (this.isOffline) {
+            return;
+        }
+        // switching accounts keeps the vault open for the next account's
+        // cookies and the background sessions running
+        var {isSwitchingAccount} = $app;
+        $app.updateStoredUser(this.currentUser).finally(() => {
+            if (!isSwitchingAccount) {
+                secureConfigRepository.lock();
+            }
+        });
+        if (!isSwitchingAccount) {
+            sessionManager.clear();
+        }
         webApiService.clearCookies();
     });
 
+    // read-only session over a saved account's local database
+    $app.methods.loginOffline = function (user) {
+        if (API.isLoggedIn) {
+            return;
+        }
+        API.isOffline = true;
+        API.applyCurrentUser(user.user);
+        new Noty({
+            type: 'info',
+            text: 'Offline mode, showing locally stored history only.'
+        }).show();
+    };
+
     $app.methods.checkPrimaryPassword = function (args) {
         return new Promise((resolve, reject) => {
             if (!this.enablePrimaryPassword) {
@@ -6592,13 +7297,67 @@ speechSynthesis.getVoices();
                 .then(({value}) => {
                     security
                         .decrypt(args.password, value)
-                        .then(resolve)
+                        .then(async (pwd) => {
+                            await this.unlockPrimaryPassword(value);
+                            resolve(pwd);
+                        })
                         .catch(reject);
                 })
                 .catch(reject);
         });
     };
 
+    // keeps the derived key for encrypting cookies and moves saved
+    // credentials still using an old ciphertext format to the current one
+    $app.methods.unlockPrimaryPassword = async function (password) {
+        await security.unlock(password);
+        var {savedCredentials} = this.loginForm;
+        for (var name in savedCredentials) {
+            var credentials = savedCredentials[name];
+            try {
+                credentials.loginParmas.password = await security.migrate(
+                    credentials.loginParmas.password,
+                    password
+                );
+                if (!credentials.cookies) {
+                    continue;
+                }
+                if (security.isEncrypted(credentials.cookies)) {
+                    credentials.cookies = await security.migrate(
+                        credentials.cookies,
+                        password
+                    );
+                } else {
+                    credentials.cookies = await security.encrypt(
+                        credentials.cookies
+                    );
+                }
+            } catch (err) {
+                console.error('Failed to migrate saved credentials', name, err);
+            }
+        }
+        configRepository.setString(
+            'savedCredentials',
+            JSON.stringify(savedCredentials)
+        );
+        await secureConfigRepository.unlock(password);
+    };
+
+    $app.methods.restoreStoredCookies = async function (user) {
+        if (!user.cookies) {
+            return;
+        }
+        if (!security.isEncrypted(user.cookies)) {
+            webApiService.setCookies(user.cookies);
+            return;
+        }
+        try {
+            webApiService.setCookies(await security.decrypt(user.cookies));
+        } catch (err) {
+            console.error('Failed to decrypt saved cookies', err);
+        }
+    };
+
     $app.data.enablePrimaryPassword = configRepository.getBool(
         'enablePrimaryPassword'
     );
@@ -6625,7 +7384,8 @@ speechSynthesis.getVoices();
                     inputPattern: /[\s\S]{1,32}/
                 }
             )
-                .then(({value}) => {
+                .then(async ({value}) => {
+                    await this.disableSecureConfig(value);
                     for (let name in this.loginForm.savedCredentials) {
                         security
                             .decrypt(
@@ -6645,6 +7405,7 @@ speechSynthesis.getVoices();
                                     'enablePrimaryPassword',
                                     false
                                 );
+                                this.loadSecureConfig();
                             })
                             .catch(() => {
                                 this.enablePrimaryPassword = true;
@@ -6669,21 +7430,133 @@ speechSynthesis.getVoices();
         this.enablePrimaryPasswordDialog.visible = false;
         if (this.enablePrimaryPassword) {
             let key = this.enablePrimaryPasswordDialog.password;
-            for (let name in this.loginForm.savedCredentials) {
-                security
-                    .encrypt(
-                        this.loginForm.savedCredentials[name].loginParmas
-                            .password,
-                        key
-                    )
-                    .then((ct) => {
-                        this.saveCredentials = {username: name, password: ct};
-                        this.updateStoredUser(
-                            this.loginForm.savedCredentials[name].user
-                        );
-                    });
-            }
+            security
+                .unlock(key)
+                .then(() => secureConfigRepository.unlock(key))
+                .then(() => {
+                    for (let name in this.loginForm.savedCredentials) {
+                        security
+                            .encrypt(
+                                this.loginForm.savedCredentials[name]
+                                    .loginParmas.password
+                            )
+                            .then((ct) => {
+                                this.saveCredentials = {
+                                    username: name,
+                                    password: ct
+                                };
+                                this.updateStoredUser(
+                                    this.loginForm.savedCredentials[name].user
+                                );
+                            });
+                    }
+                });
+        }
+    };
+
+    // App: Secure config
+
+    $app.data.secureConfigLocked = secureConfigRepository.isLocked();
+    $app.data.secureConfigLockTimeout = secureConfigRepository.getLockTimeout();
+
+    secureConfigRepository.addListener(function () {
+        $app.loadSecureConfig();
+    });
+
+    // reloads the values kept in the secure config, empty while locked
+    $app.methods.loadSecureConfig = function () {
+        this.secureConfigLocked = secureConfigRepository.isLocked();
+        this.youTubeApiKey = secureConfigRepository.getString(
+            'VRCX_youtubeAPIKey',
+            ''
+        );
+        this.avatarRemoteDatabaseProviderList = JSON.parse(
+            secureConfigRepository.getString(
+                'VRCX_avatarRemoteDatabaseProviderList',
+                '[]'
+            )
+        );
+        // the selected provider isn't secret, it's kept through a lock
+        if (
+            !this.secureConfigLocked &&
+            !this.avatarRemoteDatabaseProviderList.includes(
+                this.avatarRemoteDatabaseProvider
+            )
+        ) {
+            this.avatarRemoteDatabaseProvider =
+                this.avatarRemoteDatabaseProviderList[0] || '';
+        }
+        this.loadWebhookSecrets();
+        this.localApiToken = secureConfigRepository.getString(
+            'VRCX_localApiToken',
+            ''
+        );
+        // a running server keeps its token through a lock, one that waited
+        // for the unlock starts now
+        if (!this.secureConfigLocked && this.localApiEnabled) {
+            localApiService
+                .isRunning()
+                .then((running) => {
+                    if (!running) {
+                        this.initLocalApi();
+                    }
+                })
+                .catch((err) => {
+                    console.error(err);
+                });
+        }
+        if (!this.secureConfigLocked) {
+            this.processWebhookQueue();
+        }
+    };
+
+    $app.methods.promptUnlockSecureConfig = function () {
+        var credentials =
+            this.loginForm.savedCredentials[API.currentUser.username];
+        if (typeof credentials === 'undefined') {
+            return;
         }
+        this.$prompt(
+            'Please enter your Primary Password.',
+            'Primary Password Required',
+            {
+                inputType: 'password',
+                inputPattern: /[\s\S]{1,32}/
+            }
+        )
+            .then(async ({value}) => {
+                await security.decrypt(credentials.loginParmas.password, value);
+                await this.unlockPrimaryPassword(value);
+            })
+            .catch((err) => {
+                if (err === 'cancel' || err === 'close') {
+                    return;
+                }
+                this.$message({
+                    message: 'Incorrect primary password',
+                    type: 'error'
+                });
+            });
+    };
+
+    $app.methods.lockSecureConfig = function () {
+        secureConfigRepository.lock();
+    };
+
+    $app.methods.setSecureConfigLockTimeout = function () {
+        secureConfigRepository.setLockTimeout(this.secureConfigLockTimeout);
+    };
+
+    // checks the password against the current account before the secure
+    // config is written back in plain text for turning the primary password
+    // off, rejects when it's wrong
+    $app.methods.disableSecureConfig = async function (password) {
+        var credentials =
+            this.loginForm.savedCredentials[API.currentUser.username];
+        await security.decrypt(credentials.loginParmas.password, password);
+        await security.unlock(password);
+        await secureConfigRepository.unlock(password);
+        secureConfigRepository.disable();
     };
 
     $app.methods.updateStoredUser = async function (currentUser) {
@@ -6704,8 +7577,14 @@ speechSynthesis.getVoices();
             typeof savedCredentials[currentUser.username] !== 'undefined'
         ) {
             savedCredentials[currentUser.username].user = currentUser;
-            savedCredentials[currentUser.username].cookies =
-                await webApiService.getCookies();
+            var cookies = await webApiService.getCookies();
+            if (!this.enablePrimaryPassword) {
+                savedCredentials[currentUser.username].cookies = cookies;
+            } else if (security.isUnlocked()) {
+                // left as is while locked, never stored in plain text
+                savedCredentials[currentUser.username].cookies =
+                    await security.encrypt(cookies);
+            }
         }
         this.loginForm.savedCredentials = savedCredentials;
         var jsonCredentialsArray = JSON.stringify(savedCredentials);
@@ -6714,11 +7593,7 @@ speechSynthesis.getVoices();
         configRepository.setString('lastUserLoggedIn', currentUser.username);
     };
 
-    $app.methods.relogin = function (user) {
-        var {loginParmas} = user;
-        if (user.cookies) {
-            webApiService.setCookies(user.cookies);
-        }
+    $app.methods.applyLoginEndpoint = function (loginParmas) {
         if (loginParmas.endpoint) {
             API.endpointDomain = loginParmas.endpoint;
             API.websocketDomain = loginParmas.websocket;
@@ -6726,10 +7601,19 @@ speechSynthesis.getVoices();
             API.endpointDomain = API.endpointDomainVrchat;
             API.websocketDomain = API.websocketDomainVrchat;
         }
+    };
+
+    $app.methods.relogin = function (user) {
+        var {loginParmas} = user;
+        if (user.cookies && !security.isEncrypted(user.cookies)) {
+            webApiService.setCookies(user.cookies);
+        }
+        this.applyLoginEndpoint(loginParmas);
         return new Promise((resolve, reject) => {
             if (this.enablePrimaryPassword) {
                 this.checkPrimaryPassword(loginParmas)
-                    .then((pwd) => {
+                    .then(async (pwd) => {
+                        await this.restoreStoredCookies(user);
                         this.loginForm.loading = true;
                         return API.getConfig()
                             .catch((err) => {
@@ -6892,11 +7776,13 @@ speechSynthesis.getVoices();
                                             saveCredential.loginParmas.password,
                                             value
                                         )
-                                        .then(() => {
+                                        .then(async () => {
+                                            await this.unlockPrimaryPassword(
+                                                value
+                                            );
                                             security
                                                 .encrypt(
-                                                    this.loginForm.password,
-                                                    value
+                                                    this.loginForm.password
                                                 )
                                                 .then((pwd) => {
                                                     API.login({
@@ -7198,6 +8084,25 @@ speechSynthesis.getVoices();
         $app.nextFriendsRefresh = 0;
     });
 
+    API.$on('PIPELINE:CONNECTED', function (args) {
+        if (args.isReconnect) {
+            $app.resyncFriends();
+        }
+    });
+
+    // catch up on friend state/location changes missed while the pipeline was down
+    $app.methods.resyncFriends = async function () {
+        if (!this.friendLogInitStatus || API.isRefreshFriendsLoading) {
+            return;
+        }
+        try {
+            await API.getCurrentUser();
+            await API.refreshFriends();
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
     $app.methods.refreshFriends = function (ref, origin) {
         var map = new Map();
         for (var id of ref.friends) {
@@ -8179,6 +9084,7 @@ speechSynthesis.getVoices();
         data: [],
         search: '',
         vip: false,
+        friendGroup: '',
         loading: false,
         filter: [],
         tableProps: {
@@ -8205,11 +9111,23 @@ speechSynthesis.getVoices();
             JSON.stringify(this.feedTable.filter)
         );
         configRepository.setBool('VRCX_feedTableVIPFilter', this.feedTable.vip);
-        this.feedTable.loading = true;
         var vipList = [];
         if (this.feedTable.vip) {
             vipList = this.getUserVipList();
         }
+        if (this.feedTable.friendGroup) {
+            var groupList = this.getLocalFriendGroupUserIds(
+                this.feedTable.friendGroup
+            );
+            vipList = this.feedTable.vip
+                ? vipList.filter((userId) => groupList.includes(userId))
+                : groupList;
+            if (vipList.length === 0) {
+                this.feedTable.data = [];
+                return;
+            }
+        }
+        this.feedTable.loading = true;
         this.feedTable.data = await database.lookupFeedDatabase(
             this.feedTable.search,
             this.feedTable.filter,
@@ -8244,6 +9162,15 @@ speechSynthesis.getVoices();
         $app.feedTableLookup();
         // eslint-disable-next-line require-atomic-updates
         $app.notificationTable.data = await database.getNotifications();
+        // eslint-disable-next-line require-atomic-updates
+        $app.groupLogTable = await database.getGroupHistory();
+        await $app.getLocalFriendGroups();
+        if (this.isOffline) {
+            await $app.getOfflineFriendLog();
+            $app.getAllMemos();
+            $app.updateSharedFeed(true);
+            return;
+        }
         await this.refreshNotifications();
         if (configRepository.getBool(`friendLogInit_${args.json.id}`)) {
             await $app.getFriendLog();
@@ -8762,6 +9689,14 @@ speechSynthesis.getVoices();
                     return true;
                 }
                 return false;
+            case 'ChatBoxMessage':
+                if (String(row.displayName).toUpperCase().includes(value)) {
+                    return true;
+                }
+                if (String(row.text).toUpperCase().includes(value)) {
+                    return true;
+                }
+                return false;
         }
         return true;
     };
@@ -8812,7 +9747,6 @@ speechSynthesis.getVoices();
         if (
             entry.type === 'LocationDestination' ||
             entry.type === 'AvatarChange' ||
-            entry.type === 'ChatBoxMessage' ||
             (entry.userId === API.currentUser.id &&
                 (entry.type === 'OnPlayerJoined' ||
                     entry.type === 'OnPlayerLeft'))
@@ -8911,6 +9845,7 @@ speechSynthesis.getVoices();
         ) {
             console.log('gameLog:', gameLog);
         }
+        pluginHost.emit('onGameLog', gameLog);
         this.addGameLogEntry(gameLog, this.lastLocation.location);
     };
 
@@ -9444,6 +10379,7 @@ speechSynthesis.getVoices();
         'PortalSpawn',
         'DeletedPortal',
         'ChatBoxMessage',
+        'ChatBoxFiltered',
         'Moderation',
         'Camera',
         'SpawnEmoji',
@@ -9535,9 +10471,11 @@ speechSynthesis.getVoices();
             ...input
         };
         this.photonEventTable.data.unshift(feed);
+        // filtered messages are only kept for review
         if (
-            this.photonEventTableTypeOverlayFilter.length > 0 &&
-            !this.photonEventTableTypeOverlayFilter.includes(feed.type)
+            feed.type === 'ChatBoxFiltered' ||
+            (this.photonEventTableTypeOverlayFilter.length > 0 &&
+                !this.photonEventTableTypeOverlayFilter.includes(feed.type))
         ) {
             return;
         }
@@ -9911,10 +10849,27 @@ speechSynthesis.getVoices();
                 }
                 this.photonLastChatBoxMsg.set(photonId, text);
                 var userId = this.getUserIdFromPhotonId(photonId);
-                if (
-                    this.chatboxUserBlacklist.has(userId) ||
-                    this.checkChatboxBlacklist(text)
-                ) {
+                var filterReason = this.getChatboxFilterReason(
+                    userId,
+                    text,
+                    this.lastLocation.location
+                );
+                if (filterReason) {
+                    this.addEntryPhotonEvent({
+                        photonId,
+                        text,
+                        reason: filterReason,
+                        type: 'ChatBoxFiltered',
+                        created_at: gameLogDate
+                    });
+                    this.addChatboxFilterLog({
+                        created_at: gameLogDate,
+                        userId,
+                        displayName: this.getDisplayNameFromPhotonId(photonId),
+                        location: this.lastLocation.location,
+                        text,
+                        reason: filterReason
+                    });
                     return;
                 }
                 this.addEntryPhotonEvent({
@@ -9928,8 +10883,11 @@ speechSynthesis.getVoices();
                     displayName: this.getDisplayNameFromPhotonId(photonId),
                     created_at: gameLogDate,
                     type: 'ChatBoxMessage',
+                    photonId,
+                    location: this.lastLocation.location,
                     text
                 };
+                database.addGamelogChatBoxToDatabase(entry);
                 this.queueGameLogNoty(entry);
                 this.addGameLog(entry);
                 break;
@@ -11902,7 +12860,6 @@ speechSynthesis.getVoices();
     $app.data.friendLogInitStatus = false;
 
     $app.methods.initFriendLog = async function (userId) {
-        await this.updateDatabaseVersion();
         var sqlValues = [];
         var friends = await API.refreshFriends();
         for (var friend of friends) {
@@ -11932,7 +12889,6 @@ speechSynthesis.getVoices();
     };
 
     $app.methods.getFriendLog = async function () {
-        await this.updateDatabaseVersion();
         var friendLogCurrentArray = await database.getFriendLogCurrent();
         for (var friend of friendLogCurrentArray) {
             this.friendLog.set(friend.userId, friend);
@@ -11953,6 +12909,15 @@ speechSynthesis.getVoices();
         }
     };
 
+    // friendLogInitStatus stays false so nothing offline is diffed or logged
+    $app.methods.getOfflineFriendLog = async function () {
+        var friendLogCurrentArray = await database.getFriendLogCurrent();
+        for (var friend of friendLogCurrentArray) {
+            this.friendLog.set(friend.userId, friend);
+        }
+        this.friendLogTable.data = await database.getFriendLogHistory();
+    };
+
     $app.methods.addFriendship = function (id) {
         if (!this.friendLogInitStatus || this.friendLog.has(id)) {
             return;
@@ -12147,49 +13112,197 @@ speechSynthesis.getVoices();
         });
     };
 
-    // App: Moderation
+    // App: Statistics
 
-    $app.data.playerModerationTable = {
-        data: [],
-        lastRunLength: 0,
-        filters: [
-            {
-                prop: 'type',
-                value: [],
-                filterFn: (row, filter) =>
-                    filter.value.some((v) => v === row.type)
-            },
-            {
-                prop: ['sourceDisplayName', 'targetDisplayName'],
-                value: ''
-            }
-        ],
-        tableProps: {
-            stripe: true,
-            size: 'mini',
-            defaultSort: {
-                prop: 'created',
-                order: 'descending'
-            }
-        },
-        pageSize: $app.data.tablePageSize,
-        paginationProps: {
-            small: true,
-            layout: 'sizes,prev,pager,next,total',
-            pageSizes: [10, 15, 25, 50, 100]
-        }
+    $app.data.statistics = {
+        loading: false,
+        range: 30,
+        period: 'day',
+        userId: '',
+        onlineTime: [],
+        onlineTimeMax: 0,
+        heatmap: [],
+        heatmapMax: 0,
+        worlds: [],
+        timeTogether: []
     };
 
-    API.$on('LOGIN', function () {
-        $app.playerModerationTable.data = [];
+    $app.data.statisticsWeekdays = [
+        'Sun',
+        'Mon',
+        'Tue',
+        'Wed',
+        'Thu',
+        'Fri',
+        'Sat'
+    ];
+
+    API.$on('LOGOUT', function () {
+        var D = $app.statistics;
+        D.userId = '';
+        D.onlineTime = [];
+        D.heatmap = [];
+        D.worlds = [];
+        D.timeTogether = [];
     });
 
-    API.$on('PLAYER-MODERATION', function (args) {
-        var {ref} = args;
-        var array = $app.playerModerationTable.data;
-        var {length} = array;
-        for (var i = 0; i < length; ++i) {
-            if (array[i].id === ref.id) {
+    $app.methods.refreshStatistics = async function () {
+        var {range, period, userId} = this.statistics;
+        var date = new Date();
+        date.setDate(date.getDate() - range);
+        var dateFrom = date.toJSON();
+        this.statistics.loading = true;
+        try {
+            var onlineTime = await database.getOnlineTimeStats(
+                dateFrom,
+                period,
+                userId
+            );
+            var heatmap = await database.getOnlineHeatmapStats(
+                dateFrom,
+                userId
+            );
+            var worlds = await database.getMostVisitedWorldStats(
+                dateFrom,
+                25,
+                userId
+            );
+            var timeTogether = await database.getTimeTogetherStats(dateFrom);
+            this.setStatisticsOnlineTime(onlineTime);
+            this.setStatisticsHeatmap(heatmap);
+            this.statistics.worlds = worlds;
+            this.setStatisticsTimeTogether(timeTogether);
+        } catch (err) {
+            console.error(err);
+            this.$message({
+                message: 'Failed to load statistics',
+                type: 'error'
+            });
+        } finally {
+            this.statistics.loading = false;
+        }
+    };
+
+    $app.methods.setStatisticsTimeTogether = function (timeTogether) {
+        var D = this.statistics;
+        D.timeTogether = timeTogether
+            .filter(
+                (row) =>
+                    this.friends.has(row.userId) &&
+                    (!D.userId || row.userId === D.userId)
+            )
+            .sort((a, b) => b.time - a.time)
+            .slice(0, 50);
+    };
+
+    // per period for a single friend, otherwise totals per friend
+    $app.methods.setStatisticsOnlineTime = function (onlineTime) {
+        var D = this.statistics;
+        var rows = [];
+        if (D.userId) {
+            rows = onlineTime.map((row) => ({
+                key: row.period,
+                label: row.period,
+                userId: row.userId,
+                hours: row.hours
+            }));
+        } else {
+            var friends = new Map();
+            for (var row of onlineTime) {
+                if (!this.friends.has(row.userId)) {
+                    continue;
+                }
+                var friend = friends.get(row.userId);
+                if (typeof friend === 'undefined') {
+                    friend = {
+                        key: row.userId,
+                        label: row.displayName,
+                        userId: row.userId,
+                        hours: 0
+                    };
+                    friends.set(row.userId, friend);
+                }
+                friend.hours += row.hours;
+            }
+            rows = Array.from(friends.values())
+                .sort((a, b) => b.hours - a.hours)
+                .slice(0, 50);
+        }
+        D.onlineTimeMax = Math.max(0, ...rows.map((x) => x.hours));
+        D.onlineTime = rows;
+    };
+
+    $app.methods.setStatisticsHeatmap = function (stats) {
+        var D = this.statistics;
+        var heatmap = [];
+        for (var day = 0; day < 7; ++day) {
+            heatmap.push(new Array(24).fill(0));
+        }
+        var max = 0;
+        for (var row of stats) {
+            heatmap[row.day][row.hour] = row.hours;
+            if (row.hours > max) {
+                max = row.hours;
+            }
+        }
+        D.heatmap = heatmap;
+        D.heatmapMax = max;
+    };
+
+    $app.methods.statisticsHeatmapStyle = function (hours) {
+        var D = this.statistics;
+        var opacity = 0;
+        if (D.heatmapMax > 0) {
+            opacity = hours / D.heatmapMax;
+        }
+        return {
+            'background-color': `rgba(64, 158, 255, ${opacity})`
+        };
+    };
+
+    // App: Moderation
+
+    $app.data.playerModerationTable = {
+        data: [],
+        lastRunLength: 0,
+        filters: [
+            {
+                prop: 'type',
+                value: [],
+                filterFn: (row, filter) =>
+                    filter.value.some((v) => v === row.type)
+            },
+            {
+                prop: ['sourceDisplayName', 'targetDisplayName'],
+                value: ''
+            }
+        ],
+        tableProps: {
+            stripe: true,
+            size: 'mini',
+            defaultSort: {
+                prop: 'created',
+                order: 'descending'
+            }
+        },
+        pageSize: $app.data.tablePageSize,
+        paginationProps: {
+            small: true,
+            layout: 'sizes,prev,pager,next,total',
+            pageSizes: [10, 15, 25, 50, 100]
+        }
+    };
+
+    API.$on('LOGIN', function () {
+        $app.playerModerationTable.data = [];
+    });
+
+    API.$on('PLAYER-MODERATION', function (args) {
+        var {ref} = args;
+        var array = $app.playerModerationTable.data;
+        var {length} = array;
+        for (var i = 0; i < length; ++i) {
+            if (array[i].id === ref.id) {
                 if (ref.$isDeleted) {
                     array.splice(i, 1);
                 } else {
@@ -12602,15 +13715,11 @@ speechSynthesis.getVoices();
     $app.data.imageNotifications = configRepository.getBool(
         'VRCX_imageNotifications'
     );
-    $app.data.desktopToast = configRepository.getString('VRCX_desktopToast');
     $app.data.minimalFeed = configRepository.getBool('VRCX_minimalFeed');
     $app.data.displayVRCPlusIconsAsAvatar = configRepository.getBool(
         'displayVRCPlusIconsAsAvatar'
     );
     $app.data.hideTooltips = configRepository.getBool('VRCX_hideTooltips');
-    $app.data.notificationTTS = configRepository.getString(
-        'VRCX_notificationTTS'
-    );
     $app.data.notificationTTSVoice = configRepository.getString(
         'VRCX_notificationTTSVoice'
     );
@@ -12645,9 +13754,15 @@ speechSynthesis.getVoices();
     );
     $app.data.avatarRemoteDatabaseProvider = '';
     $app.data.avatarRemoteDatabaseProviderList = [];
-    if (configRepository.getString('VRCX_avatarRemoteDatabaseProviderList')) {
+    if (
+        secureConfigRepository.getString(
+            'VRCX_avatarRemoteDatabaseProviderList'
+        )
+    ) {
         $app.data.avatarRemoteDatabaseProviderList = JSON.parse(
-            configRepository.getString('VRCX_avatarRemoteDatabaseProviderList')
+            secureConfigRepository.getString(
+                'VRCX_avatarRemoteDatabaseProviderList'
+            )
         );
     }
     $app.data.pendingOfflineDelay = configRepository.getInt(
@@ -12726,7 +13841,6 @@ speechSynthesis.getVoices();
             'VRCX_imageNotifications',
             this.imageNotifications
         );
-        configRepository.setString('VRCX_desktopToast', this.desktopToast);
         configRepository.setBool('VRCX_minimalFeed', this.minimalFeed);
         configRepository.setBool(
             'displayVRCPlusIconsAsAvatar',
@@ -12769,30 +13883,26 @@ speechSynthesis.getVoices();
         configRepository.setBool('VRCX_hideUserMemos', this.hideUserMemos);
     };
     $app.data.TTSvoices = speechSynthesis.getVoices();
-    $app.methods.saveNotificationTTS = function () {
-        speechSynthesis.cancel();
-        if (
-            configRepository.getString('VRCX_notificationTTS') === 'Never' &&
-            this.notificationTTS !== 'Never'
-        ) {
-            this.speak('Notification text-to-speech enabled');
-        }
-        configRepository.setString(
-            'VRCX_notificationTTS',
-            this.notificationTTS
-        );
-        this.updateVRConfigVars();
-    };
     $app.data.themeMode = configRepository.getString('VRCX_ThemeMode');
     if (!$app.data.themeMode) {
         $app.data.themeMode = 'system';
     }
     var systemIsDarkMode = () =>
         window.matchMedia('(prefers-color-scheme: dark)').matches;
-    $app.data.isDarkMode =
-        $app.data.themeMode === 'system'
-            ? systemIsDarkMode()
-            : configRepository.getBool('isDarkMode');
+    $app.data.themes = JSON.parse(
+        configRepository.getString('VRCX_themes', '[]')
+    ).map((theme) => themeEngine.createTheme(theme));
+    $app.data.activeTheme = configRepository.getString('VRCX_activeTheme', '');
+    var initialTheme =
+        $app.data.themes.find((theme) => theme.id === $app.data.activeTheme) ||
+        null;
+    if (initialTheme !== null) {
+        $app.data.isDarkMode = initialTheme.base === 'dark';
+    } else if ($app.data.themeMode === 'system') {
+        $app.data.isDarkMode = systemIsDarkMode();
+    } else {
+        $app.data.isDarkMode = configRepository.getBool('isDarkMode');
+    }
     $appDarkStyle.disabled = $app.data.isDarkMode === false;
     $app.watch.isDarkMode = function () {
         configRepository.setBool('isDarkMode', this.isDarkMode);
@@ -12812,12 +13922,20 @@ speechSynthesis.getVoices();
     }
     window
         .matchMedia('(prefers-color-scheme: dark)')
-        .addEventListener('change', (e) => {
-            $app._data.isDarkMode = e && e.matches;
+        .addEventListener('change', () => {
+            $app.updateDarkMode();
         });
     $app.watch.themeMode = function () {
         configRepository.setString('VRCX_ThemeMode', this.themeMode);
-        if (this.themeMode === 'system') {
+        this.updateDarkMode();
+    };
+
+    // a custom theme decides between light and dark by its base
+    $app.methods.updateDarkMode = function () {
+        var theme = this.getActiveTheme();
+        if (theme !== null) {
+            this.isDarkMode = theme.base === 'dark';
+        } else if (this.themeMode === 'system') {
             this.isDarkMode = systemIsDarkMode();
         } else {
             this.isDarkMode = this.themeMode === 'dark';
@@ -12916,17 +14034,6 @@ speechSynthesis.getVoices();
             $app.data.notificationTTSVoice
         );
     }
-    if (!configRepository.getString('VRCX_desktopToast')) {
-        $app.data.desktopToast = 'Never';
-        configRepository.setString('VRCX_desktopToast', $app.data.desktopToast);
-    }
-    if (!configRepository.getString('VRCX_notificationTTS')) {
-        $app.data.notificationTTS = 'Never';
-        configRepository.setString(
-            'VRCX_notificationTTS',
-            $app.data.notificationTTS
-        );
-    }
     if (!configRepository.getBool('VRCX_vrBackgroundEnabled')) {
         $app.data.vrBackgroundEnabled = false;
         configRepository.setBool(
@@ -13032,7 +14139,9 @@ speechSynthesis.getVoices();
                 Blocked: 'Off',
                 Unblocked: 'Off',
                 Muted: 'Off',
-                Unmuted: 'Off'
+                Unmuted: 'Off',
+                GroupJoined: 'Off',
+                GroupLeft: 'Off'
             },
             wrist: {
                 Location: 'On',
@@ -13068,7 +14177,9 @@ speechSynthesis.getVoices();
                 Blocked: 'On',
                 Unblocked: 'On',
                 Muted: 'On',
-                Unmuted: 'On'
+                Unmuted: 'On',
+                GroupJoined: 'On',
+                GroupLeft: 'On'
             }
         };
         configRepository.setString(
@@ -13099,6 +14210,56 @@ speechSynthesis.getVoices();
         $app.data.sharedFeedFilters.wrist['group.invite'] = 'On';
         $app.data.sharedFeedFilters.wrist['group.joinRequest'] = 'On';
     }
+    if (!$app.data.sharedFeedFilters.noty.GroupJoined) {
+        $app.data.sharedFeedFilters.noty.GroupJoined = 'Off';
+        $app.data.sharedFeedFilters.noty.GroupLeft = 'Off';
+        $app.data.sharedFeedFilters.wrist.GroupJoined = 'On';
+        $app.data.sharedFeedFilters.wrist.GroupLeft = 'On';
+    }
+    // rules replaced the noty filters and desktop toast/TTS display modes
+    if (!configRepository.getString('VRCX_notificationRules')) {
+        configRepository.setString(
+            'VRCX_notificationRules',
+            JSON.stringify(
+                notificationRules.fromLegacyFilters(
+                    $app.data.sharedFeedFilters.noty,
+                    configRepository.getString('VRCX_desktopToast', 'Never'),
+                    configRepository.getString('VRCX_notificationTTS', 'Never')
+                )
+            )
+        );
+    }
+    $app.data.notificationRules = JSON.parse(
+        configRepository.getString('VRCX_notificationRules')
+    ).map((rule) => notificationRules.createRule(rule));
+    $app.data.webhooks = JSON.parse(
+        configRepository.getString('VRCX_webhooks', '[]')
+    ).map((webhook) => webhooks.createWebhook(webhook));
+    // rule webhooks used to be bare URLs, each becomes a webhook of its own so
+    // it goes through the queue with retries, signing and the delivery log
+    var legacyRuleWebhooks = $app.data.notificationRules.filter((rule) =>
+        rule.webhook.startsWith('http')
+    );
+    if (legacyRuleWebhooks.length > 0) {
+        legacyRuleWebhooks.forEach((rule) => {
+            var webhook = webhooks.createWebhook({
+                id: uuidv4(),
+                name: rule.name,
+                url: rule.webhook,
+                format: 'json'
+            });
+            $app.data.webhooks.push(webhook);
+            rule.webhook = webhook.id;
+        });
+        configRepository.setString(
+            'VRCX_notificationRules',
+            JSON.stringify($app.data.notificationRules)
+        );
+        configRepository.setString(
+            'VRCX_webhooks',
+            JSON.stringify($app.data.webhooks)
+        );
+    }
 
     if (!configRepository.getString('VRCX_trustColor')) {
         configRepository.setString(
@@ -13117,13 +14278,22 @@ speechSynthesis.getVoices();
     $app.data.trustColor = JSON.parse(
         configRepository.getString('VRCX_trustColor')
     );
+    if (initialTheme !== null) {
+        $app.data.trustColor = {...initialTheme.trustColor};
+        themeEngine.apply(initialTheme);
+        $appThemeStyle.disabled = false;
+    }
 
     $app.methods.updatetrustColor = function () {
         configRepository.setBool(
             'VRCX_randomUserColours',
             this.randomUserColours
         );
-        if (this.trustColor) {
+        var theme = this.getActiveTheme();
+        if (theme !== null) {
+            theme.trustColor = {...this.trustColor};
+            this.saveThemes();
+        } else if (this.trustColor) {
             configRepository.setString(
                 'VRCX_trustColor',
                 JSON.stringify(this.trustColor)
@@ -13143,10 +14313,9 @@ speechSynthesis.getVoices();
         this.updatetrustColorClasses();
     };
 
-    $app.methods.updatetrustColorClasses = function () {
-        var trustColor = JSON.parse(
-            configRepository.getString('VRCX_trustColor')
-        );
+    $app.methods.updatetrustColorClasses = function (
+        trustColor = this.trustColor
+    ) {
         if (document.getElementById('trustColor') !== null) {
             document.getElementById('trustColor').outerHTML = '';
         }
@@ -13160,10 +14329,9 @@ speechSynthesis.getVoices();
         style.innerHTML = newCSS;
         document.getElementsByTagName('head')[0].appendChild(style);
     };
-    $app.methods.updatetrustColorClasses();
+    $app.methods.updatetrustColorClasses($app.data.trustColor);
 
     $app.methods.saveSharedFeedFilters = function () {
-        this.notyFeedFiltersDialog.visible = false;
         this.wristFeedFiltersDialog.visible = false;
         configRepository.setString(
             'sharedFeedFilters',
@@ -13173,7 +14341,6 @@ speechSynthesis.getVoices();
     };
 
     $app.methods.cancelSharedFeedFilters = function () {
-        this.notyFeedFiltersDialog.visible = false;
         this.wristFeedFiltersDialog.visible = false;
         this.sharedFeedFilters = JSON.parse(
             configRepository.getString('sharedFeedFilters')
@@ -13192,7 +14359,10 @@ speechSynthesis.getVoices();
     };
 
     $app.data.youTubeApi = configRepository.getBool('VRCX_youtubeAPI');
-    $app.data.youTubeApiKey = configRepository.getString('VRCX_youtubeAPIKey');
+    $app.data.youTubeApiKey = secureConfigRepository.getString(
+        'VRCX_youtubeAPIKey',
+        ''
+    );
 
     $app.data.progressPie = configRepository.getBool('VRCX_progressPie');
     $app.data.progressPieFilter = configRepository.getBool(
@@ -14033,6 +15203,9 @@ speechSynthesis.getVoices();
         avatarReleaseStatus: 'all',
 
         treeData: [],
+        chatBoxHistory: [],
+        chatBoxSearch: '',
+        isChatBoxLoading: false,
         memo: '',
         $avatarInfo: {
             ownerId: '',
@@ -14305,6 +15478,8 @@ speechSynthesis.getVoices();
         D.previousDisplayNames = [];
         D.dateFriended = '';
         D.unFriended = false;
+        D.chatBoxHistory = [];
+        D.chatBoxSearch = '';
         if (userId === API.currentUser.id) {
             API.getCachedWorld({
                 worldId: API.currentUser.homeLocation
@@ -14312,9 +15487,11 @@ speechSynthesis.getVoices();
                 D.$homeLocationName = args.ref.name;
             });
         }
-        API.getCachedUser({
-            userId
-        })
+        API.withRequestPriority('high', () =>
+            API.getCachedUser({
+                userId
+            })
+        )
             .catch((err) => {
                 D.loading = false;
                 D.visible = false;
@@ -14395,6 +15572,9 @@ speechSynthesis.getVoices();
                     } else if (this.$refs.userDialogTabs.currentName === '5') {
                         this.userDialogLastActiveTab = 'JSON';
                         this.refreshUserDialogTreeData();
+                    } else if (this.$refs.userDialogTabs.currentName === '6') {
+                        this.userDialogLastActiveTab = 'Chatbox';
+                        this.refreshUserDialogChatBox();
                     }
                     if (args.cache) {
                         API.getUser(args.params);
@@ -15545,9 +16725,11 @@ speechSynthesis.getVoices();
                 D.timeSpent = ref.timeSpent;
             }
         });
-        API.getCachedWorld({
-            worldId: L.worldId
-        })
+        API.withRequestPriority('high', () =>
+            API.getCachedWorld({
+                worldId: L.worldId
+            })
+        )
             .catch((err) => {
                 D.loading = false;
                 D.visible = false;
@@ -15856,6 +17038,9 @@ speechSynthesis.getVoices();
             case 'New Instance':
                 this.showNewInstanceDialog(D.$location.tag);
                 break;
+            case 'Instance Templates':
+                this.showInstanceTemplatesDialog();
+                break;
             case 'Add Favorite':
                 this.showFavoriteDialog('world', D.id);
                 break;
@@ -15884,7 +17069,7 @@ speechSynthesis.getVoices();
                 this.showSetWorldTagsDialog();
                 break;
             case 'Download Unity Package':
-                this.openExternalLink(this.worldDialog.ref.unityPackageUrl);
+                this.queueUnityPackageDownload(this.worldDialog.ref);
                 break;
             default:
                 this.$confirm(`Continue? ${command}`, 'Confirm', {
@@ -16051,8 +17236,16 @@ speechSynthesis.getVoices();
                 D.loading = false;
                 return;
             }
+        } else {
+            // show the stored copy while the request is in flight
+            API.restoreCachedResponse('avatars', avatarId).then((args) => {
+                if (args !== null && D.id === avatarId && D.loading) {
+                    D.ref = args.ref;
+                    this.updateVRChatAvatarCache();
+                }
+            });
         }
-        API.getAvatar({avatarId})
+        API.withRequestPriority('high', () => API.getAvatar({avatarId}))
             .then((args) => {
                 var {ref} = args;
                 D.ref = ref;
@@ -16139,7 +17332,7 @@ speechSynthesis.getVoices();
                 this.promptChangeAvatarDescription(D);
                 break;
             case 'Download Unity Package':
-                this.openExternalLink(this.avatarDialog.ref.unityPackageUrl);
+                this.queueUnityPackageDownload(this.avatarDialog.ref);
                 break;
             case 'Add Favorite':
                 this.showFavoriteDialog('avatar', D.id);
@@ -16336,6 +17529,113 @@ speechSynthesis.getVoices();
         return platforms.join(', ');
     };
 
+    // App: History Search
+
+    $app.data.historySearchDialog = {
+        visible: false,
+        loading: false,
+        query: '',
+        sources: [],
+        user: '',
+        dateRange: []
+    };
+
+    $app.data.historySearchTable = {
+        data: [],
+        tableProps: {
+            stripe: true,
+            size: 'mini'
+        },
+        pageSize: 25,
+        paginationProps: {
+            small: true,
+            layout: 'sizes,prev,pager,next,total',
+            pageSizes: [10, 25, 50, 100]
+        }
+    };
+
+    $app.data.historySearchSources = [
+        'GPS',
+        'Status',
+        'Bio',
+        'Avatar',
+        'OnlineOffline',
+        'Notification',
+        'Location',
+        'JoinLeave',
+        'PortalSpawn',
+        'VideoPlay',
+        'ChatBox',
+        'Event',
+        'Memo'
+    ];
+
+    API.$on('LOGOUT', function () {
+        $app.historySearchDialog.visible = false;
+        $app.historySearchTable.data = [];
+    });
+
+    $app.methods.showHistorySearchDialog = function () {
+        this.$nextTick(() => adjustDialogZ(this.$refs.historySearchDialog.$el));
+        var D = this.historySearchDialog;
+        D.visible = true;
+    };
+
+    $app.methods.historySearch = async function () {
+        var D = this.historySearchDialog;
+        var search = {
+            query: D.query,
+            sources: D.sources
+        };
+        var user = D.user.trim();
+        if (user.substring(0, 4) === 'usr_') {
+            search.userId = user;
+        } else if (user) {
+            search.displayName = user;
+        }
+        if (D.dateRange && D.dateRange.length === 2) {
+            var dateFrom = new Date(D.dateRange[0]);
+            dateFrom.setHours(0, 0, 0, 0);
+            var dateTo = new Date(D.dateRange[1]);
+            dateTo.setHours(23, 59, 59, 999);
+            search.dateFrom = dateFrom.toJSON();
+            search.dateTo = dateTo.toJSON();
+        }
+        D.loading = true;
+        try {
+            var results = await database.searchDatabase(search);
+            for (var row of results) {
+                if (!row.displayName && row.userId) {
+                    row.displayName = this.getHistorySearchDisplayName(
+                        row.userId
+                    );
+                }
+            }
+            this.historySearchTable.data = results;
+        } catch (err) {
+            console.error(err);
+            this.$message({
+                message: 'Invalid search query',
+                type: 'error'
+            });
+        } finally {
+            D.loading = false;
+        }
+    };
+
+    // memos only store the user id
+    $app.methods.getHistorySearchDisplayName = function (userId) {
+        var ref = API.cachedUsers.get(userId);
+        if (typeof ref !== 'undefined') {
+            return ref.displayName;
+        }
+        var friend = this.friendLog.get(userId);
+        if (typeof friend !== 'undefined') {
+            return friend.displayName;
+        }
+        return userId;
+    };
+
     // App: Favorite Dialog
 
     $app.data.favoriteDialog = {
@@ -16532,71 +17832,289 @@ speechSynthesis.getVoices();
         });
     };
 
-    // App: Social Status Dialog
+    // App: Bulk Invite Dialog
 
-    $app.data.socialStatusDialog = {
+    $app.data.bulkInviteDialog = {
         visible: false,
         loading: false,
-        status: '',
-        statusDescription: ''
+        cancelled: false,
+        location: '',
+        worldName: '',
+        // group: favorite friend group, selection: picked friends,
+        // joinMe: everyone online in Join Me
+        target: 'group',
+        groupKey: '',
+        userIds: [],
+        skipBusy: true,
+        skipOffline: true,
+        delay: 3,
+        messageSlot: null,
+        sent: 0,
+        total: 0,
+        failures: []
     };
 
     API.$on('LOGOUT', function () {
-        $app.socialStatusDialog.visible = false;
+        $app.bulkInviteDialog.cancelled = true;
+        $app.bulkInviteDialog.visible = false;
     });
 
-    $app.methods.saveSocialStatus = function () {
-        var D = this.socialStatusDialog;
+    $app.methods.showBulkInviteDialog = function (tag, userIds = []) {
+        var D = this.bulkInviteDialog;
         if (D.loading) {
+            this.$nextTick(() =>
+                adjustDialogZ(this.$refs.bulkInviteDialog.$el)
+            );
+            D.visible = true;
             return;
         }
-        D.loading = true;
-        API.saveCurrentUser({
-            status: D.status,
-            statusDescription: D.statusDescription
-        })
-            .finally(() => {
-                D.loading = false;
-            })
-            .then((args) => {
-                D.visible = false;
-                this.$message({
-                    message: 'Status updated',
-                    type: 'success'
-                });
-                return args;
-            });
-    };
-
-    $app.methods.showSocialStatusDialog = function () {
-        this.$nextTick(() => adjustDialogZ(this.$refs.socialStatusDialog.$el));
-        var D = this.socialStatusDialog;
-        var {statusHistory} = API.currentUser;
-        var statusHistoryArray = [];
-        for (var i = 0; i < statusHistory.length; ++i) {
-            var addStatus = {
-                no: i + 1,
-                status: statusHistory[i]
-            };
-            statusHistoryArray.push(addStatus);
+        var L = API.parseLocation(tag);
+        if (L.isOffline || L.isPrivate || L.isTraveling || L.worldId === '') {
+            return;
         }
-        this.socialStatusHistoryTable.data = statusHistoryArray;
-        D.status = API.currentUser.status;
-        D.statusDescription = API.currentUser.statusDescription;
-        D.visible = true;
+        API.getCachedWorld({
+            worldId: L.worldId
+        }).then((args) => {
+            this.$nextTick(() =>
+                adjustDialogZ(this.$refs.bulkInviteDialog.$el)
+            );
+            D.location = L.tag;
+            D.worldName = args.ref.name;
+            D.userIds = userIds.filter((userId) => this.friends.has(userId));
+            D.target = D.userIds.length ? 'selection' : 'group';
+            D.messageSlot = null;
+            D.sent = 0;
+            D.total = 0;
+            D.failures = [];
+            API.refreshInviteMessageTableData('message');
+            this.clearInviteImageUpload();
+            D.visible = true;
+        });
     };
 
-    $app.methods.setSocialStatusFromHistory = function (val) {
-        if (val === null) {
-            return;
+    $app.methods.getBulkInviteCandidates = function () {
+        var D = this.bulkInviteDialog;
+        if (D.target === 'group') {
+            var userIds = [];
+            for (var favorite of API.cachedFavorites.values()) {
+                if (
+                    favorite.$groupKey === D.groupKey &&
+                    this.friends.has(favorite.favoriteId)
+                ) {
+                    userIds.push(favorite.favoriteId);
+                }
+            }
+            return userIds;
         }
-        var D = this.socialStatusDialog;
-        D.statusDescription = val.status;
+        if (D.target === 'joinMe') {
+            return Array.from(this.friends.values())
+                .filter(
+                    (ctx) =>
+                        ctx.state === 'online' &&
+                        typeof ctx.ref !== 'undefined' &&
+                        ctx.ref.status === 'join me'
+                )
+                .map((ctx) => ctx.id);
+        }
+        return D.userIds;
     };
 
-    // App: Language Dialog
-
-    $app.data.languageDialog = {
+    // candidates minus busy/offline friends when those are filtered out
+    $app.methods.getBulkInviteRecipients = function () {
+        var D = this.bulkInviteDialog;
+        return this.getBulkInviteCandidates().filter((userId) => {
+            var ctx = this.friends.get(userId);
+            if (typeof ctx === 'undefined') {
+                return false;
+            }
+            if (D.skipOffline && ctx.state !== 'online') {
+                return false;
+            }
+            if (
+                D.skipBusy &&
+                typeof ctx.ref !== 'undefined' &&
+                ctx.ref.status === 'busy'
+            ) {
+                return false;
+            }
+            return true;
+        });
+    };
+
+    $app.methods.sendBulkInvite = function () {
+        var D = this.bulkInviteDialog;
+        var userIds = this.getBulkInviteRecipients();
+        if (D.loading || !userIds.length) {
+            return;
+        }
+        this.$confirm(
+            `Continue? Invite ${userIds.length} friends to ${D.worldName}`,
+            'Confirm',
+            {
+                confirmButtonText: 'Confirm',
+                cancelButtonText: 'Cancel',
+                type: 'info',
+                callback: (action) => {
+                    if (action === 'confirm') {
+                        this.runBulkInvite(userIds);
+                    }
+                }
+            }
+        );
+    };
+
+    // sends one invite at a time, waiting D.delay seconds between them
+    $app.methods.runBulkInvite = async function (userIds) {
+        var D = this.bulkInviteDialog;
+        var params = {
+            instanceId: D.location,
+            worldId: D.location,
+            worldName: D.worldName
+        };
+        if (typeof D.messageSlot === 'number') {
+            params.messageSlot = D.messageSlot;
+        }
+        // like the invite dialog, a photo goes with or without a message
+        var withPhoto = Boolean(this.uploadImage);
+        var delay = D.delay * 1000;
+        this.startBulkInvite(userIds.length);
+        for (var i = 0; i < userIds.length; ++i) {
+            if (D.cancelled) {
+                break;
+            }
+            if (i > 0) {
+                await new Promise((resolve) => {
+                    workerTimers.setTimeout(resolve, delay);
+                });
+            }
+            try {
+                if (withPhoto) {
+                    await API.sendInvitePhoto(params, userIds[i]);
+                } else {
+                    await API.sendInvite(params, userIds[i]);
+                }
+                this.setBulkInviteResult(userIds[i]);
+            } catch (err) {
+                this.setBulkInviteResult(userIds[i], err);
+            }
+        }
+        this.finishBulkInvite();
+    };
+
+    $app.methods.startBulkInvite = function (total) {
+        var D = this.bulkInviteDialog;
+        D.loading = true;
+        D.cancelled = false;
+        D.sent = 0;
+        D.total = total;
+        D.failures = [];
+    };
+
+    $app.methods.setBulkInviteResult = function (userId, err) {
+        var D = this.bulkInviteDialog;
+        D.sent++;
+        if (typeof err === 'undefined') {
+            return;
+        }
+        var ctx = this.friends.get(userId);
+        D.failures.push({
+            userId,
+            displayName: typeof ctx !== 'undefined' ? ctx.name : userId,
+            error: err.message || String(err)
+        });
+    };
+
+    $app.methods.finishBulkInvite = function () {
+        var D = this.bulkInviteDialog;
+        D.loading = false;
+        var sent = D.sent - D.failures.length;
+        var message = `${sent} of ${D.total} invites sent`;
+        if (D.cancelled) {
+            message += ', cancelled';
+        }
+        this.$message({
+            message,
+            type: D.failures.length || D.cancelled ? 'warning' : 'success'
+        });
+    };
+
+    $app.methods.cancelBulkInvite = function () {
+        this.bulkInviteDialog.cancelled = true;
+    };
+
+    $app.methods.bulkInviteProgress = function () {
+        var D = this.bulkInviteDialog;
+        if (!D.total) {
+            return 0;
+        }
+        return Math.round((D.sent / D.total) * 100);
+    };
+
+    // App: Social Status Dialog
+
+    $app.data.socialStatusDialog = {
+        visible: false,
+        loading: false,
+        status: '',
+        statusDescription: ''
+    };
+
+    API.$on('LOGOUT', function () {
+        $app.socialStatusDialog.visible = false;
+    });
+
+    $app.methods.saveSocialStatus = function () {
+        var D = this.socialStatusDialog;
+        if (D.loading) {
+            return;
+        }
+        D.loading = true;
+        API.saveCurrentUser({
+            status: D.status,
+            statusDescription: D.statusDescription
+        })
+            .finally(() => {
+                D.loading = false;
+            })
+            .then((args) => {
+                D.visible = false;
+                this.$message({
+                    message: 'Status updated',
+                    type: 'success'
+                });
+                return args;
+            });
+    };
+
+    $app.methods.showSocialStatusDialog = function () {
+        this.$nextTick(() => adjustDialogZ(this.$refs.socialStatusDialog.$el));
+        var D = this.socialStatusDialog;
+        var {statusHistory} = API.currentUser;
+        var statusHistoryArray = [];
+        for (var i = 0; i < statusHistory.length; ++i) {
+            var addStatus = {
+                no: i + 1,
+                status: statusHistory[i]
+            };
+            statusHistoryArray.push(addStatus);
+        }
+        this.socialStatusHistoryTable.data = statusHistoryArray;
+        D.status = API.currentUser.status;
+        D.statusDescription = API.currentUser.statusDescription;
+        D.visible = true;
+    };
+
+    $app.methods.setSocialStatusFromHistory = function (val) {
+        if (val === null) {
+            return;
+        }
+        var D = this.socialStatusDialog;
+        D.statusDescription = val.status;
+    };
+
+    // App: Language Dialog
+
+    $app.data.languageDialog = {
         visible: false,
         loading: false,
         languageChoice: false,
@@ -16710,7 +18228,10 @@ speechSynthesis.getVoices();
         location: '',
         shortName: '',
         url: '',
-        secureOrShortName: ''
+        secureOrShortName: '',
+        templateId: '',
+        // Instance ID as typed, instanceName is it rendered and sanitized
+        templateInstanceName: ''
     };
 
     API.$on('LOGOUT', function () {
@@ -16719,51 +18240,16 @@ speechSynthesis.getVoices();
 
     $app.methods.buildInstance = function () {
         var D = this.newInstanceDialog;
-        var tags = [];
-        if (D.instanceName) {
-            D.instanceName = D.instanceName.replace(/[^A-Za-z0-9-_]/g, '');
-            tags.push(D.instanceName);
-        } else {
-            var randValue = (99999 * Math.random() + 1).toFixed(0);
-            tags.push(String(randValue).padStart(5, '0'));
-        }
+        D.instanceName = instanceTemplates.renderInstanceName(
+            D.templateInstanceName
+        );
         if (!D.userId) {
             D.userId = API.currentUser.id;
         }
-        var userId = D.userId;
-        if (D.accessType !== 'public') {
-            if (D.accessType === 'friends+') {
-                tags.push(`~hidden(${userId})`);
-            } else if (D.accessType === 'friends') {
-                tags.push(`~friends(${userId})`);
-            } else if (D.accessType === 'group') {
-                tags.push(`~group(${D.groupId})`);
-            } else {
-                tags.push(`~private(${userId})`);
-            }
-            if (D.accessType === 'invite+') {
-                tags.push('~canRequestInvite');
-            }
-        }
-        if (D.region === 'US West') {
-            tags.push(`~region(us)`);
-        } else if (D.region === 'US East') {
-            tags.push(`~region(use)`);
-        } else if (D.region === 'Europe') {
-            tags.push(`~region(eu)`);
-        } else if (D.region === 'Japan') {
-            tags.push(`~region(jp)`);
-        }
-        if (D.accessType !== 'public' && D.accessType !== 'group') {
-            tags.push(`~nonce(${uuidv4()})`);
-        }
         if (D.accessType !== 'invite' && D.accessType !== 'friends') {
             D.strict = false;
         }
-        if (D.strict) {
-            tags.push('~strict');
-        }
-        D.instanceId = tags.join('');
+        D.instanceId = instanceTemplates.buildInstanceId(D);
         this.updateNewInstanceDialog(false);
     };
 
@@ -16820,7 +18306,7 @@ speechSynthesis.getVoices();
         );
         configRepository.setString(
             'instanceDialogInstanceName',
-            this.newInstanceDialog.instanceName
+            this.newInstanceDialog.templateInstanceName
         );
         if (this.newInstanceDialog.userId === API.currentUser.id) {
             configRepository.setString('instanceDialogUserId', '');
@@ -16842,14 +18328,15 @@ speechSynthesis.getVoices();
     };
     $app.watch['newInstanceDialog.worldId'] =
         $app.methods.updateNewInstanceDialog;
-    $app.watch['newInstanceDialog.instanceName'] = saveNewInstanceDialog;
+    $app.watch['newInstanceDialog.templateInstanceName'] =
+        saveNewInstanceDialog;
     $app.watch['newInstanceDialog.accessType'] = saveNewInstanceDialog;
     $app.watch['newInstanceDialog.region'] = saveNewInstanceDialog;
     $app.watch['newInstanceDialog.userId'] = saveNewInstanceDialog;
     $app.watch['newInstanceDialog.groupId'] = saveNewInstanceDialog;
     $app.watch['newInstanceDialog.strict'] = saveNewInstanceDialog;
 
-    $app.methods.showNewInstanceDialog = function (tag) {
+    $app.methods.showNewInstanceDialog = function (tag, template) {
         this.$nextTick(() => adjustDialogZ(this.$refs.newInstanceDialog.$el));
         var L = API.parseLocation(tag);
         if (L.isOffline || L.isPrivate || L.isTraveling || L.worldId === '') {
@@ -16867,9 +18354,9 @@ speechSynthesis.getVoices();
         if (configRepository.getString('instanceRegion') !== null) {
             D.region = configRepository.getString('instanceRegion');
         }
-        D.instanceName = '';
+        D.templateInstanceName = '';
         if (configRepository.getString('instanceDialogInstanceName') !== null) {
-            D.instanceName = configRepository.getString(
+            D.templateInstanceName = configRepository.getString(
                 'instanceDialogInstanceName'
             );
         }
@@ -16885,6 +18372,10 @@ speechSynthesis.getVoices();
         //     D.strict = configRepository.getBool('instanceDialogStrict');
         // }
         D.shortName = '';
+        D.templateId = '';
+        if (typeof template !== 'undefined') {
+            this.applyInstanceTemplate(template);
+        }
         this.buildInstance();
         this.updateNewInstanceDialog();
         D.visible = true;
@@ -16912,1165 +18403,2288 @@ speechSynthesis.getVoices();
         });
     };
 
-    // App: Launch Options Dialog
+    // App: Instance Templates
 
-    $app.data.launchOptionsDialog = {
+    $app.data.instanceAccessTypes = instanceAccessTypes;
+    $app.data.instanceRegions = Object.keys(instanceRegions);
+    $app.data.scheduleRecurrences = scheduleRecurrences;
+    $app.data.instanceTemplates = JSON.parse(
+        configRepository.getString('VRCX_instanceTemplates', '[]')
+    ).map((template) => instanceTemplates.createTemplate(template));
+    $app.data.instanceSchedules = JSON.parse(
+        configRepository.getString('VRCX_instanceSchedules', '[]')
+    ).map((schedule) => instanceTemplates.createSchedule(schedule));
+
+    $app.data.instanceTemplatesDialog = {
         visible: false,
-        launchArguments: configRepository.getString('launchArguments'),
-        vrcLaunchPathOverride: configRepository.getString(
-            'vrcLaunchPathOverride'
-        )
+        schedule: instanceTemplates.createSchedule({})
     };
 
     API.$on('LOGOUT', function () {
-        $app.launchOptionsDialog.visible = false;
+        $app.instanceTemplatesDialog.visible = false;
     });
 
-    $app.methods.updateLaunchOptions = function () {
-        var D = this.launchOptionsDialog;
-        D.visible = false;
-        D.launchArguments = String(D.launchArguments)
-            .replace(/\s+/g, ' ')
-            .trim();
-        configRepository.setString('launchArguments', D.launchArguments);
+    $app.methods.saveInstanceTemplates = function () {
         configRepository.setString(
-            'vrcLaunchPathOverride',
-            D.vrcLaunchPathOverride
+            'VRCX_instanceTemplates',
+            JSON.stringify(this.instanceTemplates)
         );
-        this.$message({
-            message: 'updated',
-            type: 'success'
-        });
     };
 
-    $app.methods.showLaunchOptions = function () {
-        this.$nextTick(() => adjustDialogZ(this.$refs.launchOptionsDialog.$el));
-        var D = this.launchOptionsDialog;
-        D.visible = true;
+    $app.methods.saveInstanceSchedules = function () {
+        configRepository.setString(
+            'VRCX_instanceSchedules',
+            JSON.stringify(this.instanceSchedules)
+        );
     };
 
-    // App: Set World Tags Dialog
+    $app.methods.getInstanceTemplate = function (templateId) {
+        return this.instanceTemplates.find(
+            (template) => template.id === templateId
+        );
+    };
 
-    $app.data.setWorldTagsDialog = {
-        visible: false,
-        tags: [],
-        debugAllowed: false
+    $app.methods.getWorldInstanceTemplates = function (worldId) {
+        return this.instanceTemplates.filter(
+            (template) => template.worldId === worldId
+        );
     };
 
-    $app.methods.showSetWorldTagsDialog = function () {
-        this.$nextTick(() => adjustDialogZ(this.$refs.setWorldTagsDialog.$el));
-        var D = this.setWorldTagsDialog;
-        D.visible = true;
-        var oldTags = this.worldDialog.ref.tags;
-        var tags = [];
-        oldTags.forEach((tag) => {
-            if (tag.includes('author_tag_')) {
-                tags.unshift(tag.substring(11));
-            }
-            if (tag === 'debug_allowed') {
-                D.debugAllowed = true;
-            }
-        });
-        D.tags = tags.toString();
+    $app.methods.applyInstanceTemplate = function (template) {
+        var D = this.newInstanceDialog;
+        D.templateId = template.id;
+        D.worldId = template.worldId;
+        D.accessType = template.accessType;
+        D.region = template.region;
+        D.groupId = template.groupId;
+        D.strict = template.strict;
+        D.templateInstanceName = template.instanceName;
+        D.userId = API.currentUser.id;
     };
 
-    $app.methods.saveSetWorldTagsDialog = function () {
-        var D = this.setWorldTagsDialog;
-        var oldTags = D.tags.split(',');
-        var tags = [];
-        oldTags.forEach((tag) => {
-            if (tag) {
-                tags.unshift(`author_tag_${tag}`);
-            }
-        });
-        if (D.debugAllowed) {
-            tags.unshift('debug_allowed');
+    $app.methods.selectInstanceTemplate = function (templateId) {
+        var template = this.getInstanceTemplate(templateId);
+        if (typeof template !== 'undefined') {
+            this.applyInstanceTemplate(template);
+            this.buildInstance();
         }
-        API.saveWorld({
-            id: $app.worldDialog.id,
-            tags
-        }).then((args) => {
-            this.$message({
-                message: 'Tags updated',
-                type: 'success'
-            });
-            D.visible = false;
-            return args;
-        });
     };
 
-    // App: Notification position
-
-    $app.data.notificationPositionDialog = {
-        visible: false
+    $app.methods.promptSaveInstanceTemplate = function () {
+        var D = this.newInstanceDialog;
+        var template = this.getInstanceTemplate(D.templateId);
+        this.$prompt(
+            'Instance ID can use {random}, {date} and {week}',
+            'Save Instance Template',
+            {
+                distinguishCancelAndClose: true,
+                confirmButtonText: 'Save',
+                cancelButtonText: 'Cancel',
+                inputValue:
+                    typeof template !== 'undefined'
+                        ? template.name
+                        : this.worldDialog.ref.name || D.worldId,
+                inputPattern: /\S+/,
+                inputErrorMessage: 'Name is required',
+                callback: (action, instance) => {
+                    if (action === 'confirm') {
+                        this.saveInstanceTemplate(instance.inputValue);
+                    }
+                }
+            }
+        );
     };
 
-    $app.methods.showNotificationPositionDialog = function () {
-        this.$nextTick(() =>
-            adjustDialogZ(this.$refs.notificationPositionDialog.$el)
+    // a template with the same name is overwritten
+    $app.methods.saveInstanceTemplate = function (name) {
+        var D = this.newInstanceDialog;
+        var worldName = '';
+        var world = API.cachedWorlds.get(D.worldId);
+        if (typeof world !== 'undefined') {
+            worldName = world.name;
+        }
+        var index = this.instanceTemplates.findIndex(
+            (item) => item.name === name
         );
-        this.notificationPositionDialog.visible = true;
+        var template = instanceTemplates.createTemplate({
+            id: index === -1 ? uuidv4() : this.instanceTemplates[index].id,
+            name,
+            worldId: D.worldId,
+            worldName,
+            accessType: D.accessType,
+            region: D.region,
+            groupId: D.groupId,
+            strict: D.strict,
+            instanceName: D.templateInstanceName
+        });
+        if (index === -1) {
+            this.instanceTemplates.push(template);
+        } else {
+            this.instanceTemplates.splice(index, 1, template);
+        }
+        D.templateId = template.id;
+        this.saveInstanceTemplates();
+        this.$message({
+            message: `Template ${name} saved`,
+            type: 'success'
+        });
     };
 
-    // App: Noty feed filters
-
-    $app.data.notyFeedFiltersDialog = {
-        visible: false
+    $app.methods.deleteInstanceTemplate = function (template) {
+        removeFromArray(this.instanceTemplates, template);
+        this.saveInstanceTemplates();
+        this.instanceSchedules = this.instanceSchedules.filter(
+            (schedule) => schedule.templateId !== template.id
+        );
+        this.saveInstanceSchedules();
     };
 
-    $app.methods.showNotyFeedFiltersDialog = function () {
+    $app.methods.showInstanceTemplatesDialog = function () {
         this.$nextTick(() =>
-            adjustDialogZ(this.$refs.notyFeedFiltersDialog.$el)
+            adjustDialogZ(this.$refs.instanceTemplatesDialog.$el)
         );
-        this.notyFeedFiltersDialog.visible = true;
-    };
-
-    // App: Wrist feed filters
-
-    $app.data.wristFeedFiltersDialog = {
-        visible: false
+        var D = this.instanceTemplatesDialog;
+        D.schedule = instanceTemplates.createSchedule({
+            templateId: this.instanceTemplates.length
+                ? this.instanceTemplates[0].id
+                : ''
+        });
+        D.visible = true;
     };
 
-    $app.methods.showWristFeedFiltersDialog = function () {
-        this.$nextTick(() =>
-            adjustDialogZ(this.$refs.wristFeedFiltersDialog.$el)
-        );
-        this.wristFeedFiltersDialog.visible = true;
+    $app.methods.addInstanceSchedule = function () {
+        var D = this.instanceTemplatesDialog;
+        var schedule = instanceTemplates.createSchedule({
+            ...D.schedule,
+            id: uuidv4()
+        });
+        if (
+            typeof this.getInstanceTemplate(schedule.templateId) === 'undefined'
+        ) {
+            this.$message({
+                message: 'Choose a template',
+                type: 'error'
+            });
+            return;
+        }
+        schedule.nextRun = instanceTemplates.getNextRun(schedule);
+        if (!schedule.nextRun || Date.parse(schedule.nextRun) <= Date.now()) {
+            this.$message({
+                message: 'Choose a time in the future',
+                type: 'error'
+            });
+            return;
+        }
+        this.instanceSchedules.push(schedule);
+        this.saveInstanceSchedules();
     };
 
-    // App: Launch Dialog
-
-    $app.data.launchDialog = {
-        visible: false,
-        loading: false,
-        desktop: configRepository.getBool('launchAsDesktop'),
-        tag: '',
-        location: '',
-        url: '',
-        shortName: '',
-        shortUrl: '',
-        secureOrShortName: ''
+    $app.methods.setInstanceScheduleEnabled = function (schedule) {
+        if (schedule.enabled) {
+            schedule.nextRun = instanceTemplates.getNextRun(schedule);
+        }
+        this.saveInstanceSchedules();
     };
 
-    $app.watch['launchDialog.desktop'] = function () {
-        configRepository.setBool('launchAsDesktop', this.launchDialog.desktop);
+    $app.methods.deleteInstanceSchedule = function (schedule) {
+        removeFromArray(this.instanceSchedules, schedule);
+        this.saveInstanceSchedules();
     };
 
-    API.$on('LOGOUT', function () {
-        $app.launchDialog.visible = false;
-    });
+    $app.data.runningInstanceSchedules = new Set();
 
-    API.$on('INSTANCE:SHORTNAME', function (args) {
-        if (!args.json) {
-            return;
-        }
-        var shortName = args.json.shortName;
-        var secureOrShortName = shortName;
-        if (!shortName) {
-            secureOrShortName = args.json.secureName;
-        }
-        var location = `${args.instance.worldId}:${args.instance.instanceId}`;
-        if (location === $app.launchDialog.tag) {
-            var L = this.parseLocation(location);
-            L.shortName = shortName;
-            $app.launchDialog.shortName = shortName;
-            $app.launchDialog.secureOrShortName = secureOrShortName;
-            if (shortName) {
-                $app.launchDialog.shortUrl = `https://vrch.at/${shortName}`;
+    // a failed run stays due and is retried until it counts as missed
+    $app.methods.checkInstanceSchedules = function () {
+        var now = Date.now();
+        for (var schedule of this.instanceSchedules) {
+            if (
+                !instanceTemplates.isDue(schedule, now) ||
+                this.runningInstanceSchedules.has(schedule.id)
+            ) {
+                continue;
             }
-            $app.launchDialog.url = $app.getLaunchURL(L);
-        }
-        if (location === $app.newInstanceDialog.location) {
-            $app.newInstanceDialog.shortName = shortName;
-            $app.newInstanceDialog.secureOrShortName = secureOrShortName;
-            $app.updateNewInstanceDialog(true);
+            var template = this.getInstanceTemplate(schedule.templateId);
+            if (
+                instanceTemplates.isMissed(schedule, now) ||
+                typeof template === 'undefined'
+            ) {
+                console.warn('Skipped instance schedule', schedule);
+                instanceTemplates.skip(schedule, now);
+                this.saveInstanceSchedules();
+                continue;
+            }
+            this.runScheduledInstance(schedule, template);
         }
-    });
+    };
 
-    $app.methods.addShortNameToFullUrl = function (input, shortName) {
-        if (input.trim().length === 0 || !shortName) {
-            return input;
+    $app.methods.runScheduledInstance = async function (schedule, template) {
+        this.runningInstanceSchedules.add(schedule.id);
+        try {
+            if (
+                await this.runInstanceSchedule(template, schedule.inviteGroup)
+            ) {
+                instanceTemplates.advance(schedule);
+                this.saveInstanceSchedules();
+            }
+        } finally {
+            this.runningInstanceSchedules.delete(schedule.id);
         }
-        var url = new URL(input);
-        var urlParams = new URLSearchParams(url.search);
-        urlParams.set('shortName', shortName);
-        url.search = urlParams.toString();
-        return url.toString();
     };
 
-    $app.methods.showLaunchDialog = function (tag, shortName) {
-        this.$nextTick(() => adjustDialogZ(this.$refs.launchDialog.$el));
-        var D = this.launchDialog;
-        D.tag = tag;
-        D.secureOrShortName = shortName;
-        D.shortUrl = '';
-        D.shortName = shortName;
-        var L = API.parseLocation(tag);
-        L.shortName = shortName;
-        if (L.isOffline || L.isPrivate || L.isTraveling || L.worldId === '') {
-            return;
-        }
-        if (shortName) {
-            D.shortUrl = `https://vrch.at/${shortName}`;
-        }
-        if (L.instanceId) {
-            D.location = `${L.worldId}:${L.instanceId}`;
-        } else {
-            D.location = L.worldId;
-        }
-        D.url = this.getLaunchURL(L);
-        D.visible = true;
-        if (!shortName) {
-            API.getInstanceShortName({
-                worldId: L.worldId,
-                instanceId: L.instanceId
+    // self invites to create the instance, then invites every online friend
+    // in the favorite group one at a time, resolves false when it failed
+    $app.methods.runInstanceSchedule = async function (template, inviteGroup) {
+        var location = instanceTemplates.buildLocation(
+            template,
+            API.currentUser.id
+        );
+        var L = API.parseLocation(location);
+        try {
+            await API.selfInvite({
+                instanceId: L.instanceId,
+                worldId: L.worldId
+            });
+            var args = await API.getCachedWorld({
+                worldId: L.worldId
+            });
+            var userIds = this.getFavoriteGroupOnlineFriends(inviteGroup);
+            for (var userId of userIds) {
+                try {
+                    await API.sendInvite(
+                        {
+                            instanceId: location,
+                            worldId: location,
+                            worldName: args.ref.name
+                        },
+                        userId
+                    );
+                } catch (inviteErr) {
+                    console.error('Scheduled invite failed', userId, inviteErr);
+                }
+            }
+            this.$message({
+                message: `Scheduled instance ${template.name} created, ${userIds.length} invites sent`,
+                type: 'success'
+            });
+            return true;
+        } catch (err) {
+            console.error('Scheduled instance failed', err);
+            this.$message({
+                message: `Scheduled instance ${template.name} failed`,
+                type: 'error'
             });
+            return false;
         }
     };
 
-    $app.methods.getLaunchURL = function (instance) {
-        var L = instance;
-        if (L.instanceId) {
-            if (L.shortName) {
-                return `https://vrchat.com/home/launch?worldId=${encodeURIComponent(
-                    L.worldId
-                )}&instanceId=${encodeURIComponent(
-                    L.instanceId
-                )}&shortName=${encodeURIComponent(L.shortName)}`;
-            }
-            return `https://vrchat.com/home/launch?worldId=${encodeURIComponent(
-                L.worldId
-            )}&instanceId=${encodeURIComponent(L.instanceId)}`;
-        }
-        return `https://vrchat.com/home/launch?worldId=${encodeURIComponent(
-            L.worldId
-        )}`;
+    $app.methods.getFavoriteFriendGroupName = function (groupKey) {
+        var group = API.favoriteFriendGroups.find(
+            (item) => item.key === groupKey
+        );
+        return typeof group !== 'undefined' ? group.displayName : '';
     };
 
-    $app.methods.launchGame = function (location, shortName) {
-        var D = this.launchDialog;
-        var args = [];
-        if (shortName) {
-            args.push(`vrchat://launch?id=${location}&shortName=${shortName}`);
-        } else {
-            args.push(`vrchat://launch?id=${location}`);
-        }
-        var {launchArguments, vrcLaunchPathOverride} = this.launchOptionsDialog;
-        if (launchArguments) {
-            args.push(launchArguments);
-        }
-        if (D.desktop) {
-            args.push('--no-vr');
+    $app.methods.getFavoriteGroupOnlineFriends = function (groupKey) {
+        var userIds = [];
+        if (!groupKey) {
+            return userIds;
         }
-        if (vrcLaunchPathOverride) {
-            AppApi.StartGameFromPath(vrcLaunchPathOverride, args.join(' '));
-        } else {
-            AppApi.StartGame(args.join(' '));
+        for (var favorite of API.cachedFavorites.values()) {
+            if (favorite.$groupKey !== groupKey) {
+                continue;
+            }
+            var ctx = this.friends.get(favorite.favoriteId);
+            if (typeof ctx !== 'undefined' && ctx.state === 'online') {
+                userIds.push(favorite.favoriteId);
+            }
         }
-        D.visible = false;
+        return userIds;
     };
 
-    // App: Copy To Clipboard
+    // App: Launch Options Dialog
 
-    $app.methods.copyToClipboard = function (text) {
-        var textArea = document.createElement('textarea');
-        textArea.id = 'copy_to_clipboard';
-        textArea.value = text;
-        textArea.style.top = '0';
-        textArea.style.left = '0';
-        textArea.style.position = 'fixed';
-        document.body.appendChild(textArea);
-        textArea.focus();
-        textArea.select();
-        document.execCommand('copy');
-        document.getElementById('copy_to_clipboard').remove();
+    $app.data.launchOptionsDialog = {
+        visible: false,
+        launchArguments: configRepository.getString('launchArguments'),
+        vrcLaunchPathOverride: configRepository.getString(
+            'vrcLaunchPathOverride'
+        )
     };
 
-    $app.methods.copyInstanceMessage = function (input) {
-        this.copyToClipboard(input);
+    API.$on('LOGOUT', function () {
+        $app.launchOptionsDialog.visible = false;
+    });
+
+    $app.methods.updateLaunchOptions = function () {
+        var D = this.launchOptionsDialog;
+        D.visible = false;
+        D.launchArguments = String(D.launchArguments)
+            .replace(/\s+/g, ' ')
+            .trim();
+        configRepository.setString('launchArguments', D.launchArguments);
+        configRepository.setString(
+            'vrcLaunchPathOverride',
+            D.vrcLaunchPathOverride
+        );
         this.$message({
-            message: 'Instance copied to clipboard',
+            message: 'updated',
             type: 'success'
         });
-        return input;
     };
 
-    $app.methods.copyInstanceUrl = async function (location) {
-        var L = API.parseLocation(location);
-        var args = await API.getInstanceShortName({
-            worldId: L.worldId,
-            instanceId: L.instanceId
-        });
-        if (args.json && args.json.shortName) {
-            L.shortName = args.json.shortName;
-        }
-        var newUrl = this.getLaunchURL(L);
-        this.copyInstanceMessage(newUrl);
+    $app.methods.showLaunchOptions = function () {
+        this.$nextTick(() => adjustDialogZ(this.$refs.launchOptionsDialog.$el));
+        var D = this.launchOptionsDialog;
+        D.visible = true;
     };
 
-    $app.methods.copyAvatarId = function (avatarId) {
-        this.$message({
-            message: 'Avatar ID copied to clipboard',
-            type: 'success'
-        });
-        this.copyToClipboard(avatarId);
+    // App: Set World Tags Dialog
+
+    $app.data.setWorldTagsDialog = {
+        visible: false,
+        tags: [],
+        debugAllowed: false
     };
 
-    $app.methods.copyAvatarUrl = function (avatarId) {
-        this.$message({
-            message: 'Avatar URL copied to clipboard',
-            type: 'success'
+    $app.methods.showSetWorldTagsDialog = function () {
+        this.$nextTick(() => adjustDialogZ(this.$refs.setWorldTagsDialog.$el));
+        var D = this.setWorldTagsDialog;
+        D.visible = true;
+        var oldTags = this.worldDialog.ref.tags;
+        var tags = [];
+        oldTags.forEach((tag) => {
+            if (tag.includes('author_tag_')) {
+                tags.unshift(tag.substring(11));
+            }
+            if (tag === 'debug_allowed') {
+                D.debugAllowed = true;
+            }
         });
-        this.copyToClipboard(`https://vrchat.com/home/avatar/${avatarId}`);
+        D.tags = tags.toString();
     };
 
-    $app.methods.copyWorldId = function (worldId) {
-        this.$message({
-            message: 'World ID copied to clipboard',
-            type: 'success'
+    $app.methods.saveSetWorldTagsDialog = function () {
+        var D = this.setWorldTagsDialog;
+        var oldTags = D.tags.split(',');
+        var tags = [];
+        oldTags.forEach((tag) => {
+            if (tag) {
+                tags.unshift(`author_tag_${tag}`);
+            }
         });
-        this.copyToClipboard(worldId);
-    };
-
-    $app.methods.copyWorldUrl = function (worldId) {
-        this.$message({
-            message: 'World URL copied to clipboard',
-            type: 'success'
+        if (D.debugAllowed) {
+            tags.unshift('debug_allowed');
+        }
+        API.saveWorld({
+            id: $app.worldDialog.id,
+            tags
+        }).then((args) => {
+            this.$message({
+                message: 'Tags updated',
+                type: 'success'
+            });
+            D.visible = false;
+            return args;
         });
-        this.copyToClipboard(`https://vrchat.com/home/world/${worldId}`);
     };
 
-    $app.methods.copyUser = function (userId) {
-        this.$message({
-            message: 'User URL copied to clipboard',
-            type: 'success'
-        });
-        this.copyToClipboard(`https://vrchat.com/home/user/${userId}`);
-    };
+    // App: Notification position
 
-    $app.methods.copyGroupId = function (groupId) {
-        this.$message({
-            message: 'Group ID copied to clipboard',
-            type: 'success'
-        });
-        this.copyToClipboard(groupId);
+    $app.data.notificationPositionDialog = {
+        visible: false
     };
 
-    $app.methods.copyGroupUrl = function (groupUrl) {
-        this.$message({
-            message: 'Group URL copied to clipboard',
-            type: 'success'
-        });
-        this.copyToClipboard(groupUrl);
+    $app.methods.showNotificationPositionDialog = function () {
+        this.$nextTick(() =>
+            adjustDialogZ(this.$refs.notificationPositionDialog.$el)
+        );
+        this.notificationPositionDialog.visible = true;
     };
 
-    $app.methods.copyText = function (text) {
-        this.$message({
-            message: 'Text copied to clipboard',
-            type: 'success'
-        });
-        this.copyToClipboard(text);
+    // App: Notification rules
+
+    $app.data.notificationRulesDialog = {
+        visible: false,
+        loading: false,
+        gameState: 'vr',
+        status: 'active',
+        results: []
     };
 
-    // App: VRCPlus Icons
+    $app.data.notificationRuleDialog = {
+        visible: false,
+        index: -1,
+        rule: notificationRules.createRule(),
+        friends: []
+    };
 
-    API.$on('LOGIN', function () {
-        $app.VRCPlusIconsTable = [];
-    });
+    $app.data.notificationTypes = notificationTypes;
+    $app.data.notificationActions = notificationActions;
+    $app.data.notificationGameStates = gameStates;
 
-    $app.methods.refreshVRCPlusIconsTable = function () {
-        this.galleryDialogIconsLoading = true;
-        var params = {
-            n: 100,
-            tag: 'icon'
-        };
-        API.getFileList(params);
+    $app.methods.showNotificationRulesDialog = function () {
+        this.$nextTick(() =>
+            adjustDialogZ(this.$refs.notificationRulesDialog.$el)
+        );
+        this.notificationRulesDialog.results = [];
+        this.notificationRulesDialog.visible = true;
     };
 
-    API.getFileList = function (params) {
-        return this.call('files', {
-            method: 'GET',
-            params
-        }).then((json) => {
-            var args = {
-                json,
-                params
-            };
-            this.$emit('FILES:LIST', args);
-            return args;
-        });
+    $app.methods.saveNotificationRules = function () {
+        configRepository.setString(
+            'VRCX_notificationRules',
+            JSON.stringify(this.notificationRules)
+        );
     };
 
-    API.$on('FILES:LIST', function (args) {
-        if (args.params.tag === 'icon') {
-            $app.VRCPlusIconsTable = args.json.reverse();
-            $app.galleryDialogIconsLoading = false;
+    $app.methods.moveNotificationRule = function (index, offset) {
+        var rules = this.notificationRules;
+        var target = index + offset;
+        if (target < 0 || target >= rules.length) {
+            return;
         }
-    });
+        rules.splice(target, 0, rules.splice(index, 1)[0]);
+        this.saveNotificationRules();
+    };
 
-    $app.methods.setVRCPlusIcon = function (fileId) {
-        if (!API.currentUser.$isVRCPlus) {
-            this.$message({
-                message: 'VRCPlus required',
-                type: 'error'
+    $app.methods.deleteNotificationRule = function (index) {
+        this.notificationRules.splice(index, 1);
+        this.saveNotificationRules();
+    };
+
+    $app.methods.showNotificationRuleDialog = function (index) {
+        this.$nextTick(() =>
+            adjustDialogZ(this.$refs.notificationRuleDialog.$el)
+        );
+        var D = this.notificationRuleDialog;
+        D.index = index;
+        if (index === -1) {
+            D.rule = notificationRules.createRule({
+                id: uuidv4(),
+                name: 'New rule',
+                actions: ['overlay']
             });
+        } else {
+            D.rule = notificationRules.createRule(
+                JSON.parse(JSON.stringify(this.notificationRules[index]))
+            );
         }
-        var userIcon = '';
-        if (fileId) {
-            userIcon = `${API.endpointDomain}/file/${fileId}/1`;
-        }
-        if (userIcon === API.currentUser.userIcon) {
-            return;
-        }
-        API.saveCurrentUser({
-            userIcon
-        }).then((args) => {
-            this.$message({
-                message: 'Icon changed',
-                type: 'success'
-            });
-            return args;
-        });
+        D.friends = Array.from(this.friends.values())
+            .map((ctx) => ({
+                id: ctx.id,
+                name: ctx.name
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        D.visible = true;
     };
 
-    $app.methods.deleteVRCPlusIcon = function (fileId) {
-        API.deleteFile(fileId).then((args) => {
-            API.$emit('VRCPLUSICON:DELETE', args);
-            return args;
-        });
+    $app.methods.saveNotificationRule = function () {
+        var D = this.notificationRuleDialog;
+        if (D.index === -1) {
+            this.notificationRules.push(D.rule);
+        } else {
+            this.notificationRules.splice(D.index, 1, D.rule);
+        }
+        this.saveNotificationRules();
+        D.visible = false;
     };
 
-    API.$on('VRCPLUSICON:DELETE', function (args) {
-        var array = $app.VRCPlusIconsTable;
-        var {length} = array;
-        for (var i = 0; i < length; ++i) {
-            if (args.fileId === array[i].id) {
-                array.splice(i, 1);
-                break;
-            }
+    // dry run of saved entries through the rules, nothing is played
+    $app.methods.testNotificationRules = async function () {
+        var D = this.notificationRulesDialog;
+        D.loading = true;
+        try {
+            var entries = [].concat(
+                await database.getFeedDatabase(),
+                await database.lookupGameLogDatabase('', []),
+                await database.getNotifications(),
+                await database.getFriendLogHistory()
+            );
+            entries.sort((a, b) => (a.created_at < b.created_at ? 1 : -1));
+            this.setNotificationRulesResults(entries.slice(0, 200));
+        } finally {
+            D.loading = false;
         }
-    });
+    };
 
-    API.deleteFile = function (fileId) {
-        return this.call(`file/${fileId}`, {
-            method: 'DELETE'
-        }).then((json) => {
-            var args = {
-                json,
-                fileId
+    $app.methods.setNotificationRulesResults = function (entries) {
+        var D = this.notificationRulesDialog;
+        D.results = entries.map((noty) => {
+            var context = {
+                ...this.getNotyRuleContext(noty, new Date(noty.created_at)),
+                gameState: D.gameState,
+                status: D.status
+            };
+            var result = notificationRules.evaluate(
+                this.notificationRules,
+                context
+            );
+            return {
+                created_at: noty.created_at,
+                type: noty.type,
+                displayName:
+                    noty.displayName ||
+                    noty.senderUsername ||
+                    noty.sourceDisplayName ||
+                    '',
+                matched: result.matched.join(', '),
+                actions: result.suppressed
+                    ? 'suppress'
+                    : result.actions.join(', ')
             };
-            return args;
         });
     };
 
-    API.deleteFileVersion = function (params) {
-        return this.call(`file/${params.fileId}/${params.version}`, {
-            method: 'DELETE'
-        }).then((json) => {
-            var args = {
-                json,
-                params
-            };
-            return args;
-        });
+    // App: Webhooks
+
+    $app.data.webhooksDialog = {
+        visible: false,
+        loading: false,
+        queueSize: 0,
+        log: []
     };
 
-    $app.methods.compareCurrentVRCPlusIcon = function (userIcon) {
-        var currentUserIcon = extractFileId(API.currentUser.userIcon);
-        if (userIcon === currentUserIcon) {
-            return true;
-        }
-        return false;
+    $app.data.webhookDialog = {
+        visible: false,
+        index: -1,
+        webhook: webhooks.createWebhook()
     };
 
-    $app.methods.onFileChangeVRCPlusIcon = function (e) {
-        var clearFile = function () {
-            if (document.querySelector('#VRCPlusIconUploadButton')) {
-                document.querySelector('#VRCPlusIconUploadButton').value = '';
-            }
-        };
-        var files = e.target.files || e.dataTransfer.files;
-        if (!files.length) {
-            return;
-        }
-        if (files[0].size >= 10000000) {
-            // 10MB
-            $app.$message({
-                message: 'File size too large',
-                type: 'error'
-            });
-            clearFile();
-            return;
-        }
-        if (!files[0].type.match(/image.*/)) {
-            $app.$message({
-                message: "File isn't an image",
-                type: 'error'
-            });
-            clearFile();
+    $app.data.webhookCategories = webhookCategories;
+    $app.data.webhookFormats = webhookFormats;
+
+    // forwards noty events to webhooks and local API clients
+    $app.methods.dispatchNoty = function (category, noty) {
+        var bias = new Date(Date.now() - 60000).toJSON();
+        if (noty.created_at < bias) {
+            // don't forward entries replayed from the log on startup
             return;
         }
-        var r = new FileReader();
-        r.onload = function () {
-            var base64Body = btoa(r.result);
-            API.uploadVRCPlusIcon(base64Body).then((args) => {
-                $app.$message({
-                    message: 'Icon uploaded',
-                    type: 'success'
-                });
-                return args;
-            });
-        };
-        r.readAsBinaryString(files[0]);
-        clearFile();
+        this.queueWebhook(category, noty);
+        this.broadcastLocalApiEvent('feed', {
+            category,
+            entry: noty
+        });
     };
 
-    $app.methods.displayVRCPlusIconUpload = function () {
-        document.getElementById('VRCPlusIconUploadButton').click();
+    $app.methods.queueWebhook = function (category, noty) {
+        webhooks
+            .enqueue(this.webhooks, category, noty)
+            .then(() => this.processWebhookQueue())
+            .catch((err) => {
+                console.error('Failed to queue webhook', err);
+            });
     };
 
-    API.uploadVRCPlusIcon = function (params) {
-        return this.call('icon', {
-            uploadImage: true,
-            imageData: params
-        }).then((json) => {
-            var args = {
-                json,
-                params
-            };
-            this.$emit('VRCPLUSICON:ADD', args);
-            return args;
-        });
+    // rules choose their webhooks, the categories those subscribe to don't apply
+    $app.methods.queueRuleWebhooks = function (webhookIds, noty) {
+        webhooks
+            .enqueueTo(
+                this.webhooks.filter((webhook) =>
+                    webhookIds.includes(webhook.id)
+                ),
+                'rule',
+                noty
+            )
+            .then(() => this.processWebhookQueue())
+            .catch((err) => {
+                console.error('Failed to queue rule webhook', err);
+            });
     };
 
-    API.$on('VRCPLUSICON:ADD', function (args) {
-        if (Object.keys($app.VRCPlusIconsTable).length !== 0) {
-            $app.VRCPlusIconsTable.push(args.json);
+    $app.methods.processWebhookQueue = async function () {
+        try {
+            var count = await webhooks.processQueue(this.webhooks);
+            if (count > 0 && this.webhooksDialog.visible) {
+                this.refreshWebhookLog();
+            }
+        } catch (err) {
+            console.error('Failed to process webhook queue', err);
         }
-    });
+    };
 
-    $app.data.uploadImage = '';
+    $app.methods.showWebhooksDialog = function () {
+        this.$nextTick(() => adjustDialogZ(this.$refs.webhooksDialog.$el));
+        this.webhooksDialog.visible = true;
+        this.refreshWebhookLog();
+    };
 
-    $app.methods.inviteImageUpload = function (e) {
-        var files = e.target.files || e.dataTransfer.files;
-        if (!files.length) {
-            return;
+    $app.methods.refreshWebhookLog = async function () {
+        var D = this.webhooksDialog;
+        D.loading = true;
+        try {
+            var queueSize = await database.getWebhookQueueSize();
+            var log = await database.getWebhookLog();
+            this.setWebhookLog(queueSize, log);
+        } finally {
+            D.loading = false;
         }
-        if (files[0].size >= 10000000) {
-            // 10MB
-            $app.$message({
-                message: 'File size too large',
-                type: 'error'
-            });
-            this.clearInviteImageUpload();
+    };
+
+    $app.methods.setWebhookLog = function (queueSize, log) {
+        var D = this.webhooksDialog;
+        D.queueSize = queueSize;
+        D.log = log.map((entry) => {
+            var webhook = this.webhooks.find(
+                (item) => item.id === entry.webhookId
+            );
+            return {
+                ...entry,
+                name: typeof webhook === 'undefined' ? '' : webhook.name
+            };
+        });
+    };
+
+    $app.methods.retryWebhookQueue = async function () {
+        await database.retryWebhookQueue(new Date().toJSON());
+        await this.processWebhookQueue();
+        this.refreshWebhookLog();
+    };
+
+    $app.methods.clearWebhookLog = async function () {
+        await database.clearWebhookLog();
+        this.refreshWebhookLog();
+    };
+
+    // secrets go to the secure config, while it's locked only secrets from
+    // before they were moved there are known and those stay where they are
+    $app.methods.saveWebhooks = function () {
+        if (secureConfigRepository.isLocked()) {
+            configRepository.setString(
+                'VRCX_webhooks',
+                JSON.stringify(this.webhooks)
+            );
             return;
         }
-        if (!files[0].type.match(/image.png/)) {
-            $app.$message({
-                message: "File isn't a png",
-                type: 'error'
+        var secrets = {};
+        for (var webhook of this.webhooks) {
+            webhook.signed = Boolean(webhook.secret);
+            if (webhook.signed) {
+                secrets[webhook.id] = webhook.secret;
+            }
+        }
+        configRepository.setString(
+            'VRCX_webhooks',
+            JSON.stringify(
+                this.webhooks.map((item) => ({
+                    ...item,
+                    secret: ''
+                }))
+            )
+        );
+        secureConfigRepository
+            .setString('VRCX_webhookSecrets', JSON.stringify(secrets))
+            .catch((err) => {
+                this.$message({
+                    message: `Webhook secrets not saved: ${err.message}`,
+                    type: 'error'
+                });
             });
-            this.clearInviteImageUpload();
-            return;
+    };
+
+    $app.methods.loadWebhookSecrets = function () {
+        var secrets = JSON.parse(
+            secureConfigRepository.getString('VRCX_webhookSecrets', '{}')
+        );
+        var moved = false;
+        for (var item of JSON.parse(
+            configRepository.getString('VRCX_webhooks', '[]')
+        )) {
+            // stored in plain text before
+            if (item.secret) {
+                secrets[item.id] = item.secret;
+                moved = true;
+            }
+        }
+        for (var webhook of this.webhooks) {
+            webhook.secret = secrets[webhook.id] || '';
+        }
+        if (moved && !secureConfigRepository.isLocked()) {
+            this.saveWebhooks();
         }
-        var r = new FileReader();
-        r.onload = function () {
-            $app.uploadImage = btoa(r.result);
-        };
-        r.readAsBinaryString(files[0]);
     };
 
-    $app.methods.clearInviteImageUpload = function () {
-        var buttonList = document.querySelectorAll('.inviteImageUploadButton');
-        buttonList.forEach((button) => (button.value = ''));
-        this.uploadImage = '';
+    $app.methods.deleteWebhook = function (index) {
+        var [webhook] = this.webhooks.splice(index, 1);
+        this.saveWebhooks();
+        database.deleteWebhookQueueByWebhook(webhook.id);
     };
 
-    $app.methods.userOnlineFor = function (ctx) {
-        if (ctx.ref.state === 'online' && ctx.ref.$online_for) {
-            return Date.now() - ctx.ref.$online_for;
-        } else if (ctx.ref.$offline_for) {
-            return Date.now() - ctx.ref.$offline_for;
+    $app.methods.showWebhookDialog = function (index) {
+        this.$nextTick(() => adjustDialogZ(this.$refs.webhookDialog.$el));
+        var D = this.webhookDialog;
+        D.index = index;
+        if (index === -1) {
+            D.webhook = webhooks.createWebhook({
+                id: uuidv4(),
+                name: 'New webhook',
+                categories: ['feed']
+            });
+        } else {
+            D.webhook = webhooks.createWebhook(
+                JSON.parse(JSON.stringify(this.webhooks[index]))
+            );
         }
-        return '-';
+        D.visible = true;
     };
 
-    $app.methods.userOnlineForTimestamp = function (ctx) {
-        if (ctx.ref.state === 'online' && ctx.ref.$online_for) {
-            return ctx.ref.$online_for;
-        } else if (ctx.ref.$offline_for) {
-            return ctx.ref.$offline_for;
+    $app.methods.saveWebhook = function () {
+        var D = this.webhookDialog;
+        if (!D.webhook.url.startsWith('http')) {
+            this.$message({
+                message: 'Webhook URL must start with http:// or https://',
+                type: 'error'
+            });
+            return;
         }
-        return 0;
+        if (D.index === -1) {
+            this.webhooks.push(D.webhook);
+        } else {
+            this.webhooks.splice(D.index, 1, D.webhook);
+        }
+        this.saveWebhooks();
+        D.visible = false;
     };
 
-    // App: Invite Messages
+    $app.methods.testWebhook = async function (index) {
+        var webhook = this.webhooks[index];
+        var noty = {
+            type: 'Test',
+            created_at: new Date().toJSON(),
+            displayName: API.currentUser.displayName,
+            userId: API.currentUser.id,
+            message: 'VRCX webhook test'
+        };
+        var category = webhook.categories[0] || 'feed';
+        await webhooks.enqueue(
+            [
+                {
+                    ...webhook,
+                    categories: [category]
+                }
+            ],
+            category,
+            noty
+        );
+        await this.processWebhookQueue();
+        this.refreshWebhookLog();
+    };
 
-    API.$on('LOGIN', function () {
-        $app.inviteMessageTable.data = [];
-        $app.inviteResponseMessageTable.data = [];
-        $app.inviteRequestMessageTable.data = [];
-        $app.inviteRequestResponseMessageTable.data = [];
-        $app.inviteMessageTable.visible = false;
-        $app.inviteResponseMessageTable.visible = false;
-        $app.inviteRequestMessageTable.visible = false;
-        $app.inviteRequestResponseMessageTable.visible = false;
-    });
+    // App: Local API
 
-    $app.methods.refreshInviteMessageTable = function (messageType) {
-        API.refreshInviteMessageTableData(messageType);
-    };
+    $app.data.localApiEnabled = configRepository.getBool(
+        'VRCX_localApiEnabled',
+        false
+    );
+    $app.data.localApiPort = configRepository.getInt(
+        'VRCX_localApiPort',
+        22022
+    );
+    $app.data.localApiToken = secureConfigRepository.getString(
+        'VRCX_localApiToken',
+        ''
+    );
+    $app.data.localApiStatus = 'Disabled';
 
-    API.refreshInviteMessageTableData = function (messageType) {
-        return this.call(`message/${this.currentUser.id}/${messageType}`, {
-            method: 'GET'
-        }).then((json) => {
-            var args = {
-                json,
-                messageType
-            };
-            this.$emit(`INVITE:${messageType.toUpperCase()}`, args);
-            return args;
+    localApiEvents.forEach((name) => {
+        API.$on(name, (args) => {
+            $app.broadcastLocalApiEvent(name, {
+                params: args?.params ?? null,
+                json: args?.json ?? null
+            });
         });
+    });
+
+    $app.methods.initLocalApi = async function () {
+        if (!this.localApiEnabled) {
+            await localApiService.stop();
+            this.localApiStatus = 'Disabled';
+            return;
+        }
+        if (!this.localApiToken) {
+            if (secureConfigRepository.isLocked()) {
+                // started by loadSecureConfig after the unlock
+                await localApiService.stop();
+                this.localApiStatus = 'Waiting for the primary password';
+                return;
+            }
+            if (!(await this.setLocalApiToken(uuidv4()))) {
+                return;
+            }
+        }
+        var error = await localApiService.start(
+            this.localApiPort,
+            this.localApiToken
+        );
+        if (error) {
+            this.localApiStatus = `Failed: ${error}`;
+            return;
+        }
+        this.localApiStatus = `Listening on http://localhost:${this.localApiPort}/api/v1/`;
     };
 
-    API.$on('INVITE:MESSAGE', function (args) {
-        $app.inviteMessageTable.data = args.json;
-    });
+    $app.methods.saveLocalApiOptions = function () {
+        configRepository.setBool('VRCX_localApiEnabled', this.localApiEnabled);
+        configRepository.setInt('VRCX_localApiPort', this.localApiPort);
+        this.initLocalApi();
+    };
 
-    API.$on('INVITE:RESPONSE', function (args) {
-        $app.inviteResponseMessageTable.data = args.json;
-    });
+    // resolves to false when the token couldn't be saved
+    $app.methods.setLocalApiToken = async function (token) {
+        try {
+            await secureConfigRepository.setString('VRCX_localApiToken', token);
+        } catch (err) {
+            this.$message({
+                message: `Local API token not saved: ${err.message}`,
+                type: 'error'
+            });
+            return false;
+        }
+        this.localApiToken = token;
+        return true;
+    };
 
-    API.$on('INVITE:REQUEST', function (args) {
-        $app.inviteRequestMessageTable.data = args.json;
-    });
+    $app.methods.regenerateLocalApiToken = async function () {
+        if (!(await this.setLocalApiToken(uuidv4()))) {
+            return;
+        }
+        this.initLocalApi();
+        this.$message({
+            message: 'Local API token changed, connected clients were dropped',
+            type: 'success'
+        });
+    };
 
-    API.$on('INVITE:REQUESTRESPONSE', function (args) {
-        $app.inviteRequestResponseMessageTable.data = args.json;
-    });
+    $app.methods.copyLocalApiToken = function () {
+        if (!this.localApiToken) {
+            this.promptUnlockSecureConfig();
+            return;
+        }
+        this.copyToClipboard(this.localApiToken);
+        this.$message({
+            message: 'Local API token copied to clipboard',
+            type: 'success'
+        });
+    };
 
-    API.editInviteMessage = function (params, messageType, slot) {
-        return this.call(
-            `message/${this.currentUser.id}/${messageType}/${slot}`,
-            {
-                method: 'PUT',
-                params
+    $app.methods.promptLocalApiPort = function () {
+        this.$prompt('Enter port number', 'Local API Port', {
+            distinguishCancelAndClose: true,
+            confirmButtonText: 'OK',
+            cancelButtonText: 'Cancel',
+            inputValue: String(this.localApiPort),
+            inputPattern: /^\d{1,5}$/,
+            inputErrorMessage: 'Valid port number is required',
+            callback: (action, instance) => {
+                var port = parseInt(instance.inputValue, 10);
+                if (action === 'confirm' && port > 0 && port < 65536) {
+                    this.localApiPort = port;
+                    this.saveLocalApiOptions();
+                }
             }
-        ).then((json) => {
-            var args = {
-                json,
-                params,
-                messageType,
-                slot
-            };
-            return args;
         });
     };
 
-    // App: Edit Invite Message Dialog
+    $app.methods.broadcastLocalApiEvent = function (event, data) {
+        if (!this.localApiEnabled) {
+            return;
+        }
+        localApiService.broadcast(event, data).catch((err) => {
+            console.error('Local API broadcast failed', err);
+        });
+    };
 
-    $app.data.editInviteMessageDialog = {
-        visible: false,
-        inviteMessage: {},
-        messageType: '',
-        newMessage: ''
+    // called by the local API server, returns JSON or null for unknown
+    // endpoints, see localApiSchema.js for the response shapes
+    $app.methods.getLocalApiResponse = function (endpoint) {
+        var value = null;
+        switch (endpoint) {
+            case 'schema':
+                value = localApiSchema;
+                break;
+            case 'status':
+                value = this.getLocalApiStatus();
+                break;
+            case 'friends':
+                value = this.getLocalApiFriends();
+                break;
+            case 'location':
+                value = {
+                    location: this.lastLocation.location,
+                    worldName: this.lastLocation.name,
+                    joinedAt: this.lastLocation.date
+                        ? new Date(this.lastLocation.date).toJSON()
+                        : null,
+                    playerCount: this.lastLocation.playerList.size
+                };
+                break;
+            case 'instance/players':
+                value = this.getLocalApiPlayers();
+                break;
+            case 'now-playing':
+                value = {
+                    playing: this.nowPlaying.playing,
+                    url: this.nowPlaying.url,
+                    name: this.nowPlaying.name,
+                    length: this.nowPlaying.length,
+                    elapsed: this.nowPlaying.elapsed,
+                    startedAt: this.nowPlaying.startTime
+                        ? new Date(this.nowPlaying.startTime * 1000).toJSON()
+                        : null
+                };
+                break;
+            case 'feed':
+                value = this.feedSessionTable.slice(-100).reverse();
+                break;
+            default:
+                return null;
+        }
+        return localApiService.serialize(value);
     };
 
-    $app.methods.showEditInviteMessageDialog = function (
-        messageType,
-        inviteMessage
-    ) {
-        this.$nextTick(() =>
-            adjustDialogZ(this.$refs.editInviteMessageDialog.$el)
-        );
-        var D = this.editInviteMessageDialog;
-        D.newMessage = inviteMessage.message;
-        D.visible = true;
-        D.inviteMessage = inviteMessage;
-        D.messageType = messageType;
+    $app.methods.getLocalApiStatus = function () {
+        var loggedIn = API.isLoggedIn === true;
+        var gameMode = 'closed';
+        if (this.isGameRunning) {
+            gameMode = this.isGameNoVR ? 'desktop' : 'vr';
+        }
+        return {
+            appVersion: this.appVersion,
+            loggedIn,
+            userId: loggedIn ? API.currentUser.id : null,
+            displayName: loggedIn ? API.currentUser.displayName : null,
+            gameRunning: this.isGameRunning,
+            gameMode
+        };
     };
 
-    $app.methods.saveEditInviteMessage = function () {
-        var D = this.editInviteMessageDialog;
-        D.visible = false;
-        if (D.inviteMessage.message !== D.newMessage) {
-            var slot = D.inviteMessage.slot;
-            var messageType = D.messageType;
-            var params = {
-                message: D.newMessage
-            };
-            API.editInviteMessage(params, messageType, slot)
-                .catch((err) => {
-                    throw err;
-                })
-                .then((args) => {
-                    API.$emit(`INVITE:${messageType.toUpperCase()}`, args);
-                    if (args.json[slot].message === D.inviteMessage.message) {
-                        this.$message({
-                            message:
-                                "VRChat API didn't update message, try again",
-                            type: 'error'
-                        });
-                        throw new Error(
-                            "VRChat API didn't update message, try again"
-                        );
-                    } else {
-                        this.$message('Invite message updated');
-                    }
-                    return args;
-                });
+    $app.methods.getLocalApiFriends = function () {
+        var friends = [];
+        for (var ctx of this.friends.values()) {
+            var ref = ctx.ref || {};
+            friends.push({
+                id: ctx.id,
+                displayName: ctx.name,
+                state: ctx.state,
+                isFavorite: ctx.isVIP,
+                status: ref.status || '',
+                statusDescription: ref.statusDescription || '',
+                location: ref.location || ''
+            });
         }
+        return friends;
     };
 
-    $app.methods.cancelEditInviteMessage = function () {
-        this.editInviteMessageDialog.visible = false;
+    $app.methods.getLocalApiPlayers = function () {
+        this.getCurrentInstanceUserList();
+        return this.currentInstanceUserList.data.map((user) => ({
+            userId: user.ref.id || null,
+            displayName: user.ref.displayName,
+            photonId: user.photonId,
+            isMaster: user.isMaster,
+            inVRMode: user.inVRMode,
+            isFriend: user.isFriend,
+            joinedAt: user.timer ? new Date(user.timer).toJSON() : null
+        }));
     };
 
-    // App: Edit and Send Invite Response Message Dialog
+    // App: Plugins
 
-    $app.data.editAndSendInviteResponseDialog = {
+    $app.data.pluginsDialog = {
         visible: false,
-        inviteMessage: {},
-        messageType: '',
-        newMessage: ''
+        loading: false,
+        plugins: []
     };
 
-    $app.methods.showEditAndSendInviteResponseDialog = function (
-        messageType,
-        inviteMessage
-    ) {
-        this.$nextTick(() =>
-            adjustDialogZ(this.$refs.editAndSendInviteResponseDialog.$el)
-        );
-        this.editAndSendInviteResponseDialog = {
-            newMessage: inviteMessage.message,
-            visible: true,
-            messageType,
-            inviteMessage
+    API.$on('LOGIN', function () {
+        pluginHost.emit('onLogin');
+    });
+
+    API.$on('LOGOUT', function () {
+        $app.pluginsDialog.visible = false;
+        pluginHost.emit('onLogout');
+    });
+
+    API.$on('PIPELINE', function (args) {
+        pluginHost.emit('onPipelineEvent', args.json);
+    });
+
+    $app.methods.initPlugins = async function () {
+        pluginHost.init(API);
+        pluginHost.onChange = () => {
+            this.pluginsDialog.plugins = pluginHost.getPluginList();
         };
+        try {
+            await pluginHost.load();
+        } catch (err) {
+            console.error('Failed to load plugins', err);
+        }
     };
 
-    $app.methods.saveEditAndSendInviteResponse = async function () {
-        var D = this.editAndSendInviteResponseDialog;
-        D.visible = false;
-        var messageType = D.messageType;
-        var slot = D.inviteMessage.slot;
-        if (D.inviteMessage.message !== D.newMessage) {
-            var params = {
-                message: D.newMessage
-            };
-            await API.editInviteMessage(params, messageType, slot)
-                .catch((err) => {
-                    throw err;
-                })
-                .then((args) => {
-                    API.$emit(`INVITE:${messageType.toUpperCase()}`, args);
-                    if (args.json[slot].message === D.inviteMessage.message) {
-                        this.$message({
-                            message:
-                                "VRChat API didn't update message, try again",
-                            type: 'error'
-                        });
-                        throw new Error(
-                            "VRChat API didn't update message, try again"
-                        );
-                    } else {
-                        this.$message('Invite message updated');
-                    }
-                    return args;
-                });
-        }
-        var I = this.sendInviteResponseDialog;
-        var params = {
-            responseSlot: slot,
-            rsvp: true
-        };
-        if ($app.uploadImage) {
-            API.sendInviteResponsePhoto(params, I.invite.id)
-                .catch((err) => {
-                    throw err;
-                })
-                .then((args) => {
-                    API.hideNotification({
-                        notificationId: I.invite.id
-                    });
-                    this.$message({
-                        message: 'Invite response message sent',
-                        type: 'success'
-                    });
-                    this.sendInviteResponseDialogVisible = false;
-                    this.sendInviteRequestResponseDialogVisible = false;
-                    return args;
-                });
-        } else {
-            API.sendInviteResponse(params, I.invite.id)
-                .catch((err) => {
-                    throw err;
-                })
-                .then((args) => {
-                    API.hideNotification({
-                        notificationId: I.invite.id
-                    });
-                    this.$message({
-                        message: 'Invite response message sent',
-                        type: 'success'
-                    });
-                    this.sendInviteResponseDialogVisible = false;
-                    this.sendInviteRequestResponseDialogVisible = false;
-                    return args;
-                });
+    $app.methods.showPluginsDialog = function () {
+        this.$nextTick(() => adjustDialogZ(this.$refs.pluginsDialog.$el));
+        this.pluginsDialog.plugins = pluginHost.getPluginList();
+        this.pluginsDialog.visible = true;
+    };
+
+    $app.methods.reloadPlugins = async function () {
+        var D = this.pluginsDialog;
+        D.loading = true;
+        try {
+            await pluginHost.load();
+        } catch (err) {
+            this.$message({
+                message: `Failed to load plugins: ${err}`,
+                type: 'error'
+            });
+        } finally {
+            D.loading = false;
         }
     };
 
-    $app.methods.cancelEditAndSendInviteResponse = function () {
-        this.editAndSendInviteResponseDialog.visible = false;
+    $app.methods.setPluginEnabled = async function (plugin) {
+        try {
+            await pluginHost.setEnabled(plugin.id, plugin.enabled);
+        } catch (err) {
+            this.$message({
+                message: `Failed to start ${plugin.name}: ${err}`,
+                type: 'error'
+            });
+        }
     };
 
-    $app.data.sendInviteResponseDialog = {
-        message: '',
-        messageSlot: 0,
-        invite: {}
+    $app.methods.openPluginsFolder = function () {
+        AppApi.OpenPluginsFolder();
     };
 
-    $app.data.sendInviteResponseDialogVisible = false;
+    // App: Themes
 
-    $app.data.sendInviteResponseConfirmDialog = {
-        visible: false
+    $app.data.themeTokens = themeTokens;
+
+    $app.data.themeDialog = {
+        visible: false,
+        isNew: false,
+        theme: null
     };
 
-    API.$on('LOGIN', function () {
-        $app.sendInviteResponseDialogVisible = false;
-        $app.sendInviteResponseConfirmDialog.visible = false;
+    API.$on('LOGOUT', function () {
+        $app.themeDialog.visible = false;
     });
 
-    $app.methods.showSendInviteResponseDialog = function (invite) {
-        this.sendInviteResponseDialog = {
-            invite
-        };
-        API.refreshInviteMessageTableData('response');
-        this.$nextTick(() =>
-            adjustDialogZ(this.$refs.sendInviteResponseDialog.$el)
-        );
-        this.clearInviteImageUpload();
-        this.sendInviteResponseDialogVisible = true;
+    $app.watch.activeTheme = function () {
+        configRepository.setString('VRCX_activeTheme', this.activeTheme);
+        this.applyTheme();
     };
 
-    $app.methods.showSendInviteResponseConfirmDialog = function (val) {
-        if (
-            this.editAndSendInviteResponseDialog.visible === true ||
-            val === null
-        ) {
-            return;
-        }
-        this.$nextTick(() =>
-            adjustDialogZ(this.$refs.sendInviteResponseConfirmDialog.$el)
+    // live preview while editing
+    $app.watch['themeDialog.theme'] = {
+        handler() {
+            var D = this.themeDialog;
+            if (D.visible && D.theme !== null) {
+                this.previewTheme(D.theme);
+            }
+        },
+        deep: true
+    };
+
+    $app.methods.getActiveTheme = function () {
+        return (
+            this.themes.find((theme) => theme.id === this.activeTheme) || null
         );
-        this.sendInviteResponseConfirmDialog.visible = true;
-        this.sendInviteResponseDialog.messageSlot = val.slot;
     };
 
-    $app.methods.cancelSendInviteResponse = function () {
-        this.sendInviteResponseDialogVisible = false;
+    $app.methods.saveThemes = function () {
+        configRepository.setString('VRCX_themes', JSON.stringify(this.themes));
     };
 
-    $app.methods.cancelInviteResponseConfirm = function () {
-        this.sendInviteResponseConfirmDialog.visible = false;
+    $app.methods.applyTheme = function () {
+        var theme = this.getActiveTheme();
+        $appThemeStyle.disabled = theme === null;
+        if (theme !== null) {
+            themeEngine.apply(theme);
+            this.trustColor = {...theme.trustColor};
+        } else {
+            themeEngine.clear();
+            this.trustColor = JSON.parse(
+                configRepository.getString('VRCX_trustColor')
+            );
+        }
+        this.updateDarkMode();
+        $appDarkStyle.disabled = this.isDarkMode === false;
+        this.updatetrustColor();
     };
 
-    $app.methods.sendInviteResponseConfirm = function () {
-        var D = this.sendInviteResponseDialog;
-        var params = {
-            responseSlot: D.messageSlot,
-            rsvp: true
-        };
-        if ($app.uploadImage) {
-            API.sendInviteResponsePhoto(params, D.invite.id, D.messageType)
-                .catch((err) => {
-                    throw err;
-                })
-                .then((args) => {
-                    API.hideNotification({
-                        notificationId: D.invite.id
-                    });
-                    this.$message({
-                        message: 'Invite response photo message sent',
-                        type: 'success'
-                    });
-                    return args;
-                });
+    $app.methods.previewTheme = function (theme) {
+        $appThemeStyle.disabled = false;
+        $appDarkStyle.disabled = theme.base !== 'dark';
+        themeEngine.apply(theme);
+        this.updatetrustColorClasses(theme.trustColor);
+    };
+
+    $app.methods.showThemeDialog = function (theme) {
+        this.$nextTick(() => adjustDialogZ(this.$refs.themeDialog.$el));
+        var D = this.themeDialog;
+        D.isNew = typeof theme === 'undefined';
+        if (D.isNew) {
+            D.theme = themeEngine.createTheme({
+                id: uuidv4(),
+                name: 'New Theme',
+                base: this.isDarkMode ? 'dark' : 'light'
+            });
         } else {
-            API.sendInviteResponse(params, D.invite.id, D.messageType)
-                .catch((err) => {
-                    throw err;
-                })
-                .then((args) => {
-                    API.hideNotification({
-                        notificationId: D.invite.id
-                    });
-                    this.$message({
-                        message: 'Invite response message sent',
-                        type: 'success'
-                    });
-                    return args;
-                });
+            D.theme = themeEngine.createTheme(theme);
         }
-        this.sendInviteResponseDialogVisible = false;
-        this.sendInviteRequestResponseDialogVisible = false;
-        this.sendInviteResponseConfirmDialog.visible = false;
+        D.visible = true;
     };
 
-    // App: Invite Request Response Message Dialog
+    $app.methods.duplicateTheme = function () {
+        var D = this.themeDialog;
+        D.theme = themeEngine.createTheme({
+            ...D.theme,
+            id: uuidv4(),
+            name: `${D.theme.name} (copy)`
+        });
+        D.isNew = true;
+    };
 
-    $app.data.sendInviteRequestResponseDialogVisible = false;
+    $app.methods.resetThemeColors = function () {
+        themeEngine.resetColors(this.themeDialog.theme);
+    };
 
-    $app.methods.cancelSendInviteRequestResponse = function () {
-        this.sendInviteRequestResponseDialogVisible = false;
+    $app.methods.saveTheme = function () {
+        var D = this.themeDialog;
+        var theme = themeEngine.createTheme(D.theme);
+        var index = this.themes.findIndex((item) => item.id === theme.id);
+        if (index === -1) {
+            this.themes.push(theme);
+        } else {
+            this.themes.splice(index, 1, theme);
+        }
+        this.saveThemes();
+        this.activeTheme = theme.id;
+        D.visible = false;
     };
 
-    API.$on('LOGIN', function () {
-        $app.sendInviteRequestResponseDialogVisible = false;
-        $app.showSendInviteResponseConfirmDialog.visible = false;
-    });
+    // restores the active theme after a preview
+    $app.methods.closeThemeDialog = function () {
+        this.themeDialog.theme = null;
+        this.applyTheme();
+    };
 
-    $app.methods.showSendInviteRequestResponseDialog = function (invite) {
-        this.sendInviteResponseDialog = {
-            invite
-        };
-        API.refreshInviteMessageTableData('requestResponse');
-        this.$nextTick(() =>
-            adjustDialogZ(this.$refs.sendInviteRequestResponseDialog.$el)
-        );
-        this.clearInviteImageUpload();
-        this.sendInviteRequestResponseDialogVisible = true;
+    $app.methods.deleteTheme = function () {
+        var {theme} = this.themeDialog;
+        this.$confirm(`Delete theme ${theme.name}?`, 'Confirm', {
+            confirmButtonText: 'Confirm',
+            cancelButtonText: 'Cancel',
+            type: 'info',
+            callback: (action) => {
+                if (action !== 'confirm') {
+                    return;
+                }
+                this.themes = this.themes.filter(
+                    (item) => item.id !== theme.id
+                );
+                this.saveThemes();
+                this.themeDialog.visible = false;
+                if (this.activeTheme === theme.id) {
+                    this.activeTheme = '';
+                }
+            }
+        });
     };
 
-    // App: Invite Message Dialog
+    $app.methods.exportTheme = function () {
+        var {theme} = this.themeDialog;
+        var blob = new Blob([themeEngine.export(theme)], {
+            type: 'application/json'
+        });
+        var url = URL.createObjectURL(blob);
+        var a = document.createElement('a');
+        a.href = url;
+        a.download = `${theme.name.replace(/[\\/:*?"<>|]/g, '_')}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+    };
 
-    $app.data.editAndSendInviteDialog = {
-        visible: false,
-        messageType: '',
-        newMessage: '',
-        inviteMessage: {}
+    $app.methods.displayThemeImport = function () {
+        document.getElementById('ThemeImportButton').click();
     };
 
-    $app.methods.showEditAndSendInviteDialog = function (
-        messageType,
-        inviteMessage
-    ) {
-        this.$nextTick(() =>
-            adjustDialogZ(this.$refs.editAndSendInviteDialog.$el)
-        );
-        this.editAndSendInviteDialog = {
-            newMessage: inviteMessage.message,
-            visible: true,
-            messageType,
-            inviteMessage
-        };
-    };
-
-    $app.methods.saveEditAndSendInvite = async function () {
-        var D = this.editAndSendInviteDialog;
-        D.visible = false;
-        var messageType = D.messageType;
-        var slot = D.inviteMessage.slot;
-        if (D.inviteMessage.message !== D.newMessage) {
-            var params = {
-                message: D.newMessage
-            };
-            await API.editInviteMessage(params, messageType, slot)
-                .catch((err) => {
-                    throw err;
-                })
-                .then((args) => {
-                    API.$emit(`INVITE:${messageType.toUpperCase()}`, args);
-                    if (args.json[slot].message === D.inviteMessage.message) {
-                        this.$message({
-                            message:
-                                "VRChat API didn't update message, try again",
-                            type: 'error'
-                        });
-                        throw new Error(
-                            "VRChat API didn't update message, try again"
-                        );
-                    } else {
-                        this.$message('Invite message updated');
-                    }
-                    return args;
-                });
+    $app.methods.onFileChangeThemeImport = function (e) {
+        var input = e.target;
+        var files = input.files;
+        if (!files.length) {
+            return;
         }
-        var I = this.sendInviteDialog;
-        var J = this.inviteDialog;
-        if (J.visible) {
-            if (
-                API.currentUser.status === 'busy' &&
-                J.userIds.includes(API.currentUser.id)
-            ) {
+        var r = new FileReader();
+        r.onload = () => {
+            try {
+                var theme = themeEngine.import(r.result);
+                theme.id = uuidv4();
+                this.themes.push(theme);
+                this.saveThemes();
+                this.activeTheme = theme.id;
                 this.$message({
-                    message:
-                        "You can't invite yourself in 'Do Not Disturb' mode",
+                    message: `Theme ${theme.name} imported`,
+                    type: 'success'
+                });
+            } catch (err) {
+                this.$message({
+                    message: `Theme import failed: ${err.message}`,
                     type: 'error'
                 });
-                return;
-            }
-            var inviteLoop = () => {
-                if (J.userIds.length > 0) {
-                    var receiverUserId = J.userIds.shift();
-                    if (receiverUserId === API.currentUser.id) {
-                        // can't invite self!?
-                        var L = API.parseLocation(J.worldId);
-                        API.selfInvite({
-                            instanceId: L.instanceId,
-                            worldId: L.worldId
-                        }).finally(inviteLoop);
-                    } else if ($app.uploadImage) {
-                        API.sendInvitePhoto(
-                            {
-                                instanceId: J.worldId,
-                                worldId: J.worldId,
-                                worldName: J.worldName,
-                                messageSlot: slot
-                            },
-                            receiverUserId
-                        ).finally(inviteLoop);
-                    } else {
-                        API.sendInvite(
-                            {
-                                instanceId: J.worldId,
-                                worldId: J.worldId,
-                                worldName: J.worldName,
-                                messageSlot: slot
-                            },
-                            receiverUserId
-                        ).finally(inviteLoop);
-                    }
-                } else {
-                    J.loading = false;
-                    J.visible = false;
-                    this.$message({
-                        message: 'Invite sent',
-                        type: 'success'
-                    });
-                }
-            };
-            inviteLoop();
-        } else if (I.messageType === 'invite') {
-            I.params.messageSlot = slot;
-            if ($app.uploadImage) {
-                API.sendInvitePhoto(I.params, I.userId)
-                    .catch((err) => {
-                        throw err;
-                    })
-                    .then((args) => {
-                        this.$message({
-                            message: 'Invite photo message sent',
-                            type: 'success'
-                        });
-                        return args;
-                    });
-            } else {
-                API.sendInvite(I.params, I.userId)
-                    .catch((err) => {
-                        throw err;
-                    })
-                    .then((args) => {
-                        this.$message({
-                            message: 'Invite message sent',
-                            type: 'success'
-                        });
-                        return args;
-                    });
-            }
-        } else if (I.messageType === 'requestInvite') {
-            I.params.requestSlot = slot;
-            if ($app.uploadImage) {
-                API.sendRequestInvitePhoto(I.params, I.userId)
-                    .catch((err) => {
-                        this.clearInviteImageUpload();
-                        throw err;
-                    })
-                    .then((args) => {
-                        this.$message({
-                            message: 'Request invite photo message sent',
-                            type: 'success'
-                        });
-                        return args;
-                    });
-            } else {
-                API.sendRequestInvite(I.params, I.userId)
-                    .catch((err) => {
-                        throw err;
-                    })
-                    .then((args) => {
-                        this.$message({
-                            message: 'Request invite message sent',
-                            type: 'success'
-                        });
-                        return args;
-                    });
             }
-        }
-        this.sendInviteDialogVisible = false;
-        this.sendInviteRequestDialogVisible = false;
+        };
+        r.readAsText(files[0]);
+        input.value = '';
     };
 
-    $app.methods.cancelEditAndSendInvite = function () {
-        this.editAndSendInviteDialog.visible = false;
+    // App: Wrist feed filters
+
+    $app.data.wristFeedFiltersDialog = {
+        visible: false
     };
 
-    $app.data.sendInviteDialog = {
-        message: '',
-        messageSlot: 0,
-        userId: '',
-        messageType: '',
-        params: {}
+    $app.methods.showWristFeedFiltersDialog = function () {
+        this.$nextTick(() =>
+            adjustDialogZ(this.$refs.wristFeedFiltersDialog.$el)
+        );
+        this.wristFeedFiltersDialog.visible = true;
     };
 
-    $app.data.sendInviteDialogVisible = false;
+    // App: Launch Dialog
 
-    $app.data.sendInviteConfirmDialog = {
-        visible: false
+    $app.data.launchDialog = {
+        visible: false,
+        loading: false,
+        desktop: configRepository.getBool('launchAsDesktop'),
+        tag: '',
+        location: '',
+        url: '',
+        shortName: '',
+        shortUrl: '',
+        secureOrShortName: ''
     };
 
-    API.$on('LOGIN', function () {
-        $app.sendInviteDialogVisible = false;
-        $app.sendInviteConfirmDialog.visible = false;
-    });
-
-    $app.methods.showSendInviteDialog = function (params, userId) {
-        this.sendInviteDialog = {
-            params,
-            userId,
-            messageType: 'invite'
-        };
-        API.refreshInviteMessageTableData('message');
-        this.$nextTick(() => adjustDialogZ(this.$refs.sendInviteDialog.$el));
-        this.clearInviteImageUpload();
-        this.sendInviteDialogVisible = true;
+    $app.watch['launchDialog.desktop'] = function () {
+        configRepository.setBool('launchAsDesktop', this.launchDialog.desktop);
     };
 
-    $app.methods.showSendInviteConfirmDialog = function (val) {
-        if (this.editAndSendInviteDialog.visible === true || val === null) {
+    API.$on('LOGOUT', function () {
+        $app.launchDialog.visible = false;
+    });
+
+    API.$on('INSTANCE:SHORTNAME', function (args) {
+        if (!args.json) {
             return;
         }
-        this.$nextTick(() =>
-            adjustDialogZ(this.$refs.sendInviteConfirmDialog.$el)
-        );
-        this.sendInviteConfirmDialog.visible = true;
-        this.sendInviteDialog.messageSlot = val.slot;
-    };
-
-    $app.methods.cancelSendInvite = function () {
-        this.sendInviteDialogVisible = false;
-    };
+        var shortName = args.json.shortName;
+        var secureOrShortName = shortName;
+        if (!shortName) {
+            secureOrShortName = args.json.secureName;
+        }
+        var location = `${args.instance.worldId}:${args.instance.instanceId}`;
+        if (location === $app.launchDialog.tag) {
+            var L = this.parseLocation(location);
+            L.shortName = shortName;
+            $app.launchDialog.shortName = shortName;
+            $app.launchDialog.secureOrShortName = secureOrShortName;
+            if (shortName) {
+                $app.launchDialog.shortUrl = `https://vrch.at/${shortName}`;
+            }
+            $app.launchDialog.url = $app.getLaunchURL(L);
+        }
+        if (location === $app.newInstanceDialog.location) {
+            $app.newInstanceDialog.shortName = shortName;
+            $app.newInstanceDialog.secureOrShortName = secureOrShortName;
+            $app.updateNewInstanceDialog(true);
+        }
+    });
 
-    $app.methods.cancelInviteConfirm = function () {
-        this.sendInviteConfirmDialog.visible = false;
+    $app.methods.addShortNameToFullUrl = function (input, shortName) {
+        if (input.trim().length === 0 || !shortName) {
+            return input;
+        }
+        var url = new URL(input);
+        var urlParams = new URLSearchParams(url.search);
+        urlParams.set('shortName', shortName);
+        url.search = urlParams.toString();
+        return url.toString();
     };
 
-    $app.methods.sendInviteConfirm = function () {
-        var D = this.sendInviteDialog;
-        var J = this.inviteDialog;
+    $app.methods.showLaunchDialog = function (tag, shortName) {
+        this.$nextTick(() => adjustDialogZ(this.$refs.launchDialog.$el));
+        var D = this.launchDialog;
+        D.tag = tag;
+        D.secureOrShortName = shortName;
+        D.shortUrl = '';
+        D.shortName = shortName;
+        var L = API.parseLocation(tag);
+        L.shortName = shortName;
+        if (L.isOffline || L.isPrivate || L.isTraveling || L.worldId === '') {
+            return;
+        }
+        if (shortName) {
+            D.shortUrl = `https://vrch.at/${shortName}`;
+        }
+        if (L.instanceId) {
+            D.location = `${L.worldId}:${L.instanceId}`;
+        } else {
+            D.location = L.worldId;
+        }
+        D.url = this.getLaunchURL(L);
+        D.visible = true;
+        if (!shortName) {
+            API.getInstanceShortName({
+                worldId: L.worldId,
+                instanceId: L.instanceId
+            });
+        }
+    };
+
+    $app.methods.getLaunchURL = function (instance) {
+        var L = instance;
+        if (L.instanceId) {
+            if (L.shortName) {
+                return `https://vrchat.com/home/launch?worldId=${encodeURIComponent(
+                    L.worldId
+                )}&instanceId=${encodeURIComponent(
+                    L.instanceId
+                )}&shortName=${encodeURIComponent(L.shortName)}`;
+            }
+            return `https://vrchat.com/home/launch?worldId=${encodeURIComponent(
+                L.worldId
+            )}&instanceId=${encodeURIComponent(L.instanceId)}`;
+        }
+        return `https://vrchat.com/home/launch?worldId=${encodeURIComponent(
+            L.worldId
+        )}`;
+    };
+
+    $app.methods.launchGame = function (location, shortName) {
+        var D = this.launchDialog;
+        var args = [];
+        if (shortName) {
+            args.push(`vrchat://launch?id=${location}&shortName=${shortName}`);
+        } else {
+            args.push(`vrchat://launch?id=${location}`);
+        }
+        var {launchArguments, vrcLaunchPathOverride} = this.launchOptionsDialog;
+        if (launchArguments) {
+            args.push(launchArguments);
+        }
+        if (D.desktop) {
+            args.push('--no-vr');
+        }
+        if (vrcLaunchPathOverride) {
+            AppApi.StartGameFromPath(vrcLaunchPathOverride, args.join(' '));
+        } else {
+            AppApi.StartGame(args.join(' '));
+        }
+        D.visible = false;
+    };
+
+    // App: Copy To Clipboard
+
+    $app.methods.copyToClipboard = function (text) {
+        var textArea = document.createElement('textarea');
+        textArea.id = 'copy_to_clipboard';
+        textArea.value = text;
+        textArea.style.top = '0';
+        textArea.style.left = '0';
+        textArea.style.position = 'fixed';
+        document.body.appendChild(textArea);
+        textArea.focus();
+        textArea.select();
+        document.execCommand('copy');
+        document.getElementById('copy_to_clipboard').remove();
+    };
+
+    $app.methods.copyInstanceMessage = function (input) {
+        this.copyToClipboard(input);
+        this.$message({
+            message: 'Instance copied to clipboard',
+            type: 'success'
+        });
+        return input;
+    };
+
+    $app.methods.copyInstanceUrl = async function (location) {
+        var L = API.parseLocation(location);
+        var args = await API.getInstanceShortName({
+            worldId: L.worldId,
+            instanceId: L.instanceId
+        });
+        if (args.json && args.json.shortName) {
+            L.shortName = args.json.shortName;
+        }
+        var newUrl = this.getLaunchURL(L);
+        this.copyInstanceMessage(newUrl);
+    };
+
+    $app.methods.copyAvatarId = function (avatarId) {
+        this.$message({
+            message: 'Avatar ID copied to clipboard',
+            type: 'success'
+        });
+        this.copyToClipboard(avatarId);
+    };
+
+    $app.methods.copyAvatarUrl = function (avatarId) {
+        this.$message({
+            message: 'Avatar URL copied to clipboard',
+            type: 'success'
+        });
+        this.copyToClipboard(`https://vrchat.com/home/avatar/${avatarId}`);
+    };
+
+    $app.methods.copyWorldId = function (worldId) {
+        this.$message({
+            message: 'World ID copied to clipboard',
+            type: 'success'
+        });
+        this.copyToClipboard(worldId);
+    };
+
+    $app.methods.copyWorldUrl = function (worldId) {
+        this.$message({
+            message: 'World URL copied to clipboard',
+            type: 'success'
+        });
+        this.copyToClipboard(`https://vrchat.com/home/world/${worldId}`);
+    };
+
+    $app.methods.copyUser = function (userId) {
+        this.$message({
+            message: 'User URL copied to clipboard',
+            type: 'success'
+        });
+        this.copyToClipboard(`https://vrchat.com/home/user/${userId}`);
+    };
+
+    $app.methods.copyGroupId = function (groupId) {
+        this.$message({
+            message: 'Group ID copied to clipboard',
+            type: 'success'
+        });
+        this.copyToClipboard(groupId);
+    };
+
+    $app.methods.copyGroupUrl = function (groupUrl) {
+        this.$message({
+            message: 'Group URL copied to clipboard',
+            type: 'success'
+        });
+        this.copyToClipboard(groupUrl);
+    };
+
+    $app.methods.copyText = function (text) {
+        this.$message({
+            message: 'Text copied to clipboard',
+            type: 'success'
+        });
+        this.copyToClipboard(text);
+    };
+
+    // App: VRCPlus Icons
+
+    API.$on('LOGIN', function () {
+        $app.VRCPlusIconsTable = [];
+    });
+
+    $app.methods.refreshVRCPlusIconsTable = function () {
+        this.galleryDialogIconsLoading = true;
+        var params = {
+            n: 100,
+            tag: 'icon'
+        };
+        API.getFileList(params);
+    };
+
+    API.getFileList = function (params) {
+        return this.call('files', {
+            method: 'GET',
+            params
+        }).then((json) => {
+            var args = {
+                json,
+                params
+            };
+            this.$emit('FILES:LIST', args);
+            return args;
+        });
+    };
+
+    API.$on('FILES:LIST', function (args) {
+        if (args.params.tag === 'icon') {
+            $app.VRCPlusIconsTable = args.json.reverse();
+            $app.galleryDialogIconsLoading = false;
+        }
+    });
+
+    $app.methods.setVRCPlusIcon = function (fileId) {
+        if (!API.currentUser.$isVRCPlus) {
+            this.$message({
+                message: 'VRCPlus required',
+                type: 'error'
+            });
+        }
+        var userIcon = '';
+        if (fileId) {
+            userIcon = `${API.endpointDomain}/file/${fileId}/1`;
+        }
+        if (userIcon === API.currentUser.userIcon) {
+            return;
+        }
+        API.saveCurrentUser({
+            userIcon
+        }).then((args) => {
+            this.$message({
+                message: 'Icon changed',
+                type: 'success'
+            });
+            return args;
+        });
+    };
+
+    $app.methods.deleteVRCPlusIcon = function (fileId) {
+        API.deleteFile(fileId).then((args) => {
+            API.$emit('VRCPLUSICON:DELETE', args);
+            return args;
+        });
+    };
+
+    API.$on('VRCPLUSICON:DELETE', function (args) {
+        var array = $app.VRCPlusIconsTable;
+        var {length} = array;
+        for (var i = 0; i < length; ++i) {
+            if (args.fileId === array[i].id) {
+                array.splice(i, 1);
+                break;
+            }
+        }
+    });
+
+    API.deleteFile = function (fileId) {
+        return this.call(`file/${fileId}`, {
+            method: 'DELETE'
+        }).then((json) => {
+            var args = {
+                json,
+                fileId
+            };
+            return args;
+        });
+    };
+
+    API.deleteFileVersion = function (params) {
+        return this.call(`file/${params.fileId}/${params.version}`, {
+            method: 'DELETE'
+        }).then((json) => {
+            var args = {
+                json,
+                params
+            };
+            return args;
+        });
+    };
+
+    $app.methods.compareCurrentVRCPlusIcon = function (userIcon) {
+        var currentUserIcon = extractFileId(API.currentUser.userIcon);
+        if (userIcon === currentUserIcon) {
+            return true;
+        }
+        return false;
+    };
+
+    $app.methods.onFileChangeVRCPlusIcon = function (e) {
+        var clearFile = function () {
+            if (document.querySelector('#VRCPlusIconUploadButton')) {
+                document.querySelector('#VRCPlusIconUploadButton').value = '';
+            }
+        };
+        var files = e.target.files || e.dataTransfer.files;
+        if (!files.length) {
+            return;
+        }
+        if (files[0].size >= 10000000) {
+            // 10MB
+            $app.$message({
+                message: 'File size too large',
+                type: 'error'
+            });
+            clearFile();
+            return;
+        }
+        if (!files[0].type.match(/image.*/)) {
+            $app.$message({
+                message: "File isn't an image",
+                type: 'error'
+            });
+            clearFile();
+            return;
+        }
+        var r = new FileReader();
+        r.onload = function () {
+            var base64Body = btoa(r.result);
+            API.uploadVRCPlusIcon(base64Body).then((args) => {
+                $app.$message({
+                    message: 'Icon uploaded',
+                    type: 'success'
+                });
+                return args;
+            });
+        };
+        r.readAsBinaryString(files[0]);
+        clearFile();
+    };
+
+    $app.methods.displayVRCPlusIconUpload = function () {
+        document.getElementById('VRCPlusIconUploadButton').click();
+    };
+
+    API.uploadVRCPlusIcon = function (params) {
+        return this.call('icon', {
+            uploadImage: true,
+            imageData: params
+        }).then((json) => {
+            var args = {
+                json,
+                params
+            };
+            this.$emit('VRCPLUSICON:ADD', args);
+            return args;
+        });
+    };
+
+    API.$on('VRCPLUSICON:ADD', function (args) {
+        if (Object.keys($app.VRCPlusIconsTable).length !== 0) {
+            $app.VRCPlusIconsTable.push(args.json);
+        }
+    });
+
+    $app.data.uploadImage = '';
+
+    $app.methods.inviteImageUpload = function (e) {
+        var files = e.target.files || e.dataTransfer.files;
+        if (!files.length) {
+            return;
+        }
+        if (files[0].size >= 10000000) {
+            // 10MB
+            $app.$message({
+                message: 'File size too large',
+                type: 'error'
+            });
+            this.clearInviteImageUpload();
+            return;
+        }
+        if (!files[0].type.match(/image.png/)) {
+            $app.$message({
+                message: "File isn't a png",
+                type: 'error'
+            });
+            this.clearInviteImageUpload();
+            return;
+        }
+        var r = new FileReader();
+        r.onload = function () {
+            $app.uploadImage = btoa(r.result);
+        };
+        r.readAsBinaryString(files[0]);
+    };
+
+    $app.methods.clearInviteImageUpload = function () {
+        var buttonList = document.querySelectorAll('.inviteImageUploadButton');
+        buttonList.forEach((button) => (button.value = ''));
+        this.uploadImage = '';
+    };
+
+    $app.methods.userOnlineFor = function (ctx) {
+        if (ctx.ref.state === 'online' && ctx.ref.$online_for) {
+            return Date.now() - ctx.ref.$online_for;
+        } else if (ctx.ref.$offline_for) {
+            return Date.now() - ctx.ref.$offline_for;
+        }
+        return '-';
+    };
+
+    $app.methods.userOnlineForTimestamp = function (ctx) {
+        if (ctx.ref.state === 'online' && ctx.ref.$online_for) {
+            return ctx.ref.$online_for;
+        } else if (ctx.ref.$offline_for) {
+            return ctx.ref.$offline_for;
+        }
+        return 0;
+    };
+
+    // App: Invite Messages
+
+    API.$on('LOGIN', function () {
+        $app.inviteMessageTable.data = [];
+        $app.inviteResponseMessageTable.data = [];
+        $app.inviteRequestMessageTable.data = [];
+        $app.inviteRequestResponseMessageTable.data = [];
+        $app.inviteMessageTable.visible = false;
+        $app.inviteResponseMessageTable.visible = false;
+        $app.inviteRequestMessageTable.visible = false;
+        $app.inviteRequestResponseMessageTable.visible = false;
+    });
+
+    $app.methods.refreshInviteMessageTable = function (messageType) {
+        API.refreshInviteMessageTableData(messageType);
+    };
+
+    API.refreshInviteMessageTableData = function (messageType) {
+        return this.call(`message/${this.currentUser.id}/${messageType}`, {
+            method: 'GET'
+        }).then((json) => {
+            var args = {
+                json,
+                messageType
+            };
+            this.$emit(`INVITE:${messageType.toUpperCase()}`, args);
+            return args;
+        });
+    };
+
+    API.$on('INVITE:MESSAGE', function (args) {
+        $app.inviteMessageTable.data = args.json;
+    });
+
+    API.$on('INVITE:RESPONSE', function (args) {
+        $app.inviteResponseMessageTable.data = args.json;
+    });
+
+    API.$on('INVITE:REQUEST', function (args) {
+        $app.inviteRequestMessageTable.data = args.json;
+    });
+
+    API.$on('INVITE:REQUESTRESPONSE', function (args) {
+        $app.inviteRequestResponseMessageTable.data = args.json;
+    });
+
+    API.editInviteMessage = function (params, messageType, slot) {
+        return this.call(
+            `message/${this.currentUser.id}/${messageType}/${slot}`,
+            {
+                method: 'PUT',
+                params
+            }
+        ).then((json) => {
+            var args = {
+                json,
+                params,
+                messageType,
+                slot
+            };
+            return args;
+        });
+    };
+
+    // App: Edit Invite Message Dialog
+
+    $app.data.editInviteMessageDialog = {
+        visible: false,
+        inviteMessage: {},
+        messageType: '',
+        newMessage: ''
+    };
+
+    $app.methods.showEditInviteMessageDialog = function (
+        messageType,
+        inviteMessage
+    ) {
+        this.$nextTick(() =>
+            adjustDialogZ(this.$refs.editInviteMessageDialog.$el)
+        );
+        var D = this.editInviteMessageDialog;
+        D.newMessage = inviteMessage.message;
+        D.visible = true;
+        D.inviteMessage = inviteMessage;
+        D.messageType = messageType;
+    };
+
+    $app.methods.saveEditInviteMessage = function () {
+        var D = this.editInviteMessageDialog;
+        D.visible = false;
+        if (D.inviteMessage.message !== D.newMessage) {
+            var slot = D.inviteMessage.slot;
+            var messageType = D.messageType;
+            var params = {
+                message: D.newMessage
+            };
+            API.editInviteMessage(params, messageType, slot)
+                .catch((err) => {
+                    throw err;
+                })
+                .then((args) => {
+                    API.$emit(`INVITE:${messageType.toUpperCase()}`, args);
+                    if (args.json[slot].message === D.inviteMessage.message) {
+                        this.$message({
+                            message:
+                                "VRChat API didn't update message, try again",
+                            type: 'error'
+                        });
+                        throw new Error(
+                            "VRChat API didn't update message, try again"
+                        );
+                    } else {
+                        this.$message('Invite message updated');
+                    }
+                    return args;
+                });
+        }
+    };
+
+    $app.methods.cancelEditInviteMessage = function () {
+        this.editInviteMessageDialog.visible = false;
+    };
+
+    // App: Edit and Send Invite Response Message Dialog
+
+    $app.data.editAndSendInviteResponseDialog = {
+        visible: false,
+        inviteMessage: {},
+        messageType: '',
+        newMessage: ''
+    };
+
+    $app.methods.showEditAndSendInviteResponseDialog = function (
+        messageType,
+        inviteMessage
+    ) {
+        this.$nextTick(() =>
+            adjustDialogZ(this.$refs.editAndSendInviteResponseDialog.$el)
+        );
+        this.editAndSendInviteResponseDialog = {
+            newMessage: inviteMessage.message,
+            visible: true,
+            messageType,
+            inviteMessage
+        };
+    };
+
+    $app.methods.saveEditAndSendInviteResponse = async function () {
+        var D = this.editAndSendInviteResponseDialog;
+        D.visible = false;
+        var messageType = D.messageType;
+        var slot = D.inviteMessage.slot;
+        if (D.inviteMessage.message !== D.newMessage) {
+            var params = {
+                message: D.newMessage
+            };
+            await API.editInviteMessage(params, messageType, slot)
+                .catch((err) => {
+                    throw err;
+                })
+                .then((args) => {
+                    API.$emit(`INVITE:${messageType.toUpperCase()}`, args);
+                    if (args.json[slot].message === D.inviteMessage.message) {
+                        this.$message({
+                            message:
+                                "VRChat API didn't update message, try again",
+                            type: 'error'
+                        });
+                        throw new Error(
+                            "VRChat API didn't update message, try again"
+                        );
+                    } else {
+                        this.$message('Invite message updated');
+                    }
+                    return args;
+                });
+        }
+        var I = this.sendInviteResponseDialog;
+        var params = {
+            responseSlot: slot,
+            rsvp: true
+        };
+        if ($app.uploadImage) {
+            API.sendInviteResponsePhoto(params, I.invite.id)
+                .catch((err) => {
+                    throw err;
+                })
+                .then((args) => {
+                    API.hideNotification({
+                        notificationId: I.invite.id
+                    });
+                    this.$message({
+                        message: 'Invite response message sent',
+                        type: 'success'
+                    });
+                    this.sendInviteResponseDialogVisible = false;
+                    this.sendInviteRequestResponseDialogVisible = false;
+                    return args;
+                });
+        } else {
+            API.sendInviteResponse(params, I.invite.id)
+                .catch((err) => {
+                    throw err;
+                })
+                .then((args) => {
+                    API.hideNotification({
+                        notificationId: I.invite.id
+                    });
+                    this.$message({
+                        message: 'Invite response message sent',
+                        type: 'success'
+                    });
+                    this.sendInviteResponseDialogVisible = false;
+                    this.sendInviteRequestResponseDialogVisible = false;
+                    return args;
+                });
+        }
+    };
+
+    $app.methods.cancelEditAndSendInviteResponse = function () {
+        this.editAndSendInviteResponseDialog.visible = false;
+    };
+
+    $app.data.sendInviteResponseDialog = {
+        message: '',
+        messageSlot: 0,
+        invite: {}
+    };
+
+    $app.data.sendInviteResponseDialogVisible = false;
+
+    $app.data.sendInviteResponseConfirmDialog = {
+        visible: false
+    };
+
+    API.$on('LOGIN', function () {
+        $app.sendInviteResponseDialogVisible = false;
+        $app.sendInviteResponseConfirmDialog.visible = false;
+    });
+
+    $app.methods.showSendInviteResponseDialog = function (invite) {
+        this.sendInviteResponseDialog = {
+            invite
+        };
+        API.refreshInviteMessageTableData('response');
+        this.$nextTick(() =>
+            adjustDialogZ(this.$refs.sendInviteResponseDialog.$el)
+        );
+        this.clearInviteImageUpload();
+        this.sendInviteResponseDialogVisible = true;
+    };
+
+    $app.methods.showSendInviteResponseConfirmDialog = function (val) {
+        if (
+            this.editAndSendInviteResponseDialog.visible === true ||
+            val === null
+        ) {
+            return;
+        }
+        this.$nextTick(() =>
+            adjustDialogZ(this.$refs.sendInviteResponseConfirmDialog.$el)
+        );
+        this.sendInviteResponseConfirmDialog.visible = true;
+        this.sendInviteResponseDialog.messageSlot = val.slot;
+    };
+
+    $app.methods.cancelSendInviteResponse = function () {
+        this.sendInviteResponseDialogVisible = false;
+    };
+
+    $app.methods.cancelInviteResponseConfirm = function () {
+        this.sendInviteResponseConfirmDialog.visible = false;
+    };
+
+    $app.methods.sendInviteResponseConfirm = function () {
+        var D = this.sendInviteResponseDialog;
+        var params = {
+            responseSlot: D.messageSlot,
+            rsvp: true
+        };
+        if ($app.uploadImage) {
+            API.sendInviteResponsePhoto(params, D.invite.id, D.messageType)
+                .catch((err) => {
+                    throw err;
+                })
+                .then((args) => {
+                    API.hideNotification({
+                        notificationId: D.invite.id
+                    });
+                    this.$message({
+                        message: 'Invite response photo message sent',
+                        type: 'success'
+                    });
+                    return args;
+                });
+        } else {
+            API.sendInviteResponse(params, D.invite.id, D.messageType)
+                .catch((err) => {
+                    throw err;
+                })
+                .then((args) => {
+                    API.hideNotification({
+                        notificationId: D.invite.id
+                    });
+                    this.$message({
+                        message: 'Invite response message sent',
+                        type: 'success'
+                    });
+                    return args;
+                });
+        }
+        this.sendInviteResponseDialogVisible = false;
+        this.sendInviteRequestResponseDialogVisible = false;
+        this.sendInviteResponseConfirmDialog.visible = false;
+    };
+
+    // App: Invite Request Response Message Dialog
+
+    $app.data.sendInviteRequestResponseDialogVisible = false;
+
+    $app.methods.cancelSendInviteRequestResponse = function () {
+        this.sendInviteRequestResponseDialogVisible = false;
+    };
+
+    API.$on('LOGIN', function () {
+        $app.sendInviteRequestResponseDialogVisible = false;
+        $app.showSendInviteResponseConfirmDialog.visible = false;
+    });
+
+    $app.methods.showSendInviteRequestResponseDialog = function (invite) {
+        this.sendInviteResponseDialog = {
+            invite
+        };
+        API.refreshInviteMessageTableData('requestResponse');
+        this.$nextTick(() =>
+            adjustDialogZ(this.$refs.sendInviteRequestResponseDialog.$el)
+        );
+        this.clearInviteImageUpload();
+        this.sendInviteRequestResponseDialogVisible = true;
+    };
+
+    // App: Invite Message Dialog
+
+    $app.data.editAndSendInviteDialog = {
+        visible: false,
+        messageType: '',
+        newMessage: '',
+        inviteMessage: {}
+    };
+
+    $app.methods.showEditAndSendInviteDialog = function (
+        messageType,
+        inviteMessage
+    ) {
+        this.$nextTick(() =>
+            adjustDialogZ(this.$refs.editAndSendInviteDialog.$el)
+        );
+        this.editAndSendInviteDialog = {
+            newMessage: inviteMessage.message,
+            visible: true,
+            messageType,
+            inviteMessage
+        };
+    };
+
+    $app.methods.saveEditAndSendInvite = async function () {
+        var D = this.editAndSendInviteDialog;
+        D.visible = false;
+        var messageType = D.messageType;
+        var slot = D.inviteMessage.slot;
+        if (D.inviteMessage.message !== D.newMessage) {
+            var params = {
+                message: D.newMessage
+            };
+            await API.editInviteMessage(params, messageType, slot)
+                .catch((err) => {
+                    throw err;
+                })
+                .then((args) => {
+                    API.$emit(`INVITE:${messageType.toUpperCase()}`, args);
+                    if (args.json[slot].message === D.inviteMessage.message) {
+                        this.$message({
+                            message:
+                                "VRChat API didn't update message, try again",
+                            type: 'error'
+                        });
+                        throw new Error(
+                            "VRChat API didn't update message, try again"
+                        );
+                    } else {
+                        this.$message('Invite message updated');
+                    }
+                    return args;
+                });
+        }
+        var I = this.sendInviteDialog;
+        var J = this.inviteDialog;
+        if (J.visible) {
+            if (
+                API.currentUser.status === 'busy' &&
+                J.userIds.includes(API.currentUser.id)
+            ) {
+                this.$message({
+                    message:
+                        "You can't invite yourself in 'Do Not Disturb' mode",
+                    type: 'error'
+                });
+                return;
+            }
+            var inviteLoop = () => {
+                if (J.userIds.length > 0) {
+                    var receiverUserId = J.userIds.shift();
+                    if (receiverUserId === API.currentUser.id) {
+                        // can't invite self!?
+                        var L = API.parseLocation(J.worldId);
+                        API.selfInvite({
+                            instanceId: L.instanceId,
+                            worldId: L.worldId
+                        }).finally(inviteLoop);
+                    } else if ($app.uploadImage) {
+                        API.sendInvitePhoto(
+                            {
+                                instanceId: J.worldId,
+                                worldId: J.worldId,
+                                worldName: J.worldName,
+                                messageSlot: slot
+                            },
+                            receiverUserId
+                        ).finally(inviteLoop);
+                    } else {
+                        API.sendInvite(
+                            {
+                                instanceId: J.worldId,
+                                worldId: J.worldId,
+                                worldName: J.worldName,
+                                messageSlot: slot
+                            },
+                            receiverUserId
+                        ).finally(inviteLoop);
+                    }
+                } else {
+                    J.loading = false;
+                    J.visible = false;
+                    this.$message({
+                        message: 'Invite sent',
+                        type: 'success'
+                    });
+                }
+            };
+            inviteLoop();
+        } else if (I.messageType === 'invite') {
+            I.params.messageSlot = slot;
+            if ($app.uploadImage) {
+                API.sendInvitePhoto(I.params, I.userId)
+                    .catch((err) => {
+                        throw err;
+                    })
+                    .then((args) => {
+                        this.$message({
+                            message: 'Invite photo message sent',
+                            type: 'success'
+                        });
+                        return args;
+                    });
+            } else {
+                API.sendInvite(I.params, I.userId)
+                    .catch((err) => {
+                        throw err;
+                    })
+                    .then((args) => {
+                        this.$message({
+                            message: 'Invite message sent',
+                            type: 'success'
+                        });
+                        return args;
+                    });
+            }
+        } else if (I.messageType === 'requestInvite') {
+            I.params.requestSlot = slot;
+            if ($app.uploadImage) {
+                API.sendRequestInvitePhoto(I.params, I.userId)
+                    .catch((err) => {
+                        this.clearInviteImageUpload();
+                        throw err;
+                    })
+                    .then((args) => {
+                        this.$message({
+                            message: 'Request invite photo message sent',
+                            type: 'success'
+                        });
+                        return args;
+                    });
+            } else {
+                API.sendRequestInvite(I.params, I.userId)
+                    .catch((err) => {
+                        throw err;
+                    })
+                    .then((args) => {
+                        this.$message({
+                            message: 'Request invite message sent',
+                            type: 'success'
+                        });
+                        return args;
+                    });
+            }
+        }
+        this.sendInviteDialogVisible = false;
+        this.sendInviteRequestDialogVisible = false;
+    };
+
+    $app.methods.cancelEditAndSendInvite = function () {
+        this.editAndSendInviteDialog.visible = false;
+    };
+
+    $app.data.sendInviteDialog = {
+        message: '',
+        messageSlot: 0,
+        userId: '',
+        messageType: '',
+        params: {}
+    };
+
+    $app.data.sendInviteDialogVisible = false;
+
+    $app.data.sendInviteConfirmDialog = {
+        visible: false
+    };
+
+    API.$on('LOGIN', function () {
+        $app.sendInviteDialogVisible = false;
+        $app.sendInviteConfirmDialog.visible = false;
+    });
+
+    $app.methods.showSendInviteDialog = function (params, userId) {
+        this.sendInviteDialog = {
+            params,
+            userId,
+            messageType: 'invite'
+        };
+        API.refreshInviteMessageTableData('message');
+        this.$nextTick(() => adjustDialogZ(this.$refs.sendInviteDialog.$el));
+        this.clearInviteImageUpload();
+        this.sendInviteDialogVisible = true;
+    };
+
+    $app.methods.showSendInviteConfirmDialog = function (val) {
+        if (this.editAndSendInviteDialog.visible === true || val === null) {
+            return;
+        }
+        this.$nextTick(() =>
+            adjustDialogZ(this.$refs.sendInviteConfirmDialog.$el)
+        );
+        this.sendInviteConfirmDialog.visible = true;
+        this.sendInviteDialog.messageSlot = val.slot;
+    };
+
+    $app.methods.cancelSendInvite = function () {
+        this.sendInviteDialogVisible = false;
+    };
+
+    $app.methods.cancelInviteConfirm = function () {
+        this.sendInviteConfirmDialog.visible = false;
+    };
+
+    $app.methods.sendInviteConfirm = function () {
+        var D = this.sendInviteDialog;
+        var J = this.inviteDialog;
         if (J.visible) {
             if (
                 API.currentUser.status === 'busy' &&
@@ -18231,6 +20845,7 @@ speechSynthesis.getVoices();
 
     $app.data.friendsListSearch = '';
     $app.data.friendsListSearchFilterVIP = false;
+    $app.data.friendsListSearchFilterGroup = '';
     $app.data.friendsListSearchFilters = [];
     $app.data.friendsListSelectAllCheckbox = false;
     $app.data.friendsListBulkUnfriendMode = false;
@@ -18263,14 +20878,16 @@ speechSynthesis.getVoices();
         );
     };
 
-    $app.methods.bulkUnfriendSelection = function () {
-        for (var ctx of this.friendsListTable.data) {
-            if (ctx.$selected) {
-                API.deleteFriend({
-                    userId: ctx.id
-                });
+    $app.methods.bulkUnfriendSelection = function () {
+        API.withRequestPriority('low', () => {
+            for (var ctx of this.friendsListTable.data) {
+                if (ctx.$selected) {
+                    API.deleteFriend({
+                        userId: ctx.id
+                    });
+                }
             }
-        }
+        });
     };
 
     // $app.methods.showBulkUnfriendAllConfirm = function () {
@@ -18310,6 +20927,13 @@ speechSynthesis.getVoices();
         if (this.friendsListSearch) {
             var query = this.friendsListSearch.toUpperCase();
         }
+        var groupUserIds = null;
+        if (this.friendsListSearchFilterGroup) {
+            groupUserIds = friendGroups.getMemberIds(
+                this.localFriendGroups,
+                this.friendsListSearchFilterGroup
+            );
+        }
         for (var ctx of this.friends.values()) {
             if (typeof ctx.ref === 'undefined') {
                 continue;
@@ -18320,6 +20944,9 @@ speechSynthesis.getVoices();
             if (this.friendsListSearchFilterVIP && !ctx.isVIP) {
                 continue;
             }
+            if (groupUserIds !== null && !groupUserIds.has(ctx.id)) {
+                continue;
+            }
             if (query && filters) {
                 var match = false;
                 if (
@@ -18396,9 +21023,13 @@ speechSynthesis.getVoices();
             }
             i++;
             this.friendsListLoadingProgress = `${i}/${length}`;
-            await API.getUser({
-                userId
-            });
+            await API.withRequestPriority(
+                'low',
+                (params) => API.getUser(params),
+                {
+                    userId
+                }
+            );
         }
         this.friendsListLoadingProgress = '';
         this.friendsListLoading = false;
@@ -19508,10 +22139,32 @@ speechSynthesis.getVoices();
             }
         } else if (obj.label === 'JSON') {
             this.refreshUserDialogTreeData();
+        } else if (obj.label === 'Chatbox') {
+            this.refreshUserDialogChatBox();
         }
         this.userDialogLastActiveTab = obj.label;
     };
 
+    $app.methods.refreshUserDialogChatBox = async function () {
+        var D = this.userDialog;
+        var userId = D.id;
+        D.isChatBoxLoading = true;
+        try {
+            this.setUserDialogChatBox(
+                userId,
+                await database.getChatBoxHistory(userId, D.chatBoxSearch)
+            );
+        } finally {
+            D.isChatBoxLoading = false;
+        }
+    };
+
+    $app.methods.setUserDialogChatBox = function (userId, chatBoxHistory) {
+        if (this.userDialog.id === userId) {
+            this.userDialog.chatBoxHistory = chatBoxHistory;
+        }
+    };
+
     // VRChat Config JSON
 
     $app.data.VRChatConfigFile = {};
@@ -19671,8 +22324,6 @@ speechSynthesis.getVoices();
 
     // YouTube API
 
-    $app.data.youTubeApiKey = '';
-
     $app.data.youTubeApiDialog = {
         visible: false
     };
@@ -19698,10 +22349,18 @@ speechSynthesis.getVoices();
                 type: 'error'
             });
         } else {
-            configRepository.setString(
-                'VRCX_youtubeAPIKey',
-                this.youTubeApiKey
-            );
+            try {
+                await secureConfigRepository.setString(
+                    'VRCX_youtubeAPIKey',
+                    this.youTubeApiKey
+                );
+            } catch (err) {
+                this.$message({
+                    message: `YouTube API key not saved: ${err.message}`,
+                    type: 'error'
+                });
+                return;
+            }
             this.$message({
                 message: 'YouTube API key valid!',
                 type: 'success'
@@ -19801,93 +22460,574 @@ speechSynthesis.getVoices();
 
     $app.data.cacheAutoDownloadHistory = new Set();
 
-    $app.methods.downloadFileQueueUpdate = async function () {
-        if (this.downloadQueue.size === 0) {
+    // Downloads run side by side up to downloadMaxConcurrent. The queue is
+    // kept in the download_queue table so it's picked up again after a
+    // restart, partial files are resumed by AssetBundleCacher. VRCX updates
+    // and world prefetches aren't kept, they're queued again when needed.
+
+    var downloadRetryLimit = 3;
+    var downloadRetryDelay = 5000; // doubled for every attempt
+    var downloadProgressTimer = null;
+
+    $app.data.downloadProgress = 0;
+    $app.data.downloadInProgress = false;
+    $app.data.downloadIsProcessing = false;
+    $app.data.downloadQueue = new Map();
+    $app.data.downloadQueueLoaded = false;
+    $app.data.downloadMaxConcurrent = configRepository.getInt(
+        'VRCX_downloadMaxConcurrent',
+        2
+    );
+
+    API.$on('LOGIN', function () {
+        $app.loadDownloadQueue();
+    });
+
+    $app.methods.loadDownloadQueue = async function () {
+        if (this.downloadQueueLoaded) {
             return;
         }
-        this.downloadProgress = 0;
-        this.downloadIsProcessing = false;
-        this.downloadInProgress = true;
-        this.downloadCurrent = this.downloadQueue.values().next().value;
-        this.downloadCurrent.id = this.downloadQueue.keys().next().value;
-        var {ref} = this.downloadCurrent;
-        this.downloadQueue.delete(ref.id);
-        this.downloadQueueTable.data = Array.from(this.downloadQueue.values());
+        this.downloadQueueLoaded = true;
+        var queue = await database.getDownloadQueue();
+        for (var entry of queue) {
+            if (this.downloadQueue.has(entry.id)) {
+                continue;
+            }
+            this.downloadQueue.set(
+                entry.id,
+                this.createDownloadEntry({
+                    ...entry,
+                    // interrupted by closing VRCX
+                    status: entry.status === 'Paused' ? 'Paused' : 'Queued'
+                })
+            );
+        }
+        this.updateDownloadQueueTable();
+        this.downloadFileQueueUpdate();
+    };
+
+    $app.methods.createDownloadEntry = function (item) {
+        return {
+            id: '',
+            created_at: new Date().toJSON(),
+            name: '',
+            type: '',
+            url: '',
+            size: 0,
+            md5: '',
+            fileName: '',
+            autoInstall: false,
+            status: 'Queued',
+            progress: 0,
+            attempts: 0,
+            retryAt: 0,
+            error: '',
+            location: '',
+            // set to download into the VRChat cache
+            cacheFileId: '',
+            cacheVersion: 0,
+            maxKBps: 0,
+            ...item,
+            ref: {
+                id: item.id,
+                name: item.name
+            }
+        };
+    };
 
-        var url = this.downloadCurrent.updateZipUrl;
-        var size = this.downloadCurrent.size;
-        await AssetBundleCacher.DownloadFile(url, size);
-        this.downloadFileProgress();
+    $app.methods.isPersistentDownload = function (entry) {
+        return entry.id !== 'VRCXUpdate' && !entry.cacheFileId;
     };
 
-    $app.methods.cancelDownload = function (id) {
-        AssetBundleCacher.CancelDownload();
-        if (this.downloadQueue.has(id)) {
-            this.downloadQueue.delete(id);
-            this.downloadQueueTable.data = Array.from(
-                this.downloadQueue.values()
-            );
+    $app.methods.saveDownloadEntry = function (entry) {
+        if (this.isPersistentDownload(entry)) {
+            database.updateDownloadQueue(entry);
         }
     };
 
-    $app.methods.cancelAllDownloads = function () {
-        if (typeof this.downloadCurrent.id !== 'undefined') {
-            this.cancelDownload(this.downloadCurrent.id);
+    $app.methods.updateDownloadQueueTable = function () {
+        this.downloadQueueTable.data = Array.from(this.downloadQueue.values());
+        this.updateDownloadProgress();
+    };
+
+    // item: {id, name, type, url, size, md5, fileName}, the file is checked
+    // against md5 when it's set, returns false when it's already queued.
+    // cacheFileId and cacheVersion instead of fileName put it in the VRChat
+    // cache.
+    $app.methods.queueDownload = function (item) {
+        if (this.downloadQueue.has(item.id)) {
+            return false;
         }
-        for (var queue of this.downloadQueue.values()) {
-            this.cancelDownload(queue.ref.id);
+        var entry = this.createDownloadEntry(item);
+        this.downloadQueue.set(entry.id, entry);
+        if (this.isPersistentDownload(entry)) {
+            database.addDownloadQueue(entry);
         }
+        this.updateDownloadQueueTable();
+        this.downloadFileQueueUpdate();
+        return true;
     };
 
-    $app.data.downloadProgress = 0;
-    $app.data.downloadInProgress = false;
-    $app.data.downloadIsProcessing = false;
-    $app.data.downloadQueue = new Map();
-    $app.data.downloadCurrent = {};
+    $app.methods.downloadFileQueueUpdate = async function () {
+        var now = Date.now();
+        var active = 0;
+        var prefetching = false;
+        var waiting = [];
+        for (var entry of this.downloadQueue.values()) {
+            if (entry.status === 'Downloading') {
+                ++active;
+                if (entry.type === 'Prefetch') {
+                    prefetching = true;
+                }
+            } else if (entry.status === 'Queued' && entry.retryAt <= now) {
+                waiting.push(entry);
+            }
+        }
+        // prefetches run one at a time, their speed limit is per download
+        var starting = [];
+        for (entry of waiting) {
+            if (starting.length >= this.downloadMaxConcurrent - active) {
+                break;
+            }
+            if (entry.type === 'Prefetch') {
+                if (prefetching) {
+                    continue;
+                }
+                prefetching = true;
+            }
+            starting.push(entry);
+        }
+        // marked before awaiting so calls running at the same time don't
+        // start more than allowed
+        for (entry of starting) {
+            entry.status = 'Downloading';
+            entry.progress = 0;
+        }
+        for (entry of starting) {
+            this.saveDownloadEntry(entry);
+            var location = '';
+            if (entry.cacheFileId) {
+                location = await AssetBundleCacher.CacheFile(
+                    entry.id,
+                    entry.url,
+                    entry.size,
+                    entry.md5,
+                    entry.cacheFileId,
+                    entry.cacheVersion,
+                    entry.maxKBps
+                );
+            } else {
+                location = await AssetBundleCacher.DownloadFile(
+                    entry.id,
+                    entry.url,
+                    entry.size,
+                    entry.md5,
+                    entry.fileName
+                );
+            }
+            this.setDownloadLocation(entry, location);
+        }
+        this.updateDownloadProgress();
+        if (
+            Array.from(this.downloadQueue.values()).some(
+                (item) => item.status !== 'Paused'
+            )
+        ) {
+            this.scheduleDownloadFileProgress();
+        }
+    };
+
+    $app.methods.setDownloadLocation = function (entry, location) {
+        entry.location = location;
+    };
+
+    $app.methods.scheduleDownloadFileProgress = function () {
+        if (downloadProgressTimer !== null) {
+            return;
+        }
+        downloadProgressTimer = workerTimers.setTimeout(() => {
+            downloadProgressTimer = null;
+            this.downloadFileProgress();
+        }, 150);
+    };
 
     $app.methods.downloadFileProgress = async function () {
-        var downloadProgress = await AssetBundleCacher.CheckDownloadProgress();
-        switch (downloadProgress) {
+        for (var entry of Array.from(this.downloadQueue.values())) {
+            if (entry.status !== 'Downloading') {
+                continue;
+            }
+            var progress = await AssetBundleCacher.CheckDownloadProgress(
+                entry.id
+            );
+            this.applyDownloadProgress(entry, progress);
+        }
+        this.downloadFileQueueUpdate();
+    };
+
+    $app.methods.applyDownloadProgress = function (entry, progress) {
+        if (entry.status !== 'Downloading') {
+            return;
+        }
+        switch (progress) {
+            case -1:
+                // unknown to AssetBundleCacher, start it again
+                entry.status = 'Queued';
+                return;
             case -4:
                 this.$message({
                     message: 'Download canceled',
                     type: 'info'
                 });
-                this.downloadFileComplete('Canceled');
+                this.downloadFileComplete(entry, 'Canceled');
+                return;
+            case -5:
+                AssetBundleCacher.ClearDownload(entry.id);
+                entry.status = 'Paused';
+                this.saveDownloadEntry(entry);
                 return;
             case -15:
-                this.$message({
-                    message: 'Download failed',
-                    type: 'error'
-                });
-                this.downloadFileComplete('Failed');
+                this.retryDownload(entry, 'Failed');
+                return;
+            case -17:
+                this.retryDownload(entry, 'Checksum Mismatch');
                 return;
             case -16:
-                if (this.downloadCurrent.ref.id === 'VRCXUpdate') {
-                    if (this.downloadCurrent.autoInstall) {
+                if (entry.id === 'VRCXUpdate') {
+                    if (entry.autoInstall) {
                         workerTimers.setTimeout(() => this.restartVRCX(), 2000);
                     } else {
                         this.downloadDialog.visible = false;
-                        this.pendingVRCXUpdate = this.downloadCurrent.ref.name;
+                        this.pendingVRCXUpdate = entry.name;
                         this.showVRCXUpdateDialog();
                     }
                 }
-                this.downloadFileComplete('Success');
+                this.downloadFileComplete(entry, 'Success');
                 return;
             default:
-                this.downloadProgress = downloadProgress;
+                entry.progress = progress;
+        }
+    };
+
+    $app.methods.retryDownload = function (entry, error) {
+        AssetBundleCacher.ClearDownload(entry.id);
+        ++entry.attempts;
+        entry.error = error;
+        if (entry.attempts >= downloadRetryLimit) {
+            this.$message({
+                message: `Download failed: ${entry.name}`,
+                type: 'error'
+            });
+            this.downloadFileComplete(entry, error);
+            return;
+        }
+        entry.status = 'Queued';
+        entry.progress = 0;
+        entry.retryAt =
+            Date.now() + downloadRetryDelay * 2 ** (entry.attempts - 1);
+        this.saveDownloadEntry(entry);
+    };
+
+    $app.methods.downloadFileComplete = function (entry, status) {
+        AssetBundleCacher.ClearDownload(entry.id);
+        this.downloadQueue.delete(entry.id);
+        if (this.isPersistentDownload(entry)) {
+            database.deleteDownloadQueue(entry.id);
+        }
+        entry.status = status;
+        entry.date = Date.now();
+        this.downloadHistoryTable.data.unshift(entry);
+        this.updateDownloadQueueTable();
+    };
+
+    $app.methods.updateDownloadProgress = function () {
+        var active = this.downloadQueueTable.data.filter(
+            (entry) => entry.status === 'Downloading'
+        );
+        this.downloadInProgress = active.length > 0;
+        if (active.length === 0) {
+            this.downloadProgress = 0;
+            return;
+        }
+        this.downloadProgress = Math.floor(
+            active.reduce((total, entry) => total + entry.progress, 0) /
+                active.length
+        );
+    };
+
+    $app.methods.pauseDownload = function (id) {
+        var entry = this.downloadQueue.get(id);
+        if (typeof entry === 'undefined') {
+            return;
+        }
+        if (entry.status === 'Downloading') {
+            // applied once AssetBundleCacher reports it
+            AssetBundleCacher.PauseDownload(id);
+        } else if (entry.status === 'Queued') {
+            entry.status = 'Paused';
+            this.saveDownloadEntry(entry);
+        }
+    };
+
+    $app.methods.resumeDownload = function (id) {
+        var entry = this.downloadQueue.get(id);
+        if (typeof entry === 'undefined' || entry.status !== 'Paused') {
+            return;
+        }
+        entry.status = 'Queued';
+        entry.attempts = 0;
+        entry.retryAt = 0;
+        entry.error = '';
+        this.saveDownloadEntry(entry);
+        this.downloadFileQueueUpdate();
+    };
+
+    $app.methods.cancelDownload = function (id) {
+        var entry = this.downloadQueue.get(id);
+        if (typeof entry === 'undefined') {
+            return;
+        }
+        // also removes the partial file of a paused download
+        AssetBundleCacher.CancelDownload(id);
+        if (entry.status !== 'Downloading') {
+            this.downloadFileComplete(entry, 'Canceled');
+        }
+    };
+
+    $app.methods.pauseAllDownloads = function () {
+        for (var id of this.downloadQueue.keys()) {
+            this.pauseDownload(id);
+        }
+    };
+
+    $app.methods.resumeAllDownloads = function () {
+        for (var id of Array.from(this.downloadQueue.keys())) {
+            this.resumeDownload(id);
+        }
+    };
+
+    $app.methods.cancelAllDownloads = function () {
+        for (var id of Array.from(this.downloadQueue.keys())) {
+            this.cancelDownload(id);
+        }
+    };
+
+    $app.methods.setDownloadMaxConcurrent = function () {
+        configRepository.setInt(
+            'VRCX_downloadMaxConcurrent',
+            this.downloadMaxConcurrent
+        );
+        this.downloadFileQueueUpdate();
+    };
+
+    $app.methods.downloadProgressText = function () {
+        if (this.downloadIsProcessing) {
+            return 'Processing';
+        }
+        if (this.downloadProgress >= 0) {
+            return `${this.downloadProgress}%`;
+        }
+        return '';
+    };
+
+    $app.methods.downloadEntryProgressText = function (entry) {
+        if (entry.status === 'Downloading') {
+            return `${entry.progress}%`;
+        }
+        return entry.status;
+    };
+
+    // VRChat lists the md5 of every file version, the download is checked
+    // against it
+    $app.methods.queueUnityPackageDownload = async function (ref) {
+        var url = ref.unityPackageUrl;
+        var fileId = extractFileId(url);
+        var fileVersion = parseInt(extractFileVersion(url), 10);
+        if (!fileId || !fileVersion) {
+            this.openExternalLink(url);
+            return;
+        }
+        try {
+            var args = await API.getBundles(fileId);
+        } catch (err) {
+            console.error(err);
+            this.openExternalLink(url);
+            return;
+        }
+        var version = args.json.versions.find(
+            (item) => item.version === fileVersion
+        );
+        if (typeof version === 'undefined' || !version.file) {
+            this.openExternalLink(url);
+            return;
+        }
+        this.queueDownload({
+            id: `${fileId}_${fileVersion}`,
+            name: ref.name,
+            type: 'Unity Package',
+            url,
+            size: version.file.sizeInBytes,
+            md5: version.file.md5,
+            fileName: `${fileId}_${fileVersion}.unitypackage`
+        });
+        this.showDownloadDialog();
+    };
+
+    $app.methods.showDownloadInFolder = function (entry) {
+        AppApi.ShowFileInFolder(entry.location);
+    };
+
+    // App: World Prefetch
+
+    // Bundles of worlds favorite friends go to are downloaded into the VRChat
+    // cache ahead of time so joining them doesn't wait for the download. Off
+    // by default, limited by speed, bundle size and how large the VRChat cache
+    // may get.
+
+    $app.data.worldPrefetchEnabled = configRepository.getBool(
+        'VRCX_worldPrefetchEnabled',
+        false
+    );
+    $app.data.worldPrefetchMaxKBps = configRepository.getInt(
+        'VRCX_worldPrefetchMaxKBps',
+        2048
+    );
+    $app.data.worldPrefetchMaxBundleSize = configRepository.getInt(
+        'VRCX_worldPrefetchMaxBundleSize',
+        500
+    ); // MiB
+    $app.data.worldPrefetchCacheLimit = configRepository.getInt(
+        'VRCX_worldPrefetchCacheLimit',
+        20
+    ); // GiB
+
+    var worldPrefetchLimits = {
+        worldPrefetchMaxKBps: 'Download speed limit in KB/s, 0 for no limit',
+        worldPrefetchMaxBundleSize: 'Largest world to prefetch in MiB',
+        worldPrefetchCacheLimit:
+            'Stop prefetching once the VRChat cache is this large, in GiB'
+    };
+
+    API.$on('USER:UPDATE', function (args) {
+        var {ref, props} = args;
+        if (!props.location || !$app.worldPrefetchEnabled) {
+            return;
+        }
+        var friend = $app.friends.get(ref.id);
+        if (typeof friend === 'undefined' || !friend.isVIP) {
+            return;
+        }
+        var L = this.parseLocation(props.location[0]);
+        if (!L.worldId) {
+            return;
+        }
+        $app.prefetchWorld(L.worldId).catch((err) => {
+            console.error('World prefetch failed', err);
+        });
+    });
+
+    $app.methods.saveWorldPrefetchOptions = function () {
+        configRepository.setBool(
+            'VRCX_worldPrefetchEnabled',
+            this.worldPrefetchEnabled
+        );
+        configRepository.setInt(
+            'VRCX_worldPrefetchMaxKBps',
+            this.worldPrefetchMaxKBps
+        );
+        configRepository.setInt(
+            'VRCX_worldPrefetchMaxBundleSize',
+            this.worldPrefetchMaxBundleSize
+        );
+        configRepository.setInt(
+            'VRCX_worldPrefetchCacheLimit',
+            this.worldPrefetchCacheLimit
+        );
+    };
+
+    $app.methods.promptWorldPrefetchLimit = function (key) {
+        this.$prompt(worldPrefetchLimits[key], 'World Prefetch', {
+            distinguishCancelAndClose: true,
+            confirmButtonText: 'OK',
+            cancelButtonText: 'Cancel',
+            inputValue: String(this[key]),
+            inputPattern: /^\d{1,6}$/,
+            inputErrorMessage: 'Valid number is required',
+            callback: (action, instance) => {
+                if (action === 'confirm') {
+                    this[key] = parseInt(instance.inputValue, 10);
+                    this.saveWorldPrefetchOptions();
+                }
+            }
+        });
+    };
+
+    // each world is only looked at once per session
+    $app.methods.prefetchWorld = async function (worldId) {
+        if (this.cacheAutoDownloadHistory.has(worldId)) {
+            return;
+        }
+        this.cacheAutoDownloadHistory.add(worldId);
+        var {ref} = await API.getCachedWorld({
+            worldId
+        });
+        var assetUrl = '';
+        for (var i = ref.unityPackages.length - 1; i > -1; i--) {
+            var unityPackage = ref.unityPackages[i];
+            if (
+                unityPackage.platform === 'standalonewindows' &&
+                this.compareUnityVersion(unityPackage.unityVersion)
+            ) {
+                assetUrl = unityPackage.assetUrl;
+                break;
+            }
+        }
+        var fileId = extractFileId(assetUrl);
+        var fileVersion = parseInt(extractFileVersion(assetUrl), 10);
+        if (!fileId || !fileVersion) {
+            return;
+        }
+        var cacheInfo = await AssetBundleCacher.CheckVRChatCache(
+            fileId,
+            fileVersion
+        );
+        if (cacheInfo[0] > 0) {
+            return;
         }
-        workerTimers.setTimeout(() => this.downloadFileProgress(), 150);
-    };
-
-    $app.methods.downloadFileComplete = function (status) {
-        this.downloadCurrent.status = status;
-        this.downloadCurrent.date = Date.now();
-        this.downloadHistoryTable.data.unshift(this.downloadCurrent);
-        this.downloadCurrent = {};
-        this.downloadProgress = 0;
-        this.downloadInProgress = false;
-        this.downloadFileQueueUpdate();
+        var args = await API.getBundles(fileId);
+        var version = args.json.versions.find(
+            (item) => item.version === fileVersion
+        );
+        if (typeof version === 'undefined' || !version.file) {
+            return;
+        }
+        var {sizeInBytes, md5} = version.file;
+        if (sizeInBytes > this.worldPrefetchMaxBundleSize * 1048576) {
+            return;
+        }
+        // prefetches still in the queue count towards the limit
+        var cacheSize = await AssetBundleCacher.GetCacheSize();
+        for (var entry of this.downloadQueue.values()) {
+            if (entry.cacheFileId) {
+                cacheSize += entry.size;
+            }
+        }
+        if (
+            cacheSize + sizeInBytes >
+            this.worldPrefetchCacheLimit * 1073741824
+        ) {
+            return;
+        }
+        this.queueDownload({
+            id: `prefetch_${fileId}_${fileVersion}`,
+            name: ref.name,
+            type: 'Prefetch',
+            url: assetUrl,
+            size: sizeInBytes,
+            md5,
+            cacheFileId: fileId,
+            cacheVersion: fileVersion,
+            maxKBps: this.worldPrefetchMaxKBps
+        });
     };
 
     $app.methods.showDownloadDialog = function () {
@@ -19899,16 +23039,6 @@ speechSynthesis.getVoices();
         visible: false
     };
 
-    $app.methods.downloadProgressText = function () {
-        if (this.downloadIsProcessing) {
-            return 'Processing';
-        }
-        if (this.downloadProgress >= 0) {
-            return `${this.downloadProgress}%`;
-        }
-        return '';
-    };
-
     $app.methods.getDisplayName = function (userId) {
         if (userId) {
             var ref = API.cachedUsers.get(userId);
@@ -20416,1228 +23546,1629 @@ speechSynthesis.getVoices();
             var regex = new RegExp(symbolList[key], 'g');
             newText = newText.replace(regex, key);
         }
-        return newText.replace(/ {1,}/g, ' ').trimRight();
+        return newText.replace(/ {1,}/g, ' ').trimRight();
+    };
+
+    $app.methods.removeEmojis = function (text) {
+        if (!text) {
+            return '';
+        }
+        return text
+            .replace(
+                /([\u2700-\u27BF]|[\uE000-\uF8FF]|\uD83C[\uDC00-\uDFFF]|\uD83D[\uDC00-\uDFFF]|[\u2011-\u26FF]|\uD83E[\uDD10-\uDDFF])/g,
+                ''
+            )
+            .replace(/\s+/g, ' ')
+            .trim();
+    };
+
+    $app.methods.checkCanInvite = function (location) {
+        var L = API.parseLocation(location);
+        if (
+            L.accessType === 'public' ||
+            L.accessType === 'group' ||
+            L.userId === API.currentUser.id
+        ) {
+            return true;
+        }
+        if (L.accessType === 'invite') {
+            return false;
+        }
+        if (this.lastLocation.location === location) {
+            return true;
+        }
+        return false;
+    };
+
+    $app.methods.checkCanInviteSelf = function (location) {
+        var L = API.parseLocation(location);
+        if (L.userId === API.currentUser.id) {
+            return true;
+        }
+        if (L.accessType === 'friends' && !this.friends.has(L.userId)) {
+            return false;
+        }
+        return true;
+    };
+
+    $app.methods.setAsideWidth = function () {
+        document.getElementById('aside').style.width = `${this.asideWidth}px`;
+        configRepository.setInt('VRCX_asidewidth', this.asideWidth);
+    };
+
+    // VRCX auto update
+
+    $app.data.VRCXUpdateDialog = {
+        visible: false,
+        updatePending: false,
+        updatePendingIsLatest: false,
+        release: '',
+        releases: []
+    };
+
+    $app.data.checkingForVRCXUpdate = false;
+    $app.data.pendingVRCXUpdate = '';
+
+    $app.data.branches = {
+        Stable: {
+            name: 'Stable',
+            urlReleases: 'https://vrcx.pypy.moe/releases/pypy-vrc.json',
+            urlLatest: 'https://vrcx.pypy.moe/releases/latest/pypy-vrc.json'
+        },
+        Nightly: {
+            name: 'Nightly',
+            urlReleases: 'https://vrcx.pypy.moe/releases/natsumi-sama.json',
+            urlLatest: 'https://vrcx.pypy.moe/releases/latest/natsumi-sama.json'
+        }
+    };
+
+    $app.methods.showVRCXUpdateDialog = async function () {
+        this.$nextTick(() => adjustDialogZ(this.$refs.VRCXUpdateDialog.$el));
+        var D = this.VRCXUpdateDialog;
+        D.visible = true;
+        D.updatePendingIsLatest = false;
+        D.updatePending = await AppApi.CheckForUpdateExe();
+        this.loadBranchVersions();
+    };
+
+    $app.methods.downloadVRCXUpdate = function (
+        updateZipUrl,
+        size,
+        name,
+        type,
+        autoInstall
+    ) {
+        this.queueDownload({
+            id: 'VRCXUpdate',
+            name,
+            type,
+            url: updateZipUrl,
+            size,
+            autoInstall
+        });
+    };
+
+    $app.methods.installVRCXUpdate = function () {
+        for (var release of this.VRCXUpdateDialog.releases) {
+            if (release.name === this.VRCXUpdateDialog.release) {
+                for (var asset of release.assets) {
+                    if (
+                        (asset.content_type === 'application/x-msdownload' ||
+                            asset.content_type ===
+                                'application/x-msdos-program') &&
+                        asset.state === 'uploaded'
+                    ) {
+                        var downloadUrl = asset.browser_download_url;
+                        var size = asset.size;
+                        break;
+                    }
+                }
+                if (!downloadUrl) {
+                    return;
+                }
+                var name = release.name;
+                var type = 'Manual';
+                var autoInstall = false;
+                this.downloadVRCXUpdate(
+                    downloadUrl,
+                    size,
+                    name,
+                    type,
+                    autoInstall
+                );
+                this.VRCXUpdateDialog.visible = false;
+                this.showDownloadDialog();
+            }
+        }
+    };
+
+    $app.methods.restartVRCX = function () {
+        AppApi.RestartApplication();
+    };
+
+    $app.methods.loadBranchVersions = async function () {
+        var D = this.VRCXUpdateDialog;
+        var url = this.branches[this.branch].urlReleases;
+        this.checkingForVRCXUpdate = true;
+        var response = await webApiService.execute({
+            url,
+            method: 'GET'
+        });
+        this.checkingForVRCXUpdate = false;
+        var json = JSON.parse(response.data);
+        if (this.debugWebRequests) {
+            console.log(json, response);
+        }
+        var releases = [];
+        if (typeof json !== 'object' || json.message) {
+            $app.$message({
+                message: `Failed to check for update, "${json.message}"`,
+                type: 'error'
+            });
+            return;
+        }
+        for (var release of json) {
+            if (
+                release.target_commitish === 'PyPyDanceCompanion' ||
+                release.prerelease
+            ) {
+                // skip old branch name and prerelease builds
+                continue;
+            }
+            for (var asset of release.assets) {
+                if (
+                    (asset.content_type === 'application/x-msdownload' ||
+                        asset.content_type === 'application/x-msdos-program') &&
+                    asset.state === 'uploaded'
+                ) {
+                    releases.push(release);
+                }
+            }
+        }
+        D.releases = releases;
+        D.release = json[0].name;
+        this.VRCXUpdateDialog.updatePendingIsLatest = false;
+        if (D.release === this.pendingVRCXUpdate) {
+            // update already downloaded and latest version
+            this.VRCXUpdateDialog.updatePendingIsLatest = true;
+        }
+        if (configRepository.getString('VRCX_branch') !== this.branch) {
+            configRepository.setString('VRCX_branch', this.branch);
+        }
+    };
+
+    $app.methods.saveAutoUpdateVRCX = function () {
+        configRepository.setString('VRCX_autoUpdateVRCX', this.autoUpdateVRCX);
+    };
+
+    $app.methods.checkForVRCXUpdate = async function () {
+        if (
+            !this.appVersion ||
+            this.appVersion === 'VRCX Nightly Build' ||
+            this.appVersion === 'VRCX Build'
+        ) {
+            return;
+        }
+        if (this.branch === 'Beta') {
+            // move Beta users to stable
+            this.branch = 'Stable';
+            configRepository.setString('VRCX_branch', this.branch);
+        }
+        var url = this.branches[this.branch].urlLatest;
+        this.checkingForVRCXUpdate = true;
+        var response = await webApiService.execute({
+            url,
+            method: 'GET'
+        });
+        this.checkingForVRCXUpdate = false;
+        var json = JSON.parse(response.data);
+        if (this.debugWebRequests) {
+            console.log(json, response);
+        }
+        if (json === Object(json) && json.name && json.published_at) {
+            this.latestAppVersion = json.name;
+            var name = json.name;
+            this.VRCXUpdateDialog.updatePendingIsLatest = false;
+            if (name === this.pendingVRCXUpdate) {
+                // update already downloaded
+                this.VRCXUpdateDialog.updatePendingIsLatest = true;
+            } else if (name > this.appVersion) {
+                for (var asset of json.assets) {
+                    if (
+                        (asset.content_type === 'application/x-msdownload' ||
+                            asset.content_type ===
+                                'application/x-msdos-program') &&
+                        asset.state === 'uploaded'
+                    ) {
+                        var downloadUrl = asset.browser_download_url;
+                        var size = asset.size;
+                        break;
+                    }
+                }
+                if (!downloadUrl) {
+                    return;
+                }
+                this.notifyMenu('settings');
+                var type = 'Auto';
+                if (!API.isLoggedIn) {
+                    this.showVRCXUpdateDialog();
+                } else if (this.autoUpdateVRCX === 'Notify') {
+                    this.showVRCXUpdateDialog();
+                } else if (this.autoUpdateVRCX === 'Auto Download') {
+                    var autoInstall = false;
+                    this.downloadVRCXUpdate(
+                        downloadUrl,
+                        size,
+                        name,
+                        type,
+                        autoInstall
+                    );
+                } else if (this.autoUpdateVRCX === 'Auto Install') {
+                    var autoInstall = true;
+                    this.downloadVRCXUpdate(
+                        downloadUrl,
+                        size,
+                        name,
+                        type,
+                        autoInstall
+                    );
+                }
+            }
+        }
     };
 
-    $app.methods.removeEmojis = function (text) {
-        if (!text) {
-            return '';
+    $app.methods.compareUnityVersion = function (version) {
+        var currentUnityVersion = API.cachedConfig.sdkUnityVersion.replace(
+            /\D/g,
+            ''
+        );
+        var assetVersion = version.replace(/\D/g, '');
+        if (parseInt(assetVersion, 10) <= parseInt(currentUnityVersion, 10)) {
+            return true;
         }
-        return text
-            .replace(
-                /([\u2700-\u27BF]|[\uE000-\uF8FF]|\uD83C[\uDC00-\uDFFF]|\uD83D[\uDC00-\uDFFF]|[\u2011-\u26FF]|\uD83E[\uDD10-\uDDFF])/g,
-                ''
-            )
-            .replace(/\s+/g, ' ')
-            .trim();
+        return false;
     };
 
-    $app.methods.checkCanInvite = function (location) {
-        var L = API.parseLocation(location);
-        if (
-            L.accessType === 'public' ||
-            L.accessType === 'group' ||
-            L.userId === API.currentUser.id
-        ) {
-            return true;
+    $app.methods.userImage = function (user) {
+        if (typeof user === 'undefined') {
+            return '';
         }
-        if (L.accessType === 'invite') {
-            return false;
+        if (this.displayVRCPlusIconsAsAvatar && user.userIcon) {
+            return user.userIcon;
         }
-        if (this.lastLocation.location === location) {
-            return true;
+        if (user.profilePicOverride) {
+            return user.profilePicOverride;
         }
-        return false;
+        if (user.thumbnailUrl) {
+            return user.thumbnailUrl;
+        }
+        return user.currentAvatarThumbnailImageUrl;
     };
 
-    $app.methods.checkCanInviteSelf = function (location) {
-        var L = API.parseLocation(location);
-        if (L.userId === API.currentUser.id) {
-            return true;
+    $app.methods.userImageFull = function (user) {
+        if (this.displayVRCPlusIconsAsAvatar && user.userIcon) {
+            return user.userIcon;
         }
-        if (L.accessType === 'friends' && !this.friends.has(L.userId)) {
-            return false;
+        if (user.profilePicOverride) {
+            return user.profilePicOverride;
         }
-        return true;
+        return user.currentAvatarImageUrl;
     };
 
-    $app.methods.setAsideWidth = function () {
-        document.getElementById('aside').style.width = `${this.asideWidth}px`;
-        configRepository.setInt('VRCX_asidewidth', this.asideWidth);
+    $app.methods.showConsole = function () {
+        AppApi.ShowDevTools();
+        if (
+            this.debug ||
+            this.debugWebRequests ||
+            this.debugWebSocket ||
+            this.debugUserDiff
+        ) {
+            return;
+        }
+        console.log(
+            '%cCareful! This might not do what you think.',
+            'background-color: red; color: yellow; font-size: 32px; font-weight: bold'
+        );
+        console.log(
+            '%cIf someone told you to copy-paste something here, it can give them access to your account.',
+            'font-size: 20px;'
+        );
     };
 
-    // VRCX auto update
-
-    $app.data.VRCXUpdateDialog = {
-        visible: false,
-        updatePending: false,
-        updatePendingIsLatest: false,
-        release: '',
-        releases: []
+    $app.methods.clearVRCXCache = function () {
+        API.failedGetRequests = new Map();
+        API.cachedUsers.forEach((ref, id) => {
+            if (
+                !this.friends.has(id) &&
+                !this.lastLocation.playerList.has(ref.displayName) &&
+                id !== API.currentUser.id
+            ) {
+                API.cachedUsers.delete(id);
+            }
+        });
+        API.cachedWorlds.forEach((ref, id) => {
+            if (
+                !API.cachedFavoritesByObjectId.has(id) &&
+                ref.authorId !== API.currentUser.id &&
+                !this.localWorldFavoritesList.includes(id)
+            ) {
+                API.cachedWorlds.delete(id);
+            }
+        });
+        API.cachedAvatars.forEach((ref, id) => {
+            if (
+                !API.cachedFavoritesByObjectId.has(id) &&
+                ref.authorId !== API.currentUser.id &&
+                !$app.avatarHistory.has(id)
+            ) {
+                API.cachedAvatars.delete(id);
+            }
+        });
+        API.cachedGroups = new Map();
+        API.cachedAvatarNames = new Map();
+        database.purgeResponseCache(Date.now() - API.responseCacheMaxAge);
     };
 
-    $app.data.checkingForVRCXUpdate = false;
-    $app.data.pendingVRCXUpdate = '';
+    $app.data.sqliteTableSizes = {};
 
-    $app.data.branches = {
-        Stable: {
-            name: 'Stable',
-            urlReleases: 'https://vrcx.pypy.moe/releases/pypy-vrc.json',
-            urlLatest: 'https://vrcx.pypy.moe/releases/latest/pypy-vrc.json'
-        },
-        Nightly: {
-            name: 'Nightly',
-            urlReleases: 'https://vrcx.pypy.moe/releases/natsumi-sama.json',
-            urlLatest: 'https://vrcx.pypy.moe/releases/latest/natsumi-sama.json'
+    $app.methods.getSqliteTableSizes = async function () {
+        this.sqliteTableSizes = {
+            gps: await database.getGpsTableSize(),
+            status: await database.getStatusTableSize(),
+            bio: await database.getBioTableSize(),
+            avatar: await database.getAvatarTableSize(),
+            onlineOffline: await database.getOnlineOfflineTableSize(),
+            friendLogHistory: await database.getFriendLogHistoryTableSize(),
+            groupHistory: await database.getGroupHistoryTableSize(),
+            responseCache: await database.getResponseCacheTableSize(),
+            notification: await database.getNotificationTableSize(),
+            location: await database.getLocationTableSize(),
+            joinLeave: await database.getJoinLeaveTableSize(),
+            portalSpawn: await database.getPortalSpawnTableSize(),
+            videoPlay: await database.getVideoPlayTableSize(),
+            event: await database.getEventTableSize()
+        };
+    };
+
+    $app.data.ipcEnabled = false;
+    $app.methods.ipcEvent = function (json) {
+        if (!this.friendLogInitStatus) {
+            return;
+        }
+        try {
+            var data = JSON.parse(json);
+        } catch {
+            console.log(`IPC invalid JSON, ${json}`);
+            return;
+        }
+        switch (data.type) {
+            case 'OnEvent':
+                if (!this.isGameRunning) {
+                    console.log('Game closed, skipped event', data);
+                    return;
+                }
+                if (this.debugPhotonLogging) {
+                    console.log(
+                        'OnEvent',
+                        data.OnEventData.Code,
+                        data.OnEventData
+                    );
+                }
+                this.parsePhotonEvent(data.OnEventData, data.dt);
+                pluginHost.emit('onPhotonEvent', data.OnEventData, data.dt);
+                this.photonEventPulse();
+                break;
+            case 'OnOperationResponse':
+                if (!this.isGameRunning) {
+                    console.log('Game closed, skipped event', data);
+                    return;
+                }
+                if (this.debugPhotonLogging) {
+                    console.log(
+                        'OnOperationResponse',
+                        data.OnOperationResponseData.OperationCode,
+                        data.OnOperationResponseData
+                    );
+                }
+                this.parseOperationResponse(
+                    data.OnOperationResponseData,
+                    data.dt
+                );
+                this.photonEventPulse();
+                break;
+            case 'VRCEvent':
+                if (!this.isGameRunning) {
+                    console.log('Game closed, skipped event', data);
+                    return;
+                }
+                this.parseVRCEvent(data);
+                this.photonEventPulse();
+                break;
+            case 'Event7List':
+                for (var [id, dt] of Object.entries(data.Event7List)) {
+                    this.photonEvent7List.set(parseInt(id, 10), dt);
+                }
+                this.photonLastEvent7List = Date.parse(data.dt);
+                break;
+            case 'Ping':
+                if (!this.photonLoggingEnabled) {
+                    this.photonLoggingEnabled = true;
+                    configRepository.setBool('VRCX_photonLoggingEnabled', true);
+                }
+                if (!this.companionUpdateReminder && data.version < '1.1.3') {
+                    // check version
+                    this.promptCompanionUpdateReminder();
+                }
+                this.ipcEnabled = true;
+                this.ipcTimeout = 60; // 30secs
+                break;
+            case 'LaunchCommand':
+                AppApi.FocusWindow();
+                this.eventLaunchCommand(data.command);
+                break;
+            case 'VRCXLaunch':
+                console.log('VRCXLaunch:', data);
+                break;
+            default:
+                console.log('IPC:', data);
         }
     };
 
-    $app.methods.showVRCXUpdateDialog = async function () {
-        this.$nextTick(() => adjustDialogZ(this.$refs.VRCXUpdateDialog.$el));
-        var D = this.VRCXUpdateDialog;
-        D.visible = true;
-        D.updatePendingIsLatest = false;
-        D.updatePending = await AppApi.CheckForUpdateExe();
-        this.loadBranchVersions();
+    $app.data.companionUpdateReminder = false;
+
+    $app.methods.promptCompanionUpdateReminder = function () {
+        this.$alert(
+            'An update is required for it to function properly.',
+            'VRCX Companion mod is out of date'
+        );
+        this.companionUpdateReminder = true;
     };
 
-    $app.methods.downloadVRCXUpdate = function (
-        updateZipUrl,
-        size,
-        name,
-        type,
-        autoInstall
-    ) {
-        var ref = {
-            id: 'VRCXUpdate',
-            name
-        };
-        this.downloadQueue.set('VRCXUpdate', {
-            ref,
-            type,
-            updateZipUrl,
-            size,
-            autoInstall
-        });
-        this.downloadQueueTable.data = Array.from(this.downloadQueue.values());
-        if (!this.downloadInProgress) {
-            this.downloadFileQueueUpdate();
-        }
+    $app.data.photonEventCount = 0;
+    $app.data.photonEventIcon = false;
+
+    $app.methods.photonEventPulse = function () {
+        this.photonEventCount++;
+        this.photonEventIcon = true;
+        workerTimers.setTimeout(() => (this.photonEventIcon = false), 150);
     };
 
-    $app.methods.installVRCXUpdate = function () {
-        for (var release of this.VRCXUpdateDialog.releases) {
-            if (release.name === this.VRCXUpdateDialog.release) {
-                for (var asset of release.assets) {
-                    if (
-                        (asset.content_type === 'application/x-msdownload' ||
-                            asset.content_type ===
-                                'application/x-msdos-program') &&
-                        asset.state === 'uploaded'
-                    ) {
-                        var downloadUrl = asset.browser_download_url;
-                        var size = asset.size;
-                        break;
+    $app.methods.parseOperationResponse = function (data, dateTime) {
+        switch (data.OperationCode) {
+            case 226:
+                if (
+                    typeof data.Parameters[248] !== 'undefined' &&
+                    typeof data.Parameters[248][248] !== 'undefined'
+                ) {
+                    this.setPhotonLobbyMaster(data.Parameters[248][248]);
+                }
+                if (typeof data.Parameters[254] !== 'undefined') {
+                    this.photonLobbyCurrentUser = data.Parameters[254];
+                }
+                if (typeof data.Parameters[249] !== 'undefined') {
+                    for (var i in data.Parameters[249]) {
+                        var id = parseInt(i, 10);
+                        var user = data.Parameters[249][i];
+                        this.parsePhotonUser(id, user.user, dateTime);
+                        this.parsePhotonAvatarChange(
+                            id,
+                            user.user,
+                            user.avatarDict,
+                            dateTime
+                        );
+                        this.parsePhotonAvatar(user.avatarDict);
+                        this.parsePhotonAvatar(user.favatarDict);
+                        var hasInstantiated = false;
+                        var lobbyJointime = this.photonLobbyJointime.get(id);
+                        if (typeof lobbyJointime !== 'undefined') {
+                            hasInstantiated = lobbyJointime.hasInstantiated;
+                        }
+                        this.photonLobbyJointime.set(id, {
+                            joinTime: Date.parse(dateTime),
+                            hasInstantiated,
+                            inVRMode: user.inVRMode,
+                            avatarEyeHeight: user.avatarEyeHeight,
+                            canModerateInstance: user.canModerateInstance,
+                            groupOnNameplate: user.groupOnNameplate,
+                            showGroupBadgeToOthers: user.showGroupBadgeToOthers,
+                            showSocialRank: user.showSocialRank
+                        });
                     }
                 }
-                if (!downloadUrl) {
-                    return;
+                if (typeof data.Parameters[252] !== 'undefined') {
+                    this.parsePhotonLobbyIds(data.Parameters[252]);
                 }
-                var name = release.name;
-                var type = 'Manual';
-                var autoInstall = false;
-                this.downloadVRCXUpdate(
-                    downloadUrl,
-                    size,
-                    name,
-                    type,
-                    autoInstall
-                );
-                this.VRCXUpdateDialog.visible = false;
-                this.showDownloadDialog();
-            }
+                this.photonEvent7List = new Map();
+                break;
         }
     };
 
-    $app.methods.restartVRCX = function () {
-        AppApi.RestartApplication();
-    };
-
-    $app.methods.loadBranchVersions = async function () {
-        var D = this.VRCXUpdateDialog;
-        var url = this.branches[this.branch].urlReleases;
-        this.checkingForVRCXUpdate = true;
-        var response = await webApiService.execute({
-            url,
-            method: 'GET'
-        });
-        this.checkingForVRCXUpdate = false;
-        var json = JSON.parse(response.data);
-        if (this.debugWebRequests) {
-            console.log(json, response);
+    API.$on('LOGIN', async function () {
+        var command = await AppApi.GetLaunchCommand();
+        if (command) {
+            $app.eventLaunchCommand(command);
         }
-        var releases = [];
-        if (typeof json !== 'object' || json.message) {
-            $app.$message({
-                message: `Failed to check for update, "${json.message}"`,
-                type: 'error'
-            });
+    });
+
+    $app.methods.eventLaunchCommand = function (input) {
+        if (!API.isLoggedIn) {
             return;
         }
-        for (var release of json) {
-            if (
-                release.target_commitish === 'PyPyDanceCompanion' ||
-                release.prerelease
-            ) {
-                // skip old branch name and prerelease builds
-                continue;
-            }
-            for (var asset of release.assets) {
-                if (
-                    (asset.content_type === 'application/x-msdownload' ||
-                        asset.content_type === 'application/x-msdos-program') &&
-                    asset.state === 'uploaded'
-                ) {
-                    releases.push(release);
+        var args = input.split('/');
+        var command = args[0];
+        var commandArg = args[1];
+        switch (command) {
+            case 'world':
+                this.directAccessWorld(input.replace('world/', ''));
+                break;
+            case 'avatar':
+                this.showAvatarDialog(commandArg);
+                break;
+            case 'user':
+                this.showUserDialog(commandArg);
+                break;
+            case 'group':
+                this.showGroupDialog(commandArg);
+                break;
+            case 'addavatardb':
+                this.addAvatarProvider(input.replace('addavatardb/', ''));
+                break;
+            case 'import':
+                var type = args[1];
+                if (!type) break;
+                var data = input.replace(`import/${type}/`, '');
+                if (type === 'avatar') {
+                    this.showAvatarImportDialog();
+                    this.worldImportDialog.input = data;
+                } else if (type === 'world') {
+                    this.showWorldImportDialog();
+                    this.worldImportDialog.input = data;
+                } else if (type === 'friend') {
+                    this.showFriendImportDialog();
+                    this.friendImportDialog.input = data;
                 }
-            }
-        }
-        D.releases = releases;
-        D.release = json[0].name;
-        this.VRCXUpdateDialog.updatePendingIsLatest = false;
-        if (D.release === this.pendingVRCXUpdate) {
-            // update already downloaded and latest version
-            this.VRCXUpdateDialog.updatePendingIsLatest = true;
+                break;
         }
-        if (configRepository.getString('VRCX_branch') !== this.branch) {
-            configRepository.setString('VRCX_branch', this.branch);
+    };
+
+    $app.methods.toggleAvatarCopying = function () {
+        API.saveCurrentUser({
+            allowAvatarCopying: !API.currentUser.allowAvatarCopying
+        }).then((args) => {
+            return args;
+        });
+    };
+
+    // App: Previous Instances User Dialog
+
+    $app.data.previousInstancesUserDialogTable = {
+        data: [],
+        filters: [
+            {
+                prop: 'name',
+                value: ''
+            }
+        ],
+        tableProps: {
+            stripe: true,
+            size: 'mini',
+            defaultSort: {
+                prop: 'created_at',
+                order: 'descending'
+            }
+        },
+        pageSize: 10,
+        paginationProps: {
+            small: true,
+            layout: 'sizes,prev,pager,next,total',
+            pageSizes: [10, 25, 50, 100]
         }
     };
 
-    $app.methods.saveAutoUpdateVRCX = function () {
-        configRepository.setString('VRCX_autoUpdateVRCX', this.autoUpdateVRCX);
+    $app.data.previousInstancesUserDialog = {
+        visible: false,
+        loading: false,
+        forceUpdate: 0,
+        userRef: {}
+    };
+
+    $app.methods.showPreviousInstancesUserDialog = function (userRef) {
+        this.$nextTick(() =>
+            adjustDialogZ(this.$refs.previousInstancesUserDialog.$el)
+        );
+        var D = this.previousInstancesUserDialog;
+        D.userRef = userRef;
+        D.visible = true;
+        D.loading = true;
+        this.refreshPreviousInstancesUserTable();
+    };
+
+    $app.methods.refreshPreviousInstancesUserTable = function () {
+        var D = this.previousInstancesUserDialog;
+        database.getpreviousInstancesByUserId(D.userRef).then((data) => {
+            var array = [];
+            for (var ref of data.values()) {
+                ref.$location = API.parseLocation(ref.location);
+                if (ref.time > 0) {
+                    ref.timer = timeToText(ref.time);
+                } else {
+                    ref.timer = '';
+                }
+                array.push(ref);
+            }
+            array.sort(compareByCreatedAt);
+            this.previousInstancesUserDialogTable.data = array;
+            D.loading = false;
+            workerTimers.setTimeout(() => D.forceUpdate++, 150);
+        });
     };
 
-    $app.methods.checkForVRCXUpdate = async function () {
+    $app.methods.getDisplayNameFromUserId = function (userId) {
+        var displayName = userId;
+        var ref = API.cachedUsers.get(userId);
         if (
-            !this.appVersion ||
-            this.appVersion === 'VRCX Nightly Build' ||
-            this.appVersion === 'VRCX Build'
+            typeof ref !== 'undefined' &&
+            typeof ref.displayName !== 'undefined'
         ) {
-            return;
-        }
-        if (this.branch === 'Beta') {
-            // move Beta users to stable
-            this.branch = 'Stable';
-            configRepository.setString('VRCX_branch', this.branch);
-        }
-        var url = this.branches[this.branch].urlLatest;
-        this.checkingForVRCXUpdate = true;
-        var response = await webApiService.execute({
-            url,
-            method: 'GET'
-        });
-        this.checkingForVRCXUpdate = false;
-        var json = JSON.parse(response.data);
-        if (this.debugWebRequests) {
-            console.log(json, response);
+            displayName = ref.displayName;
         }
-        if (json === Object(json) && json.name && json.published_at) {
-            this.latestAppVersion = json.name;
-            var name = json.name;
-            this.VRCXUpdateDialog.updatePendingIsLatest = false;
-            if (name === this.pendingVRCXUpdate) {
-                // update already downloaded
-                this.VRCXUpdateDialog.updatePendingIsLatest = true;
-            } else if (name > this.appVersion) {
-                for (var asset of json.assets) {
-                    if (
-                        (asset.content_type === 'application/x-msdownload' ||
-                            asset.content_type ===
-                                'application/x-msdos-program') &&
-                        asset.state === 'uploaded'
-                    ) {
-                        var downloadUrl = asset.browser_download_url;
-                        var size = asset.size;
-                        break;
-                    }
-                }
-                if (!downloadUrl) {
-                    return;
-                }
-                this.notifyMenu('settings');
-                var type = 'Auto';
-                if (!API.isLoggedIn) {
-                    this.showVRCXUpdateDialog();
-                } else if (this.autoUpdateVRCX === 'Notify') {
-                    this.showVRCXUpdateDialog();
-                } else if (this.autoUpdateVRCX === 'Auto Download') {
-                    var autoInstall = false;
-                    this.downloadVRCXUpdate(
-                        downloadUrl,
-                        size,
-                        name,
-                        type,
-                        autoInstall
-                    );
-                } else if (this.autoUpdateVRCX === 'Auto Install') {
-                    var autoInstall = true;
-                    this.downloadVRCXUpdate(
-                        downloadUrl,
-                        size,
-                        name,
-                        type,
-                        autoInstall
+        return displayName;
+    };
+
+    $app.methods.confirmDeleteGameLogUserInstance = function (row) {
+        this.$confirm('Continue? Delete', 'Confirm', {
+            confirmButtonText: 'Confirm',
+            cancelButtonText: 'Cancel',
+            type: 'info',
+            callback: (action) => {
+                if (action === 'confirm') {
+                    database.deleteGameLogInstance({
+                        id: this.previousInstancesUserDialog.userRef.id,
+                        displayName:
+                            this.previousInstancesUserDialog.userRef
+                                .displayName,
+                        location: row.location
+                    });
+                    removeFromArray(
+                        this.previousInstancesUserDialogTable.data,
+                        row
                     );
                 }
             }
-        }
+        });
     };
 
-    $app.methods.compareUnityVersion = function (version) {
-        var currentUnityVersion = API.cachedConfig.sdkUnityVersion.replace(
-            /\D/g,
-            ''
-        );
-        var assetVersion = version.replace(/\D/g, '');
-        if (parseInt(assetVersion, 10) <= parseInt(currentUnityVersion, 10)) {
-            return true;
-        }
-        return false;
-    };
+    // App: Previous Instances World Dialog
 
-    $app.methods.userImage = function (user) {
-        if (typeof user === 'undefined') {
-            return '';
-        }
-        if (this.displayVRCPlusIconsAsAvatar && user.userIcon) {
-            return user.userIcon;
-        }
-        if (user.profilePicOverride) {
-            return user.profilePicOverride;
-        }
-        if (user.thumbnailUrl) {
-            return user.thumbnailUrl;
+    $app.data.previousInstancesWorldDialogTable = {
+        data: [],
+        filters: [
+            {
+                prop: 'name',
+                value: ''
+            }
+        ],
+        tableProps: {
+            stripe: true,
+            size: 'mini',
+            defaultSort: {
+                prop: 'created_at',
+                order: 'descending'
+            }
+        },
+        pageSize: 10,
+        paginationProps: {
+            small: true,
+            layout: 'sizes,prev,pager,next,total',
+            pageSizes: [10, 25, 50, 100]
         }
-        return user.currentAvatarThumbnailImageUrl;
     };
 
-    $app.methods.userImageFull = function (user) {
-        if (this.displayVRCPlusIconsAsAvatar && user.userIcon) {
-            return user.userIcon;
-        }
-        if (user.profilePicOverride) {
-            return user.profilePicOverride;
-        }
-        return user.currentAvatarImageUrl;
+    $app.data.previousInstancesWorldDialog = {
+        visible: false,
+        loading: false,
+        forceUpdate: 0,
+        worldRef: {}
     };
 
-    $app.methods.showConsole = function () {
-        AppApi.ShowDevTools();
-        if (
-            this.debug ||
-            this.debugWebRequests ||
-            this.debugWebSocket ||
-            this.debugUserDiff
-        ) {
-            return;
-        }
-        console.log(
-            '%cCareful! This might not do what you think.',
-            'background-color: red; color: yellow; font-size: 32px; font-weight: bold'
-        );
-        console.log(
-            '%cIf someone told you to copy-paste something here, it can give them access to your account.',
-            'font-size: 20px;'
+    $app.methods.showPreviousInstancesWorldDialog = function (worldRef) {
+        this.$nextTick(() =>
+            adjustDialogZ(this.$refs.previousInstancesWorldDialog.$el)
         );
+        var D = this.previousInstancesWorldDialog;
+        D.worldRef = worldRef;
+        D.visible = true;
+        D.loading = true;
+        this.refreshPreviousInstancesWorldTable();
     };
 
-    $app.methods.clearVRCXCache = function () {
-        API.failedGetRequests = new Map();
-        API.cachedUsers.forEach((ref, id) => {
-            if (
-                !this.friends.has(id) &&
-                !this.lastLocation.playerList.has(ref.displayName) &&
-                id !== API.currentUser.id
-            ) {
-                API.cachedUsers.delete(id);
-            }
-        });
-        API.cachedWorlds.forEach((ref, id) => {
-            if (
-                !API.cachedFavoritesByObjectId.has(id) &&
-                ref.authorId !== API.currentUser.id &&
-                !this.localWorldFavoritesList.includes(id)
-            ) {
-                API.cachedWorlds.delete(id);
+    $app.methods.refreshPreviousInstancesWorldTable = function () {
+        var D = this.previousInstancesWorldDialog;
+        database.getpreviousInstancesByWorldId(D.worldRef).then((data) => {
+            var array = [];
+            for (var ref of data.values()) {
+                ref.$location = API.parseLocation(ref.location);
+                if (ref.time > 0) {
+                    ref.timer = timeToText(ref.time);
+                } else {
+                    ref.timer = '';
+                }
+                array.push(ref);
             }
+            array.sort(compareByCreatedAt);
+            this.previousInstancesWorldDialogTable.data = array;
+            D.loading = false;
+            workerTimers.setTimeout(() => D.forceUpdate++, 150);
         });
-        API.cachedAvatars.forEach((ref, id) => {
-            if (
-                !API.cachedFavoritesByObjectId.has(id) &&
-                ref.authorId !== API.currentUser.id &&
-                !$app.avatarHistory.has(id)
-            ) {
-                API.cachedAvatars.delete(id);
+    };
+
+    $app.methods.confirmDeleteGameLogWorldInstance = function (row) {
+        this.$confirm('Continue? Delete', 'Confirm', {
+            confirmButtonText: 'Confirm',
+            cancelButtonText: 'Cancel',
+            type: 'info',
+            callback: (action) => {
+                if (action === 'confirm') {
+                    database.deleteGameLogInstanceByInstanceId({
+                        location: row.location
+                    });
+                    removeFromArray(
+                        this.previousInstancesWorldDialogTable.data,
+                        row
+                    );
+                }
             }
         });
-        API.cachedGroups = new Map();
-        API.cachedAvatarNames = new Map();
     };
 
-    $app.data.sqliteTableSizes = {};
+    // App: Previous Instance Info Dialog
 
-    $app.methods.getSqliteTableSizes = async function () {
-        this.sqliteTableSizes = {
-            gps: await database.getGpsTableSize(),
-            status: await database.getStatusTableSize(),
-            bio: await database.getBioTableSize(),
-            avatar: await database.getAvatarTableSize(),
-            onlineOffline: await database.getOnlineOfflineTableSize(),
-            friendLogHistory: await database.getFriendLogHistoryTableSize(),
-            notification: await database.getNotificationTableSize(),
-            location: await database.getLocationTableSize(),
-            joinLeave: await database.getJoinLeaveTableSize(),
-            portalSpawn: await database.getPortalSpawnTableSize(),
-            videoPlay: await database.getVideoPlayTableSize(),
-            event: await database.getEventTableSize()
-        };
+    $app.data.previousInstanceInfoDialogTable = {
+        data: [],
+        filters: [
+            {
+                prop: 'displayName',
+                value: ''
+            }
+        ],
+        tableProps: {
+            stripe: true,
+            size: 'mini',
+            defaultSort: {
+                prop: 'created_at',
+                order: 'descending'
+            }
+        },
+        pageSize: 10,
+        paginationProps: {
+            small: true,
+            layout: 'sizes,prev,pager,next,total',
+            pageSizes: [10, 25, 50, 100]
+        }
     };
 
-    $app.data.ipcEnabled = false;
-    $app.methods.ipcEvent = function (json) {
-        if (!this.friendLogInitStatus) {
-            return;
+    $app.data.previousInstanceInfoDialog = {
+        visible: false,
+        loading: false,
+        forceUpdate: 0,
+        $location: {}
+    };
+
+    $app.methods.showPreviousInstanceInfoDialog = function (instanceId) {
+        this.$nextTick(() =>
+            adjustDialogZ(this.$refs.previousInstanceInfoDialog.$el)
+        );
+        var D = this.previousInstanceInfoDialog;
+        D.$location = API.parseLocation(instanceId);
+        D.visible = true;
+        D.loading = true;
+        this.refreshPreviousInstanceInfoTable();
+    };
+
+    $app.methods.refreshPreviousInstanceInfoTable = function () {
+        var D = this.previousInstanceInfoDialog;
+        database.getPlayersFromInstance(D.$location.tag).then((data) => {
+            var array = [];
+            for (var entry of Array.from(data.values())) {
+                entry.timer = timeToText(entry.time);
+                array.push(entry);
+            }
+            array.sort(compareByCreatedAt);
+            this.previousInstanceInfoDialogTable.data = array;
+            D.loading = false;
+            workerTimers.setTimeout(() => D.forceUpdate++, 150);
+        });
+    };
+
+    $app.data.dtHour12 = configRepository.getBool('VRCX_dtHour12');
+    $app.data.dtIsoFormat = configRepository.getBool('VRCX_dtIsoFormat');
+    $app.methods.setDatetimeFormat = async function () {
+        var currentCulture = await AppApi.CurrentCulture();
+        var hour12 = configRepository.getBool('VRCX_dtHour12');
+        var isoFormat = configRepository.getBool('VRCX_dtIsoFormat');
+        if (typeof this.dtHour12 !== 'undefined') {
+            if (hour12 !== this.dtHour12) {
+                configRepository.setBool('VRCX_dtHour12', this.dtHour12);
+                this.updateVRConfigVars();
+            }
+            var hour12 = this.dtHour12;
         }
-        try {
-            var data = JSON.parse(json);
-        } catch {
-            console.log(`IPC invalid JSON, ${json}`);
-            return;
+        if (typeof this.dtIsoFormat !== 'undefined') {
+            if (isoFormat !== this.dtIsoFormat) {
+                configRepository.setBool('VRCX_dtIsoFormat', this.dtIsoFormat);
+            }
+            var isoFormat = this.dtIsoFormat;
         }
-        switch (data.type) {
-            case 'OnEvent':
-                if (!this.isGameRunning) {
-                    console.log('Game closed, skipped event', data);
-                    return;
-                }
-                if (this.debugPhotonLogging) {
-                    console.log(
-                        'OnEvent',
-                        data.OnEventData.Code,
-                        data.OnEventData
-                    );
-                }
-                this.parsePhotonEvent(data.OnEventData, data.dt);
-                this.photonEventPulse();
-                break;
-            case 'OnOperationResponse':
-                if (!this.isGameRunning) {
-                    console.log('Game closed, skipped event', data);
-                    return;
-                }
-                if (this.debugPhotonLogging) {
-                    console.log(
-                        'OnOperationResponse',
-                        data.OnOperationResponseData.OperationCode,
-                        data.OnOperationResponseData
-                    );
-                }
-                this.parseOperationResponse(
-                    data.OnOperationResponseData,
-                    data.dt
-                );
-                this.photonEventPulse();
-                break;
-            case 'VRCEvent':
-                if (!this.isGameRunning) {
-                    console.log('Game closed, skipped event', data);
-                    return;
-                }
-                this.parseVRCEvent(data);
-                this.photonEventPulse();
-                break;
-            case 'Event7List':
-                for (var [id, dt] of Object.entries(data.Event7List)) {
-                    this.photonEvent7List.set(parseInt(id, 10), dt);
-                }
-                this.photonLastEvent7List = Date.parse(data.dt);
-                break;
-            case 'Ping':
-                if (!this.photonLoggingEnabled) {
-                    this.photonLoggingEnabled = true;
-                    configRepository.setBool('VRCX_photonLoggingEnabled', true);
+        var formatDate1 = function (date, format) {
+            if (!date) {
+                return '-';
+            }
+            var dt = new Date(date);
+            if (format === 'long') {
+                return dt.toLocaleDateString(currentCulture, {
+                    month: '2-digit',
+                    day: '2-digit',
+                    year: 'numeric',
+                    hour: 'numeric',
+                    minute: 'numeric',
+                    second: 'numeric',
+                    hourCycle: hour12 ? 'h12' : 'h23'
+                });
+            } else if (format === 'short') {
+                return dt
+                    .toLocaleDateString(currentCulture, {
+                        month: '2-digit',
+                        day: '2-digit',
+                        hour: 'numeric',
+                        minute: 'numeric',
+                        hourCycle: hour12 ? 'h12' : 'h23'
+                    })
+                    .replace(' AM', 'am')
+                    .replace(' PM', 'pm')
+                    .replace(',', '');
+            }
+            return '-';
+        };
+        if (isoFormat) {
+            formatDate1 = function (date, format) {
+                if (!date) {
+                    return '-';
                 }
-                if (!this.companionUpdateReminder && data.version < '1.1.3') {
-                    // check version
-                    this.promptCompanionUpdateReminder();
+                var dt = new Date(date);
+                if (format === 'long') {
+                    return dt.toISOString();
+                } else if (format === 'short') {
+                    return dt
+                        .toLocaleDateString('en-nz', {
+                            month: '2-digit',
+                            day: '2-digit',
+                            hour: 'numeric',
+                            minute: 'numeric',
+                            hourCycle: hour12 ? 'h12' : 'h23'
+                        })
+                        .replace(' AM', 'am')
+                        .replace(' PM', 'pm')
+                        .replace(',', '');
                 }
-                this.ipcEnabled = true;
-                this.ipcTimeout = 60; // 30secs
-                break;
-            case 'LaunchCommand':
-                AppApi.FocusWindow();
-                this.eventLaunchCommand(data.command);
-                break;
-            case 'VRCXLaunch':
-                console.log('VRCXLaunch:', data);
-                break;
-            default:
-                console.log('IPC:', data);
+                return '-';
+            };
         }
+        Vue.filter('formatDate', formatDate1);
     };
+    $app.methods.setDatetimeFormat();
 
-    $app.data.companionUpdateReminder = false;
-
-    $app.methods.promptCompanionUpdateReminder = function () {
-        this.$alert(
-            'An update is required for it to function properly.',
-            'VRCX Companion mod is out of date'
+    $app.data.enableCustomEndpoint = configRepository.getBool(
+        'VRCX_enableCustomEndpoint'
+    );
+    $app.methods.toggleCustomEndpoint = function () {
+        configRepository.setBool(
+            'VRCX_enableCustomEndpoint',
+            this.enableCustomEndpoint
         );
-        this.companionUpdateReminder = true;
+        this.loginForm.endpoint = '';
+        this.loginForm.websocket = '';
     };
 
-    $app.data.photonEventCount = 0;
-    $app.data.photonEventIcon = false;
-
-    $app.methods.photonEventPulse = function () {
-        this.photonEventCount++;
-        this.photonEventIcon = true;
-        workerTimers.setTimeout(() => (this.photonEventIcon = false), 150);
+    $app.data.mouseDownClass = [];
+    $app.data.mouseUpClass = [];
+    $app.methods.dialogMouseDown = function (e) {
+        this.mouseDownClass = [...e.target.classList];
+    };
+    $app.methods.dialogMouseUp = function (e) {
+        this.mouseUpClass = [...e.target.classList];
+    };
+    $app.methods.beforeDialogClose = function (done) {
+        if (
+            this.mouseDownClass.includes('el-dialog__wrapper') &&
+            this.mouseUpClass.includes('el-dialog__wrapper')
+        ) {
+            done();
+        } else if (
+            this.mouseDownClass.includes('el-dialog__close') &&
+            this.mouseUpClass.includes('el-dialog__close')
+        ) {
+            done();
+        }
     };
 
-    $app.methods.parseOperationResponse = function (data, dateTime) {
-        switch (data.OperationCode) {
-            case 226:
-                if (
-                    typeof data.Parameters[248] !== 'undefined' &&
-                    typeof data.Parameters[248][248] !== 'undefined'
-                ) {
-                    this.setPhotonLobbyMaster(data.Parameters[248][248]);
-                }
-                if (typeof data.Parameters[254] !== 'undefined') {
-                    this.photonLobbyCurrentUser = data.Parameters[254];
-                }
-                if (typeof data.Parameters[249] !== 'undefined') {
-                    for (var i in data.Parameters[249]) {
-                        var id = parseInt(i, 10);
-                        var user = data.Parameters[249][i];
-                        this.parsePhotonUser(id, user.user, dateTime);
-                        this.parsePhotonAvatarChange(
-                            id,
-                            user.user,
-                            user.avatarDict,
-                            dateTime
+    $app.methods.disableGameLogDialog = function () {
+        if (this.isGameRunning) {
+            this.$message({
+                message:
+                    'VRChat needs to be closed before this option can be changed',
+                type: 'error'
+            });
+            this.gameLogDisabled = !this.gameLogDisabled;
+            return;
+        }
+        if (this.gameLogDisabled) {
+            this.$confirm('Continue? Disable GameLog', 'Confirm', {
+                confirmButtonText: 'Confirm',
+                cancelButtonText: 'Cancel',
+                type: 'info',
+                callback: (action) => {
+                    if (action !== 'confirm') {
+                        this.gameLogDisabled = !this.gameLogDisabled;
+                        configRepository.setBool(
+                            'VRCX_gameLogDisabled',
+                            this.gameLogDisabled
                         );
-                        this.parsePhotonAvatar(user.avatarDict);
-                        this.parsePhotonAvatar(user.favatarDict);
-                        var hasInstantiated = false;
-                        var lobbyJointime = this.photonLobbyJointime.get(id);
-                        if (typeof lobbyJointime !== 'undefined') {
-                            hasInstantiated = lobbyJointime.hasInstantiated;
-                        }
-                        this.photonLobbyJointime.set(id, {
-                            joinTime: Date.parse(dateTime),
-                            hasInstantiated,
-                            inVRMode: user.inVRMode,
-                            avatarEyeHeight: user.avatarEyeHeight,
-                            canModerateInstance: user.canModerateInstance,
-                            groupOnNameplate: user.groupOnNameplate,
-                            showGroupBadgeToOthers: user.showGroupBadgeToOthers,
-                            showSocialRank: user.showSocialRank
-                        });
                     }
                 }
-                if (typeof data.Parameters[252] !== 'undefined') {
-                    this.parsePhotonLobbyIds(data.Parameters[252]);
-                }
-                this.photonEvent7List = new Map();
-                break;
+            });
+        } else {
+            configRepository.setBool(
+                'VRCX_gameLogDisabled',
+                this.gameLogDisabled
+            );
         }
     };
 
-    API.$on('LOGIN', async function () {
-        var command = await AppApi.GetLaunchCommand();
-        if (command) {
-            $app.eventLaunchCommand(command);
+    $app.methods.getNameColour = async function (userId) {
+        var hue = await AppApi.GetColourFromUserID(userId);
+        return this.HueToHex(hue);
+    };
+
+    $app.methods.userColourInit = async function () {
+        var dictObject = await AppApi.GetColourBulk(
+            Array.from(API.cachedUsers.keys())
+        );
+        for (var [userId, hue] of Object.entries(dictObject)) {
+            var ref = API.cachedUsers.get(userId);
+            if (typeof ref !== 'undefined') {
+                ref.$userColour = this.HueToHex(hue);
+            }
         }
-    });
+    };
 
-    $app.methods.eventLaunchCommand = function (input) {
-        if (!API.isLoggedIn) {
-            return;
+    $app.methods.HueToHex = function (hue) {
+        var {saturation, value} = themeEngine.getNameColour(
+            this.getActiveTheme(),
+            this.isDarkMode
+        );
+        return this.HSVtoRGB(hue / 65535, saturation, value);
+    };
+
+    $app.methods.HSVtoRGB = function (h, s, v) {
+        var r = 0;
+        var g = 0;
+        var b = 0;
+        if (arguments.length === 1) {
+            var s = h.s;
+            var v = h.v;
+            var h = h.h;
         }
-        var args = input.split('/');
-        var command = args[0];
-        var commandArg = args[1];
-        switch (command) {
-            case 'world':
-                this.directAccessWorld(input.replace('world/', ''));
+        var i = Math.floor(h * 6);
+        var f = h * 6 - i;
+        var p = v * (1 - s);
+        var q = v * (1 - f * s);
+        var t = v * (1 - (1 - f) * s);
+        switch (i % 6) {
+            case 0:
+                r = v;
+                g = t;
+                b = p;
                 break;
-            case 'avatar':
-                this.showAvatarDialog(commandArg);
+            case 1:
+                r = q;
+                g = v;
+                b = p;
                 break;
-            case 'user':
-                this.showUserDialog(commandArg);
+            case 2:
+                r = p;
+                g = v;
+                b = t;
                 break;
-            case 'group':
-                this.showGroupDialog(commandArg);
+            case 3:
+                r = p;
+                g = q;
+                b = v;
                 break;
-            case 'addavatardb':
-                this.addAvatarProvider(input.replace('addavatardb/', ''));
+            case 4:
+                r = t;
+                g = p;
+                b = v;
                 break;
-            case 'import':
-                var type = args[1];
-                if (!type) break;
-                var data = input.replace(`import/${type}/`, '');
-                if (type === 'avatar') {
-                    this.showAvatarImportDialog();
-                    this.worldImportDialog.input = data;
-                } else if (type === 'world') {
-                    this.showWorldImportDialog();
-                    this.worldImportDialog.input = data;
-                } else if (type === 'friend') {
-                    this.showFriendImportDialog();
-                    this.friendImportDialog.input = data;
-                }
+            case 5:
+                r = v;
+                g = p;
+                b = q;
                 break;
         }
+        var red = Math.round(r * 255);
+        var green = Math.round(g * 255);
+        var blue = Math.round(b * 255);
+        var decColor = 0x1000000 + blue + 0x100 * green + 0x10000 * red;
+        return `#${decColor.toString(16).substr(1)}`;
     };
 
-    $app.methods.toggleAvatarCopying = function () {
-        API.saveCurrentUser({
-            allowAvatarCopying: !API.currentUser.allowAvatarCopying
-        }).then((args) => {
-            return args;
-        });
+    $app.methods.isFriendOnline = function (friend) {
+        if (
+            typeof friend === 'undefined' ||
+            typeof friend.ref === 'undefined'
+        ) {
+            return false;
+        }
+        if (friend.state === 'online') {
+            return true;
+        }
+        if (friend.state !== 'online' && friend.ref.location !== 'private') {
+            // wat
+            return true;
+        }
+        return false;
     };
 
-    // App: Previous Instances User Dialog
+    $app.methods.isRealInstance = function (instanceId) {
+        switch (instanceId) {
+            case 'offline':
+                return false;
+            case 'private':
+                return false;
+            case 'traveling':
+                return false;
+            case '':
+                return false;
+        }
+        return true;
+    };
 
-    $app.data.previousInstancesUserDialogTable = {
-        data: [],
-        filters: [
-            {
-                prop: 'name',
-                value: ''
-            }
-        ],
-        tableProps: {
-            stripe: true,
-            size: 'mini',
-            defaultSort: {
-                prop: 'created_at',
-                order: 'descending'
+    $app.methods.onPlayerTraveling = function (ref) {
+        if (
+            !this.isGameRunning ||
+            !this.lastLocation.location ||
+            this.lastLocation.location !== ref.travelingToLocation ||
+            ref.id === API.currentUser.id ||
+            this.lastLocation.playerList.has(ref.displayName)
+        ) {
+            return;
+        }
+
+        var onPlayerJoining = {
+            created_at: new Date(ref.created_at).toJSON(),
+            userId: ref.id,
+            displayName: ref.displayName,
+            type: 'OnPlayerJoining'
+        };
+        this.queueFeedNoty(onPlayerJoining);
+    };
+
+    $app.methods.updateCurrentUserLocation = function () {
+        if (this.gameLogDisabled) {
+            return;
+        }
+        API.currentUser.location = this.lastLocation.location;
+        API.currentUser.travelingToLocation = this.lastLocationDestination;
+        API.currentUser.$travelingToTime = this.lastLocationDestinationTime;
+        var ref = API.cachedUsers.get(API.currentUser.id);
+        if (typeof ref !== 'undefined') {
+            var currentLocation = this.lastLocation.location;
+            if (this.lastLocation.location === 'traveling') {
+                currentLocation = this.lastLocationDestination;
             }
-        },
-        pageSize: 10,
-        paginationProps: {
-            small: true,
-            layout: 'sizes,prev,pager,next,total',
-            pageSizes: [10, 25, 50, 100]
+            ref.$location = API.parseLocation(currentLocation);
+            ref.location = this.lastLocation.location;
+            ref.travelingToLocation = this.lastLocationDestination;
+            ref.$travelingToTime = this.lastLocationDestinationTime;
         }
     };
 
-    $app.data.previousInstancesUserDialog = {
-        visible: false,
-        loading: false,
-        forceUpdate: 0,
-        userRef: {}
-    };
+    $app.data.avatarHistory = new Set();
+    $app.data.avatarHistoryArray = [];
 
-    $app.methods.showPreviousInstancesUserDialog = function (userRef) {
-        this.$nextTick(() =>
-            adjustDialogZ(this.$refs.previousInstancesUserDialog.$el)
-        );
-        var D = this.previousInstancesUserDialog;
-        D.userRef = userRef;
-        D.visible = true;
-        D.loading = true;
-        this.refreshPreviousInstancesUserTable();
-    };
+    API.$on('LOGIN', async function () {
+        $app.avatarHistory = new Set();
+        var historyArray = await database.getAvatarHistory();
+        $app.avatarHistoryArray = historyArray;
+        for (var i = 0; i < historyArray.length; i++) {
+            $app.avatarHistory.add(historyArray[i].id);
+            this.applyAvatar(historyArray[i]);
+        }
+    });
 
-    $app.methods.refreshPreviousInstancesUserTable = function () {
-        var D = this.previousInstancesUserDialog;
-        database.getpreviousInstancesByUserId(D.userRef).then((data) => {
-            var array = [];
-            for (var ref of data.values()) {
-                ref.$location = API.parseLocation(ref.location);
-                if (ref.time > 0) {
-                    ref.timer = timeToText(ref.time);
-                } else {
-                    ref.timer = '';
+    $app.methods.addAvatarToHistory = function (avatarId) {
+        API.getAvatar({avatarId}).then((args) => {
+            var {ref} = args;
+            if (ref.authorId === API.currentUser.id) {
+                return;
+            }
+            var historyArray = this.avatarHistoryArray;
+            for (var i = 0; i < historyArray.length; ++i) {
+                if (historyArray[i].id === ref.id) {
+                    historyArray.splice(i, 1);
                 }
-                array.push(ref);
             }
-            array.sort(compareByCreatedAt);
-            this.previousInstancesUserDialogTable.data = array;
-            D.loading = false;
-            workerTimers.setTimeout(() => D.forceUpdate++, 150);
-        });
-    };
+            this.avatarHistoryArray.unshift(ref);
+            database.addAvatarToCache(ref);
 
-    $app.methods.getDisplayNameFromUserId = function (userId) {
-        var displayName = userId;
-        var ref = API.cachedUsers.get(userId);
-        if (
-            typeof ref !== 'undefined' &&
-            typeof ref.displayName !== 'undefined'
-        ) {
-            displayName = ref.displayName;
-        }
-        return displayName;
+            this.avatarHistory.delete(ref.id);
+            this.avatarHistory.add(ref.id);
+            database.addAvatarToHistory(ref.id);
+        });
     };
 
-    $app.methods.confirmDeleteGameLogUserInstance = function (row) {
-        this.$confirm('Continue? Delete', 'Confirm', {
+    $app.methods.promptClearAvatarHistory = function () {
+        this.$confirm('Continue? Clear Avatar History', 'Confirm', {
             confirmButtonText: 'Confirm',
             cancelButtonText: 'Cancel',
             type: 'info',
             callback: (action) => {
                 if (action === 'confirm') {
-                    database.deleteGameLogInstance({
-                        id: this.previousInstancesUserDialog.userRef.id,
-                        displayName:
-                            this.previousInstancesUserDialog.userRef
-                                .displayName,
-                        location: row.location
-                    });
-                    removeFromArray(
-                        this.previousInstancesUserDialogTable.data,
-                        row
-                    );
+                    this.clearAvatarHistory();
                 }
             }
         });
     };
 
-    // App: Previous Instances World Dialog
+    $app.methods.clearAvatarHistory = function () {
+        this.avatarHistory = new Set();
+        this.avatarHistoryArray = [];
+        database.clearAvatarHistory();
+    };
 
-    $app.data.previousInstancesWorldDialogTable = {
+    // App: world favorite import
+
+    $app.data.worldImportDialog = {
+        visible: false,
+        loading: false,
+        progress: 0,
+        progressTotal: 0,
+        input: '',
+        worldIdList: new Set(),
+        errors: '',
+        worldImportFavoriteGroup: null,
+        worldImportLocalFavoriteGroup: null,
+        importProgress: 0,
+        importProgressTotal: 0
+    };
+
+    $app.data.worldImportTable = {
         data: [],
-        filters: [
-            {
-                prop: 'name',
-                value: ''
-            }
-        ],
         tableProps: {
             stripe: true,
-            size: 'mini',
-            defaultSort: {
-                prop: 'created_at',
-                order: 'descending'
-            }
+            size: 'mini'
         },
-        pageSize: 10,
-        paginationProps: {
-            small: true,
-            layout: 'sizes,prev,pager,next,total',
-            pageSizes: [10, 25, 50, 100]
-        }
-    };
-
-    $app.data.previousInstancesWorldDialog = {
-        visible: false,
-        loading: false,
-        forceUpdate: 0,
-        worldRef: {}
+        layout: 'table'
     };
 
-    $app.methods.showPreviousInstancesWorldDialog = function (worldRef) {
-        this.$nextTick(() =>
-            adjustDialogZ(this.$refs.previousInstancesWorldDialog.$el)
-        );
-        var D = this.previousInstancesWorldDialog;
-        D.worldRef = worldRef;
+    $app.methods.showWorldImportDialog = function () {
+        this.$nextTick(() => adjustDialogZ(this.$refs.worldImportDialog.$el));
+        var D = this.worldImportDialog;
+        this.resetWorldImport();
         D.visible = true;
-        D.loading = true;
-        this.refreshPreviousInstancesWorldTable();
     };
 
-    $app.methods.refreshPreviousInstancesWorldTable = function () {
-        var D = this.previousInstancesWorldDialog;
-        database.getpreviousInstancesByWorldId(D.worldRef).then((data) => {
-            var array = [];
-            for (var ref of data.values()) {
-                ref.$location = API.parseLocation(ref.location);
-                if (ref.time > 0) {
-                    ref.timer = timeToText(ref.time);
-                } else {
-                    ref.timer = '';
-                }
-                array.push(ref);
+    $app.methods.processWorldImportList = async function () {
+        var D = this.worldImportDialog;
+        D.loading = true;
+        var regexWorldId =
+            /wrld_[0-9A-Fa-f]{8}-([0-9A-Fa-f]{4}-){3}[0-9A-Fa-f]{12}/g;
+        var match = [];
+        var worldIdList = new Set();
+        while ((match = regexWorldId.exec(D.input)) !== null) {
+            worldIdList.add(match[0]);
+        }
+        D.input = '';
+        D.errors = '';
+        D.progress = 0;
+        D.progressTotal = worldIdList.size;
+        var data = Array.from(worldIdList);
+        for (var i = 0; i < data.length; ++i) {
+            if (!D.visible) {
+                this.resetWorldImport();
             }
-            array.sort(compareByCreatedAt);
-            this.previousInstancesWorldDialogTable.data = array;
-            D.loading = false;
-            workerTimers.setTimeout(() => D.forceUpdate++, 150);
-        });
-    };
-
-    $app.methods.confirmDeleteGameLogWorldInstance = function (row) {
-        this.$confirm('Continue? Delete', 'Confirm', {
-            confirmButtonText: 'Confirm',
-            cancelButtonText: 'Cancel',
-            type: 'info',
-            callback: (action) => {
-                if (action === 'confirm') {
-                    database.deleteGameLogInstanceByInstanceId({
-                        location: row.location
+            if (!D.loading || !D.visible) {
+                break;
+            }
+            var worldId = data[i];
+            if (!D.worldIdList.has(worldId)) {
+                try {
+                    var args = await API.getWorld({
+                        worldId
                     });
-                    removeFromArray(
-                        this.previousInstancesWorldDialogTable.data,
-                        row
+                    this.worldImportTable.data.push(args.ref);
+                    D.worldIdList.add(worldId);
+                } catch (err) {
+                    D.errors = D.errors.concat(
+                        `WorldId: ${worldId}\n${err}\n\n`
                     );
                 }
             }
-        });
-    };
-
-    // App: Previous Instance Info Dialog
-
-    $app.data.previousInstanceInfoDialogTable = {
-        data: [],
-        filters: [
-            {
-                prop: 'displayName',
-                value: ''
-            }
-        ],
-        tableProps: {
-            stripe: true,
-            size: 'mini',
-            defaultSort: {
-                prop: 'created_at',
-                order: 'descending'
+            D.progress++;
+            if (D.progress === worldIdList.size) {
+                D.progress = 0;
             }
-        },
-        pageSize: 10,
-        paginationProps: {
-            small: true,
-            layout: 'sizes,prev,pager,next,total',
-            pageSizes: [10, 25, 50, 100]
         }
+        D.loading = false;
+    };
+
+    $app.methods.deleteItemWorldImport = function (ref) {
+        var D = this.worldImportDialog;
+        removeFromArray(this.worldImportTable.data, ref);
+        D.worldIdList.delete(ref.id);
     };
 
-    $app.data.previousInstanceInfoDialog = {
-        visible: false,
-        loading: false,
-        forceUpdate: 0,
-        $location: {}
+    $app.methods.resetWorldImport = function () {
+        var D = this.worldImportDialog;
+        D.input = '';
+        D.errors = '';
     };
 
-    $app.methods.showPreviousInstanceInfoDialog = function (instanceId) {
-        this.$nextTick(() =>
-            adjustDialogZ(this.$refs.previousInstanceInfoDialog.$el)
-        );
-        var D = this.previousInstanceInfoDialog;
-        D.$location = API.parseLocation(instanceId);
-        D.visible = true;
-        D.loading = true;
-        this.refreshPreviousInstanceInfoTable();
+    $app.methods.clearWorldImportTable = function () {
+        var D = this.worldImportDialog;
+        this.worldImportTable.data = [];
+        D.worldIdList = new Set();
     };
 
-    $app.methods.refreshPreviousInstanceInfoTable = function () {
-        var D = this.previousInstanceInfoDialog;
-        database.getPlayersFromInstance(D.$location.tag).then((data) => {
-            var array = [];
-            for (var entry of Array.from(data.values())) {
-                entry.timer = timeToText(entry.time);
-                array.push(entry);
-            }
-            array.sort(compareByCreatedAt);
-            this.previousInstanceInfoDialogTable.data = array;
-            D.loading = false;
-            workerTimers.setTimeout(() => D.forceUpdate++, 150);
-        });
+    $app.methods.selectWorldImportGroup = function (group) {
+        var D = this.worldImportDialog;
+        D.worldImportLocalFavoriteGroup = null;
+        D.worldImportFavoriteGroup = group;
     };
 
-    $app.data.dtHour12 = configRepository.getBool('VRCX_dtHour12');
-    $app.data.dtIsoFormat = configRepository.getBool('VRCX_dtIsoFormat');
-    $app.methods.setDatetimeFormat = async function () {
-        var currentCulture = await AppApi.CurrentCulture();
-        var hour12 = configRepository.getBool('VRCX_dtHour12');
-        var isoFormat = configRepository.getBool('VRCX_dtIsoFormat');
-        if (typeof this.dtHour12 !== 'undefined') {
-            if (hour12 !== this.dtHour12) {
-                configRepository.setBool('VRCX_dtHour12', this.dtHour12);
-                this.updateVRConfigVars();
-            }
-            var hour12 = this.dtHour12;
-        }
-        if (typeof this.dtIsoFormat !== 'undefined') {
-            if (isoFormat !== this.dtIsoFormat) {
-                configRepository.setBool('VRCX_dtIsoFormat', this.dtIsoFormat);
-            }
-            var isoFormat = this.dtIsoFormat;
+    $app.methods.selectWorldImportLocalGroup = function (group) {
+        var D = this.worldImportDialog;
+        D.worldImportFavoriteGroup = null;
+        D.worldImportLocalFavoriteGroup = group;
+    };
+
+    $app.methods.cancelWorldImport = function () {
+        var D = this.worldImportDialog;
+        D.loading = false;
+    };
+
+    $app.methods.importWorldImportTable = async function () {
+        var D = this.worldImportDialog;
+        if (!D.worldImportFavoriteGroup && !D.worldImportLocalFavoriteGroup) {
+            return;
         }
-        var formatDate1 = function (date, format) {
-            if (!date) {
-                return '-';
-            }
-            var dt = new Date(date);
-            if (format === 'long') {
-                return dt.toLocaleDateString(currentCulture, {
-                    month: '2-digit',
-                    day: '2-digit',
-                    year: 'numeric',
-                    hour: 'numeric',
-                    minute: 'numeric',
-                    second: 'numeric',
-                    hourCycle: hour12 ? 'h12' : 'h23'
-                });
-            } else if (format === 'short') {
-                return dt
-                    .toLocaleDateString(currentCulture, {
-                        month: '2-digit',
-                        day: '2-digit',
-                        hour: 'numeric',
-                        minute: 'numeric',
-                        hourCycle: hour12 ? 'h12' : 'h23'
-                    })
-                    .replace(' AM', 'am')
-                    .replace(' PM', 'pm')
-                    .replace(',', '');
-            }
-            return '-';
-        };
-        if (isoFormat) {
-            formatDate1 = function (date, format) {
-                if (!date) {
-                    return '-';
+        D.loading = true;
+        var data = [...this.worldImportTable.data].reverse();
+        D.importProgressTotal = data.length;
+        try {
+            for (var i = data.length - 1; i >= 0; i--) {
+                if (!D.loading || !D.visible) {
+                    break;
                 }
-                var dt = new Date(date);
-                if (format === 'long') {
-                    return dt.toISOString();
-                } else if (format === 'short') {
-                    return dt
-                        .toLocaleDateString('en-nz', {
-                            month: '2-digit',
-                            day: '2-digit',
-                            hour: 'numeric',
-                            minute: 'numeric',
-                            hourCycle: hour12 ? 'h12' : 'h23'
-                        })
-                        .replace(' AM', 'am')
-                        .replace(' PM', 'pm')
-                        .replace(',', '');
+                var ref = data[i];
+                if (D.worldImportFavoriteGroup) {
+                    await API.withRequestPriority(
+                        'low',
+                        this.addFavoriteWorld,
+                        ref,
+                        D.worldImportFavoriteGroup
+                    );
+                } else if (D.worldImportLocalFavoriteGroup) {
+                    this.addLocalWorldFavorite(
+                        ref.id,
+                        D.worldImportLocalFavoriteGroup
+                    );
                 }
-                return '-';
-            };
+                removeFromArray(this.worldImportTable.data, ref);
+                D.worldIdList.delete(ref.id);
+                D.importProgress++;
+            }
+        } catch (err) {
+            D.errors = `Name: ${ref.name}\nWorldId: ${ref.id}\n${err}\n\n`;
+        } finally {
+            D.importProgress = 0;
+            D.importProgressTotal = 0;
+            D.loading = false;
         }
-        Vue.filter('formatDate', formatDate1);
     };
-    $app.methods.setDatetimeFormat();
 
-    $app.data.enableCustomEndpoint = configRepository.getBool(
-        'VRCX_enableCustomEndpoint'
-    );
-    $app.methods.toggleCustomEndpoint = function () {
-        configRepository.setBool(
-            'VRCX_enableCustomEndpoint',
-            this.enableCustomEndpoint
-        );
-        this.loginForm.endpoint = '';
-        this.loginForm.websocket = '';
-    };
+    API.$on('LOGIN', function () {
+        $app.clearWorldImportTable();
+        $app.resetWorldImport();
+        $app.worldImportDialog.visible = false;
+        $app.worldImportFavoriteGroup = null;
+        $app.worldImportLocalFavoriteGroup = null;
 
-    $app.data.mouseDownClass = [];
-    $app.data.mouseUpClass = [];
-    $app.methods.dialogMouseDown = function (e) {
-        this.mouseDownClass = [...e.target.classList];
-    };
-    $app.methods.dialogMouseUp = function (e) {
-        this.mouseUpClass = [...e.target.classList];
-    };
-    $app.methods.beforeDialogClose = function (done) {
-        if (
-            this.mouseDownClass.includes('el-dialog__wrapper') &&
-            this.mouseUpClass.includes('el-dialog__wrapper')
-        ) {
-            done();
-        } else if (
-            this.mouseDownClass.includes('el-dialog__close') &&
-            this.mouseUpClass.includes('el-dialog__close')
-        ) {
-            done();
-        }
+        $app.worldExportDialogVisible = false;
+        $app.worldExportFavoriteGroup = null;
+        $app.worldExportLocalFavoriteGroup = null;
+    });
+
+    // App: world favorite export
+
+    $app.data.worldExportDialogRef = {};
+    $app.data.worldExportDialogVisible = false;
+    $app.data.worldExportContent = '';
+    $app.data.worldExportFavoriteGroup = null;
+    $app.data.worldExportLocalFavoriteGroup = null;
+
+    $app.methods.showWorldExportDialog = function () {
+        this.$nextTick(() =>
+            adjustDialogZ(this.$refs.worldExportDialogRef.$el)
+        );
+        this.worldExportFavoriteGroup = null;
+        this.worldExportLocalFavoriteGroup = null;
+        this.updateWorldExportDialog();
+        this.worldExportDialogVisible = true;
     };
 
-    $app.methods.disableGameLogDialog = function () {
-        if (this.isGameRunning) {
-            this.$message({
-                message:
-                    'VRChat needs to be closed before this option can be changed',
-                type: 'error'
-            });
-            this.gameLogDisabled = !this.gameLogDisabled;
-            return;
-        }
-        if (this.gameLogDisabled) {
-            this.$confirm('Continue? Disable GameLog', 'Confirm', {
-                confirmButtonText: 'Confirm',
-                cancelButtonText: 'Cancel',
-                type: 'info',
-                callback: (action) => {
-                    if (action !== 'confirm') {
-                        this.gameLogDisabled = !this.gameLogDisabled;
-                        configRepository.setBool(
-                            'VRCX_gameLogDisabled',
-                            this.gameLogDisabled
-                        );
-                    }
+    $app.methods.updateWorldExportDialog = function () {
+        var _ = function (str) {
+            if (/[\x00-\x1f,"]/.test(str) === true) {
+                return `"${str.replace(/"/g, '""')}"`;
+            }
+            return str;
+        };
+        var lines = ['WorldID,Name'];
+        if (this.worldExportFavoriteGroup) {
+            API.favoriteWorldGroups.forEach((group) => {
+                if (this.worldExportFavoriteGroup === group) {
+                    $app.favoriteWorlds.forEach((ref) => {
+                        if (group.key === ref.groupKey) {
+                            lines.push(`${_(ref.id)},${_(ref.name)}`);
+                        }
+                    });
                 }
             });
+        } else if (this.worldExportLocalFavoriteGroup) {
+            var favoriteGroup =
+                this.localWorldFavorites[this.worldExportLocalFavoriteGroup];
+            if (!favoriteGroup) {
+                return;
+            }
+            for (var i = 0; i < favoriteGroup.length; ++i) {
+                var ref = favoriteGroup[i];
+                lines.push(`${_(ref.id)},${_(ref.name)}`);
+            }
         } else {
-            configRepository.setBool(
-                'VRCX_gameLogDisabled',
-                this.gameLogDisabled
-            );
+            // export all
+            this.favoriteWorlds.forEach((ref1) => {
+                lines.push(`${_(ref1.id)},${_(ref1.name)}`);
+            });
+            for (var i = 0; i < this.localWorldFavoritesList.length; ++i) {
+                var worldId = this.localWorldFavoritesList[i];
+                var ref2 = API.cachedWorlds.get(worldId);
+                if (typeof ref2 !== 'undefined') {
+                    lines.push(`${_(ref2.id)},${_(ref2.name)}`);
+                }
+            }
         }
+        this.worldExportContent = lines.join('\n');
     };
 
-    $app.methods.getNameColour = async function (userId) {
-        var hue = await AppApi.GetColourFromUserID(userId);
-        return this.HueToHex(hue);
+    $app.methods.selectWorldExportGroup = function (group) {
+        this.worldExportFavoriteGroup = group;
+        this.worldExportLocalFavoriteGroup = null;
+        this.updateWorldExportDialog();
     };
 
-    $app.methods.userColourInit = async function () {
-        var dictObject = await AppApi.GetColourBulk(
-            Array.from(API.cachedUsers.keys())
-        );
-        for (var [userId, hue] of Object.entries(dictObject)) {
-            var ref = API.cachedUsers.get(userId);
-            if (typeof ref !== 'undefined') {
-                ref.$userColour = this.HueToHex(hue);
-            }
-        }
+    $app.methods.selectWorldExportLocalGroup = function (group) {
+        this.worldExportLocalFavoriteGroup = group;
+        this.worldExportFavoriteGroup = null;
+        this.updateWorldExportDialog();
     };
 
-    $app.methods.HueToHex = function (hue) {
-        // this.HSVtoRGB(hue / 65535, .8, .8);
-        if (this.isDarkMode) {
-            return this.HSVtoRGB(hue / 65535, 0.6, 1);
-        }
-        return this.HSVtoRGB(hue / 65535, 1, 0.7);
+    // App: avatar favorite import
+
+    $app.data.avatarImportDialog = {
+        visible: false,
+        loading: false,
+        progress: 0,
+        progressTotal: 0,
+        input: '',
+        avatarIdList: new Set(),
+        errors: '',
+        avatarImportFavoriteGroup: null,
+        importProgress: 0,
+        importProgressTotal: 0
     };
 
-    $app.methods.HSVtoRGB = function (h, s, v) {
-        var r = 0;
-        var g = 0;
-        var b = 0;
-        if (arguments.length === 1) {
-            var s = h.s;
-            var v = h.v;
-            var h = h.h;
+    $app.data.avatarImportTable = {
+        data: [],
+        tableProps: {
+            stripe: true,
+            size: 'mini'
+        },
+        layout: 'table'
+    };
+
+    $app.methods.showAvatarImportDialog = function () {
+        this.$nextTick(() => adjustDialogZ(this.$refs.avatarImportDialog.$el));
+        var D = this.avatarImportDialog;
+        this.resetAvatarImport();
+        D.visible = true;
+    };
+
+    $app.methods.processAvatarImportList = async function () {
+        var D = this.avatarImportDialog;
+        D.loading = true;
+        var regexAvatarId =
+            /avtr_[0-9A-Fa-f]{8}-([0-9A-Fa-f]{4}-){3}[0-9A-Fa-f]{12}/g;
+        var match = [];
+        var avatarIdList = new Set();
+        while ((match = regexAvatarId.exec(D.input)) !== null) {
+            avatarIdList.add(match[0]);
         }
-        var i = Math.floor(h * 6);
-        var f = h * 6 - i;
-        var p = v * (1 - s);
-        var q = v * (1 - f * s);
-        var t = v * (1 - (1 - f) * s);
-        switch (i % 6) {
-            case 0:
-                r = v;
-                g = t;
-                b = p;
-                break;
-            case 1:
-                r = q;
-                g = v;
-                b = p;
-                break;
-            case 2:
-                r = p;
-                g = v;
-                b = t;
-                break;
-            case 3:
-                r = p;
-                g = q;
-                b = v;
-                break;
-            case 4:
-                r = t;
-                g = p;
-                b = v;
-                break;
-            case 5:
-                r = v;
-                g = p;
-                b = q;
+        D.input = '';
+        D.errors = '';
+        D.progress = 0;
+        D.progressTotal = avatarIdList.size;
+        var data = Array.from(avatarIdList);
+        for (var i = 0; i < data.length; ++i) {
+            if (!D.visible) {
+                this.resetAvatarImport();
+            }
+            if (!D.loading || !D.visible) {
                 break;
+            }
+            var avatarId = data[i];
+            if (!D.avatarIdList.has(avatarId)) {
+                try {
+                    var args = await API.getAvatar({
+                        avatarId
+                    });
+                    this.avatarImportTable.data.push(args.ref);
+                    D.avatarIdList.add(avatarId);
+                } catch (err) {
+                    D.errors = D.errors.concat(
+                        `AvatarId: ${avatarId}\n${err}\n\n`
+                    );
+                }
+            }
+            D.progress++;
+            if (D.progress === avatarIdList.size) {
+                D.progress = 0;
+            }
         }
-        var red = Math.round(r * 255);
-        var green = Math.round(g * 255);
-        var blue = Math.round(b * 255);
-        var decColor = 0x1000000 + blue + 0x100 * green + 0x10000 * red;
-        return `#${decColor.toString(16).substr(1)}`;
+        D.loading = false;
     };
 
-    $app.methods.isFriendOnline = function (friend) {
-        if (
-            typeof friend === 'undefined' ||
-            typeof friend.ref === 'undefined'
-        ) {
-            return false;
-        }
-        if (friend.state === 'online') {
-            return true;
-        }
-        if (friend.state !== 'online' && friend.ref.location !== 'private') {
-            // wat
-            return true;
-        }
-        return false;
+    $app.methods.deleteItemAvatarImport = function (ref) {
+        var D = this.avatarImportDialog;
+        removeFromArray(this.avatarImportTable.data, ref);
+        D.avatarIdList.delete(ref.id);
     };
 
-    $app.methods.isRealInstance = function (instanceId) {
-        switch (instanceId) {
-            case 'offline':
-                return false;
-            case 'private':
-                return false;
-            case 'traveling':
-                return false;
-            case '':
-                return false;
-        }
-        return true;
+    $app.methods.resetAvatarImport = function () {
+        var D = this.avatarImportDialog;
+        D.input = '';
+        D.errors = '';
     };
 
-    $app.methods.onPlayerTraveling = function (ref) {
-        if (
-            !this.isGameRunning ||
-            !this.lastLocation.location ||
-            this.lastLocation.location !== ref.travelingToLocation ||
-            ref.id === API.currentUser.id ||
-            this.lastLocation.playerList.has(ref.displayName)
-        ) {
-            return;
-        }
+    $app.methods.clearAvatarImportTable = function () {
+        var D = this.avatarImportDialog;
+        this.avatarImportTable.data = [];
+        D.avatarIdList = new Set();
+    };
 
-        var onPlayerJoining = {
-            created_at: new Date(ref.created_at).toJSON(),
-            userId: ref.id,
-            displayName: ref.displayName,
-            type: 'OnPlayerJoining'
-        };
-        this.queueFeedNoty(onPlayerJoining);
+    $app.methods.selectAvatarImportGroup = function (group) {
+        var D = this.avatarImportDialog;
+        D.avatarImportFavoriteGroup = group;
     };
 
-    $app.methods.updateCurrentUserLocation = function () {
-        if (this.gameLogDisabled) {
+    $app.methods.cancelAvatarImport = function () {
+        var D = this.avatarImportDialog;
+        D.loading = false;
+    };
+
+    $app.methods.importAvatarImportTable = async function () {
+        var D = this.avatarImportDialog;
+        D.loading = true;
+        if (!D.avatarImportFavoriteGroup) {
             return;
         }
-        API.currentUser.location = this.lastLocation.location;
-        API.currentUser.travelingToLocation = this.lastLocationDestination;
-        API.currentUser.$travelingToTime = this.lastLocationDestinationTime;
-        var ref = API.cachedUsers.get(API.currentUser.id);
-        if (typeof ref !== 'undefined') {
-            var currentLocation = this.lastLocation.location;
-            if (this.lastLocation.location === 'traveling') {
-                currentLocation = this.lastLocationDestination;
-            }
-            ref.$location = API.parseLocation(currentLocation);
-            ref.location = this.lastLocation.location;
-            ref.travelingToLocation = this.lastLocationDestination;
-            ref.$travelingToTime = this.lastLocationDestinationTime;
+        var data = [...this.avatarImportTable.data].reverse();
+        D.importProgressTotal = data.length;
+        try {
+            for (var i = data.length - 1; i >= 0; i--) {
+                if (!D.loading || !D.visible) {
+                    break;
+                }
+                var ref = data[i];
+                await API.withRequestPriority(
+                    'low',
+                    this.addFavoriteAvatar,
+                    ref,
+                    D.avatarImportFavoriteGroup
+                );
+                removeFromArray(this.avatarImportTable.data, ref);
+                D.avatarIdList.delete(ref.id);
+                D.importProgress++;
+            }
+        } catch (err) {
+            D.errors = `Name: ${ref.name}\nAvatarId: ${ref.id}\n${err}\n\n`;
+        } finally {
+            D.importProgress = 0;
+            D.importProgressTotal = 0;
+            D.loading = false;
         }
     };
 
-    $app.data.avatarHistory = new Set();
-    $app.data.avatarHistoryArray = [];
+    API.$on('LOGIN', function () {
+        $app.clearAvatarImportTable();
+        $app.resetAvatarImport();
+        $app.avatarImportDialog.visible = false;
+        $app.avatarImportFavoriteGroup = null;
 
-    API.$on('LOGIN', async function () {
-        $app.avatarHistory = new Set();
-        var historyArray = await database.getAvatarHistory();
-        $app.avatarHistoryArray = historyArray;
-        for (var i = 0; i < historyArray.length; i++) {
-            $app.avatarHistory.add(historyArray[i].id);
-            this.applyAvatar(historyArray[i]);
-        }
+        $app.avatarExportDialogVisible = false;
+        $app.avatarExportFavoriteGroup = null;
     });
 
-    $app.methods.addAvatarToHistory = function (avatarId) {
-        API.getAvatar({avatarId}).then((args) => {
-            var {ref} = args;
-            if (ref.authorId === API.currentUser.id) {
-                return;
-            }
-            var historyArray = this.avatarHistoryArray;
-            for (var i = 0; i < historyArray.length; ++i) {
-                if (historyArray[i].id === ref.id) {
-                    historyArray.splice(i, 1);
-                }
-            }
-            this.avatarHistoryArray.unshift(ref);
-            database.addAvatarToCache(ref);
+    // App: avatar favorite export
 
-            this.avatarHistory.delete(ref.id);
-            this.avatarHistory.add(ref.id);
-            database.addAvatarToHistory(ref.id);
-        });
+    $app.data.avatarExportDialogRef = {};
+    $app.data.avatarExportDialogVisible = false;
+    $app.data.avatarExportContent = '';
+    $app.data.avatarExportFavoriteGroup = null;
+
+    $app.methods.showAvatarExportDialog = function () {
+        this.$nextTick(() =>
+            adjustDialogZ(this.$refs.avatarExportDialogRef.$el)
+        );
+        this.avatarExportFavoriteGroup = null;
+        this.updateAvatarExportDialog();
+        this.avatarExportDialogVisible = true;
     };
 
-    $app.methods.promptClearAvatarHistory = function () {
-        this.$confirm('Continue? Clear Avatar History', 'Confirm', {
-            confirmButtonText: 'Confirm',
-            cancelButtonText: 'Cancel',
-            type: 'info',
-            callback: (action) => {
-                if (action === 'confirm') {
-                    this.clearAvatarHistory();
-                }
+    $app.methods.updateAvatarExportDialog = function () {
+        var _ = function (str) {
+            if (/[\x00-\x1f,"]/.test(str) === true) {
+                return `"${str.replace(/"/g, '""')}"`;
+            }
+            return str;
+        };
+        var lines = ['AvatarID,Name'];
+        API.favoriteAvatarGroups.forEach((group) => {
+            if (
+                !this.avatarExportFavoriteGroup ||
+                this.avatarExportFavoriteGroup === group
+            ) {
+                $app.favoriteAvatars.forEach((ref) => {
+                    if (group.key === ref.groupKey) {
+                        lines.push(`${_(ref.id)},${_(ref.name)}`);
+                    }
+                });
             }
         });
+        this.avatarExportContent = lines.join('\n');
     };
 
-    $app.methods.clearAvatarHistory = function () {
-        this.avatarHistory = new Set();
-        this.avatarHistoryArray = [];
-        database.clearAvatarHistory();
-    };
-
-    $app.data.databaseVersion = configRepository.getInt('VRCX_databaseVersion');
-
-    $app.methods.updateDatabaseVersion = async function () {
-        var databaseVersion = 4;
-        if (this.databaseVersion !== databaseVersion) {
-            console.log(
-                `Updating database from ${this.databaseVersion} to ${databaseVersion}...`
-            );
-            await database.cleanLegendFromFriendLog(); // fix friendLog spammed with crap
-            await database.fixGameLogTraveling(); // fix bug with gameLog location being set as traveling
-            await database.fixNegativeGPS(); // fix GPS being a negative value due to VRCX bug with traveling
-            await database.fixBrokenLeaveEntries(); // fix user instance timer being higher than current user location timer
-            await database.fixBrokenGroupInvites(); // fix notification v2 in wrong table
-            if (this.databaseVersion && this.databaseVersion < 4) {
-                await database.updateTableForGroupNames(); // alter tables to include group name
-            }
-            this.databaseVersion = databaseVersion;
-            configRepository.setInt('VRCX_databaseVersion', databaseVersion);
-            console.log('Database update complete.');
-        }
+    $app.methods.selectAvatarExportGroup = function (group) {
+        this.avatarExportFavoriteGroup = group;
+        this.updateAvatarExportDialog();
     };
 
-    // App: world favorite import
+    // App: friend favorite import
 
-    $app.data.worldImportDialog = {
+    $app.data.friendImportDialog = {
         visible: false,
         loading: false,
         progress: 0,
         progressTotal: 0,
         input: '',
-        worldIdList: new Set(),
+        userIdList: new Set(),
         errors: '',
-        worldImportFavoriteGroup: null,
-        worldImportLocalFavoriteGroup: null,
+        friendImportFavoriteGroup: null,
         importProgress: 0,
         importProgressTotal: 0
     };
 
-    $app.data.worldImportTable = {
+    $app.data.friendImportTable = {
         data: [],
         tableProps: {
             stripe: true,
@@ -21646,99 +25177,90 @@ speechSynthesis.getVoices();
         layout: 'table'
     };
 
-    $app.methods.showWorldImportDialog = function () {
-        this.$nextTick(() => adjustDialogZ(this.$refs.worldImportDialog.$el));
-        var D = this.worldImportDialog;
-        this.resetWorldImport();
+    $app.methods.showFriendImportDialog = function () {
+        this.$nextTick(() => adjustDialogZ(this.$refs.friendImportDialog.$el));
+        var D = this.friendImportDialog;
+        this.resetFriendImport();
         D.visible = true;
     };
 
-    $app.methods.processWorldImportList = async function () {
-        var D = this.worldImportDialog;
+    $app.methods.processFriendImportList = async function () {
+        var D = this.friendImportDialog;
         D.loading = true;
-        var regexWorldId =
-            /wrld_[0-9A-Fa-f]{8}-([0-9A-Fa-f]{4}-){3}[0-9A-Fa-f]{12}/g;
+        var regexFriendId =
+            /usr_[0-9A-Fa-f]{8}-([0-9A-Fa-f]{4}-){3}[0-9A-Fa-f]{12}/g;
         var match = [];
-        var worldIdList = new Set();
-        while ((match = regexWorldId.exec(D.input)) !== null) {
-            worldIdList.add(match[0]);
+        var userIdList = new Set();
+        while ((match = regexFriendId.exec(D.input)) !== null) {
+            userIdList.add(match[0]);
         }
         D.input = '';
         D.errors = '';
         D.progress = 0;
-        D.progressTotal = worldIdList.size;
-        var data = Array.from(worldIdList);
+        D.progressTotal = userIdList.size;
+        var data = Array.from(userIdList);
         for (var i = 0; i < data.length; ++i) {
             if (!D.visible) {
-                this.resetWorldImport();
+                this.resetFriendImport();
             }
             if (!D.loading || !D.visible) {
                 break;
             }
-            var worldId = data[i];
-            if (!D.worldIdList.has(worldId)) {
+            var userId = data[i];
+            if (!D.userIdList.has(userId)) {
                 try {
-                    var args = await API.getWorld({
-                        worldId
+                    var args = await API.getUser({
+                        userId
                     });
-                    this.worldImportTable.data.push(args.ref);
-                    D.worldIdList.add(worldId);
+                    this.friendImportTable.data.push(args.ref);
+                    D.userIdList.add(userId);
                 } catch (err) {
-                    D.errors = D.errors.concat(
-                        `WorldId: ${worldId}\n${err}\n\n`
-                    );
+                    D.errors = D.errors.concat(`UserId: ${userId}\n${err}\n\n`);
                 }
             }
             D.progress++;
-            if (D.progress === worldIdList.size) {
+            if (D.progress === userIdList.size) {
                 D.progress = 0;
             }
         }
         D.loading = false;
     };
 
-    $app.methods.deleteItemWorldImport = function (ref) {
-        var D = this.worldImportDialog;
-        removeFromArray(this.worldImportTable.data, ref);
-        D.worldIdList.delete(ref.id);
+    $app.methods.deleteItemFriendImport = function (ref) {
+        var D = this.friendImportDialog;
+        removeFromArray(this.friendImportTable.data, ref);
+        D.userIdList.delete(ref.id);
     };
 
-    $app.methods.resetWorldImport = function () {
-        var D = this.worldImportDialog;
+    $app.methods.resetFriendImport = function () {
+        var D = this.friendImportDialog;
         D.input = '';
         D.errors = '';
     };
 
-    $app.methods.clearWorldImportTable = function () {
-        var D = this.worldImportDialog;
-        this.worldImportTable.data = [];
-        D.worldIdList = new Set();
-    };
-
-    $app.methods.selectWorldImportGroup = function (group) {
-        var D = this.worldImportDialog;
-        D.worldImportLocalFavoriteGroup = null;
-        D.worldImportFavoriteGroup = group;
+    $app.methods.clearFriendImportTable = function () {
+        var D = this.friendImportDialog;
+        this.friendImportTable.data = [];
+        D.userIdList = new Set();
     };
 
-    $app.methods.selectWorldImportLocalGroup = function (group) {
-        var D = this.worldImportDialog;
-        D.worldImportFavoriteGroup = null;
-        D.worldImportLocalFavoriteGroup = group;
+    $app.methods.selectFriendImportGroup = function (group) {
+        var D = this.friendImportDialog;
+        D.friendImportFavoriteGroup = group;
     };
 
-    $app.methods.cancelWorldImport = function () {
-        var D = this.worldImportDialog;
+    $app.methods.cancelFriendImport = function () {
+        var D = this.friendImportDialog;
         D.loading = false;
     };
 
-    $app.methods.importWorldImportTable = async function () {
-        var D = this.worldImportDialog;
-        if (!D.worldImportFavoriteGroup && !D.worldImportLocalFavoriteGroup) {
+    $app.methods.importFriendImportTable = async function () {
+        var D = this.friendImportDialog;
+        D.loading = true;
+        if (!D.friendImportFavoriteGroup) {
             return;
         }
-        D.loading = true;
-        var data = [...this.worldImportTable.data].reverse();
+        var data = [...this.friendImportTable.data].reverse();
         D.importProgressTotal = data.length;
         try {
             for (var i = data.length - 1; i >= 0; i--) {
@@ -21746,23 +25268,18 @@ speechSynthesis.getVoices();
                     break;
                 }
                 var ref = data[i];
-                if (D.worldImportFavoriteGroup) {
-                    await this.addFavoriteWorld(
-                        ref,
-                        D.worldImportFavoriteGroup
-                    );
-                } else if (D.worldImportLocalFavoriteGroup) {
-                    this.addLocalWorldFavorite(
-                        ref.id,
-                        D.worldImportLocalFavoriteGroup
-                    );
-                }
-                removeFromArray(this.worldImportTable.data, ref);
-                D.worldIdList.delete(ref.id);
+                await API.withRequestPriority(
+                    'low',
+                    this.addFavoriteUser,
+                    ref,
+                    D.friendImportFavoriteGroup
+                );
+                removeFromArray(this.friendImportTable.data, ref);
+                D.userIdList.delete(ref.id);
                 D.importProgress++;
             }
         } catch (err) {
-            D.errors = `Name: ${ref.name}\nWorldId: ${ref.id}\n${err}\n\n`;
+            D.errors = `Name: ${ref.displayName}\nUserId: ${ref.id}\n${err}\n\n`;
         } finally {
             D.importProgress = 0;
             D.importProgressTotal = 0;
@@ -21771,107 +25288,140 @@ speechSynthesis.getVoices();
     };
 
     API.$on('LOGIN', function () {
-        $app.clearWorldImportTable();
-        $app.resetWorldImport();
-        $app.worldImportDialog.visible = false;
-        $app.worldImportFavoriteGroup = null;
-        $app.worldImportLocalFavoriteGroup = null;
+        $app.clearFriendImportTable();
+        $app.resetFriendImport();
+        $app.friendImportDialog.visible = false;
+        $app.friendImportFavoriteGroup = null;
 
-        $app.worldExportDialogVisible = false;
-        $app.worldExportFavoriteGroup = null;
-        $app.worldExportLocalFavoriteGroup = null;
+        $app.friendExportDialogVisible = false;
+        $app.friendExportFavoriteGroup = null;
     });
 
-    // App: world favorite export
+    // App: friend favorite export
 
-    $app.data.worldExportDialogRef = {};
-    $app.data.worldExportDialogVisible = false;
-    $app.data.worldExportContent = '';
-    $app.data.worldExportFavoriteGroup = null;
-    $app.data.worldExportLocalFavoriteGroup = null;
+    $app.data.friendExportDialogRef = {};
+    $app.data.friendExportDialogVisible = false;
+    $app.data.friendExportContent = '';
+    $app.data.friendExportFavoriteGroup = null;
 
-    $app.methods.showWorldExportDialog = function () {
+    $app.methods.showFriendExportDialog = function () {
         this.$nextTick(() =>
-            adjustDialogZ(this.$refs.worldExportDialogRef.$el)
+            adjustDialogZ(this.$refs.friendExportDialogRef.$el)
         );
-        this.worldExportFavoriteGroup = null;
-        this.worldExportLocalFavoriteGroup = null;
-        this.updateWorldExportDialog();
-        this.worldExportDialogVisible = true;
+        this.friendExportFavoriteGroup = null;
+        this.updateFriendExportDialog();
+        this.friendExportDialogVisible = true;
     };
 
-    $app.methods.updateWorldExportDialog = function () {
+    $app.methods.updateFriendExportDialog = function () {
         var _ = function (str) {
             if (/[\x00-\x1f,"]/.test(str) === true) {
                 return `"${str.replace(/"/g, '""')}"`;
             }
             return str;
         };
-        var lines = ['WorldID,Name'];
-        if (this.worldExportFavoriteGroup) {
-            API.favoriteWorldGroups.forEach((group) => {
-                if (this.worldExportFavoriteGroup === group) {
-                    $app.favoriteWorlds.forEach((ref) => {
-                        if (group.key === ref.groupKey) {
-                            lines.push(`${_(ref.id)},${_(ref.name)}`);
-                        }
-                    });
-                }
-            });
-        } else if (this.worldExportLocalFavoriteGroup) {
-            var favoriteGroup =
-                this.localWorldFavorites[this.worldExportLocalFavoriteGroup];
-            if (!favoriteGroup) {
-                return;
-            }
-            for (var i = 0; i < favoriteGroup.length; ++i) {
-                var ref = favoriteGroup[i];
-                lines.push(`${_(ref.id)},${_(ref.name)}`);
+        var lines = ['UserID,Name'];
+        API.favoriteFriendGroups.forEach((group) => {
+            if (
+                !this.friendExportFavoriteGroup ||
+                this.friendExportFavoriteGroup === group
+            ) {
+                $app.favoriteFriends.forEach((ref) => {
+                    if (group.key === ref.groupKey) {
+                        lines.push(`${_(ref.id)},${_(ref.name)}`);
+                    }
+                });
             }
-        } else {
-            // export all
-            this.favoriteWorlds.forEach((ref1) => {
-                lines.push(`${_(ref1.id)},${_(ref1.name)}`);
-            });
-            for (var i = 0; i < this.localWorldFavoritesList.length; ++i) {
-                var worldId = this.localWorldFavoritesList[i];
-                var ref2 = API.cachedWorlds.get(worldId);
-                if (typeof ref2 !== 'undefined') {
-                    lines.push(`${_(ref2.id)},${_(ref2.name)}`);
-                }
+        });
+        this.friendExportContent = lines.join('\n');
+    };
+
+    $app.methods.selectFriendExportGroup = function (group) {
+        this.friendExportFavoriteGroup = group;
+        this.updateFriendExportDialog();
+    };
+
+    // App: user dialog notes
+
+    API.saveNote = function (params) {
+        return this.call('userNotes', {
+            method: 'POST',
+            params
+        }).then((json) => {
+            var args = {
+                json,
+                params
+            };
+            this.$emit('NOTE', args);
+            return args;
+        });
+    };
+
+    API.$on('NOTE', function (args) {
+        var note = '';
+        var targetUserId = '';
+        if (typeof args.json !== 'undefined') {
+            note = $app.replaceBioSymbols(args.json.note);
+        }
+        if (typeof args.params !== 'undefined') {
+            targetUserId = args.params.targetUserId;
+        }
+        if (targetUserId === $app.userDialog.id) {
+            if (note === args.params.note) {
+                $app.userDialog.noteSaving = false;
+                $app.userDialog.note = note;
+            } else {
+                // response is cached sadge :<
+                this.getUser({userId: targetUserId});
             }
         }
-        this.worldExportContent = lines.join('\n');
+        var ref = API.cachedUsers.get(targetUserId);
+        if (typeof ref !== 'undefined') {
+            ref.note = note;
+        }
+    });
+
+    $app.methods.checkNote = function (ref, note) {
+        if (ref.note !== note) {
+            this.addNote(ref.id, note);
+        }
     };
 
-    $app.methods.selectWorldExportGroup = function (group) {
-        this.worldExportFavoriteGroup = group;
-        this.worldExportLocalFavoriteGroup = null;
-        this.updateWorldExportDialog();
+    $app.methods.cleanNote = function (note) {
+        // remove newlines because they aren't supported
+        $app.userDialog.note = note.replace(/[\r\n]/g, '');
     };
 
-    $app.methods.selectWorldExportLocalGroup = function (group) {
-        this.worldExportLocalFavoriteGroup = group;
-        this.worldExportFavoriteGroup = null;
-        this.updateWorldExportDialog();
+    $app.methods.addNote = function (userId, note) {
+        if (this.userDialog.id === userId) {
+            this.userDialog.noteSaving = true;
+        }
+        return API.saveNote({
+            targetUserId: userId,
+            note
+        });
     };
 
-    // App: avatar favorite import
+    $app.methods.deleteNote = function (userId) {
+        if (this.userDialog.id === userId) {
+            this.userDialog.noteSaving = true;
+        }
+        return API.saveNote({
+            targetUserId: userId,
+            note: ''
+        });
+    };
 
-    $app.data.avatarImportDialog = {
+    // App: note export
+
+    $app.data.noteExportDialog = {
         visible: false,
         loading: false,
         progress: 0,
         progressTotal: 0,
-        input: '',
-        avatarIdList: new Set(),
-        errors: '',
-        avatarImportFavoriteGroup: null,
-        importProgress: 0,
-        importProgressTotal: 0
+        errors: ''
     };
-
-    $app.data.avatarImportTable = {
+    $app.data.noteExportTable = {
         data: [],
         tableProps: {
             stripe: true,
@@ -21880,572 +25430,742 @@ speechSynthesis.getVoices();
         layout: 'table'
     };
 
-    $app.methods.showAvatarImportDialog = function () {
-        this.$nextTick(() => adjustDialogZ(this.$refs.avatarImportDialog.$el));
-        var D = this.avatarImportDialog;
-        this.resetAvatarImport();
+    API.$on('LOGIN', function () {
+        $app.noteExportTable.data = [];
+        $app.noteExportDialog.visible = false;
+        $app.noteExportDialog.loading = false;
+        $app.noteExportDialog.progress = 0;
+        $app.noteExportDialog.progressTotal = 0;
+        $app.noteExportDialog.errors = '';
+    });
+
+    $app.methods.showNoteExportDialog = function () {
+        this.$nextTick(() => adjustDialogZ(this.$refs.noteExportDialog.$el));
+        var D = this.noteExportDialog;
+        D.progress = 0;
+        D.progressTotal = 0;
+        D.loading = false;
         D.visible = true;
     };
 
-    $app.methods.processAvatarImportList = async function () {
-        var D = this.avatarImportDialog;
-        D.loading = true;
-        var regexAvatarId =
-            /avtr_[0-9A-Fa-f]{8}-([0-9A-Fa-f]{4}-){3}[0-9A-Fa-f]{12}/g;
-        var match = [];
-        var avatarIdList = new Set();
-        while ((match = regexAvatarId.exec(D.input)) !== null) {
-            avatarIdList.add(match[0]);
-        }
-        D.input = '';
-        D.errors = '';
-        D.progress = 0;
-        D.progressTotal = avatarIdList.size;
-        var data = Array.from(avatarIdList);
-        for (var i = 0; i < data.length; ++i) {
-            if (!D.visible) {
-                this.resetAvatarImport();
-            }
-            if (!D.loading || !D.visible) {
-                break;
+    $app.methods.updateNoteExportDialog = function () {
+        var data = [];
+        this.friends.forEach((ctx) => {
+            var newMemo = ctx.memo.replace(/[\r\n]/g, ' ');
+            if (ctx.memo && ctx.ref && ctx.ref.note !== newMemo.slice(0, 256)) {
+                data.push({
+                    id: ctx.id,
+                    name: ctx.name,
+                    memo: newMemo,
+                    ref: ctx.ref
+                });
             }
-            var avatarId = data[i];
-            if (!D.avatarIdList.has(avatarId)) {
-                try {
-                    var args = await API.getAvatar({
-                        avatarId
+        });
+        this.noteExportTable.data = data;
+    };
+
+    $app.methods.removeFromNoteExportTable = function (ref) {
+        removeFromArray(this.noteExportTable.data, ref);
+    };
+
+    $app.methods.exportNoteExport = async function () {
+        var D = this.noteExportDialog;
+        D.loading = true;
+        var data = [...this.noteExportTable.data].reverse();
+        D.progressTotal = data.length;
+        try {
+            for (var i = data.length - 1; i >= 0; i--) {
+                if (D.visible && D.loading) {
+                    var ctx = data[i];
+                    await API.saveNote({
+                        targetUserId: ctx.id,
+                        note: ctx.memo.slice(0, 256)
+                    });
+                    removeFromArray(this.noteExportTable.data, ctx);
+                    D.progress++;
+                    await new Promise((resolve) => {
+                        workerTimers.setTimeout(resolve, 5000);
                     });
-                    this.avatarImportTable.data.push(args.ref);
-                    D.avatarIdList.add(avatarId);
-                } catch (err) {
-                    D.errors = D.errors.concat(
-                        `AvatarId: ${avatarId}\n${err}\n\n`
-                    );
                 }
             }
-            D.progress++;
-            if (D.progress === avatarIdList.size) {
-                D.progress = 0;
-            }
+        } catch (err) {
+            D.errors = `Name: ${ctx.name}\n${err}\n\n`;
+        } finally {
+            D.progress = 0;
+            D.progressTotal = 0;
+            D.loading = false;
         }
-        D.loading = false;
     };
 
-    $app.methods.deleteItemAvatarImport = function (ref) {
-        var D = this.avatarImportDialog;
-        removeFromArray(this.avatarImportTable.data, ref);
-        D.avatarIdList.delete(ref.id);
+    $app.methods.cancelNoteExport = function () {
+        this.noteExportDialog.loading = false;
+    };
+
+    // App: history archive
+
+    $app.data.historyArchiveDialog = {
+        visible: false,
+        loading: false,
+        dataFormat: 'json',
+        progress: 0,
+        progressTotal: 0,
+        table: '',
+        path: ''
+    };
+    $app.data.historyArchiveTable = {
+        data: [],
+        tableProps: {
+            stripe: true,
+            size: 'mini'
+        },
+        layout: 'table'
+    };
+
+    API.$on('LOGOUT', function () {
+        $app.historyArchiveDialog.visible = false;
+    });
+
+    $app.methods.showHistoryArchiveDialog = function () {
+        this.$nextTick(() =>
+            adjustDialogZ(this.$refs.historyArchiveDialog.$el)
+        );
+        var D = this.historyArchiveDialog;
+        D.path = '';
+        this.historyArchiveTable.data = [];
+        D.visible = true;
     };
 
-    $app.methods.resetAvatarImport = function () {
-        var D = this.avatarImportDialog;
-        D.input = '';
-        D.errors = '';
+    $app.methods.updateHistoryArchiveProgress = function (
+        progress,
+        progressTotal,
+        table
+    ) {
+        var D = this.historyArchiveDialog;
+        D.progress = progress;
+        D.progressTotal = progressTotal;
+        D.table = table;
     };
 
-    $app.methods.clearAvatarImportTable = function () {
-        var D = this.avatarImportDialog;
-        this.avatarImportTable.data = [];
-        D.avatarIdList = new Set();
+    $app.methods.exportHistoryArchive = async function () {
+        var D = this.historyArchiveDialog;
+        D.loading = true;
+        D.path = '';
+        this.historyArchiveTable.data = [];
+        try {
+            D.path = await historyArchive.export(
+                D.dataFormat,
+                {
+                    userId: API.currentUser.id,
+                    displayName: API.currentUser.displayName,
+                    appVersion: this.appVersion
+                },
+                this.updateHistoryArchiveProgress
+            );
+            this.$message({
+                message: 'History exported',
+                type: 'success'
+            });
+        } catch (err) {
+            console.error(err);
+            this.$message({
+                message: `Export failed: ${err}`,
+                type: 'error'
+            });
+        } finally {
+            D.loading = false;
+            D.progress = 0;
+            D.progressTotal = 0;
+            D.table = '';
+        }
     };
 
-    $app.methods.selectAvatarImportGroup = function (group) {
-        var D = this.avatarImportDialog;
-        D.avatarImportFavoriteGroup = group;
+    $app.methods.showHistoryArchiveFile = function () {
+        AppApi.ShowFileInFolder(this.historyArchiveDialog.path);
     };
 
-    $app.methods.cancelAvatarImport = function () {
-        var D = this.avatarImportDialog;
-        D.loading = false;
+    $app.methods.displayHistoryArchiveImport = function () {
+        document.getElementById('HistoryArchiveImportButton').click();
     };
 
-    $app.methods.importAvatarImportTable = async function () {
-        var D = this.avatarImportDialog;
-        D.loading = true;
-        if (!D.avatarImportFavoriteGroup) {
+    $app.methods.onFileChangeHistoryArchive = function (e) {
+        var files = e.target.files || e.dataTransfer.files;
+        if (!files.length) {
             return;
         }
-        var data = [...this.avatarImportTable.data].reverse();
-        D.importProgressTotal = data.length;
+        var r = new FileReader();
+        r.onload = () => {
+            var base64Body = r.result.substring(r.result.indexOf(',') + 1);
+            this.importHistoryArchive(base64Body);
+        };
+        r.readAsDataURL(files[0]);
+        e.target.value = '';
+    };
+
+    $app.methods.importHistoryArchive = async function (base64Body) {
+        var D = this.historyArchiveDialog;
+        D.loading = true;
+        D.path = '';
+        this.historyArchiveTable.data = [];
         try {
-            for (var i = data.length - 1; i >= 0; i--) {
-                if (!D.loading || !D.visible) {
-                    break;
-                }
-                var ref = data[i];
-                await this.addFavoriteAvatar(ref, D.avatarImportFavoriteGroup);
-                removeFromArray(this.avatarImportTable.data, ref);
-                D.avatarIdList.delete(ref.id);
-                D.importProgress++;
-            }
+            var result = await historyArchive.import(
+                base64Body,
+                this.updateHistoryArchiveProgress
+            );
+            this.historyArchiveTable.data = Object.entries(result).map(
+                ([table, rows]) => ({
+                    table,
+                    rows
+                })
+            );
+            this.$message({
+                message: 'History imported',
+                type: 'success'
+            });
+            await this.reloadHistoryTables();
         } catch (err) {
-            D.errors = `Name: ${ref.name}\nAvatarId: ${ref.id}\n${err}\n\n`;
+            console.error(err);
+            this.$message({
+                message: `Import failed: ${err}`,
+                type: 'error'
+            });
         } finally {
-            D.importProgress = 0;
-            D.importProgressTotal = 0;
             D.loading = false;
+            D.progress = 0;
+            D.progressTotal = 0;
+            D.table = '';
         }
     };
 
-    API.$on('LOGIN', function () {
-        $app.clearAvatarImportTable();
-        $app.resetAvatarImport();
-        $app.avatarImportDialog.visible = false;
-        $app.avatarImportFavoriteGroup = null;
-
-        $app.avatarExportDialogVisible = false;
-        $app.avatarExportFavoriteGroup = null;
-    });
+    $app.methods.reloadHistoryTables = async function () {
+        this.feedTableLookup();
+        this.gameLogTableLookup();
+        this.friendLogTable.data = await database.getFriendLogHistory();
+        this.notificationTable.data = await database.getNotifications();
+        this.groupLogTable = await database.getGroupHistory();
+        this.getAllMemos();
+    };
 
-    // App: avatar favorite export
+    // avatar database provider
 
-    $app.data.avatarExportDialogRef = {};
-    $app.data.avatarExportDialogVisible = false;
-    $app.data.avatarExportContent = '';
-    $app.data.avatarExportFavoriteGroup = null;
+    $app.data.avatarProviderDialog = {
+        visible: false
+    };
 
-    $app.methods.showAvatarExportDialog = function () {
+    $app.methods.showAvatarProviderDialog = function () {
         this.$nextTick(() =>
-            adjustDialogZ(this.$refs.avatarExportDialogRef.$el)
+            adjustDialogZ(this.$refs.avatarProviderDialog.$el)
         );
-        this.avatarExportFavoriteGroup = null;
-        this.updateAvatarExportDialog();
-        this.avatarExportDialogVisible = true;
+        var D = this.avatarProviderDialog;
+        D.visible = true;
     };
 
-    $app.methods.updateAvatarExportDialog = function () {
-        var _ = function (str) {
-            if (/[\x00-\x1f,"]/.test(str) === true) {
-                return `"${str.replace(/"/g, '""')}"`;
+    $app.methods.addAvatarProvider = function (url) {
+        if (!url) {
+            return;
+        }
+        this.showAvatarProviderDialog();
+        if (!this.avatarRemoteDatabaseProviderList.includes(url)) {
+            this.avatarRemoteDatabaseProviderList.push(url);
+        }
+        this.saveAvatarProviderList();
+    };
+
+    $app.methods.removeAvatarProvider = function (url) {
+        var length = this.avatarRemoteDatabaseProviderList.length;
+        for (var i = 0; i < length; ++i) {
+            if (this.avatarRemoteDatabaseProviderList[i] === url) {
+                this.avatarRemoteDatabaseProviderList.splice(i, 1);
             }
-            return str;
-        };
-        var lines = ['AvatarID,Name'];
-        API.favoriteAvatarGroups.forEach((group) => {
-            if (
-                !this.avatarExportFavoriteGroup ||
-                this.avatarExportFavoriteGroup === group
-            ) {
-                $app.favoriteAvatars.forEach((ref) => {
-                    if (group.key === ref.groupKey) {
-                        lines.push(`${_(ref.id)},${_(ref.name)}`);
-                    }
-                });
+        }
+        this.saveAvatarProviderList();
+    };
+
+    $app.methods.saveAvatarProviderList = function () {
+        var length = this.avatarRemoteDatabaseProviderList.length;
+        for (var i = 0; i < length; ++i) {
+            if (!this.avatarRemoteDatabaseProviderList[i]) {
+                this.avatarRemoteDatabaseProviderList.splice(i, 1);
             }
-        });
-        this.avatarExportContent = lines.join('\n');
+        }
+        secureConfigRepository
+            .setString(
+                'VRCX_avatarRemoteDatabaseProviderList',
+                JSON.stringify(this.avatarRemoteDatabaseProviderList)
+            )
+            .catch((err) => {
+                this.$message({
+                    message: `Avatar providers not saved: ${err.message}`,
+                    type: 'error'
+                });
+            });
+        if (this.avatarRemoteDatabaseProviderList.length > 0) {
+            this.avatarRemoteDatabaseProvider =
+                this.avatarRemoteDatabaseProviderList[0];
+            this.avatarRemoteDatabase = true;
+        } else {
+            this.avatarRemoteDatabaseProvider = '';
+            this.avatarRemoteDatabase = false;
+        }
+        configRepository.setBool(
+            'VRCX_avatarRemoteDatabase',
+            this.avatarRemoteDatabase
+        );
     };
 
-    $app.methods.selectAvatarExportGroup = function (group) {
-        this.avatarExportFavoriteGroup = group;
-        this.updateAvatarExportDialog();
+    $app.methods.setAvatarProvider = function (provider) {
+        this.avatarRemoteDatabaseProvider = provider;
     };
 
-    // App: friend favorite import
+    // App: Account Sessions
 
-    $app.data.friendImportDialog = {
-        visible: false,
-        loading: false,
-        progress: 0,
-        progressTotal: 0,
-        input: '',
-        userIdList: new Set(),
-        errors: '',
-        friendImportFavoriteGroup: null,
-        importProgress: 0,
-        importProgressTotal: 0
+    $app.data.isSwitchingAccount = false;
+    $app.data.backgroundSessions = sessionManager.sessions;
+    $app.data.keepAccountsInBackground = configRepository.getBool(
+        'VRCX_keepAccountsInBackground',
+        true
+    );
+    $app.data.accountSwitcherDialog = {
+        visible: false
     };
 
-    $app.data.friendImportTable = {
-        data: [],
-        tableProps: {
-            stripe: true,
-            size: 'mini'
-        },
-        layout: 'table'
+    sessionManager.onEvent = function (session, json) {
+        $app.onBackgroundSessionEvent(session, json);
     };
 
-    $app.methods.showFriendImportDialog = function () {
-        this.$nextTick(() => adjustDialogZ(this.$refs.friendImportDialog.$el));
-        var D = this.friendImportDialog;
-        this.resetFriendImport();
-        D.visible = true;
+    API.$on('LOGIN', function (args) {
+        // logged in from the login screen while it was still in the background
+        sessionManager.remove(args.ref.id);
+    });
+
+    API.$on('LOGOUT', function () {
+        $app.accountSwitcherDialog.visible = false;
+    });
+
+    $app.computed.backgroundSessionsUnseen = function () {
+        return this.backgroundSessions.reduce(
+            (count, session) => count + session.unseen,
+            0
+        );
     };
 
-    $app.methods.processFriendImportList = async function () {
-        var D = this.friendImportDialog;
-        D.loading = true;
-        var regexFriendId =
-            /usr_[0-9A-Fa-f]{8}-([0-9A-Fa-f]{4}-){3}[0-9A-Fa-f]{12}/g;
-        var match = [];
-        var userIdList = new Set();
-        while ((match = regexFriendId.exec(D.input)) !== null) {
-            userIdList.add(match[0]);
-        }
-        D.input = '';
-        D.errors = '';
-        D.progress = 0;
-        D.progressTotal = userIdList.size;
-        var data = Array.from(userIdList);
-        for (var i = 0; i < data.length; ++i) {
-            if (!D.visible) {
-                this.resetFriendImport();
-            }
-            if (!D.loading || !D.visible) {
-                break;
-            }
-            var userId = data[i];
-            if (!D.userIdList.has(userId)) {
-                try {
-                    var args = await API.getUser({
-                        userId
-                    });
-                    this.friendImportTable.data.push(args.ref);
-                    D.userIdList.add(userId);
-                } catch (err) {
-                    D.errors = D.errors.concat(`UserId: ${userId}\n${err}\n\n`);
-                }
-            }
-            D.progress++;
-            if (D.progress === userIdList.size) {
-                D.progress = 0;
-            }
-        }
-        D.loading = false;
+    $app.methods.showAccountSwitcherDialog = function () {
+        this.$nextTick(() =>
+            adjustDialogZ(this.$refs.accountSwitcherDialog.$el)
+        );
+        this.accountSwitcherDialog.visible = true;
     };
 
-    $app.methods.deleteItemFriendImport = function (ref) {
-        var D = this.friendImportDialog;
-        removeFromArray(this.friendImportTable.data, ref);
-        D.userIdList.delete(ref.id);
+    $app.methods.setKeepAccountsInBackground = function () {
+        configRepository.setBool(
+            'VRCX_keepAccountsInBackground',
+            this.keepAccountsInBackground
+        );
     };
 
-    $app.methods.resetFriendImport = function () {
-        var D = this.friendImportDialog;
-        D.input = '';
-        D.errors = '';
+    $app.methods.getBackgroundSession = function (userId) {
+        return this.backgroundSessions.find(
+            (session) => session.userId === userId
+        );
     };
 
-    $app.methods.clearFriendImportTable = function () {
-        var D = this.friendImportDialog;
-        this.friendImportTable.data = [];
-        D.userIdList = new Set();
+    $app.methods.signOutBackgroundSession = function (userId) {
+        sessionManager.remove(userId);
     };
 
-    $app.methods.selectFriendImportGroup = function (group) {
-        var D = this.friendImportDialog;
-        D.friendImportFavoriteGroup = group;
+    var backgroundNotificationTypes = {
+        invite: 'sent you an invite',
+        requestInvite: 'requested an invite',
+        inviteResponse: 'responded to your invite',
+        requestInviteResponse: 'responded to your invite request',
+        friendRequest: 'sent you a friend request'
     };
 
-    $app.methods.cancelFriendImport = function () {
-        var D = this.friendImportDialog;
-        D.loading = false;
+    // only notifications are kept for background accounts, written to their
+    // own tables so they're there after switching to the account
+    $app.methods.onBackgroundSessionEvent = function (session, json) {
+        var {type, content} = json;
+        var userPrefix = database.getUserPrefix(session.userId);
+        if (type === 'notification') {
+            var ref = sessionManager.parseNotification(content);
+            database.addNotificationToDatabase(ref, userPrefix);
+            ++session.unseen;
+            var text = backgroundNotificationTypes[ref.type] || ref.type;
+            new Noty({
+                type: 'info',
+                text: `<strong>${escapeTag(
+                    session.displayName
+                )}</strong>: ${escapeTag(ref.senderUsername)} ${escapeTag(
+                    text
+                )}`
+            }).show();
+        } else if (type === 'hide-notification') {
+            database.updateNotificationExpired(
+                {
+                    id: content,
+                    $isExpired: true
+                },
+                userPrefix
+            );
+        }
     };
 
-    $app.methods.importFriendImportTable = async function () {
-        var D = this.friendImportDialog;
-        D.loading = true;
-        if (!D.friendImportFavoriteGroup) {
+    // the current account is kept in the background with its auth token,
+    // an account that's already in the background takes over the session from
+    // its saved cookies, so neither needs its password or 2FA again
+    $app.methods.switchAccount = async function (user) {
+        if (this.isSwitchingAccount || user.user.id === API.currentUser.id) {
             return;
         }
-        var data = [...this.friendImportTable.data].reverse();
-        D.importProgressTotal = data.length;
+        var current = API.currentUser;
+        var session = sessionManager.get(user.user.id);
+        var isResume = typeof session !== 'undefined' && Boolean(user.cookies);
+        this.isSwitchingAccount = true;
         try {
-            for (var i = data.length - 1; i >= 0; i--) {
-                if (!D.loading || !D.visible) {
-                    break;
-                }
-                var ref = data[i];
-                await this.addFavoriteUser(ref, D.friendImportFavoriteGroup);
-                removeFromArray(this.friendImportTable.data, ref);
-                D.userIdList.delete(ref.id);
-                D.importProgress++;
+            if (
+                this.keepAccountsInBackground &&
+                typeof this.loginForm.savedCredentials[current.username] !==
+                    'undefined'
+            ) {
+                var {websocketDomain} = API;
+                var args = await API.getAuth();
+                sessionManager.add({
+                    userId: current.id,
+                    displayName: current.displayName,
+                    username: current.username,
+                    token: args.json.token,
+                    websocketDomain
+                });
+            }
+            API.logout();
+            if (!isResume) {
+                await this.relogin(user);
+                return;
             }
+            sessionManager.remove(user.user.id);
+            this.loginForm.loading = true;
+            await webApiService.clearCookies();
+            await this.restoreStoredCookies(user);
+            this.applyLoginEndpoint(user.loginParmas);
+            this.loginForm.lastUserLoggedIn = user.user.username;
+            configRepository.setString('lastUserLoggedIn', user.user.username);
+            await API.getConfig();
+            await API.getCurrentUser();
         } catch (err) {
-            D.errors = `Name: ${ref.displayName}\nUserId: ${ref.id}\n${err}\n\n`;
+            console.error(err);
+            // without a primary password AUTOLOGIN already logs in again
+            if (isResume && !API.isLoggedIn && this.enablePrimaryPassword) {
+                this.relogin(user).catch((err2) => console.error(err2));
+            }
         } finally {
-            D.importProgress = 0;
-            D.importProgressTotal = 0;
-            D.loading = false;
+            this.loginForm.loading = false;
+            this.isSwitchingAccount = false;
         }
     };
 
-    API.$on('LOGIN', function () {
-        $app.clearFriendImportTable();
-        $app.resetFriendImport();
-        $app.friendImportDialog.visible = false;
-        $app.friendImportFavoriteGroup = null;
+    // App: Local Friend Groups
 
-        $app.friendExportDialogVisible = false;
-        $app.friendExportFavoriteGroup = null;
+    $app.data.localFriendGroups = [];
+    $app.data.localFriendGroupsCollapsed = [];
+    $app.data.friendGroupColors = friendGroupColors;
+    $app.data.friendGroupsDialog = {
+        visible: false
+    };
+
+    API.$on('LOGIN', function () {
+        $app.localFriendGroups = [];
+        $app.localFriendGroupsCollapsed = [];
+        $app.friendGroupsDialog.visible = false;
+        $app.feedTable.friendGroup = '';
+        $app.friendsListSearchFilterGroup = '';
     });
 
-    // App: friend favorite export
+    API.$on('LOGOUT', function () {
+        $app.friendGroupsDialog.visible = false;
+    });
 
-    $app.data.friendExportDialogRef = {};
-    $app.data.friendExportDialogVisible = false;
-    $app.data.friendExportContent = '';
-    $app.data.friendExportFavoriteGroup = null;
+    $app.methods.getLocalFriendGroups = async function () {
+        this.setLocalFriendGroups(await database.getFriendGroups());
+    };
 
-    $app.methods.showFriendExportDialog = function () {
-        this.$nextTick(() =>
-            adjustDialogZ(this.$refs.friendExportDialogRef.$el)
+    $app.methods.setLocalFriendGroups = function (groups) {
+        this.localFriendGroups = groups.map((group) =>
+            friendGroups.createGroup(group)
         );
-        this.friendExportFavoriteGroup = null;
-        this.updateFriendExportDialog();
-        this.friendExportDialogVisible = true;
     };
 
-    $app.methods.updateFriendExportDialog = function () {
-        var _ = function (str) {
-            if (/[\x00-\x1f,"]/.test(str) === true) {
-                return `"${str.replace(/"/g, '""')}"`;
-            }
-            return str;
-        };
-        var lines = ['UserID,Name'];
-        API.favoriteFriendGroups.forEach((group) => {
-            if (
-                !this.friendExportFavoriteGroup ||
-                this.friendExportFavoriteGroup === group
-            ) {
-                $app.favoriteFriends.forEach((ref) => {
-                    if (group.key === ref.groupKey) {
-                        lines.push(`${_(ref.id)},${_(ref.name)}`);
-                    }
-                });
-            }
-        });
-        this.friendExportContent = lines.join('\n');
+    // groups in tree order with their depth, for lists and selects
+    $app.computed.localFriendGroupList = function () {
+        return friendGroups.flatten(this.localFriendGroups);
     };
 
-    $app.methods.selectFriendExportGroup = function (group) {
-        this.friendExportFavoriteGroup = group;
-        this.updateFriendExportDialog();
+    // groups shown in the sidebar with their online members
+    $app.computed.localFriendGroupsSidebar = function () {
+        var online = [...this.friendsGroup0, ...this.friendsGroup1];
+        return this.localFriendGroupList
+            .filter(({group}) => group.sidebar)
+            .map(({group}) => {
+                var userIds = friendGroups.getMemberIds(
+                    this.localFriendGroups,
+                    group.id
+                );
+                return {
+                    group,
+                    friends: online.filter((ctx) => userIds.has(ctx.id))
+                };
+            });
     };
 
-    // App: user dialog notes
-
-    API.saveNote = function (params) {
-        return this.call('userNotes', {
-            method: 'POST',
-            params
-        }).then((json) => {
-            var args = {
-                json,
-                params
-            };
-            this.$emit('NOTE', args);
-            return args;
-        });
+    $app.methods.getLocalFriendGroupUserIds = function (groupId) {
+        return Array.from(
+            friendGroups.getMemberIds(this.localFriendGroups, groupId)
+        );
     };
 
-    API.$on('NOTE', function (args) {
-        var note = '';
-        var targetUserId = '';
-        if (typeof args.json !== 'undefined') {
-            note = $app.replaceBioSymbols(args.json.note);
-        }
-        if (typeof args.params !== 'undefined') {
-            targetUserId = args.params.targetUserId;
-        }
-        if (targetUserId === $app.userDialog.id) {
-            if (note === args.params.note) {
-                $app.userDialog.noteSaving = false;
-                $app.userDialog.note = note;
-            } else {
-                // response is cached sadge :<
-                this.getUser({userId: targetUserId});
-            }
-        }
-        var ref = API.cachedUsers.get(targetUserId);
-        if (typeof ref !== 'undefined') {
-            ref.note = note;
-        }
-    });
-
-    $app.methods.checkNote = function (ref, note) {
-        if (ref.note !== note) {
-            this.addNote(ref.id, note);
-        }
+    $app.methods.getUserLocalFriendGroupIds = function (userId) {
+        return friendGroups.getUserGroupIds(this.localFriendGroups, userId);
     };
 
-    $app.methods.cleanNote = function (note) {
-        // remove newlines because they aren't supported
-        $app.userDialog.note = note.replace(/[\r\n]/g, '');
+    // friends that can be added to the group
+    $app.methods.getLocalFriendGroupCandidates = function (group) {
+        return Array.from(this.friends.values())
+            .filter((ctx) => !group.userIds.includes(ctx.id))
+            .sort(compareByName);
     };
 
-    $app.methods.addNote = function (userId, note) {
-        if (this.userDialog.id === userId) {
-            this.userDialog.noteSaving = true;
-        }
-        return API.saveNote({
-            targetUserId: userId,
-            note
-        });
+    $app.methods.getLocalFriendGroupParentOptions = function (group) {
+        return this.localFriendGroupList.filter((item) =>
+            friendGroups.canSetParent(
+                this.localFriendGroups,
+                group.id,
+                item.group.id
+            )
+        );
     };
 
-    $app.methods.deleteNote = function (userId) {
-        if (this.userDialog.id === userId) {
-            this.userDialog.noteSaving = true;
+    $app.methods.getLocalFriendGroupMemberName = function (userId) {
+        var ctx = this.friends.get(userId);
+        if (typeof ctx !== 'undefined' && ctx.name) {
+            return ctx.name;
         }
-        return API.saveNote({
-            targetUserId: userId,
-            note: ''
-        });
-    };
-
-    // App: note export
-
-    $app.data.noteExportDialog = {
-        visible: false,
-        loading: false,
-        progress: 0,
-        progressTotal: 0,
-        errors: ''
-    };
-    $app.data.noteExportTable = {
-        data: [],
-        tableProps: {
-            stripe: true,
-            size: 'mini'
-        },
-        layout: 'table'
-    };
-
-    API.$on('LOGIN', function () {
-        $app.noteExportTable.data = [];
-        $app.noteExportDialog.visible = false;
-        $app.noteExportDialog.loading = false;
-        $app.noteExportDialog.progress = 0;
-        $app.noteExportDialog.progressTotal = 0;
-        $app.noteExportDialog.errors = '';
-    });
-
-    $app.methods.showNoteExportDialog = function () {
-        this.$nextTick(() => adjustDialogZ(this.$refs.noteExportDialog.$el));
-        var D = this.noteExportDialog;
-        D.progress = 0;
-        D.progressTotal = 0;
-        D.loading = false;
-        D.visible = true;
+        var ref = API.cachedUsers.get(userId);
+        if (typeof ref !== 'undefined') {
+            return ref.displayName;
+        }
+        return userId;
     };
 
-    $app.methods.updateNoteExportDialog = function () {
-        var data = [];
-        this.friends.forEach((ctx) => {
-            var newMemo = ctx.memo.replace(/[\r\n]/g, ' ');
-            if (ctx.memo && ctx.ref && ctx.ref.note !== newMemo.slice(0, 256)) {
-                data.push({
-                    id: ctx.id,
-                    name: ctx.name,
-                    memo: newMemo,
-                    ref: ctx.ref
-                });
-            }
-        });
-        this.noteExportTable.data = data;
+    $app.methods.toggleLocalFriendGroupCollapsed = function (groupId) {
+        if (!removeFromArray(this.localFriendGroupsCollapsed, groupId)) {
+            this.localFriendGroupsCollapsed.push(groupId);
+        }
     };
 
-    $app.methods.removeFromNoteExportTable = function (ref) {
-        removeFromArray(this.noteExportTable.data, ref);
+    $app.methods.showFriendGroupsDialog = function () {
+        this.$nextTick(() => adjustDialogZ(this.$refs.friendGroupsDialog.$el));
+        this.friendGroupsDialog.visible = true;
     };
 
-    $app.methods.exportNoteExport = async function () {
-        var D = this.noteExportDialog;
-        D.loading = true;
-        var data = [...this.noteExportTable.data].reverse();
-        D.progressTotal = data.length;
-        try {
-            for (var i = data.length - 1; i >= 0; i--) {
-                if (D.visible && D.loading) {
-                    var ctx = data[i];
-                    await API.saveNote({
-                        targetUserId: ctx.id,
-                        note: ctx.memo.slice(0, 256)
-                    });
-                    removeFromArray(this.noteExportTable.data, ctx);
-                    D.progress++;
-                    await new Promise((resolve) => {
-                        workerTimers.setTimeout(resolve, 5000);
-                    });
-                }
-            }
-        } catch (err) {
-            D.errors = `Name: ${ctx.name}\n${err}\n\n`;
-        } finally {
-            D.progress = 0;
-            D.progressTotal = 0;
-            D.loading = false;
+    $app.methods.promptNewLocalFriendGroup = function (parentId = '') {
+        this.$prompt('Enter a friend group name', 'New Group', {
+            distinguishCancelAndClose: true,
+            confirmButtonText: 'OK',
+            cancelButtonText: 'Cancel',
+            inputPattern: /\S+/,
+            inputErrorMessage: 'Name is required',
+            callback: (action, instance) => {
+                if (action === 'confirm' && instance.inputValue) {
+                    this.newLocalFriendGroup(instance.inputValue, parentId);
+                }
+            }
+        });
+    };
+
+    $app.methods.newLocalFriendGroup = function (name, parentId = '') {
+        var group = friendGroups.createGroup({
+            id: uuidv4(),
+            name,
+            parentId,
+            color: friendGroupColors[
+                this.localFriendGroups.length % friendGroupColors.length
+            ]
+        });
+        this.localFriendGroups.push(group);
+        database.saveFriendGroup(group);
+        return group;
+    };
+
+    $app.methods.saveLocalFriendGroup = function (group) {
+        database.saveFriendGroup(group);
+    };
+
+    $app.methods.setLocalFriendGroupParent = function (group, parentId) {
+        if (
+            !friendGroups.canSetParent(
+                this.localFriendGroups,
+                group.id,
+                parentId
+            )
+        ) {
+            this.$message({
+                message: "A group can't be nested under itself",
+                type: 'error'
+            });
+            return;
         }
+        group.parentId = parentId || '';
+        database.saveFriendGroup(group);
     };
 
-    $app.methods.cancelNoteExport = function () {
-        this.noteExportDialog.loading = false;
+    $app.methods.promptLocalFriendGroupRename = function (group) {
+        this.$prompt('Enter a friend group name', 'Rename Group', {
+            distinguishCancelAndClose: true,
+            confirmButtonText: 'Save',
+            cancelButtonText: 'Cancel',
+            inputPattern: /\S+/,
+            inputErrorMessage: 'Name is required',
+            inputValue: group.name,
+            callback: (action, instance) => {
+                if (action === 'confirm' && instance.inputValue) {
+                    group.name = instance.inputValue;
+                    database.saveFriendGroup(group);
+                }
+            }
+        });
     };
 
-    // avatar database provider
+    $app.methods.promptLocalFriendGroupDelete = function (group) {
+        this.$confirm(`Delete Group? ${group.name}`, 'Confirm', {
+            confirmButtonText: 'Confirm',
+            cancelButtonText: 'Cancel',
+            type: 'info',
+            callback: (action) => {
+                if (action === 'confirm') {
+                    this.deleteLocalFriendGroup(group);
+                }
+            }
+        });
+    };
 
-    $app.data.avatarProviderDialog = {
-        visible: false
+    // nested groups move up to the parent of the deleted group
+    $app.methods.deleteLocalFriendGroup = function (group) {
+        for (var child of this.localFriendGroups) {
+            if (child.parentId === group.id) {
+                child.parentId = group.parentId;
+                database.saveFriendGroup(child);
+            }
+        }
+        removeFromArray(this.localFriendGroups, group);
+        removeFromArray(this.localFriendGroupsCollapsed, group.id);
+        database.deleteFriendGroup(group.id);
+        if (this.feedTable.friendGroup === group.id) {
+            this.feedTable.friendGroup = '';
+        }
+        if (this.friendsListSearchFilterGroup === group.id) {
+            this.friendsListSearchFilterGroup = '';
+        }
     };
 
-    $app.methods.showAvatarProviderDialog = function () {
-        this.$nextTick(() =>
-            adjustDialogZ(this.$refs.avatarProviderDialog.$el)
-        );
-        var D = this.avatarProviderDialog;
-        D.visible = true;
+    $app.methods.addLocalFriendGroupMember = function (groupId, userId) {
+        var group = friendGroups.getGroup(this.localFriendGroups, groupId);
+        if (typeof group === 'undefined' || group.userIds.includes(userId)) {
+            return;
+        }
+        group.userIds.push(userId);
+        database.addFriendGroupMember(groupId, userId);
     };
 
-    $app.methods.addAvatarProvider = function (url) {
-        if (!url) {
+    $app.methods.removeLocalFriendGroupMember = function (groupId, userId) {
+        var group = friendGroups.getGroup(this.localFriendGroups, groupId);
+        if (typeof group === 'undefined') {
             return;
         }
-        this.showAvatarProviderDialog();
-        if (!this.avatarRemoteDatabaseProviderList.includes(url)) {
-            this.avatarRemoteDatabaseProviderList.push(url);
+        if (removeFromArray(group.userIds, userId)) {
+            database.removeFriendGroupMember(groupId, userId);
         }
-        this.saveAvatarProviderList();
     };
 
-    $app.methods.removeAvatarProvider = function (url) {
-        var length = this.avatarRemoteDatabaseProviderList.length;
-        for (var i = 0; i < length; ++i) {
-            if (this.avatarRemoteDatabaseProviderList[i] === url) {
-                this.avatarRemoteDatabaseProviderList.splice(i, 1);
+    $app.methods.setUserLocalFriendGroups = function (userId, groupIds) {
+        for (var group of this.localFriendGroups) {
+            if (groupIds.includes(group.id)) {
+                this.addLocalFriendGroupMember(group.id, userId);
+            } else {
+                this.removeLocalFriendGroupMember(group.id, userId);
             }
         }
-        this.saveAvatarProviderList();
     };
 
-    $app.methods.saveAvatarProviderList = function () {
-        var length = this.avatarRemoteDatabaseProviderList.length;
-        for (var i = 0; i < length; ++i) {
-            if (!this.avatarRemoteDatabaseProviderList[i]) {
-                this.avatarRemoteDatabaseProviderList.splice(i, 1);
-            }
-        }
-        configRepository.setString(
-            'VRCX_avatarRemoteDatabaseProviderList',
-            JSON.stringify(this.avatarRemoteDatabaseProviderList)
-        );
-        if (this.avatarRemoteDatabaseProviderList.length > 0) {
-            this.avatarRemoteDatabaseProvider =
-                this.avatarRemoteDatabaseProviderList[0];
-            this.avatarRemoteDatabase = true;
-        } else {
-            this.avatarRemoteDatabaseProvider = '';
-            this.avatarRemoteDatabase = false;
-        }
-        configRepository.setBool(
-            'VRCX_avatarRemoteDatabase',
-            this.avatarRemoteDatabase
-        );
+    $app.methods.exportLocalFriendGroups = function () {
+        var blob = new Blob([friendGroups.export(this.localFriendGroups)], {
+            type: 'application/json'
+        });
+        var url = URL.createObjectURL(blob);
+        var a = document.createElement('a');
+        a.href = url;
+        a.download = 'VRCX_FriendGroups.json';
+        a.click();
+        URL.revokeObjectURL(url);
     };
 
-    $app.methods.setAvatarProvider = function (provider) {
-        this.avatarRemoteDatabaseProvider = provider;
+    $app.methods.displayLocalFriendGroupsImport = function () {
+        document.getElementById('FriendGroupsImportButton').click();
+    };
+
+    // groups already here (same id) get the imported settings and members
+    // added, the rest are added as new groups
+    $app.methods.onFileChangeLocalFriendGroupsImport = function (e) {
+        var input = e.target;
+        var files = input.files;
+        if (!files.length) {
+            return;
+        }
+        var r = new FileReader();
+        r.onload = () => {
+            try {
+                var groups = friendGroups.import(r.result);
+            } catch (err) {
+                this.$message({
+                    message: `Friend groups import failed: ${err.message}`,
+                    type: 'error'
+                });
+                return;
+            }
+            for (var imported of groups) {
+                var group = friendGroups.getGroup(
+                    this.localFriendGroups,
+                    imported.id
+                );
+                if (typeof group === 'undefined') {
+                    group = friendGroups.createGroup({
+                        ...imported,
+                        userIds: []
+                    });
+                    this.localFriendGroups.push(group);
+                } else {
+                    group.name = imported.name;
+                    group.color = imported.color;
+                    group.sidebar = imported.sidebar;
+                }
+                if (
+                    friendGroups.canSetParent(
+                        this.localFriendGroups,
+                        group.id,
+                        imported.parentId
+                    )
+                ) {
+                    group.parentId = imported.parentId;
+                }
+                database.saveFriendGroup(group);
+                for (var userId of imported.userIds) {
+                    this.addLocalFriendGroupMember(group.id, userId);
+                }
+            }
+            this.$message({
+                message: `${groups.length} friend groups imported`,
+                type: 'success'
+            });
+        };
+        r.readAsText(files[0]);
+        input.value = '';
     };
 
     // App: local world favorites
@@ -22765,24 +26485,32 @@ speechSynthesis.getVoices();
     };
 
     // App: ChatBox Blacklist
-    $app.data.chatboxBlacklist = [
-        'NP: ',
-        'Now Playing',
-        'Now playing',
-        "▶️ '",
-        '( ▶️ ',
-        "' - '",
-        "' by '",
-        '[Spotify] '
-    ];
-    if (configRepository.getString('VRCX_chatboxBlacklist')) {
-        $app.data.chatboxBlacklist = JSON.parse(
-            configRepository.getString('VRCX_chatboxBlacklist')
+
+    $app.data.chatboxFilterModes = chatboxFilterModes;
+    $app.data.chatboxFilterScopes = chatboxFilterScopes;
+
+    if (configRepository.getString('VRCX_chatboxFilters')) {
+        $app.data.chatboxFilters = JSON.parse(
+            configRepository.getString('VRCX_chatboxFilters')
+        ).map((rule) => chatboxFilter.createRule(rule));
+    } else if (configRepository.getString('VRCX_chatboxBlacklist')) {
+        $app.data.chatboxFilters = chatboxFilter.fromLegacyBlacklist(
+            JSON.parse(configRepository.getString('VRCX_chatboxBlacklist'))
+        );
+    } else {
+        $app.data.chatboxFilters = chatboxFilter.fromLegacyBlacklist(
+            defaultChatboxKeywords
         );
     }
+
     $app.data.chatboxBlacklistDialog = {
         visible: false,
-        loading: false
+        loading: false,
+        activeTab: 'rules',
+        rule: chatboxFilter.createRule({}),
+        duration: 0,
+        testMessage: '',
+        log: []
     };
 
     API.$on('LOGOUT', function () {
@@ -22791,8 +26519,8 @@ speechSynthesis.getVoices();
 
     $app.methods.saveChatboxBlacklist = function () {
         configRepository.setString(
-            'VRCX_chatboxBlacklist',
-            JSON.stringify(this.chatboxBlacklist)
+            'VRCX_chatboxFilters',
+            JSON.stringify(this.chatboxFilters)
         );
     };
 
@@ -22801,16 +26529,119 @@ speechSynthesis.getVoices();
             adjustDialogZ(this.$refs.chatboxBlacklistDialog.$el)
         );
         var D = this.chatboxBlacklistDialog;
+        D.rule = chatboxFilter.createRule({});
+        D.duration = 0;
         D.visible = true;
+        this.refreshChatboxFilterLog();
     };
 
-    $app.methods.checkChatboxBlacklist = function (msg) {
-        for (var i = 0; i < this.chatboxBlacklist.length; ++i) {
-            if (msg.includes(this.chatboxBlacklist[i])) {
-                return true;
+    // rules scoped to a world or instance start out at the current one
+    $app.methods.setChatboxFilterScope = function () {
+        var {rule} = this.chatboxBlacklistDialog;
+        var {location} = this.lastLocation;
+        if (rule.scope === 'world') {
+            rule.location = location.split(':')[0];
+        } else if (rule.scope === 'instance') {
+            rule.location = location;
+        } else {
+            rule.location = '';
+        }
+    };
+
+    $app.methods.addChatboxFilter = function () {
+        var D = this.chatboxBlacklistDialog;
+        var rule = chatboxFilter.createRule({
+            ...D.rule,
+            id: uuidv4(),
+            expiresAt: chatboxFilter.getExpiry(D.duration)
+        });
+        var error = chatboxFilter.validate(rule);
+        if (error) {
+            this.$message({
+                message: `Invalid rule: ${error}`,
+                type: 'error'
+            });
+            return;
+        }
+        this.chatboxFilters.push(rule);
+        this.saveChatboxBlacklist();
+        D.rule = chatboxFilter.createRule({
+            mode: rule.mode,
+            scope: rule.scope,
+            location: rule.location
+        });
+    };
+
+    $app.methods.deleteChatboxFilter = function (rule) {
+        removeFromArray(this.chatboxFilters, rule);
+        this.saveChatboxBlacklist();
+    };
+
+    $app.methods.removeExpiredChatboxFilters = function () {
+        this.chatboxFilters = this.chatboxFilters.filter(
+            (rule) => !chatboxFilter.isExpired(rule)
+        );
+        this.saveChatboxBlacklist();
+    };
+
+    // returns why a message gets filtered, empty when it doesn't
+    $app.methods.getChatboxFilterReason = function (userId, text, location) {
+        var mute = this.chatboxUserBlacklist.get(userId);
+        if (typeof mute !== 'undefined') {
+            if (!chatboxFilter.isExpired(mute)) {
+                return mute.expiresAt ? 'User muted temporarily' : 'User muted';
             }
+            this.chatboxUserBlacklist.delete(userId);
+            this.saveChatboxUserBlacklist();
         }
-        return false;
+        var rule = chatboxFilter.check(this.chatboxFilters, text, location);
+        if (rule !== null) {
+            return chatboxFilter.describe(rule);
+        }
+        return '';
+    };
+
+    $app.methods.testChatboxFilter = function () {
+        var D = this.chatboxBlacklistDialog;
+        var rule = chatboxFilter.check(
+            this.chatboxFilters,
+            D.testMessage,
+            this.lastLocation.location
+        );
+        this.$message({
+            message:
+                rule === null
+                    ? 'Message passes all rules'
+                    : `Filtered by ${chatboxFilter.describe(rule)}`,
+            type: 'info'
+        });
+    };
+
+    $app.methods.addChatboxFilterLog = function (entry) {
+        database
+            .addChatboxFilterLog(entry, maxChatboxFilterLogEntries)
+            .catch((err) => {
+                console.error('Failed to log filtered chatbox message', err);
+            });
+    };
+
+    $app.methods.refreshChatboxFilterLog = async function () {
+        var D = this.chatboxBlacklistDialog;
+        D.loading = true;
+        try {
+            this.setChatboxFilterLog(await database.getChatboxFilterLog());
+        } finally {
+            D.loading = false;
+        }
+    };
+
+    $app.methods.setChatboxFilterLog = function (log) {
+        this.chatboxBlacklistDialog.log = log;
+    };
+
+    $app.methods.clearChatboxFilterLog = async function () {
+        await database.clearChatboxFilterLog();
+        this.setChatboxFilterLog([]);
     };
 
     // App: ChatBox User Blacklist
@@ -22821,7 +26652,7 @@ speechSynthesis.getVoices();
                 JSON.parse(
                     configRepository.getString('VRCX_chatboxUserBlacklist')
                 )
-            )
+            ).map(([userId, mute]) => [userId, chatboxFilter.createMute(mute)])
         );
     }
 
@@ -22832,8 +26663,12 @@ speechSynthesis.getVoices();
         );
     };
 
-    $app.methods.addChatboxUserBlacklist = function (user) {
-        this.chatboxUserBlacklist.set(user.id, user.displayName);
+    // minutes: 0 mutes until removed
+    $app.methods.addChatboxUserBlacklist = function (user, minutes = 0) {
+        this.chatboxUserBlacklist.set(user.id, {
+            displayName: user.displayName,
+            expiresAt: chatboxFilter.getExpiry(minutes)
+        });
         this.saveChatboxUserBlacklist();
         this.getCurrentInstanceUserList();
     };
@@ -22850,6 +26685,146 @@ speechSynthesis.getVoices();
     // App: Groups
 
     API.cachedGroups = new Map();
+    API.currentUserGroups = new Map();
+
+    API.$on('LOGIN', function () {
+        this.currentUserGroups.clear();
+        $app.groupLogTable = [];
+        if (this.isOffline) {
+            return;
+        }
+        this.refreshCurrentUserGroups().catch((err) => {
+            console.error(err);
+        });
+    });
+
+    API.refreshCurrentUserGroups = async function () {
+        var args = await this.getGroups({
+            n: 100,
+            offset: 0,
+            userId: this.currentUser.id
+        });
+        this.currentUserGroups.clear();
+        for (var json of args.json) {
+            var ref = this.cachedGroups.get(json.id);
+            if (typeof ref !== 'undefined') {
+                this.currentUserGroups.set(ref.id, ref);
+            }
+        }
+        return args;
+    };
+
+    API.$on('GROUP:JOINED', function (args) {
+        var {groupId} = args.params;
+        this.getGroup({groupId})
+            .catch((err) => {
+                console.error(err);
+                return {
+                    ref: this.cachedGroups.get(groupId)
+                };
+            })
+            .then(({ref}) => {
+                if (typeof ref !== 'undefined') {
+                    this.currentUserGroups.set(groupId, ref);
+                }
+                $app.addGroupLog('GroupJoined', groupId, ref);
+                $app.refreshGroupViews(groupId);
+            });
+    });
+
+    API.$on('GROUP:LEFT', function (args) {
+        var {groupId} = args.params;
+        var ref = this.cachedGroups.get(groupId);
+        this.currentUserGroups.delete(groupId);
+        if (typeof ref !== 'undefined') {
+            ref.membershipStatus = 'inactive';
+            if (ref.myMember) {
+                ref.myMember.membershipStatus = 'inactive';
+            }
+            $app.addGroupLog('GroupLeft', groupId, ref);
+            $app.refreshGroupViews(groupId);
+            return;
+        }
+        // not cached, fetch it for the name
+        this.getGroup({groupId})
+            .catch((err) => {
+                console.error(err);
+                return {};
+            })
+            .then((args1) => {
+                $app.addGroupLog('GroupLeft', groupId, args1.ref);
+                $app.refreshGroupViews(groupId);
+            });
+    });
+
+    $app.data.groupLogTable = [];
+
+    $app.methods.addGroupLog = function (type, groupId, ref) {
+        var entry = {
+            created_at: new Date().toJSON(),
+            type,
+            groupId,
+            groupName: groupId,
+            imageUrl: ''
+        };
+        if (typeof ref !== 'undefined' && ref.name) {
+            entry.groupName = ref.name;
+            entry.imageUrl = ref.iconUrl;
+        }
+        database.addGroupHistory(entry);
+        this.groupLogTable.push(entry);
+        if (this.groupDialog.visible && this.groupDialog.id === groupId) {
+            this.groupDialog.history.unshift(entry);
+        }
+        this.queueGroupLogNoty(entry);
+        this.updateSharedFeed(true);
+    };
+
+    $app.methods.refreshGroupViews = function (groupId) {
+        var D = this.groupDialog;
+        if (D.visible && D.id === groupId) {
+            var ref = API.cachedGroups.get(groupId);
+            D.inGroup =
+                typeof ref !== 'undefined' && ref.membershipStatus === 'member';
+            this.getGroupDialogGroup(groupId).catch((err) => {
+                console.error(err);
+            });
+        }
+        if (
+            this.userDialog.visible &&
+            this.userDialog.id === API.currentUser.id
+        ) {
+            this.getUserGroups(API.currentUser.id);
+            if (this.userDialog.representedGroup.id === groupId) {
+                this.getCurrentUserRepresentedGroup();
+            }
+        }
+    };
+
+    $app.methods.deleteGroupLog = function (row) {
+        this.$confirm('Continue? Delete Log', 'Confirm', {
+            confirmButtonText: 'Confirm',
+            cancelButtonText: 'Cancel',
+            type: 'info',
+            callback: (action) => {
+                if (
+                    action === 'confirm' &&
+                    removeFromArray(this.groupDialog.history, row)
+                ) {
+                    for (var entry of this.groupLogTable) {
+                        if (
+                            entry.created_at === row.created_at &&
+                            entry.groupId === row.groupId
+                        ) {
+                            removeFromArray(this.groupLogTable, entry);
+                            break;
+                        }
+                    }
+                    database.deleteGroupHistory(row);
+                }
+            }
+        });
+    };
 
     /*
         params: {
@@ -23324,7 +27299,11 @@ speechSynthesis.getVoices();
         return new Promise((resolve, reject) => {
             var ref = this.cachedGroups.get(params.groupId);
             if (typeof ref === 'undefined') {
-                this.getGroup(params).catch(reject).then(resolve);
+                this.getStoredResponse('groups', params.groupId, () =>
+                    this.getGroup(params)
+                )
+                    .catch(reject)
+                    .then(resolve);
             } else {
                 resolve({
                     cache: true,
@@ -23450,7 +27429,8 @@ speechSynthesis.getVoices();
         announcement: {},
         members: [],
         instances: [],
-        memberRoles: []
+        memberRoles: [],
+        history: []
     };
 
     $app.methods.showGroupDialog = function (groupId) {
@@ -23469,12 +27449,20 @@ speechSynthesis.getVoices();
         D.announcement = {};
         D.instances = [];
         D.memberRoles = [];
+        D.history = [];
+        database.getGroupHistoryByGroupId(groupId).then((groupHistory) => {
+            if (D.id === groupId) {
+                D.history = groupHistory;
+            }
+        });
         if (this.groupDialogLastMembers !== groupId) {
             D.members = [];
         }
-        API.getCachedGroup({
-            groupId
-        })
+        API.withRequestPriority('high', () =>
+            API.getCachedGroup({
+                groupId
+            })
+        )
             .catch((err) => {
                 D.loading = false;
                 D.visible = false;
@@ -0,0 +1,198 @@
+// Chatbox filter rules and user mutes. Messages and patterns are compared
+// lower case with diacritics stripped, so "cafe" also filters "Café".
+// keyword matches anywhere in the message, wildcard (* and ?) has to match
+// the whole message and regex is a case-insensitive unicode RegExp.
+// Rules can be limited to a world or a single instance and, like user mutes,
+// stop applying once expiresAt has passed.
+
+var chatboxFilterModes = ['keyword', 'wildcard', 'regex'];
+
+var chatboxFilterScopes = ['global', 'world', 'instance'];
+
+// keywords of the old blacklist, mostly "now playing" spam
+var defaultChatboxKeywords = [
+    'NP: ',
+    'Now Playing',
+    'Now playing',
+    "▶️ '",
+    '( ▶️ ',
+    "' - '",
+    "' by '",
+    '[Spotify] '
+];
+
+var maxChatboxFilterLogEntries = 1000;
+
+function stripDiacritics(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function normalize(text) {
+    return stripDiacritics(String(text)).toLowerCase();
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function getWorldId(location) {
+    return (location || '').split(':')[0];
+}
+
+function isExpired(expiresAt, now) {
+    return Boolean(expiresAt) && Date.parse(expiresAt) <= now;
+}
+
+class ChatboxFilter {
+    constructor() {
+        this.compiled = new Map();
+    }
+
+    createRule(rule) {
+        return {
+            id: '',
+            enabled: true,
+            pattern: '',
+            mode: 'keyword',
+            scope: 'global',
+            location: '',
+            expiresAt: null,
+            ...rule
+        };
+    }
+
+    fromLegacyBlacklist(keywords) {
+        return keywords
+            .filter((keyword) => keyword !== '')
+            .map((pattern, index) =>
+                this.createRule({
+                    id: `legacy-${index}`,
+                    pattern
+                })
+            );
+    }
+
+    // legacy user blacklist entries are just the display name
+    createMute(mute) {
+        if (typeof mute === 'string') {
+            return {
+                displayName: mute,
+                expiresAt: null
+            };
+        }
+        return {
+            displayName: '',
+            expiresAt: null,
+            ...mute
+        };
+    }
+
+    // throws on an invalid regex
+    compile(rule) {
+        var key = `${rule.mode}\n${rule.pattern}`;
+        var regex = this.compiled.get(key);
+        if (typeof regex !== 'undefined') {
+            return regex;
+        }
+        if (rule.mode === 'regex') {
+            regex = new RegExp(stripDiacritics(rule.pattern), 'iu');
+        } else if (rule.mode === 'wildcard') {
+            var source = escapeRegExp(normalize(rule.pattern))
+                .replace(/\\\*/g, '.*')
+                .replace(/\\\?/g, '.');
+            regex = new RegExp(`^${source}$`, 'su');
+        } else {
+            regex = null;
+        }
+        this.compiled.set(key, regex);
+        return regex;
+    }
+
+    // returns an error message, empty when the rule is usable
+    validate(rule) {
+        if (rule.pattern === '') {
+            return 'Pattern is empty';
+        }
+        if (rule.scope !== 'global' && !rule.location) {
+            return `No ${rule.scope} selected`;
+        }
+        try {
+            this.compile(rule);
+        } catch (err) {
+            return err.message;
+        }
+        return '';
+    }
+
+    isExpired(item, now = Date.now()) {
+        return isExpired(item.expiresAt, now);
+    }
+
+    appliesTo(rule, location) {
+        if (rule.scope === 'world') {
+            return getWorldId(location) === getWorldId(rule.location);
+        }
+        if (rule.scope === 'instance') {
+            return location === rule.location;
+        }
+        return true;
+    }
+
+    matches(rule, text) {
+        if (rule.pattern === '') {
+            return false;
+        }
+        try {
+            var regex = this.compile(rule);
+        } catch (err) {
+            return false;
+        }
+        if (regex === null) {
+            return text.includes(normalize(rule.pattern));
+        }
+        return regex.test(text);
+    }
+
+    // returns the first rule filtering the message, or null
+    check(rules, message, location, now = Date.now()) {
+        var text = normalize(message);
+        for (var rule of rules) {
+            if (
+                rule.enabled &&
+                !isExpired(rule.expiresAt, now) &&
+                this.appliesTo(rule, location) &&
+                this.matches(rule, text)
+            ) {
+                return rule;
+            }
+        }
+        return null;
+    }
+
+    describe(rule) {
+        var reason = `${rule.mode} "${rule.pattern}"`;
+        if (rule.scope !== 'global') {
+            reason += ` in ${rule.scope} ${rule.location}`;
+        }
+        return reason;
+    }
+
+    getExpiry(minutes, now = Date.now()) {
+        if (!minutes) {
+            return null;
+        }
+        return new Date(now + minutes * 60000).toJSON();
+    }
+}
+
+var self = new ChatboxFilter();
+window.chatboxFilter = self;
+
+export {
+    self as default,
+    ChatboxFilter,
+    chatboxFilterModes,
+    chatboxFilterScopes,
+    defaultChatboxKeywords,
+    maxChatboxFilterLogEntries
+};
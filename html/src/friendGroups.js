@@ -0,0 +1,162 @@
+// Local friend groups, kept in the user's SQLite tables instead of VRChat's
+// favorite groups so there's no limit on groups or members. Groups can be
+// nested through parentId, a group's members include those of every group
+// nested under it.
+
+var friendGroupColors = [
+    '#409eff',
+    '#67c23a',
+    '#e6a23c',
+    '#f56c6c',
+    '#b18fff',
+    '#2bcfcf',
+    '#ff7bd5',
+    '#909399'
+];
+
+var friendGroupsFormat = 'vrcx-friend-groups';
+var friendGroupsVersion = 1;
+
+function isColor(value) {
+    return typeof value === 'string' && CSS.supports('color', value);
+}
+
+class FriendGroups {
+    createGroup(group) {
+        return {
+            id: '',
+            name: '',
+            color: friendGroupColors[0],
+            parentId: '',
+            sidebar: false,
+            userIds: [],
+            ...group
+        };
+    }
+
+    getGroup(groups, groupId) {
+        return groups.find((group) => group.id === groupId);
+    }
+
+    // ids of the group and every group nested under it
+    getDescendantIds(groups, groupId) {
+        var ids = [groupId];
+        for (var i = 0; i < ids.length; ++i) {
+            for (var group of groups) {
+                if (group.parentId === ids[i] && !ids.includes(group.id)) {
+                    ids.push(group.id);
+                }
+            }
+        }
+        return ids;
+    }
+
+    getMemberIds(groups, groupId) {
+        var userIds = new Set();
+        for (var id of this.getDescendantIds(groups, groupId)) {
+            var group = this.getGroup(groups, id);
+            if (typeof group !== 'undefined') {
+                group.userIds.forEach((userId) => userIds.add(userId));
+            }
+        }
+        return userIds;
+    }
+
+    // groups the user is a direct member of
+    getUserGroupIds(groups, userId) {
+        return groups
+            .filter((group) => group.userIds.includes(userId))
+            .map((group) => group.id);
+    }
+
+    // a group can't be nested under itself or one of its own children
+    canSetParent(groups, groupId, parentId) {
+        if (!parentId) {
+            return true;
+        }
+        return !this.getDescendantIds(groups, groupId).includes(parentId);
+    }
+
+    // depth first list of the groups sorted by name, with their depth for
+    // indenting, groups with a missing parent are listed at the top level
+    flatten(groups) {
+        var list = [];
+        var ids = new Set(groups.map((group) => group.id));
+        var add = (parentId, depth) => {
+            var children = groups
+                .filter((group) =>
+                    parentId === ''
+                        ? !ids.has(group.parentId)
+                        : group.parentId === parentId
+                )
+                .sort((a, b) => a.name.localeCompare(b.name));
+            for (var group of children) {
+                list.push({
+                    group,
+                    depth
+                });
+                add(group.id, depth + 1);
+            }
+        };
+        add('', 0);
+        return list;
+    }
+
+    export(groups) {
+        return JSON.stringify(
+            {
+                format: friendGroupsFormat,
+                version: friendGroupsVersion,
+                groups: groups.map(
+                    ({id, name, color, parentId, sidebar, userIds}) => ({
+                        id,
+                        name,
+                        color,
+                        parentId,
+                        sidebar,
+                        userIds
+                    })
+                )
+            },
+            null,
+            2
+        );
+    }
+
+    // returns the groups of an export file, ids are kept so parentId still
+    // points at the right group
+    import(json) {
+        var data = JSON.parse(json);
+        if (data.format !== friendGroupsFormat || !Array.isArray(data.groups)) {
+            throw new Error('Not a VRCX friend groups file');
+        }
+        if (data.version > friendGroupsVersion) {
+            throw new Error(
+                `Friend groups version ${data.version} is newer than supported version ${friendGroupsVersion}`
+            );
+        }
+        return data.groups
+            .filter((group) => group.id && group.name)
+            .map((group) =>
+                this.createGroup({
+                    id: String(group.id),
+                    name: String(group.name),
+                    color: isColor(group.color)
+                        ? group.color
+                        : friendGroupColors[0],
+                    parentId: group.parentId ? String(group.parentId) : '',
+                    sidebar: Boolean(group.sidebar),
+                    userIds: Array.isArray(group.userIds)
+                        ? group.userIds.filter(
+                              (userId) => typeof userId === 'string'
+                          )
+                        : []
+                })
+            );
+    }
+}
+
+var self = new FriendGroups();
+window.friendGroups = self;
+
+export {self as default, FriendGroups, friendGroupColors};
@@ -0,0 +1,211 @@
+// Saved New Instance dialog settings and schedules that create an instance
+// from a template at a set time and invite a favorite friend group to it.
+// Instance names can use {random}, {date} (YYYYMMDD) and {week} (week of
+// the year) so recurring meetups get a fresh instance every time.
+
+import {v4 as uuidv4} from 'uuid';
+
+var instanceAccessTypes = [
+    'public',
+    'group',
+    'friends+',
+    'friends',
+    'invite+',
+    'invite'
+];
+
+var instanceRegions = {
+    'US West': 'us',
+    'US East': 'use',
+    Europe: 'eu',
+    Japan: 'jp'
+};
+
+var scheduleRecurrences = ['once', 'weekly'];
+
+// runs missed by more than this (VRCX closed, logged out) are skipped
+var maxScheduleDelay = 30 * 60 * 1000;
+
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+function getWeekOfYear(date) {
+    var start = new Date(date.getFullYear(), 0, 1);
+    return Math.ceil(((date - start) / 86400000 + start.getDay() + 1) / 7);
+}
+
+function parseTime(value) {
+    var match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    if (match === null) {
+        return null;
+    }
+    return {
+        hours: parseInt(match[1], 10),
+        minutes: parseInt(match[2], 10)
+    };
+}
+
+class InstanceTemplates {
+    createTemplate(template) {
+        return {
+            id: '',
+            name: '',
+            worldId: '',
+            worldName: '',
+            accessType: 'public',
+            region: 'US West',
+            groupId: '',
+            strict: false,
+            instanceName: '',
+            ...template
+        };
+    }
+
+    createSchedule(schedule) {
+        return {
+            id: '',
+            enabled: true,
+            templateId: '',
+            recurrence: 'weekly',
+            // once: ISO date, weekly: day of the week 0-6 (Sunday first)
+            date: '',
+            weekday: 0,
+            time: '20:00',
+            inviteGroup: '',
+            lastRun: '',
+            nextRun: '',
+            ...schedule
+        };
+    }
+
+    renderInstanceName(pattern, date = new Date()) {
+        return pattern
+            .replace(/\{random\}/g, () =>
+                pad((99999 * Math.random() + 1).toFixed(0), 5)
+            )
+            .replace(
+                /\{date\}/g,
+                `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(
+                    date.getDate()
+                )}`
+            )
+            .replace(/\{week\}/g, pad(getWeekOfYear(date)))
+            .replace(/[^A-Za-z0-9-_]/g, '');
+    }
+
+    // instance id for the New Instance dialog fields or a template
+    buildInstanceId({
+        instanceName,
+        accessType,
+        region,
+        groupId,
+        strict,
+        userId
+    }) {
+        var tags = [];
+        if (instanceName) {
+            tags.push(instanceName);
+        } else {
+            var randValue = (99999 * Math.random() + 1).toFixed(0);
+            tags.push(pad(randValue, 5));
+        }
+        if (accessType !== 'public') {
+            if (accessType === 'friends+') {
+                tags.push(`~hidden(${userId})`);
+            } else if (accessType === 'friends') {
+                tags.push(`~friends(${userId})`);
+            } else if (accessType === 'group') {
+                tags.push(`~group(${groupId})`);
+            } else {
+                tags.push(`~private(${userId})`);
+            }
+            if (accessType === 'invite+') {
+                tags.push('~canRequestInvite');
+            }
+        }
+        if (Object.hasOwn(instanceRegions, region)) {
+            tags.push(`~region(${instanceRegions[region]})`);
+        }
+        if (accessType !== 'public' && accessType !== 'group') {
+            tags.push(`~nonce(${uuidv4()})`);
+        }
+        if (strict && (accessType === 'invite' || accessType === 'friends')) {
+            tags.push('~strict');
+        }
+        return tags.join('');
+    }
+
+    buildLocation(template, userId, date = new Date()) {
+        return `${template.worldId}:${this.buildInstanceId({
+            ...template,
+            instanceName: this.renderInstanceName(template.instanceName, date),
+            userId
+        })}`;
+    }
+
+    // returns an ISO date, empty when the schedule won't run again
+    getNextRun(schedule, from = Date.now()) {
+        if (schedule.recurrence === 'once') {
+            if (schedule.lastRun || !schedule.date) {
+                return '';
+            }
+            return new Date(schedule.date).toJSON();
+        }
+        var time = parseTime(schedule.time);
+        if (time === null) {
+            return '';
+        }
+        var next = new Date(from);
+        next.setHours(time.hours, time.minutes, 0, 0);
+        var days = (schedule.weekday - next.getDay() + 7) % 7;
+        next.setDate(next.getDate() + days);
+        if (next.getTime() <= from) {
+            next.setDate(next.getDate() + 7);
+        }
+        return next.toJSON();
+    }
+
+    isDue(schedule, now = Date.now()) {
+        return (
+            schedule.enabled &&
+            Boolean(schedule.nextRun) &&
+            Date.parse(schedule.nextRun) <= now
+        );
+    }
+
+    isMissed(schedule, now = Date.now()) {
+        return now - Date.parse(schedule.nextRun) > maxScheduleDelay;
+    }
+
+    // marks a due schedule as run and moves it to its next time
+    advance(schedule, now = Date.now()) {
+        schedule.lastRun = new Date(now).toJSON();
+        schedule.nextRun = this.getNextRun(schedule, now);
+        if (!schedule.nextRun) {
+            schedule.enabled = false;
+        }
+    }
+
+    // moves a missed schedule to its next time without marking it as run
+    skip(schedule, now = Date.now()) {
+        schedule.nextRun =
+            schedule.recurrence === 'once'
+                ? ''
+                : this.getNextRun(schedule, now);
+        if (!schedule.nextRun) {
+            schedule.enabled = false;
+        }
+    }
+}
+
+var self = new InstanceTemplates();
+window.instanceTemplates = self;
+
+export {
+    self as default,
+    InstanceTemplates,
+    instanceAccessTypes,
+    instanceRegions,
+    scheduleRecurrences
+};
@@ -0,0 +1,139 @@
+// JSON Schema of the local API, served at /api/v1/schema. Bump version when
+// a response shape changes in a way that can break clients.
+
+var localApiEvents = [
+    'FRIEND:ADD',
+    'FRIEND:DELETE',
+    'FRIEND:STATE',
+    'FRIEND:STATUS',
+    'USER',
+    'WORLD',
+    'INSTANCE',
+    'NOTIFICATION',
+    'NOTIFICATION:SEE',
+    'NOTIFICATION:HIDE',
+    'NOTIFICATION:EXPIRE',
+    'FAVORITE',
+    'GROUP:JOINED',
+    'GROUP:LEFT'
+];
+
+var nullableString = {
+    type: ['string', 'null']
+};
+
+var localApiSchema = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'VRCX local API',
+    version: 1,
+    description:
+        'GET http://localhost:<port>/api/v1/<endpoint> with "Authorization: Bearer <token>" or ?token=<token>. Events are streamed as JSON text messages from the WebSocket ws://localhost:<port>/api/v1/events?token=<token>.',
+    $defs: {
+        status: {
+            description: 'GET /api/v1/status',
+            type: 'object',
+            properties: {
+                appVersion: {type: 'string'},
+                loggedIn: {type: 'boolean'},
+                userId: nullableString,
+                displayName: nullableString,
+                gameRunning: {type: 'boolean'},
+                gameMode: {enum: ['closed', 'desktop', 'vr']}
+            }
+        },
+        friend: {
+            type: 'object',
+            properties: {
+                id: {type: 'string'},
+                displayName: {type: 'string'},
+                state: {enum: ['online', 'active', 'offline']},
+                isFavorite: {type: 'boolean'},
+                status: {type: 'string'},
+                statusDescription: {type: 'string'},
+                location: {type: 'string'}
+            }
+        },
+        friends: {
+            description: 'GET /api/v1/friends',
+            type: 'array',
+            items: {$ref: '#/$defs/friend'}
+        },
+        location: {
+            description: 'GET /api/v1/location, the current game instance',
+            type: 'object',
+            properties: {
+                location: {type: 'string'},
+                worldName: {type: 'string'},
+                joinedAt: nullableString,
+                playerCount: {type: 'integer'}
+            }
+        },
+        player: {
+            type: 'object',
+            properties: {
+                userId: nullableString,
+                displayName: {type: 'string'},
+                photonId: {type: ['integer', 'string']},
+                isMaster: {type: 'boolean'},
+                inVRMode: {type: ['boolean', 'null']},
+                isFriend: {type: 'boolean'},
+                joinedAt: nullableString
+            }
+        },
+        players: {
+            description: 'GET /api/v1/instance/players',
+            type: 'array',
+            items: {$ref: '#/$defs/player'}
+        },
+        nowPlaying: {
+            description: 'GET /api/v1/now-playing',
+            type: 'object',
+            properties: {
+                playing: {type: 'boolean'},
+                url: {type: 'string'},
+                name: {type: 'string'},
+                length: {
+                    type: 'number',
+                    description: 'seconds'
+                },
+                elapsed: {
+                    type: 'number',
+                    description: 'seconds'
+                },
+                startedAt: nullableString
+            }
+        },
+        feed: {
+            description:
+                'GET /api/v1/feed, the last 100 GPS, Online, Offline, Status and Avatar entries, newest first',
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['type', 'created_at'],
+                properties: {
+                    type: {type: 'string'},
+                    created_at: {type: 'string'},
+                    userId: {type: 'string'},
+                    displayName: {type: 'string'}
+                }
+            }
+        },
+        event: {
+            description: 'WebSocket message',
+            type: 'object',
+            required: ['event', 'created_at', 'data'],
+            properties: {
+                event: {
+                    enum: ['feed', ...localApiEvents]
+                },
+                created_at: {type: 'string'},
+                data: {
+                    description:
+                        'feed: {category, entry} where category is feed, gamelog, notification, friendlog or moderation. Other events mirror the internal API bus: {params, json}'
+                }
+            }
+        }
+    }
+};
+
+export {localApiSchema as default, localApiEvents};
@@ -0,0 +1,299 @@
+// Ordered, user defined notification rules. Every enabled rule whose
+// conditions match adds its actions, "suppress" drops everything matched so
+// far and stops, "stop" ends evaluation after the rule.
+
+var notificationTypes = [
+    'OnPlayerJoined',
+    'OnPlayerLeft',
+    'OnPlayerJoining',
+    'Location',
+    'Online',
+    'Offline',
+    'GPS',
+    'Status',
+    'invite',
+    'requestInvite',
+    'inviteResponse',
+    'requestInviteResponse',
+    'friendRequest',
+    'Friend',
+    'Unfriend',
+    'DisplayName',
+    'TrustLevel',
+    'group.announcement',
+    'group.informative',
+    'group.invite',
+    'group.joinRequest',
+    'PortalSpawn',
+    'Event',
+    'VideoPlay',
+    'BlockedOnPlayerJoined',
+    'BlockedOnPlayerLeft',
+    'MutedOnPlayerJoined',
+    'MutedOnPlayerLeft',
+    'AvatarChange',
+    'ChatBoxMessage',
+    'Blocked',
+    'Unblocked',
+    'Muted',
+    'Unmuted',
+    'GroupJoined',
+    'GroupLeft'
+];
+
+// types whose legacy 'Friends' filter only matched friends, for the others
+// it meant "anyone who can send it"
+var gameLogTypes = [
+    'OnPlayerJoined',
+    'OnPlayerLeft',
+    'OnPlayerJoining',
+    'Location',
+    'PortalSpawn',
+    'Event',
+    'VideoPlay',
+    'BlockedOnPlayerJoined',
+    'BlockedOnPlayerLeft',
+    'MutedOnPlayerJoined',
+    'MutedOnPlayerLeft',
+    'AvatarChange',
+    'ChatBoxMessage'
+];
+
+var notificationActions = [
+    'overlay',
+    'xs',
+    'toast',
+    'tts',
+    'sound',
+    'webhook',
+    'suppress'
+];
+
+var gameStates = ['closed', 'desktop', 'vr'];
+
+// legacy "when to display" modes
+var legacyGameStates = {
+    Always: [],
+    'Desktop Mode': ['desktop'],
+    'Inside VR': ['vr'],
+    'Outside VR': ['closed', 'desktop'],
+    'Game Closed': ['closed'],
+    'Game Running': ['desktop', 'vr']
+};
+
+function parseTime(value) {
+    var match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    if (match === null) {
+        return null;
+    }
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+class NotificationRules {
+    createRule(rule) {
+        return {
+            id: '',
+            name: '',
+            enabled: true,
+            types: [],
+            audience: 'everyone',
+            favoriteGroups: [],
+            userIds: [],
+            worldIds: [],
+            timeFrom: '',
+            timeTo: '',
+            gameStates: [],
+            statuses: [],
+            actions: [],
+            sound: '',
+            // id of one of the configured webhooks
+            webhook: '',
+            stop: false,
+            ...rule
+        };
+    }
+
+    getGameState(isGameRunning, isGameNoVR) {
+        if (!isGameRunning) {
+            return 'closed';
+        }
+        if (isGameNoVR) {
+            return 'desktop';
+        }
+        return 'vr';
+    }
+
+    // context: type, userId, isFriend, isFavorite, favoriteGroup, worldId,
+    // minutes (local time of day), gameState, status
+    matches(rule, context) {
+        if (rule.types.length > 0 && !rule.types.includes(context.type)) {
+            return false;
+        }
+        if (rule.audience === 'friends' && !context.isFriend) {
+            return false;
+        }
+        if (rule.audience === 'favorites' && !context.isFavorite) {
+            return false;
+        }
+        if (
+            rule.favoriteGroups.length > 0 &&
+            !rule.favoriteGroups.includes(context.favoriteGroup)
+        ) {
+            return false;
+        }
+        if (rule.userIds.length > 0 && !rule.userIds.includes(context.userId)) {
+            return false;
+        }
+        if (
+            rule.worldIds.length > 0 &&
+            !rule.worldIds.includes(context.worldId)
+        ) {
+            return false;
+        }
+        var timeFrom = parseTime(rule.timeFrom);
+        var timeTo = parseTime(rule.timeTo);
+        if (timeFrom !== null && timeTo !== null) {
+            // ranges like 22:00-06:00 wrap around midnight
+            var inRange =
+                timeFrom <= timeTo
+                    ? context.minutes >= timeFrom && context.minutes < timeTo
+                    : context.minutes >= timeFrom || context.minutes < timeTo;
+            if (!inRange) {
+                return false;
+            }
+        }
+        if (
+            rule.gameStates.length > 0 &&
+            !rule.gameStates.includes(context.gameState)
+        ) {
+            return false;
+        }
+        if (
+            rule.statuses.length > 0 &&
+            !rule.statuses.includes(context.status)
+        ) {
+            return false;
+        }
+        return true;
+    }
+
+    evaluate(rules, context) {
+        var result = {
+            actions: [],
+            sounds: [],
+            webhooks: [],
+            matched: [],
+            suppressed: false
+        };
+        for (var rule of rules) {
+            if (!rule.enabled || !this.matches(rule, context)) {
+                continue;
+            }
+            result.matched.push(rule.name);
+            if (rule.actions.includes('suppress')) {
+                result.actions = [];
+                result.sounds = [];
+                result.webhooks = [];
+                result.suppressed = true;
+                break;
+            }
+            for (var action of rule.actions) {
+                if (!result.actions.includes(action)) {
+                    result.actions.push(action);
+                }
+            }
+            if (rule.actions.includes('sound') && rule.sound) {
+                result.sounds.push(rule.sound);
+            }
+            if (rule.actions.includes('webhook') && rule.webhook) {
+                result.webhooks.push(rule.webhook);
+            }
+            if (rule.stop) {
+                break;
+            }
+        }
+        return result;
+    }
+
+    // rules equivalent to the old per-type noty filters and the desktop
+    // toast/TTS display modes
+    fromLegacyFilters(notyFilters, desktopToast, notificationTTS) {
+        var rules = [
+            this.createRule({
+                id: 'legacy-busy',
+                name: 'Busy',
+                statuses: ['busy'],
+                actions: ['suppress']
+            })
+        ];
+        var audiences = {
+            everyone: [],
+            friends: [],
+            favorites: []
+        };
+        for (var type of notificationTypes) {
+            var filter = notyFilters[type];
+            if (filter === 'VIP') {
+                audiences.favorites.push(type);
+            } else if (filter === 'Friends' && gameLogTypes.includes(type)) {
+                audiences.friends.push(type);
+            } else if (
+                filter === 'On' ||
+                filter === 'Everyone' ||
+                filter === 'Friends'
+            ) {
+                audiences.everyone.push(type);
+            }
+        }
+        // group actions that share the same game states into one rule
+        var outputs = new Map();
+        var addOutput = (action, states) => {
+            var key = states.join(',');
+            if (!outputs.has(key)) {
+                outputs.set(key, {
+                    states,
+                    actions: []
+                });
+            }
+            outputs.get(key).actions.push(action);
+        };
+        addOutput('overlay', ['vr']);
+        addOutput('xs', ['vr']);
+        if (legacyGameStates[desktopToast]) {
+            addOutput('toast', legacyGameStates[desktopToast]);
+        }
+        if (legacyGameStates[notificationTTS]) {
+            addOutput('tts', legacyGameStates[notificationTTS]);
+        }
+        for (var audience of Object.keys(audiences)) {
+            var types = audiences[audience];
+            if (types.length === 0) {
+                continue;
+            }
+            for (var output of outputs.values()) {
+                rules.push(
+                    this.createRule({
+                        id: `legacy-${audience}-${output.actions.join('-')}`,
+                        name: `${audience} (${output.actions.join(', ')})`,
+                        types,
+                        audience,
+                        gameStates: output.states,
+                        actions: output.actions
+                    })
+                );
+            }
+        }
+        return rules;
+    }
+}
+
+var self = new NotificationRules();
+window.notificationRules = self;
+
+export {
+    self as default,
+    NotificationRules,
+    notificationTypes,
+    notificationActions,
+    gameStates
+};
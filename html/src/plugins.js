@@ -0,0 +1,499 @@
+// requires binding of AppApi
+
+// Plugins live in %AppData%\VRCX\plugins\<folder> with a manifest.json and
+// run in their own Web Worker, they only see the vrcx facade set up by
+// pluginWorker and can't reach into the app, so a broken plugin is stopped
+// instead of taking the UI down with it.
+
+import configRepository from './repository/config.js';
+import database from './repository/database.js';
+import {localApiEvents} from './localApiSchema.js';
+
+var pluginApiVersion = 1;
+
+var pluginHooks = [
+    'onLoad',
+    'onLogin',
+    'onLogout',
+    'onPipelineEvent',
+    'onGameLog',
+    'onPhotonEvent'
+];
+
+// read only queries exposed as vrcx.database.<method>
+var pluginDatabaseMethods = [
+    'getFeedDatabase',
+    'lookupFeedDatabase',
+    'lookupGameLogDatabase',
+    'getFriendLogHistory',
+    'getNotifications',
+    'getMemo',
+    'getLastVisit',
+    'getVisitCount',
+    'getTimeSpentInWorld',
+    'getLastSeen',
+    'getJoinCount',
+    'getTimeSpent',
+    'getUserStats',
+    'searchDatabase',
+    'getOnlineTimeStats',
+    'getMostVisitedWorldStats',
+    'getChatBoxHistory'
+];
+
+// API events plugins can subscribe to, the same ones the local API sends.
+// Others like AUTH or USER:CURRENT carry the auth token and account details.
+var pluginApiEvents = localApiEvents;
+
+// plugins are stopped after this many errors
+var maxPluginErrors = 10;
+
+// lines of vrcx.log output kept per plugin
+var maxPluginLog = 200;
+
+// runs inside the worker ahead of the plugin script, must not reference
+// anything outside of itself
+function pluginWorker(manifest, databaseMethods) {
+    var hooks = {};
+    var apiHandlers = new Map();
+    var subscriptions = new Map();
+    var pending = new Map();
+    var nextRequestId = 0;
+    var post = (message) => globalThis.postMessage(message);
+    var reportError = (err) => {
+        post({
+            type: 'error',
+            error: String((err && err.stack) || err)
+        });
+    };
+    var request = (type, args) =>
+        new Promise((resolve, reject) => {
+            var id = ++nextRequestId;
+            pending.set(id, {resolve, reject});
+            post({type, id, args});
+        });
+    var pluginDatabase = {};
+    databaseMethods.forEach((method) => {
+        pluginDatabase[method] = (...args) =>
+            request('database', {method, args});
+    });
+    globalThis.vrcx = {
+        apiVersion: 1,
+        manifest,
+        registerPlugin(plugin) {
+            hooks = plugin;
+        },
+        api: {
+            // rejects for events plugins can't subscribe to
+            on(name, handler) {
+                if (!apiHandlers.has(name)) {
+                    apiHandlers.set(name, []);
+                    subscriptions.set(
+                        name,
+                        request('subscribe', {name}).catch((err) => {
+                            apiHandlers.delete(name);
+                            subscriptions.delete(name);
+                            throw err;
+                        })
+                    );
+                }
+                apiHandlers.get(name).push(handler);
+                return subscriptions.get(name);
+            }
+        },
+        database: pluginDatabase,
+        config: {
+            get: (key, defaultValue = null) =>
+                request('config:get', {key, defaultValue}),
+            set: (key, value) => request('config:set', {key, value})
+        },
+        log: (...args) => {
+            post({type: 'log', args: args.map(String)});
+        }
+    };
+    var handleMessage = async (message) => {
+        if (message.type === 'response') {
+            var callbacks = pending.get(message.id);
+            pending.delete(message.id);
+            if (message.error) {
+                callbacks.reject(new Error(message.error));
+            } else {
+                callbacks.resolve(message.result);
+            }
+        } else if (message.type === 'hook') {
+            if (typeof hooks[message.hook] === 'function') {
+                await hooks[message.hook](...message.args);
+            }
+        } else if (message.type === 'api') {
+            var handlers = apiHandlers.get(message.name) || [];
+            await Promise.all(handlers.map((handler) => handler(message.args)));
+        }
+    };
+    globalThis.addEventListener('message', (event) => {
+        handleMessage(event.data).catch(reportError);
+    });
+    globalThis.addEventListener('unhandledrejection', (event) => {
+        reportError(event.reason);
+    });
+}
+
+// drops anything that can't be posted to a worker
+function clone(value) {
+    if (typeof value === 'undefined') {
+        return null;
+    }
+    return JSON.parse(
+        JSON.stringify(value, (key, item) => {
+            if (key.startsWith('$')) {
+                return void 0;
+            }
+            if (item instanceof Map) {
+                return Object.fromEntries(item);
+            }
+            if (item instanceof Set) {
+                return Array.from(item);
+            }
+            return item;
+        })
+    );
+}
+
+function parseManifest(folder, json) {
+    var manifest = JSON.parse(json);
+    if (typeof manifest.id !== 'string' || !/^[\w.-]+$/.test(manifest.id)) {
+        throw new Error('manifest.json needs an id of letters, digits, . - _');
+    }
+    var apiVersion = manifest.apiVersion || 1;
+    if (apiVersion > pluginApiVersion) {
+        throw new Error(
+            `Plugin needs API version ${apiVersion}, this VRCX supports ${pluginApiVersion}`
+        );
+    }
+    return {
+        id: manifest.id,
+        name: manifest.name || manifest.id,
+        version: String(manifest.version || ''),
+        author: manifest.author || '',
+        description: manifest.description || '',
+        main: manifest.main || 'plugin.js',
+        apiVersion,
+        folder
+    };
+}
+
+class PluginHost {
+    constructor() {
+        this.API = null;
+        this.plugins = new Map();
+        this.enabled = new Set();
+        this.apiEvents = new Set();
+        this.onChange = null;
+    }
+
+    init(API) {
+        this.API = API;
+        this.enabled = new Set(
+            JSON.parse(configRepository.getString('VRCX_enabledPlugins', '[]'))
+        );
+    }
+
+    getPluginList() {
+        return Array.from(this.plugins.values()).map((plugin) => ({
+            ...plugin.manifest,
+            enabled: this.enabled.has(plugin.manifest.id),
+            status: plugin.status,
+            errors: plugin.errors.slice(),
+            log: plugin.log.slice()
+        }));
+    }
+
+    changed() {
+        if (typeof this.onChange === 'function') {
+            this.onChange();
+        }
+    }
+
+    // (re)reads every plugin folder and starts the enabled plugins
+    async load() {
+        for (var plugin of this.plugins.values()) {
+            this.terminate(plugin);
+        }
+        this.plugins.clear();
+        var manifests = await AppApi.GetPlugins();
+        for (var folder of Object.keys(manifests)) {
+            var manifest = null;
+            var status = 'stopped';
+            var errors = [];
+            try {
+                manifest = parseManifest(folder, manifests[folder]);
+            } catch (err) {
+                manifest = {
+                    id: folder,
+                    name: folder,
+                    folder
+                };
+                status = 'invalid';
+                errors.push(String(err));
+            }
+            if (this.plugins.has(manifest.id)) {
+                console.error(
+                    `Plugin ${manifest.id} in ${folder} is a duplicate, skipped`
+                );
+                continue;
+            }
+            this.plugins.set(manifest.id, {
+                manifest,
+                status,
+                errors,
+                worker: null,
+                apiEvents: new Set(),
+                log: []
+            });
+        }
+        for (var id of this.enabled) {
+            var enabledPlugin = this.plugins.get(id);
+            if (
+                typeof enabledPlugin !== 'undefined' &&
+                enabledPlugin.status === 'stopped'
+            ) {
+                await this.start(enabledPlugin);
+            }
+        }
+        this.changed();
+    }
+
+    async setEnabled(id, enabled) {
+        var plugin = this.plugins.get(id);
+        if (enabled) {
+            this.enabled.add(id);
+        } else {
+            this.enabled.delete(id);
+        }
+        configRepository.setString(
+            'VRCX_enabledPlugins',
+            JSON.stringify(Array.from(this.enabled))
+        );
+        if (typeof plugin === 'undefined' || plugin.status === 'invalid') {
+            return;
+        }
+        if (enabled) {
+            await this.start(plugin);
+        } else {
+            this.stop(plugin);
+        }
+        this.changed();
+    }
+
+    async start(plugin) {
+        var {manifest} = plugin;
+        var source = await AppApi.ReadPluginFile(
+            manifest.folder,
+            manifest.main
+        );
+        this.run(plugin, source);
+    }
+
+    run(plugin, source) {
+        var {manifest} = plugin;
+        this.terminate(plugin);
+        plugin.errors = [];
+        plugin.log = [];
+        if (typeof source !== 'string') {
+            plugin.status = 'error';
+            plugin.errors.push(`Missing ${manifest.main}`);
+            return;
+        }
+        var prelude = `(${pluginWorker})(${JSON.stringify(
+            manifest
+        )}, ${JSON.stringify(pluginDatabaseMethods)});\n`;
+        var url = URL.createObjectURL(
+            new Blob([prelude, source, `\n//# sourceURL=${manifest.id}.js`], {
+                type: 'text/javascript'
+            })
+        );
+        var worker = new Worker(url);
+        URL.revokeObjectURL(url);
+        worker.onmessage = (event) => {
+            this.handleMessage(plugin, event.data);
+        };
+        worker.onerror = (event) => {
+            event.preventDefault();
+            this.handleError(plugin, event.message);
+        };
+        plugin.worker = worker;
+        plugin.apiEvents = new Set();
+        plugin.status = 'running';
+        this.post(plugin, {
+            type: 'hook',
+            hook: 'onLoad',
+            args: []
+        });
+        if (this.API.isLoggedIn === true) {
+            this.post(plugin, {
+                type: 'hook',
+                hook: 'onLogin',
+                args: [this.getUser()]
+            });
+        }
+    }
+
+    stop(plugin) {
+        this.terminate(plugin);
+        plugin.status = 'stopped';
+    }
+
+    terminate(plugin) {
+        if (plugin.worker !== null) {
+            plugin.worker.terminate();
+            plugin.worker = null;
+        }
+    }
+
+    getUser() {
+        return {
+            id: this.API.currentUser.id,
+            displayName: this.API.currentUser.displayName
+        };
+    }
+
+    post(plugin, message) {
+        if (plugin.worker !== null) {
+            plugin.worker.postMessage(message);
+        }
+    }
+
+    // calls a lifecycle hook on every running plugin
+    emit(hook, ...args) {
+        var running = Array.from(this.plugins.values()).filter(
+            (plugin) => plugin.worker !== null
+        );
+        if (running.length === 0) {
+            return;
+        }
+        var message = {
+            type: 'hook',
+            hook,
+            args: hook === 'onLogin' ? [this.getUser()] : clone(args)
+        };
+        for (var plugin of running) {
+            this.post(plugin, message);
+        }
+    }
+
+    emitApiEvent(name, args) {
+        var message = null;
+        for (var plugin of this.plugins.values()) {
+            if (!plugin.apiEvents.has(name)) {
+                continue;
+            }
+            if (message === null) {
+                message = {
+                    type: 'api',
+                    name,
+                    args: clone({
+                        params: args?.params,
+                        json: args?.json
+                    })
+                };
+            }
+            this.post(plugin, message);
+        }
+    }
+
+    subscribe(plugin, name) {
+        if (!pluginApiEvents.includes(name)) {
+            throw new Error(`API event ${name} is not available`);
+        }
+        plugin.apiEvents.add(name);
+        if (!this.apiEvents.has(name)) {
+            this.apiEvents.add(name);
+            this.API.$on(name, (args) => this.emitApiEvent(name, args));
+        }
+    }
+
+    handleError(plugin, error) {
+        console.error(`Plugin ${plugin.manifest.id}:`, error);
+        plugin.errors.push(`${new Date().toJSON()} ${error}`);
+        if (plugin.errors.length >= maxPluginErrors) {
+            this.terminate(plugin);
+            plugin.status = 'error';
+            plugin.errors.push(`Stopped after ${maxPluginErrors} errors`);
+        }
+        this.changed();
+    }
+
+    handleMessage(plugin, message) {
+        switch (message.type) {
+            case 'error':
+                this.handleError(plugin, message.error);
+                break;
+            case 'log':
+                this.addLog(plugin, message.args.join(' '));
+                break;
+            case 'subscribe':
+            case 'database':
+            case 'config:get':
+            case 'config:set':
+                this.handleRequest(plugin, message);
+                break;
+            default:
+                break;
+        }
+    }
+
+    addLog(plugin, text) {
+        plugin.log.push(`${new Date().toJSON()} ${text}`);
+        if (plugin.log.length > maxPluginLog) {
+            plugin.log.splice(0, plugin.log.length - maxPluginLog);
+        }
+        this.changed();
+    }
+
+    async handleRequest(plugin, message) {
+        var response = {
+            type: 'response',
+            id: message.id,
+            result: null,
+            error: null
+        };
+        try {
+            response.result = clone(await this.request(plugin, message));
+        } catch (err) {
+            response.error = String(err);
+        }
+        this.post(plugin, response);
+    }
+
+    request(plugin, {type, args}) {
+        // config is namespaced per plugin and stored as JSON
+        if (type === 'subscribe') {
+            this.subscribe(plugin, args.name);
+            return null;
+        }
+        // ids can't contain ':', so no plugin can reach another one's keys
+        var configKey = `VRCX_plugin_${plugin.manifest.id}:${args.key}`;
+        if (type === 'config:get') {
+            var value = configRepository.getString(configKey);
+            return value === null ? args.defaultValue : JSON.parse(value);
+        }
+        if (type === 'config:set') {
+            configRepository.setString(configKey, JSON.stringify(args.value));
+            return null;
+        }
+        if (!pluginDatabaseMethods.includes(args.method)) {
+            throw new Error(`database.${args.method} is not available`);
+        }
+        return database[args.method](...args.args);
+    }
+}
+
+var self = new PluginHost();
+window.pluginHost = self;
+
+export {
+    self as default,
+    PluginHost,
+    pluginHooks,
+    pluginDatabaseMethods,
+    pluginApiEvents
+};
@@ -0,0 +1,204 @@
+// requires binding of AppApi
+
+import database from './database.js';
+
+// tables included in history archives, per-user tables are stored without
+// their user prefix so an archive can be imported into another account
+var archiveTables = [
+    {name: 'feed_gps', perUser: true},
+    {name: 'feed_status', perUser: true},
+    {name: 'feed_bio', perUser: true},
+    {name: 'feed_avatar', perUser: true},
+    {name: 'feed_online_offline', perUser: true},
+    {name: 'friend_log_history', perUser: true},
+    {name: 'group_history', perUser: true},
+    {name: 'notifications', perUser: true},
+    {name: 'moderation', perUser: true},
+    {name: 'gamelog_location', perUser: false},
+    {name: 'gamelog_join_leave', perUser: false},
+    {name: 'gamelog_portal_spawn', perUser: false},
+    {name: 'gamelog_video_play', perUser: false},
+    {name: 'gamelog_chatbox', perUser: false},
+    {name: 'gamelog_event', perUser: false},
+    {name: 'memos', perUser: false}
+];
+
+var archiveFormat = 'vrcx-history';
+var archiveVersion = 1;
+
+// empty unquoted fields are NULL, empty strings are written as ""
+function toCsvField(value) {
+    if (value === null || typeof value === 'undefined') {
+        return '';
+    }
+    var str = String(value);
+    if (str === '' || /[\x00-\x1f,"]/.test(str)) {
+        return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+}
+
+function toCsv(columns, rows) {
+    var lines = [columns.map(toCsvField).join(',')];
+    for (var row of rows) {
+        lines.push(row.map(toCsvField).join(','));
+    }
+    return lines.join('\n');
+}
+
+function parseCsv(text) {
+    var rows = [];
+    var row = [];
+    var field = '';
+    var quoted = false;
+    var inQuotes = false;
+    var endField = () => {
+        row.push(field === '' && !quoted ? null : field);
+        field = '';
+        quoted = false;
+    };
+    for (var i = 0; i < text.length; ++i) {
+        var c = text[i];
+        if (inQuotes) {
+            if (c !== '"') {
+                field += c;
+            } else if (text[i + 1] === '"') {
+                field += '"';
+                ++i;
+            } else {
+                inQuotes = false;
+            }
+        } else if (c === '"') {
+            inQuotes = true;
+            quoted = true;
+        } else if (c === ',') {
+            endField();
+        } else if (c === '\n') {
+            endField();
+            rows.push(row);
+            row = [];
+        } else if (c !== '\r') {
+            field += c;
+        }
+    }
+    if (row.length > 0 || field !== '' || quoted) {
+        endField();
+        rows.push(row);
+    }
+    return rows;
+}
+
+class HistoryArchive {
+    constructor(tables) {
+        this.tables = tables;
+    }
+
+    getTable(name) {
+        return this.tables.find((table) => table.name === name);
+    }
+
+    getTableName(table) {
+        if (table.perUser) {
+            return database.getUserTableName(table.name);
+        }
+        return table.name;
+    }
+
+    // writes every archive table to a zip in the VRCX exports folder,
+    // dataFormat is 'json' or 'csv', returns the path of the archive
+    async export(dataFormat, owner, onProgress) {
+        var manifest = {
+            format: archiveFormat,
+            version: archiveVersion,
+            dataFormat,
+            exportedAt: new Date().toJSON(),
+            ...owner,
+            tables: []
+        };
+        var fileName = `vrcx-history-${manifest.exportedAt
+            .slice(0, 19)
+            .replace(/[:T]/g, '-')}.zip`;
+        await AppApi.BeginHistoryArchive(fileName);
+        try {
+            for (var i = 0; i < this.tables.length; ++i) {
+                var table = this.tables[i];
+                onProgress(i, this.tables.length, table.name);
+                var {columns, rows} = await database.exportTable(
+                    this.getTableName(table)
+                );
+                var file = `tables/${table.name}.${dataFormat}`;
+                var content = '';
+                if (dataFormat === 'csv') {
+                    content = toCsv(columns, rows);
+                } else {
+                    content = JSON.stringify({columns, rows});
+                }
+                await AppApi.AddHistoryArchiveEntry(file, content);
+                manifest.tables.push({
+                    name: table.name,
+                    perUser: table.perUser,
+                    file,
+                    columns,
+                    rows: rows.length
+                });
+            }
+            await AppApi.AddHistoryArchiveEntry(
+                'manifest.json',
+                JSON.stringify(manifest, null, 2)
+            );
+        } catch (err) {
+            await AppApi.EndHistoryArchive(false);
+            throw err;
+        }
+        return AppApi.EndHistoryArchive(true);
+    }
+
+    // merges a base64 encoded archive into the current database, per-user
+    // tables go to the logged in user, returns rows added per table
+    async import(base64, onProgress) {
+        var entries = await AppApi.ReadHistoryArchive(base64);
+        if (typeof entries['manifest.json'] !== 'string') {
+            throw new Error('Not a VRCX history archive');
+        }
+        var manifest = JSON.parse(entries['manifest.json']);
+        if (manifest.format !== archiveFormat) {
+            throw new Error('Not a VRCX history archive');
+        }
+        if (manifest.version > archiveVersion) {
+            throw new Error(
+                `Archive version ${manifest.version} is newer than supported version ${archiveVersion}`
+            );
+        }
+        var result = {};
+        for (var i = 0; i < manifest.tables.length; ++i) {
+            var entry = manifest.tables[i];
+            onProgress(i, manifest.tables.length, entry.name);
+            var table = this.getTable(entry.name);
+            if (
+                typeof table === 'undefined' ||
+                typeof entries[entry.file] !== 'string'
+            ) {
+                continue;
+            }
+            var columns = [];
+            var rows = [];
+            if (manifest.dataFormat === 'csv') {
+                rows = parseCsv(entries[entry.file]);
+                columns = rows.shift() || [];
+            } else {
+                ({columns, rows} = JSON.parse(entries[entry.file]));
+            }
+            result[table.name] = await database.importTable(
+                this.getTableName(table),
+                columns,
+                rows
+            );
+        }
+        return result;
+    }
+}
+
+var self = new HistoryArchive(archiveTables);
+window.historyArchive = self;
+
+export {self as default, HistoryArchive, archiveTables};
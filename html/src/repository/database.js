@@ -1,13 +1,286 @@
 import sqliteService from '../service/sqlite.js';
 
+// values are always bound as named parameters, only table names are
+// interpolated into SQL
+var maxBoundVariables = 999;
+
+// LIKE pattern matching value anywhere, use with ESCAPE '\'
+function likeContains(value) {
+    return `%${String(value).replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+// adds values to args and returns the "(@name0, @name1, ...)" list
+function bindList(name, values, args) {
+    var keys = values.map((value, i) => {
+        var key = `@${name}${i}`;
+        args[key] = value;
+        return key;
+    });
+    return `(${keys.join(', ')})`;
+}
+
+// multi-row INSERT, sql ends with VALUES and rows are arrays of column values
+async function insertRows(sql, rows) {
+    if (rows.length === 0) {
+        return;
+    }
+    var columnCount = rows[0].length;
+    var chunkSize = Math.floor(maxBoundVariables / columnCount);
+    for (var i = 0; i < rows.length; i += chunkSize) {
+        var args = {};
+        var values = [];
+        for (var j = i; j < i + chunkSize && j < rows.length; ++j) {
+            values.push(bindList(`r${j}_`, rows[j], args));
+        }
+        await sqliteService.executeNonQuery(
+            `${sql} ${values.join(', ')}`,
+            args
+        );
+    }
+}
+
+// tables kept in search_index, content columns are searched together while
+// display_name is its own column so names can be weighted separately
+var searchSources = [
+    {
+        source: 'GPS',
+        table: 'feed_gps',
+        perUser: true,
+        content: ['world_name']
+    },
+    {
+        source: 'Status',
+        table: 'feed_status',
+        perUser: true,
+        content: [
+            'status',
+            'status_description',
+            'previous_status_description'
+        ],
+        location: null
+    },
+    {
+        source: 'Bio',
+        table: 'feed_bio',
+        perUser: true,
+        content: ['bio', 'previous_bio'],
+        location: null
+    },
+    {
+        source: 'Avatar',
+        table: 'feed_avatar',
+        perUser: true,
+        content: ['avatar_name'],
+        location: null
+    },
+    {
+        source: 'OnlineOffline',
+        table: 'feed_online_offline',
+        perUser: true,
+        content: ['type', 'world_name']
+    },
+    {
+        source: 'Notification',
+        table: 'notifications',
+        perUser: true,
+        content: [
+            'type',
+            'message',
+            'world_name',
+            'invite_message',
+            'request_message',
+            'response_message'
+        ],
+        userId: 'sender_user_id',
+        displayName: 'sender_username',
+        location: 'world_id'
+    },
+    {
+        source: 'Location',
+        table: 'gamelog_location',
+        content: ['world_name'],
+        userId: null,
+        displayName: null
+    },
+    {
+        source: 'JoinLeave',
+        table: 'gamelog_join_leave',
+        content: ['type']
+    },
+    {
+        source: 'PortalSpawn',
+        table: 'gamelog_portal_spawn',
+        content: ['world_name']
+    },
+    {
+        source: 'VideoPlay',
+        table: 'gamelog_video_play',
+        content: ['video_name', 'video_url']
+    },
+    {
+        source: 'ChatBox',
+        table: 'gamelog_chatbox',
+        content: ['text']
+    },
+    {
+        source: 'Event',
+        table: 'gamelog_event',
+        content: ['data'],
+        userId: null,
+        displayName: null,
+        location: null
+    },
+    {
+        source: 'Memo',
+        table: 'memos',
+        content: ['memo'],
+        displayName: null,
+        location: null,
+        createdAt: 'edited_at',
+        // written with INSERT OR REPLACE, which doesn't fire delete triggers
+        replaceKey: 'user_id'
+    }
+];
+
+function getSearchColumn(searchSource, name, fallback) {
+    var column = searchSource[name];
+    if (typeof column === 'undefined') {
+        return fallback;
+    }
+    return column;
+}
+
+// columns of the source table that end up in search_entries/search_index
+function getSearchSourceColumns(searchSource) {
+    var columns = [...searchSource.content];
+    for (var column of [
+        getSearchColumn(searchSource, 'userId', 'user_id'),
+        getSearchColumn(searchSource, 'displayName', 'display_name'),
+        getSearchColumn(searchSource, 'location', 'location'),
+        getSearchColumn(searchSource, 'createdAt', 'created_at')
+    ]) {
+        if (column !== null && !columns.includes(column)) {
+            columns.push(column);
+        }
+    }
+    return columns;
+}
+
+// SQL expressions for the indexed values of a row, prefix is "new.", "t." etc
+function getSearchValues(searchSource, prefix) {
+    var value = (name, fallback) => {
+        var column = getSearchColumn(searchSource, name, fallback);
+        if (column === null) {
+            return "''";
+        }
+        return `coalesce(${prefix}${column}, '')`;
+    };
+    return {
+        content: searchSource.content
+            .map((column) => `coalesce(${prefix}${column}, '')`)
+            .join(" || ' ' || "),
+        userId: value('userId', 'user_id'),
+        displayName: value('displayName', 'display_name'),
+        location: value('location', 'location'),
+        createdAt: value('createdAt', 'created_at')
+    };
+}
+
+// turns user input into an FTS5 query, "quoted text" is kept as a phrase
+// and every other word matches as a prefix
+function getMatchQuery(input) {
+    var terms = [];
+    var regex = /"([^"]*)"?|([^\s"]+)/g;
+    var match = regex.exec(input);
+    while (match !== null) {
+        if (typeof match[1] !== 'undefined') {
+            var phrase = match[1].trim();
+            if (phrase) {
+                terms.push(`"${phrase}"`);
+            }
+        } else {
+            terms.push(`"${match[2]}"*`);
+        }
+        match = regex.exec(input);
+    }
+    return terms.join(' ');
+}
+
+// snippet() wraps matches in these, split them back out for highlighting
+var snippetOpen = '\u0002';
+var snippetClose = '\u0003';
+
+function parseSnippet(snippet) {
+    var parts = [];
+    for (var part of String(snippet).split(snippetOpen)) {
+        var index = part.indexOf(snippetClose);
+        if (index !== -1) {
+            parts.push({
+                text: part.slice(0, index),
+                match: true
+            });
+            part = part.slice(index + 1);
+        }
+        if (part) {
+            parts.push({
+                text: part,
+                match: false
+            });
+        }
+    }
+    return parts;
+}
+
+function parseChatBoxRow(dbRow) {
+    return {
+        rowId: dbRow[0],
+        created_at: dbRow[1],
+        type: 'ChatBoxMessage',
+        userId: dbRow[2],
+        displayName: dbRow[3],
+        photonId: dbRow[4],
+        location: dbRow[5],
+        text: dbRow[6]
+    };
+}
+
+// online sessions (Online followed by Offline) from feed_online_offline
+// split into one row per hour, times are julian days, sessions over a day
+// long are missing their Offline entry and skipped, so entries from a day
+// before @date_from are enough to clip sessions that started before it
+function getOnlineSlicesQuery(tableName, userFilter) {
+    return `WITH RECURSIVE events AS (
+        SELECT user_id, display_name, type, julianday(created_at) AS at,
+            LAG(type) OVER (PARTITION BY user_id ORDER BY created_at) AS previous_type,
+            LAG(julianday(created_at)) OVER (PARTITION BY user_id ORDER BY created_at) AS previous_at
+        FROM ${tableName} WHERE created_at >= strftime('%Y-%m-%dT%H:%M:%fZ', @date_from, '-1 day')${userFilter}
+    ), sessions AS (
+        SELECT user_id, display_name, max(previous_at, julianday(@date_from)) AS start_at, at AS end_at FROM events
+        WHERE type = 'Offline' AND previous_type = 'Online' AND at - previous_at < 1 AND at > julianday(@date_from)
+    ), slices (user_id, display_name, hour, start_at, end_at) AS (
+        SELECT user_id, display_name, CAST(start_at * 24 AS INTEGER), start_at, end_at FROM sessions
+        UNION ALL
+        SELECT user_id, display_name, hour + 1, start_at, end_at FROM slices WHERE (hour + 1) / 24.0 < end_at
+    ), online AS (
+        SELECT user_id, display_name, hour / 24.0 AS at,
+            (min(end_at, (hour + 1) / 24.0) - max(start_at, hour / 24.0)) * 24 AS hours
+        FROM slices
+    )`;
+}
+
 class Database {
     setmaxTableSize(limit) {
         Database.maxTableSize = limit;
     }
 
+    // table name prefix of a user's own tables
+    getUserPrefix(userId) {
+        return userId.replaceAll('-', '').replaceAll('_', '');
+    }
+
     async initUserTables(userId) {
         Database.userId = userId;
-        Database.userPrefix = userId.replaceAll('-', '').replaceAll('_', '');
+        Database.userPrefix = this.getUserPrefix(userId);
         await sqliteService.executeNonQuery(
             `CREATE TABLE IF NOT EXISTS ${Database.userPrefix}_feed_gps (id INTEGER PRIMARY KEY, created_at TEXT, user_id TEXT, display_name TEXT, location TEXT, world_name TEXT, previous_location TEXT, time INTEGER, group_name TEXT)`
         );
@@ -38,9 +311,173 @@ class Database {
         await sqliteService.executeNonQuery(
             `CREATE TABLE IF NOT EXISTS ${Database.userPrefix}_avatar_history (avatar_id TEXT PRIMARY KEY, created_at TEXT)`
         );
+        await sqliteService.executeNonQuery(
+            `CREATE TABLE IF NOT EXISTS ${Database.userPrefix}_group_history (id INTEGER PRIMARY KEY, created_at TEXT, type TEXT, group_id TEXT, group_name TEXT)`
+        );
+        await sqliteService.executeNonQuery(
+            `CREATE TABLE IF NOT EXISTS ${Database.userPrefix}_response_cache (endpoint TEXT PRIMARY KEY, type TEXT, object_id TEXT, etag TEXT, data TEXT, updated_at INTEGER)`
+        );
+        await sqliteService.executeNonQuery(
+            `CREATE INDEX IF NOT EXISTS ${Database.userPrefix}_response_cache_object ON ${Database.userPrefix}_response_cache (type, object_id)`
+        );
+        await sqliteService.executeNonQuery(
+            `CREATE TABLE IF NOT EXISTS ${Database.userPrefix}_friend_groups (id TEXT PRIMARY KEY, created_at TEXT, name TEXT, color TEXT, parent_id TEXT, sidebar INTEGER)`
+        );
+        await sqliteService.executeNonQuery(
+            `CREATE TABLE IF NOT EXISTS ${Database.userPrefix}_friend_group_members (group_id TEXT, user_id TEXT, created_at TEXT, PRIMARY KEY(group_id, user_id))`
+        );
         await sqliteService.executeNonQuery(
             `CREATE TABLE IF NOT EXISTS memos (user_id TEXT PRIMARY KEY, edited_at TEXT, memo TEXT)`
         );
+        await this.initTables();
+        await this.initSearchIndex();
+    }
+
+    async initSearchIndex() {
+        await sqliteService.executeNonQuery(
+            `CREATE TABLE IF NOT EXISTS search_entries (id INTEGER PRIMARY KEY, source TEXT, owner TEXT, row_id INTEGER, created_at TEXT, user_id TEXT, location TEXT, UNIQUE(source, owner, row_id))`
+        );
+        await sqliteService.executeNonQuery(
+            `CREATE INDEX IF NOT EXISTS search_entries_created_at ON search_entries (owner, created_at)`
+        );
+        await sqliteService.executeNonQuery(
+            `CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(content, display_name, tokenize = 'unicode61 remove_diacritics 2')`
+        );
+        for (var searchSource of searchSources) {
+            await this.initSearchSource(searchSource);
+        }
+    }
+
+    // triggers keep search_index in sync, rows written before the triggers
+    // existed are indexed once when they are created
+    async initSearchSource(searchSource) {
+        var table = searchSource.table;
+        var owner = '';
+        if (searchSource.perUser) {
+            table = `${Database.userPrefix}_${searchSource.table}`;
+            owner = Database.userPrefix;
+        }
+        var exists = false;
+        await sqliteService.execute(
+            () => {
+                exists = true;
+            },
+            `SELECT name FROM sqlite_schema WHERE type = 'trigger' AND name = @name`,
+            {
+                '@name': `${table}_search_insert`
+            }
+        );
+        if (exists) {
+            return;
+        }
+        var match = `source = '${searchSource.source}' AND owner = '${owner}'`;
+        var newRow = getSearchValues(searchSource, 'new.');
+        var insert = `INSERT INTO search_entries (source, owner, row_id, created_at, user_id, location) VALUES ('${searchSource.source}', '${owner}', new.rowid, ${newRow.createdAt}, ${newRow.userId}, ${newRow.location});
+            INSERT INTO search_index (rowid, content, display_name) VALUES (last_insert_rowid(), ${newRow.content}, ${newRow.displayName});`;
+        var remove = (key, value) =>
+            `DELETE FROM search_index WHERE rowid IN (SELECT id FROM search_entries WHERE ${match} AND ${key} = ${value});
+            DELETE FROM search_entries WHERE ${match} AND ${key} = ${value};`;
+        var replace = '';
+        if (searchSource.replaceKey) {
+            replace = remove(
+                searchSource.replaceKey,
+                `new.${searchSource.replaceKey}`
+            );
+        }
+        await sqliteService.executeNonQuery(
+            `CREATE TRIGGER IF NOT EXISTS ${table}_search_delete AFTER DELETE ON ${table} BEGIN
+            ${remove('row_id', 'old.rowid')}
+            END`
+        );
+        await sqliteService.executeNonQuery(
+            `CREATE TRIGGER IF NOT EXISTS ${table}_search_update AFTER UPDATE OF ${getSearchSourceColumns(
+                searchSource
+            ).join(', ')} ON ${table} BEGIN
+            ${remove('row_id', 'old.rowid')}
+            ${insert}
+            END`
+        );
+        await sqliteService.executeNonQuery(
+            `CREATE TRIGGER IF NOT EXISTS ${table}_search_insert AFTER INSERT ON ${table} BEGIN
+            ${replace}
+            ${insert}
+            END`
+        );
+        var row = getSearchValues(searchSource, 't.');
+        await sqliteService.executeNonQuery(
+            `INSERT OR IGNORE INTO search_entries (source, owner, row_id, created_at, user_id, location) SELECT '${searchSource.source}', '${owner}', t.rowid, ${row.createdAt}, ${row.userId}, ${row.location} FROM ${table} t`
+        );
+        await sqliteService.executeNonQuery(
+            `INSERT INTO search_index (rowid, content, display_name) SELECT e.id, ${row.content}, ${row.displayName} FROM ${table} t JOIN search_entries e ON e.source = '${searchSource.source}' AND e.owner = '${owner}' AND e.row_id = t.rowid WHERE NOT EXISTS (SELECT 1 FROM search_index WHERE search_index.rowid = e.id)`
+        );
+    }
+
+    async searchDatabase(input) {
+        var search = {
+            query: '',
+            sources: [],
+            userId: '',
+            displayName: '',
+            dateFrom: '',
+            dateTo: '',
+            limit: 500,
+            ...input
+        };
+        var results = [];
+        var query = getMatchQuery(search.query);
+        if (!query) {
+            return results;
+        }
+        var args = {
+            '@query': query,
+            '@owner': Database.userPrefix,
+            '@snippet_open': snippetOpen,
+            '@snippet_close': snippetClose,
+            '@limit': search.limit
+        };
+        var filters = [];
+        if (search.sources.length > 0) {
+            filters.push(
+                `e.source IN ${bindList('source', search.sources, args)}`
+            );
+        }
+        if (search.userId) {
+            filters.push('e.user_id = @user_id');
+            args['@user_id'] = search.userId;
+        }
+        if (search.displayName) {
+            filters.push(
+                `search_index.display_name LIKE @display_name ESCAPE '\\'`
+            );
+            args['@display_name'] = likeContains(search.displayName);
+        }
+        if (search.dateFrom) {
+            filters.push('e.created_at >= @date_from');
+            args['@date_from'] = search.dateFrom;
+        }
+        if (search.dateTo) {
+            filters.push('e.created_at <= @date_to');
+            args['@date_to'] = search.dateTo;
+        }
+        var where = filters.map((filter) => ` AND ${filter}`).join('');
+        await sqliteService.execute(
+            (dbRow) => {
+                var row = {
+                    source: dbRow[0],
+                    rowId: dbRow[1],
+                    created_at: dbRow[2],
+                    userId: dbRow[3],
+                    location: dbRow[4],
+                    displayName: dbRow[5],
+                    snippet: parseSnippet(dbRow[6]),
+                    rank: dbRow[7]
+                };
+                results.push(row);
+            },
+            `SELECT e.source, e.row_id, e.created_at, e.user_id, e.location, search_index.display_name, snippet(search_index, -1, @snippet_open, @snippet_close, '...', 16), bm25(search_index, 1.0, 2.0) AS rank FROM search_index JOIN search_entries e ON e.id = search_index.rowid WHERE search_index MATCH @query AND e.owner IN ('', @owner)${where} ORDER BY rank LIMIT @limit`,
+            args
+        );
+        return results;
     }
 
     async initTables() {
@@ -59,6 +496,12 @@ class Database {
         await sqliteService.executeNonQuery(
             `CREATE TABLE IF NOT EXISTS gamelog_event (id INTEGER PRIMARY KEY, created_at TEXT, data TEXT, UNIQUE(created_at, data))`
         );
+        await sqliteService.executeNonQuery(
+            `CREATE TABLE IF NOT EXISTS gamelog_chatbox (id INTEGER PRIMARY KEY, created_at TEXT, user_id TEXT, display_name TEXT, photon_id INTEGER, location TEXT, text TEXT, UNIQUE(created_at, photon_id, text))`
+        );
+        await sqliteService.executeNonQuery(
+            `CREATE INDEX IF NOT EXISTS gamelog_chatbox_user_id ON gamelog_chatbox (user_id)`
+        );
         await sqliteService.executeNonQuery(
             `CREATE TABLE IF NOT EXISTS cache_avatar (id TEXT PRIMARY KEY, added_at TEXT, author_id TEXT, author_name TEXT, created_at TEXT, description TEXT, image_url TEXT, name TEXT, release_status TEXT, thumbnail_image_url TEXT, updated_at TEXT, version INTEGER)`
         );
@@ -68,6 +511,18 @@ class Database {
         await sqliteService.executeNonQuery(
             `CREATE TABLE IF NOT EXISTS favorite_world (id INTEGER PRIMARY KEY, created_at TEXT, world_id TEXT, group_name TEXT)`
         );
+        await sqliteService.executeNonQuery(
+            `CREATE TABLE IF NOT EXISTS webhook_queue (id INTEGER PRIMARY KEY, created_at TEXT, webhook_id TEXT, category TEXT, type TEXT, body TEXT, attempts INTEGER, next_attempt_at TEXT, last_error TEXT)`
+        );
+        await sqliteService.executeNonQuery(
+            `CREATE TABLE IF NOT EXISTS webhook_log (id INTEGER PRIMARY KEY, created_at TEXT, webhook_id TEXT, category TEXT, type TEXT, status TEXT, attempts INTEGER, error TEXT)`
+        );
+        await sqliteService.executeNonQuery(
+            `CREATE TABLE IF NOT EXISTS chatbox_filter_log (id INTEGER PRIMARY KEY, created_at TEXT, user_id TEXT, display_name TEXT, location TEXT, text TEXT, reason TEXT)`
+        );
+        await sqliteService.executeNonQuery(
+            `CREATE TABLE IF NOT EXISTS download_queue (id TEXT PRIMARY KEY, created_at TEXT, name TEXT, type TEXT, url TEXT, size INTEGER, md5 TEXT, file_name TEXT, status TEXT, attempts INTEGER)`
+        );
     }
 
     async getFeedDatabase() {
@@ -75,77 +530,107 @@ class Database {
         var date = new Date();
         date.setDate(date.getDate() - 1); // 24 hour limit
         var dateOffset = date.toJSON();
-        await sqliteService.execute((dbRow) => {
-            var row = {
-                rowId: dbRow[0],
-                created_at: dbRow[1],
-                userId: dbRow[2],
-                displayName: dbRow[3],
-                type: 'GPS',
-                location: dbRow[4],
-                worldName: dbRow[5],
-                previousLocation: dbRow[6],
-                time: dbRow[7],
-                groupName: dbRow[8]
-            };
-            feedDatabase.unshift(row);
-        }, `SELECT * FROM ${Database.userPrefix}_feed_gps WHERE created_at >= date('${dateOffset}') ORDER BY id DESC`);
-        await sqliteService.execute((dbRow) => {
-            var row = {
-                rowId: dbRow[0],
-                created_at: dbRow[1],
-                userId: dbRow[2],
-                displayName: dbRow[3],
-                type: 'Status',
-                status: dbRow[4],
-                statusDescription: dbRow[5],
-                previousStatus: dbRow[6],
-                previousStatusDescription: dbRow[7]
-            };
-            feedDatabase.unshift(row);
-        }, `SELECT * FROM ${Database.userPrefix}_feed_status WHERE created_at >= date('${dateOffset}') ORDER BY id DESC`);
-        await sqliteService.execute((dbRow) => {
-            var row = {
-                rowId: dbRow[0],
-                created_at: dbRow[1],
-                userId: dbRow[2],
-                displayName: dbRow[3],
-                type: 'Bio',
-                bio: dbRow[4],
-                previousBio: dbRow[5]
-            };
-            feedDatabase.unshift(row);
-        }, `SELECT * FROM ${Database.userPrefix}_feed_bio WHERE created_at >= date('${dateOffset}') ORDER BY id DESC`);
-        await sqliteService.execute((dbRow) => {
-            var row = {
-                rowId: dbRow[0],
-                created_at: dbRow[1],
-                userId: dbRow[2],
-                displayName: dbRow[3],
-                type: 'Avatar',
-                ownerId: dbRow[4],
-                avatarName: dbRow[5],
-                currentAvatarImageUrl: dbRow[6],
-                currentAvatarThumbnailImageUrl: dbRow[7],
-                previousCurrentAvatarImageUrl: dbRow[8],
-                previousCurrentAvatarThumbnailImageUrl: dbRow[9]
-            };
-            feedDatabase.unshift(row);
-        }, `SELECT * FROM ${Database.userPrefix}_feed_avatar WHERE created_at >= date('${dateOffset}') ORDER BY id DESC`);
-        await sqliteService.execute((dbRow) => {
-            var row = {
-                rowId: dbRow[0],
-                created_at: dbRow[1],
-                userId: dbRow[2],
-                displayName: dbRow[3],
-                type: dbRow[4],
-                location: dbRow[5],
-                worldName: dbRow[6],
-                time: dbRow[7],
-                groupName: dbRow[8]
-            };
-            feedDatabase.unshift(row);
-        }, `SELECT * FROM ${Database.userPrefix}_feed_online_offline WHERE created_at >= date('${dateOffset}') ORDER BY id DESC`);
+        await sqliteService.execute(
+            (dbRow) => {
+                var row = {
+                    rowId: dbRow[0],
+                    created_at: dbRow[1],
+                    userId: dbRow[2],
+                    displayName: dbRow[3],
+                    type: 'GPS',
+                    location: dbRow[4],
+                    worldName: dbRow[5],
+                    previousLocation: dbRow[6],
+                    time: dbRow[7],
+                    groupName: dbRow[8]
+                };
+                feedDatabase.unshift(row);
+            },
+            `SELECT * FROM ${Database.userPrefix}_feed_gps WHERE created_at >= date(@date_offset) ORDER BY id DESC`,
+            {
+                '@date_offset': dateOffset
+            }
+        );
+        await sqliteService.execute(
+            (dbRow) => {
+                var row = {
+                    rowId: dbRow[0],
+                    created_at: dbRow[1],
+                    userId: dbRow[2],
+                    displayName: dbRow[3],
+                    type: 'Status',
+                    status: dbRow[4],
+                    statusDescription: dbRow[5],
+                    previousStatus: dbRow[6],
+                    previousStatusDescription: dbRow[7]
+                };
+                feedDatabase.unshift(row);
+            },
+            `SELECT * FROM ${Database.userPrefix}_feed_status WHERE created_at >= date(@date_offset) ORDER BY id DESC`,
+            {
+                '@date_offset': dateOffset
+            }
+        );
+        await sqliteService.execute(
+            (dbRow) => {
+                var row = {
+                    rowId: dbRow[0],
+                    created_at: dbRow[1],
+                    userId: dbRow[2],
+                    displayName: dbRow[3],
+                    type: 'Bio',
+                    bio: dbRow[4],
+                    previousBio: dbRow[5]
+                };
+                feedDatabase.unshift(row);
+            },
+            `SELECT * FROM ${Database.userPrefix}_feed_bio WHERE created_at >= date(@date_offset) ORDER BY id DESC`,
+            {
+                '@date_offset': dateOffset
+            }
+        );
+        await sqliteService.execute(
+            (dbRow) => {
+                var row = {
+                    rowId: dbRow[0],
+                    created_at: dbRow[1],
+                    userId: dbRow[2],
+                    displayName: dbRow[3],
+                    type: 'Avatar',
+                    ownerId: dbRow[4],
+                    avatarName: dbRow[5],
+                    currentAvatarImageUrl: dbRow[6],
+                    currentAvatarThumbnailImageUrl: dbRow[7],
+                    previousCurrentAvatarImageUrl: dbRow[8],
+                    previousCurrentAvatarThumbnailImageUrl: dbRow[9]
+                };
+                feedDatabase.unshift(row);
+            },
+            `SELECT * FROM ${Database.userPrefix}_feed_avatar WHERE created_at >= date(@date_offset) ORDER BY id DESC`,
+            {
+                '@date_offset': dateOffset
+            }
+        );
+        await sqliteService.execute(
+            (dbRow) => {
+                var row = {
+                    rowId: dbRow[0],
+                    created_at: dbRow[1],
+                    userId: dbRow[2],
+                    displayName: dbRow[3],
+                    type: dbRow[4],
+                    location: dbRow[5],
+                    worldName: dbRow[6],
+                    time: dbRow[7],
+                    groupName: dbRow[8]
+                };
+                feedDatabase.unshift(row);
+            },
+            `SELECT * FROM ${Database.userPrefix}_feed_online_offline WHERE created_at >= date(@date_offset) ORDER BY id DESC`,
+            {
+                '@date_offset': dateOffset
+            }
+        );
         var compareByCreatedAt = function (a, b) {
             var A = a.created_at;
             var B = b.created_at;
@@ -247,22 +732,15 @@ class Database {
         if (inputData.length === 0) {
             return;
         }
-        var sqlValues = '';
         var items = ['userId', 'displayName', 'trustLevel'];
-        for (var line of inputData) {
-            var field = {};
-            for (var item of items) {
-                if (typeof line[item] === 'string') {
-                    field[item] = line[item].replace(/'/g, "''");
-                } else {
-                    field[item] = '';
-                }
-            }
-            sqlValues += `('${field.userId}', '${field.displayName}', '${field.trustLevel}'), `;
-        }
-        sqlValues = sqlValues.slice(0, -2);
-        sqliteService.executeNonQuery(
-            `INSERT OR REPLACE INTO ${Database.userPrefix}_friend_log_current (user_id, display_name, trust_level) VALUES ${sqlValues}`
+        var rows = inputData.map((line) =>
+            items.map((item) =>
+                typeof line[item] === 'string' ? line[item] : ''
+            )
+        );
+        insertRows(
+            `INSERT OR REPLACE INTO ${Database.userPrefix}_friend_log_current (user_id, display_name, trust_level) VALUES`,
+            rows
         );
     }
 
@@ -315,7 +793,6 @@ class Database {
         if (inputData.length === 0) {
             return;
         }
-        var sqlValues = '';
         var items = [
             'created_at',
             'type',
@@ -325,30 +802,14 @@ class Database {
             'trustLevel',
             'previousTrustLevel'
         ];
-        for (var i = 0; i < inputData.length; ++i) {
-            var line = inputData[i];
-            sqlValues += '(';
-            for (var k = 0; k < items.length; ++k) {
-                var item = items[k];
-                var field = '';
-                if (typeof line[item] === 'string') {
-                    field = `'${line[item].replace(/'/g, "''")}'`;
-                } else {
-                    field = null;
-                }
-                sqlValues += field;
-                if (k < items.length - 1) {
-                    sqlValues += ', ';
-                }
-            }
-            sqlValues += ')';
-            if (i < inputData.length - 1) {
-                sqlValues += ', ';
-            }
-            // sqlValues `('${line.created_at}', '${line.type}', '${line.userId}', '${line.displayName}', '${line.previousDisplayName}', '${line.trustLevel}', '${line.previousTrustLevel}'), `
-        }
-        sqliteService.executeNonQuery(
-            `INSERT OR IGNORE INTO ${Database.userPrefix}_friend_log_history (created_at, type, user_id, display_name, previous_display_name, trust_level, previous_trust_level) VALUES ${sqlValues}`
+        var rows = inputData.map((line) =>
+            items.map((item) =>
+                typeof line[item] === 'string' ? line[item] : null
+            )
+        );
+        insertRows(
+            `INSERT OR IGNORE INTO ${Database.userPrefix}_friend_log_history (created_at, type, user_id, display_name, previous_display_name, trust_level, previous_trust_level) VALUES`,
+            rows
         );
     }
 
@@ -361,8 +822,73 @@ class Database {
         );
     }
 
-    addGPSToDatabase(entry) {
-        sqliteService.executeNonQuery(
+    async getGroupHistory() {
+        var groupHistory = [];
+        await sqliteService.execute(
+            (dbRow) => {
+                var row = {
+                    rowId: dbRow[0],
+                    created_at: dbRow[1],
+                    type: dbRow[2],
+                    groupId: dbRow[3],
+                    groupName: dbRow[4]
+                };
+                groupHistory.unshift(row);
+            },
+            `SELECT * FROM ${Database.userPrefix}_group_history ORDER BY id DESC LIMIT @limit`,
+            {
+                '@limit': Database.maxTableSize
+            }
+        );
+        return groupHistory;
+    }
+
+    async getGroupHistoryByGroupId(groupId) {
+        var groupHistory = [];
+        await sqliteService.execute(
+            (dbRow) => {
+                var row = {
+                    rowId: dbRow[0],
+                    created_at: dbRow[1],
+                    type: dbRow[2],
+                    groupId: dbRow[3],
+                    groupName: dbRow[4]
+                };
+                groupHistory.push(row);
+            },
+            `SELECT * FROM ${Database.userPrefix}_group_history WHERE group_id = @group_id ORDER BY id DESC`,
+            {
+                '@group_id': groupId
+            }
+        );
+        return groupHistory;
+    }
+
+    addGroupHistory(entry) {
+        sqliteService.executeNonQuery(
+            `INSERT OR IGNORE INTO ${Database.userPrefix}_group_history (created_at, type, group_id, group_name) VALUES (@created_at, @type, @group_id, @group_name)`,
+            {
+                '@created_at': entry.created_at,
+                '@type': entry.type,
+                '@group_id': entry.groupId,
+                '@group_name': entry.groupName
+            }
+        );
+    }
+
+    // entries added this session have no row id yet
+    deleteGroupHistory(entry) {
+        return sqliteService.executeNonQuery(
+            `DELETE FROM ${Database.userPrefix}_group_history WHERE created_at = @created_at AND group_id = @group_id`,
+            {
+                '@created_at': entry.created_at,
+                '@group_id': entry.groupId
+            }
+        );
+    }
+
+    addGPSToDatabase(entry) {
+        sqliteService.executeNonQuery(
             `INSERT OR IGNORE INTO ${Database.userPrefix}_feed_gps (created_at, user_id, display_name, location, world_name, previous_location, time, group_name) VALUES (@created_at, @user_id, @display_name, @location, @world_name, @previous_location, @time, @group_name)`,
             {
                 '@created_at': entry.created_at,
@@ -446,67 +972,106 @@ class Database {
         var date = new Date();
         date.setDate(date.getDate() - 1); // 24 hour limit
         var dateOffset = date.toJSON();
-        await sqliteService.execute((dbRow) => {
-            var row = {
-                rowId: dbRow[0],
-                created_at: dbRow[1],
-                type: 'Location',
-                location: dbRow[2],
-                worldId: dbRow[3],
-                worldName: dbRow[4],
-                time: dbRow[5],
-                groupName: dbRow[6]
-            };
-            gamelogDatabase.unshift(row);
-        }, `SELECT * FROM gamelog_location WHERE created_at >= date('${dateOffset}') ORDER BY id DESC`);
-        await sqliteService.execute((dbRow) => {
-            var row = {
-                rowId: dbRow[0],
-                created_at: dbRow[1],
-                type: dbRow[2],
-                displayName: dbRow[3],
-                location: dbRow[4],
-                userId: dbRow[5],
-                time: dbRow[6]
-            };
-            gamelogDatabase.unshift(row);
-        }, `SELECT * FROM gamelog_join_leave WHERE created_at >= date('${dateOffset}') ORDER BY id DESC`);
-        await sqliteService.execute((dbRow) => {
-            var row = {
-                rowId: dbRow[0],
-                created_at: dbRow[1],
-                type: 'PortalSpawn',
-                displayName: dbRow[2],
-                location: dbRow[3],
-                userId: dbRow[4],
-                instanceId: dbRow[5],
-                worldName: dbRow[6]
-            };
-            gamelogDatabase.unshift(row);
-        }, `SELECT * FROM gamelog_portal_spawn WHERE created_at >= date('${dateOffset}') ORDER BY id DESC`);
-        await sqliteService.execute((dbRow) => {
-            var row = {
-                rowId: dbRow[0],
-                created_at: dbRow[1],
-                type: 'VideoPlay',
-                videoUrl: dbRow[2],
-                videoName: dbRow[3],
-                videoId: dbRow[4],
-                location: dbRow[5],
-                displayName: dbRow[6],
-                userId: dbRow[7]
-            };
-            gamelogDatabase.unshift(row);
-        }, `SELECT * FROM gamelog_video_play WHERE created_at >= date('${dateOffset}') ORDER BY id DESC`);
-        await sqliteService.execute((dbRow) => {
-            var row = {
-                rowId: dbRow[0],
-                created_at: dbRow[1],
-                type: 'Event',
-                data: dbRow[2]
-            };
-            gamelogDatabase.unshift(row);
-        }, `SELECT * FROM gamelog_event WHERE created_at >= date('${dateOffset}') ORDER BY id DESC`);
+        await sqliteService.execute(
+            (dbRow) => {
+                var row = {
+                    rowId: dbRow[0],
+                    created_at: dbRow[1],
+                    type: 'Location',
+                    location: dbRow[2],
+                    worldId: dbRow[3],
+                    worldName: dbRow[4],
+                    time: dbRow[5],
+                    groupName: dbRow[6]
+                };
+                gamelogDatabase.unshift(row);
+            },
+            `SELECT * FROM gamelog_location WHERE created_at >= date(@date_offset) ORDER BY id DESC`,
+            {
+                '@date_offset': dateOffset
+            }
+        );
+        await sqliteService.execute(
+            (dbRow) => {
+                var row = {
+                    rowId: dbRow[0],
+                    created_at: dbRow[1],
+                    type: dbRow[2],
+                    displayName: dbRow[3],
+                    location: dbRow[4],
+                    userId: dbRow[5],
+                    time: dbRow[6]
+                };
+                gamelogDatabase.unshift(row);
+            },
+            `SELECT * FROM gamelog_join_leave WHERE created_at >= date(@date_offset) ORDER BY id DESC`,
+            {
+                '@date_offset': dateOffset
+            }
+        );
+        await sqliteService.execute(
+            (dbRow) => {
+                var row = {
+                    rowId: dbRow[0],
+                    created_at: dbRow[1],
+                    type: 'PortalSpawn',
+                    displayName: dbRow[2],
+                    location: dbRow[3],
+                    userId: dbRow[4],
+                    instanceId: dbRow[5],
+                    worldName: dbRow[6]
+                };
+                gamelogDatabase.unshift(row);
+            },
+            `SELECT * FROM gamelog_portal_spawn WHERE created_at >= date(@date_offset) ORDER BY id DESC`,
+            {
+                '@date_offset': dateOffset
+            }
+        );
+        await sqliteService.execute(
+            (dbRow) => {
+                var row = {
+                    rowId: dbRow[0],
+                    created_at: dbRow[1],
+                    type: 'VideoPlay',
+                    videoUrl: dbRow[2],
+                    videoName: dbRow[3],
+                    videoId: dbRow[4],
+                    location: dbRow[5],
+                    displayName: dbRow[6],
+                    userId: dbRow[7]
+                };
+                gamelogDatabase.unshift(row);
+            },
+            `SELECT * FROM gamelog_video_play WHERE created_at >= date(@date_offset) ORDER BY id DESC`,
+            {
+                '@date_offset': dateOffset
+            }
+        );
+        await sqliteService.execute(
+            (dbRow) => {
+                var row = {
+                    rowId: dbRow[0],
+                    created_at: dbRow[1],
+                    type: 'Event',
+                    data: dbRow[2]
+                };
+                gamelogDatabase.unshift(row);
+            },
+            `SELECT * FROM gamelog_event WHERE created_at >= date(@date_offset) ORDER BY id DESC`,
+            {
+                '@date_offset': dateOffset
+            }
+        );
+        await sqliteService.execute(
+            (dbRow) => {
+                gamelogDatabase.unshift(parseChatBoxRow(dbRow));
+            },
+            `SELECT * FROM gamelog_chatbox WHERE created_at >= date(@date_offset) ORDER BY id DESC`,
+            {
+                '@date_offset': dateOffset
+            }
+        );
         var compareByCreatedAt = function (a, b) {
             var A = a.created_at;
             var B = b.created_at;
@@ -564,7 +1129,6 @@ class Database {
         if (inputData.length === 0) {
             return;
         }
-        var sqlValues = '';
         var items = [
             'created_at',
             'type',
@@ -573,22 +1137,16 @@ class Database {
             'userId',
             'time'
         ];
-        for (var line of inputData) {
-            var field = {};
-            for (var item of items) {
-                if (typeof line[item] === 'string') {
-                    field[item] = line[item].replace(/'/g, "''");
-                } else if (typeof line[item] === 'number') {
-                    field[item] = line[item];
-                } else {
-                    field[item] = '';
-                }
-            }
-            sqlValues += `('${field.created_at}', '${field.type}', '${field.displayName}', '${field.location}', '${field.userId}', '${field.time}'), `;
-        }
-        sqlValues = sqlValues.slice(0, -2);
-        sqliteService.executeNonQuery(
-            `INSERT OR IGNORE INTO gamelog_join_leave (created_at, type, display_name, location, user_id, time) VALUES ${sqlValues}`
+        var rows = inputData.map((line) =>
+            items.map((item) =>
+                typeof line[item] === 'string' || typeof line[item] === 'number'
+                    ? line[item]
+                    : ''
+            )
+        );
+        insertRows(
+            `INSERT OR IGNORE INTO gamelog_join_leave (created_at, type, display_name, location, user_id, time) VALUES`,
+            rows
         );
     }
 
@@ -631,36 +1189,80 @@ class Database {
         );
     }
 
+    // keeps the newest maxTableSize messages
+    async addGamelogChatBoxToDatabase(entry) {
+        await sqliteService.executeNonQuery(
+            `INSERT OR IGNORE INTO gamelog_chatbox (created_at, user_id, display_name, photon_id, location, text) VALUES (@created_at, @user_id, @display_name, @photon_id, @location, @text)`,
+            {
+                '@created_at': entry.created_at,
+                '@user_id': entry.userId,
+                '@display_name': entry.displayName,
+                '@photon_id': entry.photonId,
+                '@location': entry.location,
+                '@text': entry.text
+            }
+        );
+        await sqliteService.executeNonQuery(
+            'DELETE FROM gamelog_chatbox WHERE id <= (SELECT MAX(id) FROM gamelog_chatbox) - @limit',
+            {
+                '@limit': Database.maxTableSize
+            }
+        );
+    }
+
+    async getChatBoxHistory(userId, search = '') {
+        var chatBoxHistory = [];
+        await sqliteService.execute(
+            (dbRow) => {
+                chatBoxHistory.push(parseChatBoxRow(dbRow));
+            },
+            `SELECT * FROM gamelog_chatbox WHERE user_id = @user_id AND text LIKE @search ESCAPE '\\' ORDER BY id DESC LIMIT @limit`,
+            {
+                '@user_id': userId,
+                '@search': likeContains(search),
+                '@limit': Database.maxTableSize
+            }
+        );
+        return chatBoxHistory;
+    }
+
     async getNotifications() {
         var notifications = [];
-        await sqliteService.execute((dbRow) => {
-            var row = {
-                id: dbRow[0],
-                created_at: dbRow[1],
-                type: dbRow[2],
-                senderUserId: dbRow[3],
-                senderUsername: dbRow[4],
-                receiverUserId: dbRow[5],
-                message: dbRow[6],
-                details: {
-                    worldId: dbRow[7],
-                    worldName: dbRow[8],
-                    imageUrl: dbRow[9],
-                    inviteMessage: dbRow[10],
-                    requestMessage: dbRow[11],
-                    responseMessage: dbRow[12]
+        await sqliteService.execute(
+            (dbRow) => {
+                var row = {
+                    id: dbRow[0],
+                    created_at: dbRow[1],
+                    type: dbRow[2],
+                    senderUserId: dbRow[3],
+                    senderUsername: dbRow[4],
+                    receiverUserId: dbRow[5],
+                    message: dbRow[6],
+                    details: {
+                        worldId: dbRow[7],
+                        worldName: dbRow[8],
+                        imageUrl: dbRow[9],
+                        inviteMessage: dbRow[10],
+                        requestMessage: dbRow[11],
+                        responseMessage: dbRow[12]
+                    }
+                };
+                row.$isExpired = false;
+                if (dbRow[13] === 1) {
+                    row.$isExpired = true;
                 }
-            };
-            row.$isExpired = false;
-            if (dbRow[13] === 1) {
-                row.$isExpired = true;
+                notifications.unshift(row);
+            },
+            `SELECT * FROM ${Database.userPrefix}_notifications ORDER BY id DESC LIMIT @limit`,
+            {
+                '@limit': Database.maxTableSize
             }
-            notifications.unshift(row);
-        }, `SELECT * FROM ${Database.userPrefix}_notifications ORDER BY id DESC LIMIT ${Database.maxTableSize}`);
+        );
         return notifications;
     }
 
-    addNotificationToDatabase(row) {
+    // userPrefix is for writing to a background account's tables
+    addNotificationToDatabase(row, userPrefix = Database.userPrefix) {
         var entry = {
             id: '',
             created_at: '',
@@ -685,7 +1287,7 @@ class Database {
             expired = 1;
         }
         sqliteService.executeNonQuery(
-            `INSERT OR IGNORE INTO ${Database.userPrefix}_notifications (id, created_at, type, sender_user_id, sender_username, receiver_user_id, message, world_id, world_name, image_url, invite_message, request_message, response_message, expired) VALUES (@id, @created_at, @type, @sender_user_id, @sender_username, @receiver_user_id, @message, @world_id, @world_name, @image_url, @invite_message, @request_message, @response_message, @expired)`,
+            `INSERT OR IGNORE INTO ${userPrefix}_notifications (id, created_at, type, sender_user_id, sender_username, receiver_user_id, message, world_id, world_name, image_url, invite_message, request_message, response_message, expired) VALUES (@id, @created_at, @type, @sender_user_id, @sender_username, @receiver_user_id, @message, @world_id, @world_name, @image_url, @invite_message, @request_message, @response_message, @expired)`,
             {
                 '@id': entry.id,
                 '@created_at': entry.created_at,
@@ -714,13 +1316,13 @@ class Database {
         );
     }
 
-    updateNotificationExpired(entry) {
+    updateNotificationExpired(entry, userPrefix = Database.userPrefix) {
         var expired = 0;
         if (entry.$isExpired) {
             expired = 1;
         }
         sqliteService.executeNonQuery(
-            `UPDATE ${Database.userPrefix}_notifications SET expired = @expired WHERE id = @id`,
+            `UPDATE ${userPrefix}_notifications SET expired = @expired WHERE id = @id`,
             {
                 '@id': entry.id,
                 '@expired': expired
@@ -776,6 +1378,22 @@ class Database {
         return size;
     }
 
+    async getGroupHistoryTableSize() {
+        var size = 0;
+        await sqliteService.execute((row) => {
+            size = row[0];
+        }, `SELECT COUNT(*) FROM ${Database.userPrefix}_group_history`);
+        return size;
+    }
+
+    async getResponseCacheTableSize() {
+        var size = 0;
+        await sqliteService.execute((row) => {
+            size = row[0];
+        }, `SELECT COUNT(*) FROM ${Database.userPrefix}_response_cache`);
+        return size;
+    }
+
     async getNotificationTableSize() {
         var size = 0;
         await sqliteService.execute((row) => {
@@ -1005,18 +1623,129 @@ class Database {
         return ref;
     }
 
+    // online hours per friend and day ('%Y-%m-%d') or week ('%Y-W%W')
+    async getOnlineTimeStats(dateFrom, period, userId = '') {
+        var args = {
+            '@date_from': dateFrom,
+            '@format': period === 'week' ? '%Y-W%W' : '%Y-%m-%d'
+        };
+        var userFilter = '';
+        if (userId) {
+            userFilter = ' AND user_id = @user_id';
+            args['@user_id'] = userId;
+        }
+        var stats = [];
+        await sqliteService.execute(
+            (dbRow) => {
+                stats.push({
+                    userId: dbRow[0],
+                    displayName: dbRow[1],
+                    period: dbRow[2],
+                    hours: dbRow[3]
+                });
+            },
+            `${getOnlineSlicesQuery(
+                `${Database.userPrefix}_feed_online_offline`,
+                userFilter
+            )} SELECT user_id, max(display_name), strftime(@format, at, 'localtime') AS period, sum(hours) FROM online GROUP BY user_id, period ORDER BY period`,
+            args
+        );
+        return stats;
+    }
+
+    // online hours by local weekday (0 = Sunday) and hour of day
+    async getOnlineHeatmapStats(dateFrom, userId = '') {
+        var args = {
+            '@date_from': dateFrom
+        };
+        var userFilter = '';
+        if (userId) {
+            userFilter = ' AND user_id = @user_id';
+            args['@user_id'] = userId;
+        }
+        var stats = [];
+        await sqliteService.execute(
+            (dbRow) => {
+                stats.push({
+                    day: dbRow[0],
+                    hour: dbRow[1],
+                    hours: dbRow[2]
+                });
+            },
+            `${getOnlineSlicesQuery(
+                `${Database.userPrefix}_feed_online_offline`,
+                userFilter
+            )} SELECT CAST(strftime('%w', at, 'localtime') AS INTEGER) AS day, CAST(strftime('%H', at, 'localtime') AS INTEGER) AS hour, sum(hours) FROM online GROUP BY day, hour`,
+            args
+        );
+        return stats;
+    }
+
+    // worlds visited by the current user from the game log, or by a friend
+    // from their GPS feed when userId is set
+    async getMostVisitedWorldStats(dateFrom, limit, userId = '') {
+        var stats = [];
+        var callback = (dbRow) => {
+            stats.push({
+                worldId: dbRow[0],
+                worldName: dbRow[1],
+                visits: dbRow[2],
+                time: dbRow[3]
+            });
+        };
+        if (userId) {
+            await sqliteService.execute(
+                callback,
+                `SELECT substr(location, 1, instr(location || ':', ':') - 1) AS world_id, max(world_name), count(*) AS visits, NULL FROM ${Database.userPrefix}_feed_gps WHERE created_at >= @date_from AND user_id = @user_id AND location LIKE 'wrld\\_%' ESCAPE '\\' GROUP BY world_id ORDER BY visits DESC LIMIT @limit`,
+                {
+                    '@date_from': dateFrom,
+                    '@user_id': userId,
+                    '@limit': limit
+                }
+            );
+            return stats;
+        }
+        await sqliteService.execute(
+            callback,
+            `SELECT world_id, max(world_name), count(*) AS visits, sum(time) FROM gamelog_location WHERE created_at >= @date_from AND world_id LIKE 'wrld\\_%' ESCAPE '\\' GROUP BY world_id ORDER BY visits DESC LIMIT @limit`,
+            {
+                '@date_from': dateFrom,
+                '@limit': limit
+            }
+        );
+        return stats;
+    }
+
+    // time spent in the same instance as each player, from their leave
+    // entries, older entries without a user id are grouped by name
+    async getTimeTogetherStats(dateFrom) {
+        var stats = [];
+        await sqliteService.execute(
+            (dbRow) => {
+                stats.push({
+                    userId: dbRow[0],
+                    displayName: dbRow[1],
+                    time: dbRow[2],
+                    instances: dbRow[3],
+                    lastSeen: dbRow[4]
+                });
+            },
+            `SELECT max(user_id), max(display_name), sum(time), count(DISTINCT location), max(created_at) FROM gamelog_join_leave WHERE type = 'OnPlayerLeft' AND created_at >= @date_from GROUP BY CASE WHEN user_id = '' OR user_id IS NULL THEN display_name ELSE user_id END`,
+            {
+                '@date_from': dateFrom
+            }
+        );
+        return stats;
+    }
+
     async lookupFeedDatabase(search, filters, vipList) {
-        var search = search.replaceAll("'", "''");
+        var args = {
+            '@search': likeContains(search),
+            '@limit': Database.maxTableSize
+        };
         var vipQuery = '';
         if (vipList.length > 0) {
-            vipQuery = 'AND user_id IN (';
-            vipList.forEach((vip, i) => {
-                vipQuery += `'${vip.replaceAll("'", "''")}'`;
-                if (i < vipList.length - 1) {
-                    vipQuery += ', ';
-                }
-            });
-            vipQuery += ')';
+            vipQuery = `AND user_id IN ${bindList('vip', vipList, args)}`;
         }
         var gps = true;
         var status = true;
@@ -1056,69 +1785,85 @@ class Database {
         }
         var feedDatabase = [];
         if (gps) {
-            await sqliteService.execute((dbRow) => {
-                var row = {
-                    rowId: dbRow[0],
-                    created_at: dbRow[1],
-                    userId: dbRow[2],
-                    displayName: dbRow[3],
-                    type: 'GPS',
-                    location: dbRow[4],
-                    worldName: dbRow[5],
-                    previousLocation: dbRow[6],
-                    time: dbRow[7],
-                    groupName: dbRow[8]
-                };
-                feedDatabase.unshift(row);
-            }, `SELECT * FROM ${Database.userPrefix}_feed_gps WHERE (display_name LIKE '%${search}%' OR world_name LIKE '%${search}%') ${vipQuery} ORDER BY id DESC LIMIT ${Database.maxTableSize}`);
+            await sqliteService.execute(
+                (dbRow) => {
+                    var row = {
+                        rowId: dbRow[0],
+                        created_at: dbRow[1],
+                        userId: dbRow[2],
+                        displayName: dbRow[3],
+                        type: 'GPS',
+                        location: dbRow[4],
+                        worldName: dbRow[5],
+                        previousLocation: dbRow[6],
+                        time: dbRow[7],
+                        groupName: dbRow[8]
+                    };
+                    feedDatabase.unshift(row);
+                },
+                `SELECT * FROM ${Database.userPrefix}_feed_gps WHERE (display_name LIKE @search ESCAPE '\\' OR world_name LIKE @search ESCAPE '\\') ${vipQuery} ORDER BY id DESC LIMIT @limit`,
+                args
+            );
         }
         if (status) {
-            await sqliteService.execute((dbRow) => {
-                var row = {
-                    rowId: dbRow[0],
-                    created_at: dbRow[1],
-                    userId: dbRow[2],
-                    displayName: dbRow[3],
-                    type: 'Status',
-                    status: dbRow[4],
-                    statusDescription: dbRow[5],
-                    previousStatus: dbRow[6],
-                    previousStatusDescription: dbRow[7]
-                };
-                feedDatabase.unshift(row);
-            }, `SELECT * FROM ${Database.userPrefix}_feed_status WHERE (display_name LIKE '%${search}%' OR status LIKE '%${search}%' OR status_description LIKE '%${search}%') ${vipQuery} ORDER BY id DESC LIMIT ${Database.maxTableSize}`);
+            await sqliteService.execute(
+                (dbRow) => {
+                    var row = {
+                        rowId: dbRow[0],
+                        created_at: dbRow[1],
+                        userId: dbRow[2],
+                        displayName: dbRow[3],
+                        type: 'Status',
+                        status: dbRow[4],
+                        statusDescription: dbRow[5],
+                        previousStatus: dbRow[6],
+                        previousStatusDescription: dbRow[7]
+                    };
+                    feedDatabase.unshift(row);
+                },
+                `SELECT * FROM ${Database.userPrefix}_feed_status WHERE (display_name LIKE @search ESCAPE '\\' OR status LIKE @search ESCAPE '\\' OR status_description LIKE @search ESCAPE '\\') ${vipQuery} ORDER BY id DESC LIMIT @limit`,
+                args
+            );
         }
         if (bio) {
-            await sqliteService.execute((dbRow) => {
-                var row = {
-                    rowId: dbRow[0],
-                    created_at: dbRow[1],
-                    userId: dbRow[2],
-                    displayName: dbRow[3],
-                    type: 'Bio',
-                    bio: dbRow[4],
-                    previousBio: dbRow[5]
-                };
-                feedDatabase.unshift(row);
-            }, `SELECT * FROM ${Database.userPrefix}_feed_bio WHERE (display_name LIKE '%${search}%' OR bio LIKE '%${search}%') ${vipQuery} ORDER BY id DESC LIMIT ${Database.maxTableSize}`);
+            await sqliteService.execute(
+                (dbRow) => {
+                    var row = {
+                        rowId: dbRow[0],
+                        created_at: dbRow[1],
+                        userId: dbRow[2],
+                        displayName: dbRow[3],
+                        type: 'Bio',
+                        bio: dbRow[4],
+                        previousBio: dbRow[5]
+                    };
+                    feedDatabase.unshift(row);
+                },
+                `SELECT * FROM ${Database.userPrefix}_feed_bio WHERE (display_name LIKE @search ESCAPE '\\' OR bio LIKE @search ESCAPE '\\') ${vipQuery} ORDER BY id DESC LIMIT @limit`,
+                args
+            );
         }
         if (avatar) {
-            await sqliteService.execute((dbRow) => {
-                var row = {
-                    rowId: dbRow[0],
-                    created_at: dbRow[1],
-                    userId: dbRow[2],
-                    displayName: dbRow[3],
-                    type: 'Avatar',
-                    ownerId: dbRow[4],
-                    avatarName: dbRow[5],
-                    currentAvatarImageUrl: dbRow[6],
-                    currentAvatarThumbnailImageUrl: dbRow[7],
-                    previousCurrentAvatarImageUrl: dbRow[8],
-                    previousCurrentAvatarThumbnailImageUrl: dbRow[9]
-                };
-                feedDatabase.unshift(row);
-            }, `SELECT * FROM ${Database.userPrefix}_feed_avatar WHERE (display_name LIKE '%${search}%' OR avatar_name LIKE '%${search}%') ${vipQuery} ORDER BY id DESC LIMIT ${Database.maxTableSize}`);
+            await sqliteService.execute(
+                (dbRow) => {
+                    var row = {
+                        rowId: dbRow[0],
+                        created_at: dbRow[1],
+                        userId: dbRow[2],
+                        displayName: dbRow[3],
+                        type: 'Avatar',
+                        ownerId: dbRow[4],
+                        avatarName: dbRow[5],
+                        currentAvatarImageUrl: dbRow[6],
+                        currentAvatarThumbnailImageUrl: dbRow[7],
+                        previousCurrentAvatarImageUrl: dbRow[8],
+                        previousCurrentAvatarThumbnailImageUrl: dbRow[9]
+                    };
+                    feedDatabase.unshift(row);
+                },
+                `SELECT * FROM ${Database.userPrefix}_feed_avatar WHERE (display_name LIKE @search ESCAPE '\\' OR avatar_name LIKE @search ESCAPE '\\') ${vipQuery} ORDER BY id DESC LIMIT @limit`,
+                args
+            );
         }
         if (online || offline) {
             var query = '';
@@ -1129,20 +1874,24 @@ class Database {
                     query = "AND type = 'Offline'";
                 }
             }
-            await sqliteService.execute((dbRow) => {
-                var row = {
-                    rowId: dbRow[0],
-                    created_at: dbRow[1],
-                    userId: dbRow[2],
-                    displayName: dbRow[3],
-                    type: dbRow[4],
-                    location: dbRow[5],
-                    worldName: dbRow[6],
-                    time: dbRow[7],
-                    groupName: dbRow[8]
-                };
-                feedDatabase.unshift(row);
-            }, `SELECT * FROM ${Database.userPrefix}_feed_online_offline WHERE ((display_name LIKE '%${search}%' OR world_name LIKE '%${search}%') ${query}) ${vipQuery} ORDER BY id DESC LIMIT ${Database.maxTableSize}`);
+            await sqliteService.execute(
+                (dbRow) => {
+                    var row = {
+                        rowId: dbRow[0],
+                        created_at: dbRow[1],
+                        userId: dbRow[2],
+                        displayName: dbRow[3],
+                        type: dbRow[4],
+                        location: dbRow[5],
+                        worldName: dbRow[6],
+                        time: dbRow[7],
+                        groupName: dbRow[8]
+                    };
+                    feedDatabase.unshift(row);
+                },
+                `SELECT * FROM ${Database.userPrefix}_feed_online_offline WHERE ((display_name LIKE @search ESCAPE '\\' OR world_name LIKE @search ESCAPE '\\') ${query}) ${vipQuery} ORDER BY id DESC LIMIT @limit`,
+                args
+            );
         }
         var compareByCreatedAt = function (a, b) {
             var A = a.created_at;
@@ -1161,13 +1910,18 @@ class Database {
     }
 
     async lookupGameLogDatabase(search, filters) {
-        var search = search.replaceAll("'", "''");
+        var args = {
+            '@search': likeContains(search),
+            '@limit': Database.maxTableSize,
+            '@current_user_id': Database.userId
+        };
         var location = true;
         var onplayerjoined = true;
         var onplayerleft = true;
         var portalspawn = true;
         var msgevent = true;
         var videoplay = true;
+        var chatbox = true;
         if (filters.length > 0) {
             location = false;
             onplayerjoined = false;
@@ -1175,6 +1929,7 @@ class Database {
             portalspawn = false;
             msgevent = false;
             videoplay = false;
+            chatbox = false;
             filters.forEach((filter) => {
                 switch (filter) {
                     case 'Location':
@@ -1195,24 +1950,31 @@ class Database {
                     case 'VideoPlay':
                         videoplay = true;
                         break;
+                    case 'ChatBoxMessage':
+                        chatbox = true;
+                        break;
                 }
             });
         }
         var gamelogDatabase = [];
         if (location) {
-            await sqliteService.execute((dbRow) => {
-                var row = {
-                    rowId: dbRow[0],
-                    created_at: dbRow[1],
-                    type: 'Location',
-                    location: dbRow[2],
-                    worldId: dbRow[3],
-                    worldName: dbRow[4],
-                    time: dbRow[5],
-                    groupName: dbRow[6]
-                };
-                gamelogDatabase.unshift(row);
-            }, `SELECT * FROM gamelog_location WHERE world_name LIKE '%${search}%' ORDER BY id DESC LIMIT ${Database.maxTableSize}`);
+            await sqliteService.execute(
+                (dbRow) => {
+                    var row = {
+                        rowId: dbRow[0],
+                        created_at: dbRow[1],
+                        type: 'Location',
+                        location: dbRow[2],
+                        worldId: dbRow[3],
+                        worldName: dbRow[4],
+                        time: dbRow[5],
+                        groupName: dbRow[6]
+                    };
+                    gamelogDatabase.unshift(row);
+                },
+                `SELECT * FROM gamelog_location WHERE world_name LIKE @search ESCAPE '\\' ORDER BY id DESC LIMIT @limit`,
+                args
+            );
         }
         if (onplayerjoined || onplayerleft) {
             var query = '';
@@ -1223,60 +1985,85 @@ class Database {
                     query = "AND type = 'OnPlayerLeft'";
                 }
             }
-            await sqliteService.execute((dbRow) => {
-                var row = {
-                    rowId: dbRow[0],
-                    created_at: dbRow[1],
-                    type: dbRow[2],
-                    displayName: dbRow[3],
-                    location: dbRow[4],
-                    userId: dbRow[5],
-                    time: dbRow[6]
-                };
-                gamelogDatabase.unshift(row);
-            }, `SELECT * FROM gamelog_join_leave WHERE (display_name LIKE '%${search}%' AND user_id != '${Database.userId}') ${query} ORDER BY id DESC LIMIT ${Database.maxTableSize}`);
+            await sqliteService.execute(
+                (dbRow) => {
+                    var row = {
+                        rowId: dbRow[0],
+                        created_at: dbRow[1],
+                        type: dbRow[2],
+                        displayName: dbRow[3],
+                        location: dbRow[4],
+                        userId: dbRow[5],
+                        time: dbRow[6]
+                    };
+                    gamelogDatabase.unshift(row);
+                },
+                `SELECT * FROM gamelog_join_leave WHERE (display_name LIKE @search ESCAPE '\\' AND user_id != @current_user_id) ${query} ORDER BY id DESC LIMIT @limit`,
+                args
+            );
         }
         if (portalspawn) {
-            await sqliteService.execute((dbRow) => {
-                var row = {
-                    rowId: dbRow[0],
-                    created_at: dbRow[1],
-                    type: 'PortalSpawn',
-                    displayName: dbRow[2],
-                    location: dbRow[3],
-                    userId: dbRow[4],
-                    instanceId: dbRow[5],
-                    worldName: dbRow[6]
-                };
-                gamelogDatabase.unshift(row);
-            }, `SELECT * FROM gamelog_portal_spawn WHERE (display_name LIKE '%${search}%' OR world_name LIKE '%${search}%') ORDER BY id DESC LIMIT ${Database.maxTableSize}`);
+            await sqliteService.execute(
+                (dbRow) => {
+                    var row = {
+                        rowId: dbRow[0],
+                        created_at: dbRow[1],
+                        type: 'PortalSpawn',
+                        displayName: dbRow[2],
+                        location: dbRow[3],
+                        userId: dbRow[4],
+                        instanceId: dbRow[5],
+                        worldName: dbRow[6]
+                    };
+                    gamelogDatabase.unshift(row);
+                },
+                `SELECT * FROM gamelog_portal_spawn WHERE (display_name LIKE @search ESCAPE '\\' OR world_name LIKE @search ESCAPE '\\') ORDER BY id DESC LIMIT @limit`,
+                args
+            );
         }
         if (msgevent) {
-            await sqliteService.execute((dbRow) => {
-                var row = {
-                    rowId: dbRow[0],
-                    created_at: dbRow[1],
-                    type: 'Event',
-                    data: dbRow[2]
-                };
-                gamelogDatabase.unshift(row);
-            }, `SELECT * FROM gamelog_event WHERE data LIKE '%${search}%' ORDER BY id DESC LIMIT ${Database.maxTableSize}`);
+            await sqliteService.execute(
+                (dbRow) => {
+                    var row = {
+                        rowId: dbRow[0],
+                        created_at: dbRow[1],
+                        type: 'Event',
+                        data: dbRow[2]
+                    };
+                    gamelogDatabase.unshift(row);
+                },
+                `SELECT * FROM gamelog_event WHERE data LIKE @search ESCAPE '\\' ORDER BY id DESC LIMIT @limit`,
+                args
+            );
         }
         if (videoplay) {
-            await sqliteService.execute((dbRow) => {
-                var row = {
-                    rowId: dbRow[0],
-                    created_at: dbRow[1],
-                    type: 'VideoPlay',
-                    videoUrl: dbRow[2],
-                    videoName: dbRow[3],
-                    videoId: dbRow[4],
-                    location: dbRow[5],
-                    displayName: dbRow[6],
-                    userId: dbRow[7]
-                };
-                gamelogDatabase.unshift(row);
-            }, `SELECT * FROM gamelog_video_play WHERE video_url LIKE '%${search}%' OR video_name LIKE '%${search}%' OR display_name LIKE '%${search}%' ORDER BY id DESC LIMIT ${Database.maxTableSize}`);
+            await sqliteService.execute(
+                (dbRow) => {
+                    var row = {
+                        rowId: dbRow[0],
+                        created_at: dbRow[1],
+                        type: 'VideoPlay',
+                        videoUrl: dbRow[2],
+                        videoName: dbRow[3],
+                        videoId: dbRow[4],
+                        location: dbRow[5],
+                        displayName: dbRow[6],
+                        userId: dbRow[7]
+                    };
+                    gamelogDatabase.unshift(row);
+                },
+                `SELECT * FROM gamelog_video_play WHERE video_url LIKE @search ESCAPE '\\' OR video_name LIKE @search ESCAPE '\\' OR display_name LIKE @search ESCAPE '\\' ORDER BY id DESC LIMIT @limit`,
+                args
+            );
+        }
+        if (chatbox) {
+            await sqliteService.execute(
+                (dbRow) => {
+                    gamelogDatabase.unshift(parseChatBoxRow(dbRow));
+                },
+                `SELECT * FROM gamelog_chatbox WHERE text LIKE @search ESCAPE '\\' OR display_name LIKE @search ESCAPE '\\' ORDER BY id DESC LIMIT @limit`,
+                args
+            );
         }
         var compareByCreatedAt = function (a, b) {
             var A = a.created_at;
@@ -1530,11 +2317,17 @@ class Database {
     }
 
     async cleanLegendFromFriendLog() {
-        await sqliteService.executeNonQuery(
-            `DELETE FROM ${Database.userPrefix}_friend_log_history
-            WHERE type = 'TrustLevel' AND created_at > '2022-05-04T01:00:00.000Z'
-            AND ((trust_level = 'Veteran User' AND previous_trust_level = 'Trusted User') OR (trust_level = 'Trusted User' AND previous_trust_level = 'Veteran User'))`
-        );
+        var friendLogTables = [];
+        await sqliteService.execute((dbRow) => {
+            friendLogTables.push(dbRow[0]);
+        }, `SELECT name FROM sqlite_schema WHERE type='table' AND name LIKE '%_friend_log_history'`);
+        for (var tableName of friendLogTables) {
+            await sqliteService.executeNonQuery(
+                `DELETE FROM ${tableName}
+                WHERE type = 'TrustLevel' AND created_at > '2022-05-04T01:00:00.000Z'
+                AND ((trust_level = 'Veteran User' AND previous_trust_level = 'Trusted User') OR (trust_level = 'Trusted User' AND previous_trust_level = 'Veteran User'))`
+            );
+        }
     }
 
     addAvatarToCache(entry) {
@@ -1615,6 +2408,82 @@ class Database {
         );
     }
 
+    async getResponseCache(endpoint) {
+        var entry = null;
+        await sqliteService.execute(
+            (dbRow) => {
+                entry = {
+                    endpoint: dbRow[0],
+                    type: dbRow[1],
+                    objectId: dbRow[2],
+                    etag: dbRow[3],
+                    data: dbRow[4],
+                    updatedAt: dbRow[5]
+                };
+            },
+            `SELECT * FROM ${Database.userPrefix}_response_cache WHERE endpoint = @endpoint`,
+            {
+                '@endpoint': endpoint
+            }
+        );
+        return entry;
+    }
+
+    async getResponseCacheByObjectId(type, objectId) {
+        var entry = null;
+        await sqliteService.execute(
+            (dbRow) => {
+                entry = {
+                    endpoint: dbRow[0],
+                    type: dbRow[1],
+                    objectId: dbRow[2],
+                    etag: dbRow[3],
+                    data: dbRow[4],
+                    updatedAt: dbRow[5]
+                };
+            },
+            `SELECT * FROM ${Database.userPrefix}_response_cache WHERE type = @type AND object_id = @object_id ORDER BY updated_at DESC LIMIT 1`,
+            {
+                '@type': type,
+                '@object_id': objectId
+            }
+        );
+        return entry;
+    }
+
+    setResponseCache(entry) {
+        sqliteService.executeNonQuery(
+            `INSERT OR REPLACE INTO ${Database.userPrefix}_response_cache (endpoint, type, object_id, etag, data, updated_at) VALUES (@endpoint, @type, @object_id, @etag, @data, @updated_at)`,
+            {
+                '@endpoint': entry.endpoint,
+                '@type': entry.type,
+                '@object_id': entry.objectId,
+                '@etag': entry.etag,
+                '@data': entry.data,
+                '@updated_at': entry.updatedAt
+            }
+        );
+    }
+
+    touchResponseCache(endpoint, updatedAt) {
+        sqliteService.executeNonQuery(
+            `UPDATE ${Database.userPrefix}_response_cache SET updated_at = @updated_at WHERE endpoint = @endpoint`,
+            {
+                '@endpoint': endpoint,
+                '@updated_at': updatedAt
+            }
+        );
+    }
+
+    purgeResponseCache(updatedBefore) {
+        sqliteService.executeNonQuery(
+            `DELETE FROM ${Database.userPrefix}_response_cache WHERE updated_at < @updated_before`,
+            {
+                '@updated_before': updatedBefore
+            }
+        );
+    }
+
     addWorldToFavorites(worldId, groupName) {
         sqliteService.executeNonQuery(
             'INSERT OR REPLACE INTO favorite_world (world_id, group_name, created_at) VALUES (@world_id, @group_name, @created_at)',
@@ -1677,6 +2546,80 @@ class Database {
         return data;
     }
 
+    async getFriendGroups() {
+        var groups = new Map();
+        await sqliteService.execute((dbRow) => {
+            groups.set(dbRow[0], {
+                id: dbRow[0],
+                created_at: dbRow[1],
+                name: dbRow[2],
+                color: dbRow[3],
+                parentId: dbRow[4] || '',
+                sidebar: Boolean(dbRow[5]),
+                userIds: []
+            });
+        }, `SELECT * FROM ${Database.userPrefix}_friend_groups`);
+        await sqliteService.execute((dbRow) => {
+            var group = groups.get(dbRow[0]);
+            if (typeof group !== 'undefined') {
+                group.userIds.push(dbRow[1]);
+            }
+        }, `SELECT group_id, user_id FROM ${Database.userPrefix}_friend_group_members ORDER BY created_at`);
+        return Array.from(groups.values());
+    }
+
+    // created_at is only set by the first save
+    saveFriendGroup(group) {
+        return sqliteService.executeNonQuery(
+            `INSERT INTO ${Database.userPrefix}_friend_groups (id, created_at, name, color, parent_id, sidebar) VALUES (@id, @created_at, @name, @color, @parent_id, @sidebar)
+            ON CONFLICT (id) DO UPDATE SET name = excluded.name, color = excluded.color, parent_id = excluded.parent_id, sidebar = excluded.sidebar`,
+            {
+                '@id': group.id,
+                '@created_at': group.created_at || new Date().toJSON(),
+                '@name': group.name,
+                '@color': group.color,
+                '@parent_id': group.parentId,
+                '@sidebar': group.sidebar ? 1 : 0
+            }
+        );
+    }
+
+    async deleteFriendGroup(groupId) {
+        await sqliteService.executeNonQuery(
+            `DELETE FROM ${Database.userPrefix}_friend_group_members WHERE group_id = @group_id`,
+            {
+                '@group_id': groupId
+            }
+        );
+        await sqliteService.executeNonQuery(
+            `DELETE FROM ${Database.userPrefix}_friend_groups WHERE id = @group_id`,
+            {
+                '@group_id': groupId
+            }
+        );
+    }
+
+    addFriendGroupMember(groupId, userId) {
+        return sqliteService.executeNonQuery(
+            `INSERT OR IGNORE INTO ${Database.userPrefix}_friend_group_members (group_id, user_id, created_at) VALUES (@group_id, @user_id, @created_at)`,
+            {
+                '@group_id': groupId,
+                '@user_id': userId,
+                '@created_at': new Date().toJSON()
+            }
+        );
+    }
+
+    removeFriendGroupMember(groupId, userId) {
+        return sqliteService.executeNonQuery(
+            `DELETE FROM ${Database.userPrefix}_friend_group_members WHERE group_id = @group_id AND user_id = @user_id`,
+            {
+                '@group_id': groupId,
+                '@user_id': userId
+            }
+        );
+    }
+
     async getWorldCache() {
         var data = [];
         await sqliteService.execute((dbRow) => {
@@ -1713,33 +2656,36 @@ class Database {
             };
             travelingList.unshift(row);
         }, 'SELECT * FROM gamelog_join_leave WHERE type = "OnPlayerLeft" AND location = "traveling"');
-        travelingList.forEach(async (travelingEntry) => {
-            await sqliteService.execute(
-                (dbRow) => {
-                    var onPlayingJoin = {
-                        rowId: dbRow[0],
-                        created_at: dbRow[1],
-                        type: dbRow[2],
-                        displayName: dbRow[3],
-                        location: dbRow[4],
-                        userId: dbRow[5],
-                        time: dbRow[6]
-                    };
-                    sqliteService.executeNonQuery(
-                        `UPDATE gamelog_join_leave SET location = @location WHERE id = @rowId`,
-                        {
-                            '@rowId': travelingEntry.rowId,
-                            '@location': onPlayingJoin.location
-                        }
-                    );
-                },
-                'SELECT * FROM gamelog_join_leave WHERE type = "OnPlayerJoined" AND display_name = @displayName AND created_at <= @created_at ORDER BY created_at DESC LIMIT 1',
-                {
-                    '@displayName': travelingEntry.displayName,
-                    '@created_at': travelingEntry.created_at
-                }
+        for (var travelingEntry of travelingList) {
+            var location = await this.getPreviousJoinLocation(
+                travelingEntry.displayName,
+                travelingEntry.created_at
             );
-        });
+            if (location !== null) {
+                await sqliteService.executeNonQuery(
+                    `UPDATE gamelog_join_leave SET location = @location WHERE id = @rowId`,
+                    {
+                        '@rowId': travelingEntry.rowId,
+                        '@location': location
+                    }
+                );
+            }
+        }
+    }
+
+    async getPreviousJoinLocation(displayName, createdAt) {
+        var location = null;
+        await sqliteService.execute(
+            (dbRow) => {
+                location = dbRow[4];
+            },
+            'SELECT * FROM gamelog_join_leave WHERE type = "OnPlayerJoined" AND display_name = @displayName AND created_at <= @created_at ORDER BY created_at DESC LIMIT 1',
+            {
+                '@displayName': displayName,
+                '@created_at': createdAt
+            }
+        );
+        return location;
     }
 
     async fixNegativeGPS() {
@@ -1747,11 +2693,11 @@ class Database {
         await sqliteService.execute((dbRow) => {
             gpsTables.push(dbRow[0]);
         }, `SELECT name FROM sqlite_schema WHERE type='table' AND name LIKE '%_gps'`);
-        gpsTables.forEach((tableName) => {
-            sqliteService.executeNonQuery(
+        for (var tableName of gpsTables) {
+            await sqliteService.executeNonQuery(
                 `UPDATE ${tableName} SET time = 0 WHERE time < 0`
             );
-        });
+        }
     }
 
     async getGameLogInstancesTime() {
@@ -1787,20 +2733,18 @@ class Database {
 
     async fixBrokenLeaveEntries() {
         var badEntries = await this.getBrokenLeaveEntries();
-        var badEntriesList = '';
-        var count = badEntries.length;
-        badEntries.forEach((entry) => {
-            count--;
-            if (count === 0) {
-                badEntriesList = badEntriesList.concat(entry);
-            } else {
-                badEntriesList = badEntriesList.concat(`${entry}, `);
-            }
-        });
-
-        sqliteService.executeNonQuery(
-            `UPDATE gamelog_join_leave SET time = 0 WHERE id IN (${badEntriesList})`
-        );
+        for (var i = 0; i < badEntries.length; i += maxBoundVariables) {
+            var args = {};
+            var ids = bindList(
+                'id',
+                badEntries.slice(i, i + maxBoundVariables),
+                args
+            );
+            await sqliteService.executeNonQuery(
+                `UPDATE gamelog_join_leave SET time = 0 WHERE id IN ${ids}`,
+                args
+            );
+        }
     }
 
     async getUserIdFromDisplayName(displayName) {
@@ -1822,28 +2766,350 @@ class Database {
         await sqliteService.execute((dbRow) => {
             notificationTables.push(dbRow[0]);
         }, `SELECT name FROM sqlite_schema WHERE type='table' AND name LIKE '%_notifications'`);
-        notificationTables.forEach((tableName) => {
-            sqliteService.executeNonQuery(
+        for (var tableName of notificationTables) {
+            await sqliteService.executeNonQuery(
                 `DELETE FROM ${tableName} WHERE type LIKE '%.%'`
             );
-        });
+        }
+    }
+
+    async getGroupNameTables() {
+        var tables = [];
+        await sqliteService.execute((dbRow) => {
+            tables.push(dbRow[0]);
+        }, `SELECT name FROM sqlite_schema WHERE type='table' AND (name LIKE '%_feed_gps' OR name LIKE '%_feed_online_offline' OR name = 'gamelog_location')`);
+        return tables;
+    }
+
+    async hasColumn(tableName, columnName) {
+        var exists = false;
+        await sqliteService.execute(
+            () => {
+                exists = true;
+            },
+            `SELECT name FROM pragma_table_info(@table_name) WHERE name = @column_name`,
+            {
+                '@table_name': tableName,
+                '@column_name': columnName
+            }
+        );
+        return exists;
     }
 
     async updateTableForGroupNames() {
-        try {
-            var tables = [];
-            await sqliteService.execute((dbRow) => {
-                tables.push(dbRow[0]);
-            }, `SELECT name FROM sqlite_schema WHERE type='table' AND name LIKE '%_feed_gps' OR name LIKE '%_feed_online_offline' OR name = 'gamelog_location'`);
-            tables.forEach((tableName) => {
-                sqliteService.executeNonQuery(
+        for (var tableName of await this.getGroupNameTables()) {
+            if (!(await this.hasColumn(tableName, 'group_name'))) {
+                await sqliteService.executeNonQuery(
                     `ALTER TABLE ${tableName} ADD group_name TEXT DEFAULT ''`
                 );
-            });
-        } catch (e) {
-            console.error(e);
+            }
+        }
+    }
+
+    async revertTableForGroupNames() {
+        for (var tableName of await this.getGroupNameTables()) {
+            if (await this.hasColumn(tableName, 'group_name')) {
+                await sqliteService.executeNonQuery(
+                    `ALTER TABLE ${tableName} DROP COLUMN group_name`
+                );
+            }
+        }
+    }
+
+    getUserTableName(name) {
+        return `${Database.userPrefix}_${name}`;
+    }
+
+    // columns worth moving between databases, INTEGER PRIMARY KEY ids are
+    // local rowids and get reassigned on import
+    async getPortableColumns(tableName) {
+        var columns = [];
+        await sqliteService.execute(
+            (dbRow) => {
+                if (!(dbRow[2] > 0 && dbRow[1].toUpperCase() === 'INTEGER')) {
+                    columns.push(dbRow[0]);
+                }
+            },
+            `SELECT name, type, pk FROM pragma_table_info(@table_name) ORDER BY cid`,
+            {
+                '@table_name': tableName
+            }
+        );
+        return columns;
+    }
+
+    async exportTable(tableName) {
+        var columns = await this.getPortableColumns(tableName);
+        var rows = [];
+        if (columns.length === 0) {
+            return {columns, rows};
+        }
+        await sqliteService.execute((dbRow) => {
+            rows.push(dbRow);
+        }, `SELECT ${columns.join(', ')} FROM ${tableName} ORDER BY rowid`);
+        return {columns, rows};
+    }
+
+    // merges rows into tableName, rows already present (same values in every
+    // column) are skipped and UNIQUE/PRIMARY KEY conflicts keep the existing
+    // row, returns the number of rows added
+    async importTable(tableName, columns, rows) {
+        var tableColumns = await this.getPortableColumns(tableName);
+        var indexes = [];
+        var importColumns = [];
+        columns.forEach((column, index) => {
+            if (tableColumns.includes(column)) {
+                indexes.push(index);
+                importColumns.push(column);
+            }
+        });
+        if (importColumns.length === 0 || rows.length === 0) {
+            return 0;
+        }
+        var columnList = importColumns.join(', ');
+        await sqliteService.executeNonQuery(
+            'DROP TABLE IF EXISTS temp.import_rows'
+        );
+        await sqliteService.executeNonQuery(
+            `CREATE TEMP TABLE import_rows AS SELECT ${columnList} FROM ${tableName} WHERE 0`
+        );
+        try {
+            await insertRows(
+                `INSERT INTO temp.import_rows (${columnList}) VALUES`,
+                rows.map((row) => indexes.map((index) => row[index]))
+            );
+            return await sqliteService.executeNonQuery(
+                `INSERT OR IGNORE INTO ${tableName} (${columnList}) SELECT ${columnList} FROM temp.import_rows EXCEPT SELECT ${columnList} FROM ${tableName}`
+            );
+        } finally {
+            await sqliteService.executeNonQuery('DROP TABLE temp.import_rows');
         }
     }
+
+    addWebhookQueue(entry) {
+        return sqliteService.executeNonQuery(
+            'INSERT INTO webhook_queue (created_at, webhook_id, category, type, body, attempts, next_attempt_at, last_error) VALUES (@created_at, @webhook_id, @category, @type, @body, 0, @created_at, NULL)',
+            {
+                '@created_at': entry.created_at,
+                '@webhook_id': entry.webhookId,
+                '@category': entry.category,
+                '@type': entry.type,
+                '@body': entry.body
+            }
+        );
+    }
+
+    async getDueWebhookQueue(date, limit) {
+        var queue = [];
+        await sqliteService.execute(
+            (dbRow) => {
+                queue.push({
+                    id: dbRow[0],
+                    created_at: dbRow[1],
+                    webhookId: dbRow[2],
+                    category: dbRow[3],
+                    type: dbRow[4],
+                    body: dbRow[5],
+                    attempts: dbRow[6],
+                    nextAttemptAt: dbRow[7],
+                    lastError: dbRow[8]
+                });
+            },
+            'SELECT * FROM webhook_queue WHERE next_attempt_at <= @date ORDER BY id LIMIT @limit',
+            {
+                '@date': date,
+                '@limit': limit
+            }
+        );
+        return queue;
+    }
+
+    async getWebhookQueueSize() {
+        var size = 0;
+        await sqliteService.execute((row) => {
+            size = row[0];
+        }, 'SELECT COUNT(*) FROM webhook_queue');
+        return size;
+    }
+
+    updateWebhookQueue(entry) {
+        return sqliteService.executeNonQuery(
+            'UPDATE webhook_queue SET attempts = @attempts, next_attempt_at = @next_attempt_at, last_error = @last_error WHERE id = @id',
+            {
+                '@id': entry.id,
+                '@attempts': entry.attempts,
+                '@next_attempt_at': entry.nextAttemptAt,
+                '@last_error': entry.lastError
+            }
+        );
+    }
+
+    // makes every queued delivery due now
+    retryWebhookQueue(date) {
+        return sqliteService.executeNonQuery(
+            'UPDATE webhook_queue SET next_attempt_at = @date',
+            {
+                '@date': date
+            }
+        );
+    }
+
+    deleteWebhookQueue(id) {
+        return sqliteService.executeNonQuery(
+            'DELETE FROM webhook_queue WHERE id = @id',
+            {
+                '@id': id
+            }
+        );
+    }
+
+    deleteWebhookQueueByWebhook(webhookId) {
+        return sqliteService.executeNonQuery(
+            'DELETE FROM webhook_queue WHERE webhook_id = @webhook_id',
+            {
+                '@webhook_id': webhookId
+            }
+        );
+    }
+
+    async addWebhookLog(entry, maxEntries) {
+        await sqliteService.executeNonQuery(
+            'INSERT INTO webhook_log (created_at, webhook_id, category, type, status, attempts, error) VALUES (@created_at, @webhook_id, @category, @type, @status, @attempts, @error)',
+            {
+                '@created_at': entry.created_at,
+                '@webhook_id': entry.webhookId,
+                '@category': entry.category,
+                '@type': entry.type,
+                '@status': entry.status,
+                '@attempts': entry.attempts,
+                '@error': entry.error
+            }
+        );
+        await sqliteService.executeNonQuery(
+            'DELETE FROM webhook_log WHERE id <= (SELECT MAX(id) FROM webhook_log) - @max_entries',
+            {
+                '@max_entries': maxEntries
+            }
+        );
+    }
+
+    async getWebhookLog() {
+        var log = [];
+        await sqliteService.execute((dbRow) => {
+            log.push({
+                id: dbRow[0],
+                created_at: dbRow[1],
+                webhookId: dbRow[2],
+                category: dbRow[3],
+                type: dbRow[4],
+                status: dbRow[5],
+                attempts: dbRow[6],
+                error: dbRow[7]
+            });
+        }, 'SELECT * FROM webhook_log ORDER BY id DESC');
+        return log;
+    }
+
+    clearWebhookLog() {
+        return sqliteService.executeNonQuery('DELETE FROM webhook_log');
+    }
+
+    async addChatboxFilterLog(entry, maxEntries) {
+        await sqliteService.executeNonQuery(
+            'INSERT INTO chatbox_filter_log (created_at, user_id, display_name, location, text, reason) VALUES (@created_at, @user_id, @display_name, @location, @text, @reason)',
+            {
+                '@created_at': entry.created_at,
+                '@user_id': entry.userId,
+                '@display_name': entry.displayName,
+                '@location': entry.location,
+                '@text': entry.text,
+                '@reason': entry.reason
+            }
+        );
+        await sqliteService.executeNonQuery(
+            'DELETE FROM chatbox_filter_log WHERE id <= (SELECT MAX(id) FROM chatbox_filter_log) - @max_entries',
+            {
+                '@max_entries': maxEntries
+            }
+        );
+    }
+
+    async getChatboxFilterLog() {
+        var log = [];
+        await sqliteService.execute((dbRow) => {
+            log.push({
+                id: dbRow[0],
+                created_at: dbRow[1],
+                userId: dbRow[2],
+                displayName: dbRow[3],
+                location: dbRow[4],
+                text: dbRow[5],
+                reason: dbRow[6]
+            });
+        }, 'SELECT * FROM chatbox_filter_log ORDER BY id DESC');
+        return log;
+    }
+
+    clearChatboxFilterLog() {
+        return sqliteService.executeNonQuery('DELETE FROM chatbox_filter_log');
+    }
+
+    addDownloadQueue(entry) {
+        return sqliteService.executeNonQuery(
+            'INSERT OR REPLACE INTO download_queue (id, created_at, name, type, url, size, md5, file_name, status, attempts) VALUES (@id, @created_at, @name, @type, @url, @size, @md5, @file_name, @status, @attempts)',
+            {
+                '@id': entry.id,
+                '@created_at': entry.created_at,
+                '@name': entry.name,
+                '@type': entry.type,
+                '@url': entry.url,
+                '@size': entry.size,
+                '@md5': entry.md5,
+                '@file_name': entry.fileName,
+                '@status': entry.status,
+                '@attempts': entry.attempts
+            }
+        );
+    }
+
+    async getDownloadQueue() {
+        var queue = [];
+        await sqliteService.execute((dbRow) => {
+            queue.push({
+                id: dbRow[0],
+                created_at: dbRow[1],
+                name: dbRow[2],
+                type: dbRow[3],
+                url: dbRow[4],
+                size: dbRow[5],
+                md5: dbRow[6],
+                fileName: dbRow[7],
+                status: dbRow[8],
+                attempts: dbRow[9]
+            });
+        }, 'SELECT * FROM download_queue ORDER BY created_at');
+        return queue;
+    }
+
+    updateDownloadQueue(entry) {
+        return sqliteService.executeNonQuery(
+            'UPDATE download_queue SET status = @status, attempts = @attempts WHERE id = @id',
+            {
+                '@id': entry.id,
+                '@status': entry.status,
+                '@attempts': entry.attempts
+            }
+        );
+    }
+
+    deleteDownloadQueue(id) {
+        return sqliteService.executeNonQuery(
+            'DELETE FROM download_queue WHERE id = @id',
+            {
+                '@id': id
+            }
+        );
+    }
 }
 
 var self = new Database();
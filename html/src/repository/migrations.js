@@ -0,0 +1,265 @@
+import sqliteService from '../service/sqlite.js';
+import database from './database.js';
+
+// Numbered schema migrations, applied in ascending order and recorded in
+// schema_migrations. up/down run inside a transaction and apply to the
+// per-user tables of every user. They run at startup before anything else
+// uses the database, BEGIN/COMMIT are on the connection the whole app shares.
+var migrationList = [
+    {
+        version: 1,
+        name: 'clean legend from friend log',
+        up: () => database.cleanLegendFromFriendLog()
+    },
+    {
+        version: 2,
+        name: 'fix gamelog traveling locations',
+        up: () => database.fixGameLogTraveling()
+    },
+    {
+        version: 3,
+        name: 'fix negative gps time',
+        up: () => database.fixNegativeGPS()
+    },
+    {
+        version: 4,
+        name: 'fix broken leave entries',
+        up: () => database.fixBrokenLeaveEntries()
+    },
+    {
+        version: 5,
+        name: 'remove group invites from notifications',
+        up: () => database.fixBrokenGroupInvites()
+    },
+    {
+        version: 6,
+        name: 'add group_name columns',
+        up: () => database.updateTableForGroupNames(),
+        down: () => database.revertTableForGroupNames()
+    },
+    {
+        version: 7,
+        name: 'index gamelog_join_leave lookups',
+        up: async () => {
+            await sqliteService.executeNonQuery(
+                'CREATE INDEX IF NOT EXISTS gamelog_join_leave_user_id ON gamelog_join_leave (user_id)'
+            );
+            await sqliteService.executeNonQuery(
+                'CREATE INDEX IF NOT EXISTS gamelog_join_leave_display_name ON gamelog_join_leave (display_name)'
+            );
+        },
+        down: async () => {
+            await sqliteService.executeNonQuery(
+                'DROP INDEX IF EXISTS gamelog_join_leave_user_id'
+            );
+            await sqliteService.executeNonQuery(
+                'DROP INDEX IF EXISTS gamelog_join_leave_display_name'
+            );
+        }
+    }
+];
+
+// last version of the old VRCX_databaseVersion scheme, covers migrations 1-6
+var legacyVersion = 4;
+var legacyMigrationVersion = 6;
+
+class SchemaMigrations {
+    constructor(migrations) {
+        this.migrations = migrations;
+    }
+
+    get latestVersion() {
+        return this.migrations[this.migrations.length - 1].version;
+    }
+
+    async init() {
+        await sqliteService.executeNonQuery(
+            'CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name TEXT, applied_at TEXT)'
+        );
+    }
+
+    async getAppliedVersions() {
+        var versions = new Set();
+        await sqliteService.execute((dbRow) => {
+            versions.add(dbRow[0]);
+        }, 'SELECT version FROM schema_migrations');
+        return versions;
+    }
+
+    // baselines databases of the old VRCX_databaseVersion counter and
+    // applies pending migrations, returns the new version
+    async update(databaseVersion) {
+        await this.init();
+        await this.baseline(databaseVersion);
+        var version = await this.getVersion();
+        if (version !== this.latestVersion) {
+            console.log(
+                `Updating database from ${version} to ${this.latestVersion}...`
+            );
+            await this.migrate();
+            console.log('Database update complete.');
+        }
+        return this.getVersion();
+    }
+
+    async getVersion() {
+        var version = 0;
+        await sqliteService.execute((dbRow) => {
+            if (dbRow[0] !== null) {
+                version = dbRow[0];
+            }
+        }, 'SELECT MAX(version) FROM schema_migrations');
+        return version;
+    }
+
+    // record migrations already applied by the old updateDatabaseVersion
+    async baseline(databaseVersion) {
+        if (databaseVersion !== legacyVersion) {
+            return;
+        }
+        var applied = await this.getAppliedVersions();
+        for (var migration of this.migrations) {
+            if (
+                migration.version <= legacyMigrationVersion &&
+                !applied.has(migration.version)
+            ) {
+                await this.recordMigration(migration);
+            }
+        }
+    }
+
+    async recordMigration(migration) {
+        await sqliteService.executeNonQuery(
+            'INSERT INTO schema_migrations (version, name, applied_at) VALUES (@version, @name, @applied_at)',
+            {
+                '@version': migration.version,
+                '@name': migration.name,
+                '@applied_at': new Date().toJSON()
+            }
+        );
+    }
+
+    async getDatabasePath() {
+        var path = '';
+        await sqliteService.execute((dbRow) => {
+            path = dbRow[0];
+        }, "SELECT file FROM pragma_database_list WHERE name = 'main'");
+        return path;
+    }
+
+    async backup() {
+        var path = await this.getDatabasePath();
+        if (!path) {
+            throw new Error('Unable to locate database file for backup');
+        }
+        var backupPath = `${path}.migration-${Date.now()}.bak`;
+        await this.executeWhenIdle('VACUUM INTO @path', {
+            '@path': backupPath
+        });
+        return backupPath;
+    }
+
+    // the connection is shared with the config sync loop, wait for its
+    // transaction to finish instead of failing
+    async executeWhenIdle(sql, args = null) {
+        for (var i = 0; ; ++i) {
+            try {
+                return await sqliteService.executeNonQuery(sql, args);
+            } catch (err) {
+                if (i >= 50) {
+                    throw err;
+                }
+            }
+            await new Promise((resolve) => {
+                setTimeout(resolve, 100);
+            });
+        }
+    }
+
+    async runInTransaction(callback) {
+        await this.executeWhenIdle('BEGIN');
+        try {
+            await callback();
+        } catch (err) {
+            await sqliteService.executeNonQuery('ROLLBACK');
+            throw err;
+        }
+        await sqliteService.executeNonQuery('COMMIT');
+    }
+
+    async migrate(targetVersion = this.latestVersion) {
+        var applied = await this.getAppliedVersions();
+        var pending = this.migrations.filter(
+            (migration) =>
+                migration.version <= targetVersion &&
+                !applied.has(migration.version)
+        );
+        if (pending.length === 0) {
+            return [];
+        }
+        var backupPath = await this.backup();
+        console.log(`Database backup created at ${backupPath}`);
+        for (var migration of pending) {
+            await this.applyMigration(migration);
+        }
+        return pending;
+    }
+
+    async rollback(targetVersion) {
+        var applied = await this.getAppliedVersions();
+        var pending = this.migrations
+            .filter(
+                (migration) =>
+                    migration.version > targetVersion &&
+                    applied.has(migration.version)
+            )
+            .reverse();
+        var irreversible = pending.find(
+            (migration) => typeof migration.down !== 'function'
+        );
+        if (typeof irreversible !== 'undefined') {
+            throw new Error(
+                `Migration ${irreversible.version} can't be reverted`
+            );
+        }
+        if (pending.length === 0) {
+            return [];
+        }
+        var backupPath = await this.backup();
+        console.log(`Database backup created at ${backupPath}`);
+        for (var migration of pending) {
+            await this.revertMigration(migration);
+        }
+        return pending;
+    }
+
+    applyMigration(migration) {
+        console.log(
+            `Applying migration ${migration.version}: ${migration.name}`
+        );
+        return this.runInTransaction(async () => {
+            await migration.up();
+            await this.recordMigration(migration);
+        });
+    }
+
+    revertMigration(migration) {
+        console.log(
+            `Reverting migration ${migration.version}: ${migration.name}`
+        );
+        return this.runInTransaction(async () => {
+            await migration.down();
+            await sqliteService.executeNonQuery(
+                'DELETE FROM schema_migrations WHERE version = @version',
+                {
+                    '@version': migration.version
+                }
+            );
+        });
+    }
+}
+
+var self = new SchemaMigrations(migrationList);
+window.schemaMigrations = self;
+
+export {self as default, SchemaMigrations, migrationList};
@@ -0,0 +1,175 @@
+import configRepository from './config.js';
+import security from '../security.js';
+
+// Config values that are stored encrypted while the primary password is
+// enabled. unlock() decrypts them into memory with the key from
+// security.unlock, until then getString returns the default value. Values
+// written before the primary password was enabled are encrypted on the next
+// unlock. saved credentials aren't listed here, the login screen needs them
+// before unlocking, their password and cookies are encrypted field by field.
+// VRCX_webhooks stays readable so events are queued while locked, only the
+// signing secrets are kept here.
+var secureConfigKeys = [
+    'VRCX_youtubeAPIKey',
+    'VRCX_avatarRemoteDatabaseProviderList',
+    'VRCX_localApiToken',
+    'VRCX_webhookSecrets'
+];
+
+// minutes, 0 never locks
+var defaultLockTimeout = 15;
+
+var activityEvents = ['mousedown', 'keydown', 'wheel'];
+
+class SecureConfigRepository {
+    constructor() {
+        this.values = new Map();
+        this.unlocked = false;
+        this.lastActivity = Date.now();
+        this.lockTimer = null;
+        this.listeners = [];
+        for (var event of activityEvents) {
+            window.addEventListener(event, () => this.touch(), {
+                capture: true,
+                passive: true
+            });
+        }
+    }
+
+    isSecureKey(key) {
+        return secureConfigKeys.includes(key);
+    }
+
+    isEnabled() {
+        return configRepository.getBool('enablePrimaryPassword', false);
+    }
+
+    isLocked() {
+        return this.isEnabled() && !this.unlocked;
+    }
+
+    getLockTimeout() {
+        return configRepository.getInt(
+            'VRCX_secureConfigLockTimeout',
+            defaultLockTimeout
+        );
+    }
+
+    setLockTimeout(minutes) {
+        configRepository.setInt('VRCX_secureConfigLockTimeout', minutes);
+    }
+
+    // callback(locked) runs after every lock and unlock
+    addListener(callback) {
+        this.listeners.push(callback);
+    }
+
+    emit() {
+        var locked = this.isLocked();
+        for (var callback of this.listeners) {
+            try {
+                callback(locked);
+            } catch (err) {
+                console.error(err);
+            }
+        }
+    }
+
+    touch() {
+        this.lastActivity = Date.now();
+    }
+
+    getString(key, defaultValue = null) {
+        if (!this.isEnabled()) {
+            return configRepository.getString(key, defaultValue);
+        }
+        if (!this.unlocked || !this.values.has(key)) {
+            return defaultValue;
+        }
+        return this.values.get(key);
+    }
+
+    // rejects while locked
+    async setString(key, value) {
+        var _value = String(value);
+        if (!this.isEnabled()) {
+            configRepository.setString(key, _value);
+            return;
+        }
+        if (!this.unlocked) {
+            throw new Error('Secure config is locked');
+        }
+        this.values.set(key, _value);
+        configRepository.setString(key, await security.encrypt(_value));
+    }
+
+    remove(key) {
+        this.values.delete(key);
+        configRepository.remove(key);
+    }
+
+    // call after security.unlock with the same, already checked, password
+    async unlock(password) {
+        var values = new Map();
+        for (var key of secureConfigKeys) {
+            var value = configRepository.getString(key);
+            if (value === null) {
+                continue;
+            }
+            if (!security.isEncrypted(value)) {
+                configRepository.setString(key, await security.encrypt(value));
+            } else if (security.needsMigration(value)) {
+                value = await security.decrypt(value, password);
+                configRepository.setString(key, await security.encrypt(value));
+            } else {
+                value = await security.decrypt(value);
+            }
+            values.set(key, value);
+        }
+        this.values = values;
+        this.unlocked = true;
+        this.touch();
+        this.startLockTimer();
+        this.emit();
+    }
+
+    lock() {
+        this.values.clear();
+        this.unlocked = false;
+        security.lock();
+        if (this.lockTimer !== null) {
+            clearInterval(this.lockTimer);
+            this.lockTimer = null;
+        }
+        this.emit();
+    }
+
+    // writes the decrypted values back in plain text for turning the primary
+    // password off, has to be unlocked
+    disable() {
+        for (var [key, value] of this.values) {
+            configRepository.setString(key, value);
+        }
+        this.lock();
+    }
+
+    startLockTimer() {
+        if (this.lockTimer !== null) {
+            return;
+        }
+        this.lockTimer = setInterval(() => {
+            var timeout = this.getLockTimeout();
+            if (
+                timeout > 0 &&
+                Date.now() - this.lastActivity > timeout * 60000
+            ) {
+                this.lock();
+            }
+        }, 30000);
+    }
+}
+
+var self = new SecureConfigRepository();
+window.secureConfigRepository = self;
+
+export {self as default, SecureConfigRepository, secureConfigKeys};
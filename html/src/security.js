@@ -1,7 +1,25 @@
+import configRepository from './repository/config.js';
+
+// Ciphertexts are versioned envelopes:
+//   vrcx$2$<iterations>$<salt hex>$<iv + ciphertext hex>
+// The AES-GCM key is derived from the primary password with PBKDF2-SHA256
+// using a random salt created once per install. Version 1 ciphertexts are the
+// bare hex of the old format, where the password padded with defaultAESKey
+// was used as the key directly, they can still be decrypted and are moved to
+// the current format with migrate.
+
 const defaultAESKey = new TextEncoder().encode(
     'https://github.com/pypy-vrc/VRCX'
 );
 
+const envelopePrefix = 'vrcx';
+const currentVersion = 2;
+const defaultIterations = 600000;
+const minIterations = 100000;
+
+// key derived by unlock, used when no password is passed
+let sessionKey = null;
+
 const hexToUint8Array = (hexStr) => {
     const r = hexStr.match(/.{1,2}/g);
     if (!r) return null;
@@ -22,28 +40,140 @@ function stdAESKey(key) {
     return sk.slice(0, 32);
 }
 
-async function encrypt(plaintext, key) {
-    let iv = window.crypto.getRandomValues(new Uint8Array(12));
-    let sharedKey = await window.crypto.subtle.importKey(
+function getSalt() {
+    let salt = configRepository.getString('VRCX_primaryPasswordSalt');
+    if (!salt) {
+        salt = uint8ArrayToHex(
+            window.crypto.getRandomValues(new Uint8Array(16))
+        );
+        configRepository.setString('VRCX_primaryPasswordSalt', salt);
+    }
+    return salt;
+}
+
+function getIterations() {
+    const iterations = configRepository.getInt(
+        'VRCX_primaryPasswordIterations',
+        defaultIterations
+    );
+    return Math.max(iterations, minIterations);
+}
+
+function parse(ciphertext) {
+    const parts = String(ciphertext).split('$');
+    if (parts[0] !== envelopePrefix) {
+        return {
+            version: 1,
+            data: ciphertext
+        };
+    }
+    const version = parseInt(parts[1], 10);
+    if (version !== currentVersion || parts.length !== 5) {
+        throw new Error(`Unsupported ciphertext version ${parts[1]}`);
+    }
+    return {
+        version,
+        iterations: parseInt(parts[2], 10),
+        salt: parts[3],
+        data: parts[4]
+    };
+}
+
+async function deriveKey(password, salt, iterations) {
+    const baseKey = await window.crypto.subtle.importKey(
         'raw',
-        stdAESKey(key),
+        new TextEncoder().encode(password),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+    return window.crypto.subtle.deriveKey(
+        {
+            name: 'PBKDF2',
+            hash: 'SHA-256',
+            salt: hexToUint8Array(salt),
+            iterations
+        },
+        baseKey,
         {name: 'AES-GCM', length: 256},
-        true,
-        ['encrypt']
+        false,
+        ['encrypt', 'decrypt']
     );
-    let cipher = await window.crypto.subtle.encrypt(
+}
+
+function getKey(password, salt, iterations) {
+    if (typeof password === 'string') {
+        return deriveKey(password, salt, iterations);
+    }
+    if (
+        sessionKey === null ||
+        sessionKey.salt !== salt ||
+        sessionKey.iterations !== iterations
+    ) {
+        throw new Error('Primary password is locked');
+    }
+    return sessionKey.key;
+}
+
+// derives the key once so later encrypt/decrypt calls can omit the password,
+// only call it after the password was checked with decrypt
+async function unlock(password) {
+    const salt = getSalt();
+    const iterations = getIterations();
+    sessionKey = {
+        key: await deriveKey(password, salt, iterations),
+        salt,
+        iterations
+    };
+}
+
+function lock() {
+    sessionKey = null;
+}
+
+function isUnlocked() {
+    return sessionKey !== null;
+}
+
+function isEncrypted(text) {
+    return typeof text === 'string' && text.startsWith(`${envelopePrefix}$`);
+}
+
+// true for version 1 ciphertexts and ones made with an older salt or a lower
+// iteration count than currently configured
+function needsMigration(ciphertext) {
+    const envelope = parse(ciphertext);
+    return (
+        envelope.version < currentVersion ||
+        envelope.salt !== getSalt() ||
+        envelope.iterations < getIterations()
+    );
+}
+
+async function encrypt(plaintext, password) {
+    const salt = getSalt();
+    const iterations = getIterations();
+    const sharedKey = await getKey(password, salt, iterations);
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const cipher = await window.crypto.subtle.encrypt(
         {name: 'AES-GCM', iv},
         sharedKey,
         new TextEncoder().encode(plaintext)
     );
-    let ciphertext = new Uint8Array(cipher);
-    let encrypted = new Uint8Array(iv.length + ciphertext.byteLength);
+    const ciphertext = new Uint8Array(cipher);
+    const encrypted = new Uint8Array(iv.length + ciphertext.byteLength);
     encrypted.set(iv, 0);
     encrypted.set(ciphertext, iv.length);
-    return uint8ArrayToHex(encrypted);
+    return [
+        envelopePrefix,
+        currentVersion,
+        iterations,
+        salt,
+        uint8ArrayToHex(encrypted)
+    ].join('$');
 }
 
-async function decrypt(ciphertext, key) {
+async function decryptLegacy(ciphertext, key) {
     let text = hexToUint8Array(ciphertext);
     if (!text) return '';
     let sharedKey = await window.crypto.subtle.importKey(
@@ -61,7 +191,50 @@ async function decrypt(ciphertext, key) {
     return new TextDecoder().decode(new Uint8Array(plaintext));
 }
 
+// rejects when the password is wrong
+async function decrypt(ciphertext, password) {
+    const envelope = parse(ciphertext);
+    if (envelope.version === 1) {
+        if (typeof password !== 'string') {
+            throw new Error('Primary password is locked');
+        }
+        return decryptLegacy(envelope.data, password);
+    }
+    const text = hexToUint8Array(envelope.data);
+    if (!text) return '';
+    const sharedKey = await getKey(
+        password,
+        envelope.salt,
+        envelope.iterations
+    );
+    const plaintext = await window.crypto.subtle.decrypt(
+        {name: 'AES-GCM', iv: text.slice(0, 12)},
+        sharedKey,
+        text.slice(12)
+    );
+    return new TextDecoder().decode(new Uint8Array(plaintext));
+}
+
+// re-encrypts a ciphertext that needsMigration, with the unlocked key when
+// there is one
+async function migrate(ciphertext, password) {
+    if (!needsMigration(ciphertext)) {
+        return ciphertext;
+    }
+    const plaintext = await decrypt(ciphertext, password);
+    if (isUnlocked()) {
+        return encrypt(plaintext);
+    }
+    return encrypt(plaintext, password);
+}
+
 export default {
     decrypt,
-    encrypt
+    encrypt,
+    unlock,
+    lock,
+    isUnlocked,
+    isEncrypted,
+    needsMigration,
+    migrate
 };
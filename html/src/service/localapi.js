@@ -0,0 +1,47 @@
+// requires binding of LocalApi
+
+// drops internal $ properties, they can hold references back into the app
+function replacer(key, value) {
+    if (key.startsWith('$')) {
+        return void 0;
+    }
+    return value;
+}
+
+class LocalApiService {
+    // resolves to an error message, empty when the server started
+    start(port, token) {
+        return LocalApi.Start(port, token);
+    }
+
+    stop() {
+        return LocalApi.Stop();
+    }
+
+    isRunning() {
+        return LocalApi.IsRunning();
+    }
+
+    getClientCount() {
+        return LocalApi.GetClientCount();
+    }
+
+    serialize(value) {
+        return JSON.stringify(value, replacer);
+    }
+
+    broadcast(event, data) {
+        return LocalApi.Broadcast(
+            this.serialize({
+                event,
+                created_at: new Date().toJSON(),
+                data
+            })
+        );
+    }
+}
+
+var self = new LocalApiService();
+window.localApiService = self;
+
+export {self as default, LocalApiService};
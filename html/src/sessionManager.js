@@ -0,0 +1,198 @@
+// Accounts that stay logged in in the background after switching away from
+// them. Each one keeps its own pipeline WebSocket, opened with the auth token
+// it had when it was switched away from, so its invites and friend requests
+// still arrive and can be written to its own tables. Tokens are only kept in
+// memory, background sessions end when VRCX closes.
+
+import * as workerTimers from 'worker-timers';
+
+var reconnectBaseDelay = 2000;
+var reconnectMaxDelay = 120000;
+// the token has most likely expired when it keeps failing this often
+var maxReconnectAttempts = 8;
+// an expired token still connects before it's closed, only a connection that
+// stayed open this long resets the attempts
+var stableConnectionTime = 60000;
+
+class SessionManager {
+    constructor() {
+        // plain objects so they can be shown as they are, sockets and timers
+        // are kept apart
+        this.sessions = [];
+        this.sockets = new Map();
+        this.reconnectTimers = new Map();
+        // onEvent(session, json) for every pipeline message
+        this.onEvent = null;
+    }
+
+    get(userId) {
+        return this.sessions.find((session) => session.userId === userId);
+    }
+
+    add({userId, displayName, username, token, websocketDomain}) {
+        this.remove(userId);
+        var session = {
+            userId,
+            displayName,
+            username,
+            token,
+            websocketDomain,
+            isConnected: false,
+            connectedAt: 0,
+            isExpired: false,
+            reconnectAttempts: 0,
+            unseen: 0,
+            addedAt: Date.now()
+        };
+        this.sessions.push(session);
+        this.connect(session);
+        return session;
+    }
+
+    remove(userId) {
+        var index = this.sessions.findIndex(
+            (session) => session.userId === userId
+        );
+        if (index === -1) {
+            return;
+        }
+        this.close(this.sessions[index]);
+        this.sessions.splice(index, 1);
+    }
+
+    clear() {
+        for (var session of this.sessions) {
+            this.close(session);
+        }
+        this.sessions.splice(0);
+    }
+
+    connect(session) {
+        if (this.sockets.has(session.userId)) {
+            return;
+        }
+        var socket = new WebSocket(
+            `${session.websocketDomain}/?auth=${session.token}`
+        );
+        socket.onopen = () => {
+            if (this.sockets.get(session.userId) !== socket) {
+                return;
+            }
+            session.isConnected = true;
+            session.connectedAt = Date.now();
+        };
+        socket.onclose = () => {
+            this.drop(session, socket);
+        };
+        socket.onerror = () => {
+            socket.onclose();
+        };
+        socket.onmessage = ({data}) => {
+            try {
+                var json = JSON.parse(data);
+                try {
+                    json.content = JSON.parse(json.content);
+                } catch (err) {}
+                if (this.onEvent !== null) {
+                    this.onEvent(session, json);
+                }
+            } catch (err) {
+                console.error(err);
+            }
+        };
+        this.sockets.set(session.userId, socket);
+    }
+
+    drop(session, socket) {
+        if (this.sockets.get(session.userId) === socket) {
+            this.sockets.delete(session.userId);
+            if (
+                session.isConnected &&
+                Date.now() - session.connectedAt > stableConnectionTime
+            ) {
+                session.reconnectAttempts = 0;
+            }
+            session.isConnected = false;
+            this.reconnect(session);
+        }
+        try {
+            socket.close();
+        } catch (err) {}
+    }
+
+    // exponential backoff with up to 20% jitter, like the main pipeline
+    reconnect(session) {
+        if (
+            !this.sessions.includes(session) ||
+            this.reconnectTimers.has(session.userId)
+        ) {
+            return;
+        }
+        if (session.reconnectAttempts >= maxReconnectAttempts) {
+            session.isExpired = true;
+            return;
+        }
+        var delay = Math.min(
+            reconnectBaseDelay * 2 ** session.reconnectAttempts,
+            reconnectMaxDelay
+        );
+        delay += Math.floor(Math.random() * delay * 0.2);
+        ++session.reconnectAttempts;
+        var timer = workerTimers.setTimeout(() => {
+            this.reconnectTimers.delete(session.userId);
+            if (this.sessions.includes(session)) {
+                this.connect(session);
+            }
+        }, delay);
+        this.reconnectTimers.set(session.userId, timer);
+    }
+
+    close(session) {
+        var timer = this.reconnectTimers.get(session.userId);
+        if (typeof timer !== 'undefined') {
+            workerTimers.clearTimeout(timer);
+            this.reconnectTimers.delete(session.userId);
+        }
+        var socket = this.sockets.get(session.userId);
+        session.isConnected = false;
+        if (typeof socket === 'undefined') {
+            return;
+        }
+        this.sockets.delete(session.userId);
+        try {
+            socket.close();
+        } catch (err) {}
+    }
+
+    // pipeline notifications carry details as a JSON string
+    parseNotification(json) {
+        var notification = {
+            id: '',
+            senderUserId: '',
+            senderUsername: '',
+            receiverUserId: '',
+            type: '',
+            message: '',
+            details: {},
+            created_at: '',
+            $isExpired: false,
+            ...json
+        };
+        if (notification.details !== Object(notification.details)) {
+            var details = {};
+            try {
+                var object = JSON.parse(notification.details);
+                if (object === Object(object)) {
+                    details = object;
+                }
+            } catch (err) {}
+            notification.details = details;
+        }
+        return notification;
+    }
+}
+
+var self = new SessionManager();
+window.sessionManager = self;
+
+export {self as default, SessionManager};
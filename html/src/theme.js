@@ -0,0 +1,201 @@
+// Named colour themes. A theme starts from the light or dark stylesheet and
+// overrides its surfaces through the --vrcx-* CSS variables used by
+// app.theme.scss, it also carries the trust colours and the saturation/value
+// used for random user colours.
+
+var themeTokens = [
+    {key: 'background', label: 'Background'},
+    {key: 'surface', label: 'Surface'},
+    {key: 'surfaceAlt', label: 'Surface (alternate)'},
+    {key: 'menuBackground', label: 'Menu'},
+    {key: 'asideBackground', label: 'Friends list'},
+    {key: 'text', label: 'Text'},
+    {key: 'textSecondary', label: 'Secondary text'},
+    {key: 'border', label: 'Borders'},
+    {key: 'inputBackground', label: 'Input background'},
+    {key: 'inputText', label: 'Input text'},
+    {key: 'hover', label: 'Hover'},
+    {key: 'primary', label: 'Accent'},
+    {key: 'scrollbar', label: 'Scrollbar'}
+];
+
+// approximations of app.scss and app.dark.scss
+var basePalettes = {
+    light: {
+        background: '#ffffff',
+        surface: '#ffffff',
+        surfaceAlt: '#fafafa',
+        menuBackground: '#f8f8f8',
+        asideBackground: '#f8f8f8',
+        text: '#303133',
+        textSecondary: '#909399',
+        border: '#ebeef5',
+        inputBackground: '#ffffff',
+        inputText: '#606266',
+        hover: '#f5f7fa',
+        primary: '#409eff',
+        scrollbar: 'rgba(0, 0, 0, 0.2)'
+    },
+    dark: {
+        background: '#101010',
+        surface: '#222222',
+        surfaceAlt: '#2d2d2d',
+        menuBackground: '#303133',
+        asideBackground: '#171717',
+        text: '#ffffff',
+        textSecondary: '#c7c7c7',
+        border: '#5f5f5f',
+        inputBackground: '#444444',
+        inputText: '#ffffff',
+        hover: '#3e3e3e',
+        primary: '#409eff',
+        scrollbar: 'rgba(255, 255, 255, 0.2)'
+    }
+};
+
+var defaultTrustColor = {
+    untrusted: '#CCCCCC',
+    basic: '#1778FF',
+    known: '#2BCF5C',
+    trusted: '#FF7B42',
+    veteran: '#B18FFF',
+    vip: '#FF2626',
+    troll: '#782F2F'
+};
+
+// saturation/value of colours generated from user IDs
+var defaultNameColour = {
+    light: {
+        saturation: 1,
+        value: 0.7
+    },
+    dark: {
+        saturation: 0.6,
+        value: 1
+    }
+};
+
+var themeFormat = 'vrcx-theme';
+var themeVersion = 1;
+
+function getCssVar(key) {
+    return `--vrcx-${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+}
+
+function isColor(value) {
+    return typeof value === 'string' && CSS.supports('color', value);
+}
+
+function clamp(value, fallback) {
+    var number = Number(value);
+    if (isNaN(number)) {
+        return fallback;
+    }
+    return Math.min(Math.max(number, 0), 1);
+}
+
+class ThemeEngine {
+    createTheme(theme = {}) {
+        var base = theme.base === 'light' ? 'light' : 'dark';
+        var colors = {...basePalettes[base]};
+        var trustColor = {...defaultTrustColor};
+        var nameColour = {...defaultNameColour[base]};
+        if (theme.colors) {
+            for (var {key} of themeTokens) {
+                if (isColor(theme.colors[key])) {
+                    colors[key] = theme.colors[key];
+                }
+            }
+        }
+        if (theme.trustColor) {
+            for (var rank of Object.keys(defaultTrustColor)) {
+                if (isColor(theme.trustColor[rank])) {
+                    trustColor[rank] = theme.trustColor[rank];
+                }
+            }
+        }
+        if (theme.nameColour) {
+            nameColour.saturation = clamp(
+                theme.nameColour.saturation,
+                nameColour.saturation
+            );
+            nameColour.value = clamp(theme.nameColour.value, nameColour.value);
+        }
+        return {
+            id: theme.id || '',
+            name: theme.name || 'Untitled',
+            base,
+            colors,
+            trustColor,
+            nameColour
+        };
+    }
+
+    // resets a theme's colours to its base palette
+    resetColors(theme) {
+        theme.colors = {...basePalettes[theme.base]};
+        theme.nameColour = {...defaultNameColour[theme.base]};
+    }
+
+    getNameColour(theme, isDarkMode) {
+        if (theme) {
+            return theme.nameColour;
+        }
+        return defaultNameColour[isDarkMode ? 'dark' : 'light'];
+    }
+
+    apply(theme) {
+        var {style} = document.documentElement;
+        for (var {key} of themeTokens) {
+            style.setProperty(getCssVar(key), theme.colors[key]);
+        }
+    }
+
+    clear() {
+        var {style} = document.documentElement;
+        for (var {key} of themeTokens) {
+            style.removeProperty(getCssVar(key));
+        }
+    }
+
+    export(theme) {
+        var {name, base, colors, trustColor, nameColour} = theme;
+        return JSON.stringify(
+            {
+                format: themeFormat,
+                version: themeVersion,
+                theme: {
+                    name,
+                    base,
+                    colors,
+                    trustColor,
+                    nameColour
+                }
+            },
+            null,
+            2
+        );
+    }
+
+    // returns the theme without an id, invalid colours fall back to the base
+    import(json) {
+        var data = JSON.parse(json);
+        if (data.format !== themeFormat || typeof data.theme !== 'object') {
+            throw new Error('Not a VRCX theme file');
+        }
+        if (data.version > themeVersion) {
+            throw new Error(
+                `Theme version ${data.version} is newer than supported version ${themeVersion}`
+            );
+        }
+        return this.createTheme({
+            ...data.theme,
+            id: ''
+        });
+    }
+}
+
+var self = new ThemeEngine();
+window.themeEngine = self;
+
+export {self as default, ThemeEngine, themeTokens, defaultTrustColor};
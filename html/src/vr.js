@@ -485,6 +485,12 @@ Vue.component('marquee-text', MarqueeText);
             case 'group.joinRequest':
                 text = noty.message;
                 break;
+            case 'GroupJoined':
+                text = `Joined group <strong>${noty.groupName}</strong>`;
+                break;
+            case 'GroupLeft':
+                text = `Left group <strong>${noty.groupName}</strong>`;
+                break;
             case 'PortalSpawn':
                 if (noty.displayName) {
                     text = `<strong>${
@@ -0,0 +1,302 @@
+// Outbound webhooks for feed, game log, notification, friend log and
+// moderation events. Deliveries are queued in SQLite so they survive restarts
+// and are retried with backoff until maxAttempts is reached.
+
+import database from './repository/database.js';
+import webApiService from './service/webapi.js';
+
+var webhookCategories = [
+    'feed',
+    'gamelog',
+    'notification',
+    'friendlog',
+    'moderation'
+];
+
+var webhookFormats = ['discord', 'json', 'template'];
+
+var maxAttempts = 8;
+var maxLogEntries = 500;
+
+// 30s, 1m, 2m, 4m... capped at 1 hour
+function getRetryDelay(attempts) {
+    return Math.min(30000 * 2 ** (attempts - 1), 3600000);
+}
+
+function getDisplayName(noty) {
+    return (
+        noty.displayName ||
+        noty.senderUsername ||
+        noty.sourceDisplayName ||
+        noty.previousDisplayName ||
+        ''
+    );
+}
+
+function getUserId(noty) {
+    return noty.userId || noty.senderUserId || noty.sourceUserId || '';
+}
+
+function getDetail(noty) {
+    return (
+        noty.worldName ||
+        noty.notyName ||
+        noty.statusDescription ||
+        noty.message ||
+        noty.data ||
+        noty.location ||
+        ''
+    );
+}
+
+// drops internal $ properties, they can hold references back into the app
+function toJson(value) {
+    return JSON.stringify(value, (key, item) => {
+        if (key.startsWith('$')) {
+            return void 0;
+        }
+        return item;
+    });
+}
+
+function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer))
+        .map((byte) => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+class Webhooks {
+    constructor() {
+        this.processing = false;
+    }
+
+    createWebhook(webhook) {
+        return {
+            id: '',
+            name: '',
+            enabled: true,
+            url: '',
+            format: 'discord',
+            template: '',
+            secret: '',
+            // has a secret, it's empty while the secure config is locked
+            signed: false,
+            categories: [],
+            ...webhook
+        };
+    }
+
+    getSummary(category, noty) {
+        var summary = `[${category}] ${noty.type}`;
+        var displayName = getDisplayName(noty);
+        if (displayName) {
+            summary += ` ${displayName}`;
+        }
+        var detail = getDetail(noty);
+        if (detail) {
+            summary += `: ${detail}`;
+        }
+        return summary;
+    }
+
+    getTemplateValues(category, noty) {
+        return {
+            category,
+            type: noty.type,
+            createdAt: noty.created_at,
+            displayName: getDisplayName(noty),
+            userId: getUserId(noty),
+            location: noty.location || '',
+            worldName: noty.worldName || '',
+            detail: getDetail(noty),
+            summary: this.getSummary(category, noty)
+        };
+    }
+
+    // {{name}} is replaced with the value escaped for use inside a JSON
+    // string, {{json}} with the whole event as JSON
+    renderTemplate(template, category, noty) {
+        var values = this.getTemplateValues(category, noty);
+        return template.replace(/{{\s*(\w+)\s*}}/g, (match, name) => {
+            if (name === 'json') {
+                return toJson(noty);
+            }
+            if (!Object.hasOwn(values, name)) {
+                return match;
+            }
+            return JSON.stringify(String(values[name] ?? '')).slice(1, -1);
+        });
+    }
+
+    buildPayload(webhook, category, noty) {
+        if (webhook.format === 'template') {
+            return this.renderTemplate(webhook.template, category, noty);
+        }
+        if (webhook.format === 'discord') {
+            var displayName = getDisplayName(noty);
+            var embed = {
+                title: `${noty.type}${displayName ? ` - ${displayName}` : ''}`,
+                description: getDetail(noty),
+                footer: {
+                    text: category
+                },
+                timestamp: noty.created_at
+            };
+            return toJson({
+                username: 'VRCX',
+                content: this.getSummary(category, noty),
+                embeds: [embed]
+            });
+        }
+        return toJson({
+            category,
+            type: noty.type,
+            created_at: noty.created_at,
+            event: noty
+        });
+    }
+
+    // HMAC-SHA256 of "timestamp.body", hex encoded
+    async sign(secret, timestamp, body) {
+        var encoder = new TextEncoder();
+        var key = await window.crypto.subtle.importKey(
+            'raw',
+            encoder.encode(secret),
+            {name: 'HMAC', hash: 'SHA-256'},
+            false,
+            ['sign']
+        );
+        var signature = await window.crypto.subtle.sign(
+            'HMAC',
+            key,
+            encoder.encode(`${timestamp}.${body}`)
+        );
+        return toHex(signature);
+    }
+
+    enqueue(webhooks, category, noty) {
+        return this.enqueueTo(
+            webhooks.filter((webhook) => webhook.categories.includes(category)),
+            category,
+            noty
+        );
+    }
+
+    // queues for the given webhooks whatever categories they subscribe to,
+    // notification rules pick their webhooks themselves
+    async enqueueTo(webhooks, category, noty) {
+        var created_at = new Date().toJSON();
+        for (var webhook of webhooks) {
+            if (!webhook.enabled || !webhook.url) {
+                continue;
+            }
+            await database.addWebhookQueue({
+                created_at,
+                webhookId: webhook.id,
+                category,
+                type: noty.type,
+                body: this.buildPayload(webhook, category, noty)
+            });
+        }
+    }
+
+    async deliver(webhook, body) {
+        var headers = {
+            'Content-Type': 'application/json'
+        };
+        if (webhook.secret) {
+            var timestamp = String(Math.floor(Date.now() / 1000));
+            headers['X-VRCX-Timestamp'] = timestamp;
+            headers['X-VRCX-Signature'] = `sha256=${await this.sign(
+                webhook.secret,
+                timestamp,
+                body
+            )}`;
+        }
+        var response = await webApiService.execute({
+            url: webhook.url,
+            method: 'POST',
+            headers,
+            body
+        });
+        if (response.status < 200 || response.status >= 300) {
+            throw new Error(`HTTP ${response.status} ${response.data}`);
+        }
+        return response.status;
+    }
+
+    // sends every due delivery, returns the number of entries handled
+    async processQueue(webhooks) {
+        if (this.processing) {
+            return 0;
+        }
+        this.processing = true;
+        try {
+            var queue = await database.getDueWebhookQueue(
+                new Date().toJSON(),
+                50
+            );
+            for (var entry of queue) {
+                await this.processEntry(webhooks, entry);
+            }
+            return queue.length;
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async processEntry(webhooks, entry) {
+        var webhook = webhooks.find((item) => item.id === entry.webhookId);
+        if (typeof webhook === 'undefined' || !webhook.enabled) {
+            // removed or disabled since it was queued
+            await database.deleteWebhookQueue(entry.id);
+            return;
+        }
+        if (webhook.signed && !webhook.secret) {
+            // not sent unsigned, waits for the secure config to be unlocked
+            await database.updateWebhookQueue({
+                id: entry.id,
+                attempts: entry.attempts,
+                nextAttemptAt: new Date(Date.now() + 60000).toJSON(),
+                lastError: 'Secure config is locked'
+            });
+            return;
+        }
+        var attempts = entry.attempts + 1;
+        var log = {
+            created_at: new Date().toJSON(),
+            webhookId: webhook.id,
+            category: entry.category,
+            type: entry.type,
+            status: '',
+            attempts,
+            error: null
+        };
+        try {
+            log.status = String(await this.deliver(webhook, entry.body));
+            await database.deleteWebhookQueue(entry.id);
+        } catch (err) {
+            log.error = String(err);
+            if (attempts < maxAttempts) {
+                log.status = 'retrying';
+                await database.updateWebhookQueue({
+                    id: entry.id,
+                    attempts,
+                    nextAttemptAt: new Date(
+                        Date.now() + getRetryDelay(attempts)
+                    ).toJSON(),
+                    lastError: log.error
+                });
+            } else {
+                log.status = 'failed';
+                await database.deleteWebhookQueue(entry.id);
+            }
+        }
+        await database.addWebhookLog(log, maxLogEntries);
+    }
+}
+
+var self = new Webhooks();
+window.webhooks = self;
+
+export {self as default, Webhooks, webhookCategories, webhookFormats};
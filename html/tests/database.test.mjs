@@ -0,0 +1,241 @@
+import {before, describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {createSQLite, installGlobals, selectAll} from './sqlite.mjs';
+
+var sqlite = createSQLite();
+installGlobals(sqlite);
+var {default: database} = await import('../src/repository/database.js');
+
+var userId = 'usr_00000000-0000-0000-0000-000000000000';
+
+// values that break out of a quoted string or act as LIKE wildcards when
+// they end up in the SQL text instead of being bound
+var hostileValues = [
+    "O'Brien",
+    "'; DROP TABLE gamelog_join_leave; --",
+    '"); DROP TABLE gamelog_chatbox; --',
+    '100%',
+    'snake_case',
+    'back\\slash',
+    'ユーザー🎉'
+];
+
+function tableNames() {
+    return selectAll(
+        sqlite,
+        "SELECT name FROM sqlite_schema WHERE type = 'table'"
+    ).map((row) => row.name);
+}
+
+describe('database queries', () => {
+    var tables;
+
+    before(async () => {
+        // sql.js is built without FTS5
+        database.initSearchIndex = async () => {};
+        database.setmaxTableSize(1000);
+        await database.initUserTables(userId);
+        tables = tableNames();
+    });
+
+    describe('insert', () => {
+        it('stores values with quotes and wildcards as they are', async () => {
+            database.addGamelogJoinLeaveBulk(
+                hostileValues.map((displayName, i) => ({
+                    created_at: `2023-01-01T00:00:0${i}.000Z`,
+                    type: 'OnPlayerJoined',
+                    displayName,
+                    location: 'wrld_a:1',
+                    userId: `usr_${i}`,
+                    time: 0
+                }))
+            );
+            database.setFriendLogCurrentArray(
+                hostileValues.map((displayName, i) => ({
+                    userId: `usr_${i}`,
+                    displayName,
+                    trustLevel: displayName
+                }))
+            );
+
+            var friendLog = await database.getFriendLogCurrent();
+
+            assert.deepEqual(
+                friendLog.map((row) => row.displayName).sort(),
+                [...hostileValues].sort()
+            );
+            assert.deepEqual(
+                selectAll(
+                    sqlite,
+                    'SELECT display_name FROM gamelog_join_leave ORDER BY id'
+                ).map((row) => row.display_name),
+                hostileValues
+            );
+            assert.deepEqual(tableNames(), tables);
+        });
+
+        it('splits rows over the bound variable limit into chunks', async () => {
+            var rows = [];
+            for (var i = 0; i < 1200; ++i) {
+                rows.push({
+                    userId: `usr_chunk_${i}`,
+                    displayName: `'${i}'`,
+                    trustLevel: ''
+                });
+            }
+            database.setFriendLogCurrentArray(rows);
+            await sqlite.idle();
+
+            var friendLog = await database.getFriendLogCurrent();
+
+            assert.equal(
+                friendLog.filter((row) => row.userId.startsWith('usr_chunk_'))
+                    .length,
+                rows.length
+            );
+        });
+    });
+
+    describe('lookup', () => {
+        it('finds each display name exactly', async () => {
+            for (var i = 0; i < hostileValues.length; ++i) {
+                assert.equal(
+                    await database.getUserIdFromDisplayName(hostileValues[i]),
+                    `usr_${i}`
+                );
+            }
+            assert.equal(
+                await database.getUserIdFromDisplayName("' OR '1'='1"),
+                ''
+            );
+        });
+
+        it('filters the feed by a list of user ids', async () => {
+            hostileValues.forEach((displayName, i) => {
+                database.addGPSToDatabase({
+                    created_at: `2023-01-01T00:00:0${i}.000Z`,
+                    userId: displayName,
+                    displayName,
+                    location: 'wrld_a:1',
+                    worldName: 'World',
+                    previousLocation: '',
+                    time: 0,
+                    groupName: ''
+                });
+            });
+
+            var feed = await database.lookupFeedDatabase(
+                '',
+                ['GPS'],
+                [hostileValues[1], hostileValues[2], "') OR ('1'='1"]
+            );
+
+            assert.deepEqual(
+                feed.map((row) => row.userId).sort(),
+                [hostileValues[1], hostileValues[2]].sort()
+            );
+            assert.deepEqual(tableNames(), tables);
+        });
+    });
+
+    describe('search', () => {
+        it('matches quotes and LIKE wildcards literally', async () => {
+            for (var text of ['plain text', ...hostileValues]) {
+                await database.addGamelogChatBoxToDatabase({
+                    created_at: new Date().toJSON(),
+                    userId,
+                    displayName: 'user',
+                    photonId: text.length,
+                    location: 'wrld_a:1',
+                    text
+                });
+            }
+            var search = async (value) =>
+                (await database.getChatBoxHistory(userId, value)).map(
+                    (row) => row.text
+                );
+            var contains = (value) =>
+                ['plain text', ...hostileValues]
+                    .filter((text) => text.includes(value))
+                    .reverse();
+
+            for (var value of ['%', '_', '\\', "'", '"', '--', 'ユーザー']) {
+                assert.deepEqual(await search(value), contains(value));
+            }
+            for (var hostileValue of hostileValues) {
+                assert.deepEqual(await search(hostileValue), [hostileValue]);
+            }
+            assert.deepEqual(await search('%_%'), []);
+            assert.equal((await search('')).length, hostileValues.length + 1);
+            assert.deepEqual(tableNames(), tables);
+        });
+
+        it('searches the game log by display name', async () => {
+            var gameLog = await database.lookupGameLogDatabase('0%', [
+                'OnPlayerJoined'
+            ]);
+
+            assert.deepEqual(
+                gameLog.map((row) => row.displayName),
+                ['100%']
+            );
+
+            gameLog = await database.lookupGameLogDatabase("%' OR '1'='1", [
+                'OnPlayerJoined'
+            ]);
+
+            assert.deepEqual(gameLog, []);
+        });
+    });
+
+    describe('delete', () => {
+        it('deletes a group log entry that was added without a row id', async () => {
+            var entries = ['grp_a', 'grp_b'].map((groupId) => ({
+                created_at: '2023-01-01T00:00:00.000Z',
+                type: 'GroupLeft',
+                groupId,
+                groupName: groupId
+            }));
+            for (var entry of entries) {
+                database.addGroupHistory(entry);
+            }
+            await sqlite.idle();
+
+            await database.deleteGroupHistory(entries[0]);
+
+            assert.deepEqual(
+                (await database.getGroupHistory()).map((row) => row.groupId),
+                ['grp_b']
+            );
+        });
+    });
+
+    describe('upsert', () => {
+        it('keeps the creation date of a friend group that is saved again', async () => {
+            var group = {
+                id: 'group_a',
+                name: 'Friends',
+                color: '#409eff',
+                parentId: '',
+                sidebar: false,
+                userIds: [],
+                created_at: '2023-01-01T00:00:00.000Z'
+            };
+            await database.saveFriendGroup(group);
+
+            await database.saveFriendGroup({
+                ...group,
+                name: 'Renamed',
+                created_at: '2024-01-01T00:00:00.000Z'
+            });
+
+            assert.deepEqual(
+                (await database.getFriendGroups()).map((row) => ({
+                    name: row.name,
+                    created_at: row.created_at
+                })),
+                [{name: 'Renamed', created_at: group.created_at}]
+            );
+        });
+    });
+});
@@ -0,0 +1,259 @@
+import {beforeEach, describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {createSQLite, installGlobals, selectAll} from './sqlite.mjs';
+
+installGlobals(createSQLite());
+var {SchemaMigrations, migrationList} = await import(
+    '../src/repository/migrations.js'
+);
+var {default: database} = await import('../src/repository/database.js');
+
+var userPrefixes = ['usr1111', 'usr2222'];
+
+// tables as they were before the group_name columns, for every user
+async function createLegacyDatabase(sqlite) {
+    await database.initTables();
+    for (var prefix of userPrefixes) {
+        sqlite.db.run(
+            `CREATE TABLE ${prefix}_feed_gps (id INTEGER PRIMARY KEY, created_at TEXT, user_id TEXT, display_name TEXT, location TEXT, world_name TEXT, previous_location TEXT, time INTEGER)`
+        );
+        sqlite.db.run(
+            `CREATE TABLE ${prefix}_feed_online_offline (id INTEGER PRIMARY KEY, created_at TEXT, user_id TEXT, display_name TEXT, type TEXT, location TEXT, world_name TEXT, time INTEGER)`
+        );
+        sqlite.db.run(
+            `CREATE TABLE ${prefix}_friend_log_history (id INTEGER PRIMARY KEY, created_at TEXT, type TEXT, user_id TEXT, display_name TEXT, previous_display_name TEXT, trust_level TEXT, previous_trust_level TEXT)`
+        );
+        sqlite.db.run(
+            `CREATE TABLE ${prefix}_notifications (id TEXT PRIMARY KEY, created_at TEXT, type TEXT, sender_user_id TEXT, sender_username TEXT, receiver_user_id TEXT, message TEXT, world_id TEXT, world_name TEXT, image_url TEXT, invite_message TEXT, request_message TEXT, response_message TEXT, expired INTEGER)`
+        );
+    }
+    sqlite.db.run(`ALTER TABLE gamelog_location DROP COLUMN groupName`);
+}
+
+function createMigrations(migrations = migrationList) {
+    var schemaMigrations = new SchemaMigrations(migrations);
+    // in-memory databases have no file to copy
+    schemaMigrations.backup = async () => '';
+    return schemaMigrations;
+}
+
+function appliedVersions(sqlite) {
+    return selectAll(
+        sqlite,
+        'SELECT version FROM schema_migrations ORDER BY version'
+    ).map((row) => row.version);
+}
+
+function columnNames(sqlite, tableName) {
+    return selectAll(
+        sqlite,
+        'SELECT name FROM pragma_table_info(@table_name)',
+        {'@table_name': tableName}
+    ).map((row) => row.name);
+}
+
+describe('schema migrations', () => {
+    var sqlite;
+    var schemaMigrations;
+
+    beforeEach(async () => {
+        sqlite = createSQLite();
+        installGlobals(sqlite);
+        await createLegacyDatabase(sqlite);
+        schemaMigrations = createMigrations();
+        await schemaMigrations.init();
+    });
+
+    describe('migration 4, fix broken leave entries', () => {
+        it('resets leave times longer than the time spent in the instance', async () => {
+            sqlite.db.run(
+                `INSERT INTO gamelog_location (created_at, location, world_id, world_name, time) VALUES
+                ('2022-01-01T00:00:00.000Z', 'wrld_a:1', 'wrld_a', 'A', 1000),
+                ('2022-01-02T00:00:00.000Z', 'wrld_a:1', 'wrld_a', 'A', 500)`
+            );
+            sqlite.db.run(
+                `INSERT INTO gamelog_join_leave (created_at, type, display_name, location, user_id, time) VALUES
+                ('2022-01-01T00:10:00.000Z', 'OnPlayerLeft', 'short', 'wrld_a:1', 'usr_a', 1200),
+                ('2022-01-01T00:20:00.000Z', 'OnPlayerLeft', 'broken', 'wrld_a:1', 'usr_b', 9000),
+                ('2022-01-01T00:30:00.000Z', 'OnPlayerLeft', 'unknown', 'wrld_b:1', 'usr_c', 9000)`
+            );
+
+            await schemaMigrations.migrate(4);
+
+            assert.deepEqual(appliedVersions(sqlite), [1, 2, 3, 4]);
+            assert.deepEqual(
+                selectAll(
+                    sqlite,
+                    'SELECT display_name, time FROM gamelog_join_leave ORDER BY id'
+                ),
+                [
+                    {display_name: 'short', time: 1200},
+                    {display_name: 'broken', time: 0},
+                    {display_name: 'unknown', time: 9000}
+                ]
+            );
+        });
+    });
+
+    describe('migration 5, remove group invites from notifications', () => {
+        it("deletes group notifications from every user's table", async () => {
+            for (var prefix of userPrefixes) {
+                sqlite.db.run(
+                    `INSERT INTO ${prefix}_notifications (id, created_at, type) VALUES
+                    ('not_1', '2022-01-01T00:00:00.000Z', 'invite'),
+                    ('not_2', '2022-01-01T00:00:00.000Z', 'group.invite'),
+                    ('not_3', '2022-01-01T00:00:00.000Z', 'group.announcement')`
+                );
+            }
+
+            await schemaMigrations.migrate(5);
+
+            assert.deepEqual(appliedVersions(sqlite), [1, 2, 3, 4, 5]);
+            for (var prefix2 of userPrefixes) {
+                assert.deepEqual(
+                    selectAll(
+                        sqlite,
+                        `SELECT id, type FROM ${prefix2}_notifications`
+                    ),
+                    [{id: 'not_1', type: 'invite'}]
+                );
+            }
+        });
+    });
+
+    describe('migration 6, add group_name columns', () => {
+        it("adds group_name to every user's feed tables and reverts", async () => {
+            sqlite.db.run(
+                `INSERT INTO usr1111_feed_gps (created_at, user_id, location, time) VALUES ('2022-01-01T00:00:00.000Z', 'usr_a', 'wrld_a:1', 10)`
+            );
+            var tables = ['gamelog_location'];
+            for (var prefix of userPrefixes) {
+                tables.push(
+                    `${prefix}_feed_gps`,
+                    `${prefix}_feed_online_offline`
+                );
+            }
+
+            await schemaMigrations.migrate(6);
+
+            assert.deepEqual(appliedVersions(sqlite), [1, 2, 3, 4, 5, 6]);
+            for (var tableName of tables) {
+                assert.ok(
+                    columnNames(sqlite, tableName).includes('group_name')
+                );
+            }
+            assert.deepEqual(
+                selectAll(
+                    sqlite,
+                    'SELECT location, group_name FROM usr1111_feed_gps'
+                ),
+                [{location: 'wrld_a:1', group_name: ''}]
+            );
+
+            await schemaMigrations.rollback(5);
+
+            assert.deepEqual(appliedVersions(sqlite), [1, 2, 3, 4, 5]);
+            for (var tableName2 of tables) {
+                assert.ok(
+                    !columnNames(sqlite, tableName2).includes('group_name')
+                );
+            }
+            assert.equal(
+                selectAll(sqlite, 'SELECT * FROM usr1111_feed_gps').length,
+                1
+            );
+        });
+    });
+
+    describe('legacy databases', () => {
+        it('runs every migration below the old version 4', async () => {
+            sqlite.db.run(
+                `INSERT INTO usr2222_friend_log_history (created_at, type, user_id, trust_level, previous_trust_level) VALUES
+                ('2022-06-01T00:00:00.000Z', 'TrustLevel', 'usr_a', 'Veteran User', 'Trusted User'),
+                ('2022-06-01T00:00:00.000Z', 'TrustLevel', 'usr_b', 'Trusted User', 'Known User')`
+            );
+
+            var version = await schemaMigrations.update(3);
+
+            assert.equal(version, schemaMigrations.latestVersion);
+            assert.deepEqual(
+                appliedVersions(sqlite),
+                migrationList.map((migration) => migration.version)
+            );
+            assert.deepEqual(
+                selectAll(
+                    sqlite,
+                    'SELECT user_id FROM usr2222_friend_log_history'
+                ),
+                [{user_id: 'usr_b'}]
+            );
+            assert.ok(
+                columnNames(sqlite, 'usr2222_feed_gps').includes('group_name')
+            );
+        });
+
+        it('records migrations 1-6 for the old version 4 without running them', async () => {
+            sqlite.db.run(
+                `INSERT INTO usr1111_notifications (id, created_at, type) VALUES ('not_1', '2022-01-01T00:00:00.000Z', 'group.invite')`
+            );
+
+            var version = await schemaMigrations.update(4);
+
+            assert.equal(version, schemaMigrations.latestVersion);
+            assert.deepEqual(
+                appliedVersions(sqlite),
+                migrationList.map((migration) => migration.version)
+            );
+            assert.equal(
+                selectAll(sqlite, 'SELECT * FROM usr1111_notifications').length,
+                1
+            );
+            assert.ok(
+                !columnNames(sqlite, 'usr1111_feed_gps').includes('group_name')
+            );
+            assert.equal(
+                selectAll(
+                    sqlite,
+                    "SELECT name FROM sqlite_schema WHERE type = 'index' AND name = 'gamelog_join_leave_user_id'"
+                ).length,
+                1
+            );
+        });
+
+        it('does nothing once the database is up to date', async () => {
+            await schemaMigrations.update(4);
+            var migrated = await schemaMigrations.migrate();
+
+            assert.deepEqual(migrated, []);
+            assert.equal(
+                await schemaMigrations.update(schemaMigrations.latestVersion),
+                schemaMigrations.latestVersion
+            );
+        });
+    });
+
+    it('rolls back a migration that fails', async () => {
+        var failing = createMigrations([
+            {
+                version: 1,
+                name: 'failing',
+                up: async () => {
+                    await database.cleanLegendFromFriendLog();
+                    sqlite.db.run(
+                        "INSERT INTO usr1111_notifications (id, type) VALUES ('not_1', 'invite')"
+                    );
+                    throw new Error('failed');
+                }
+            }
+        ]);
+        await failing.init();
+
+        await assert.rejects(failing.migrate(), /failed/);
+
+        assert.deepEqual(appliedVersions(sqlite), []);
+        assert.equal(
+            selectAll(sqlite, 'SELECT * FROM usr1111_notifications').length,
+            0
+        );
+    });
+});
@@ -0,0 +1,118 @@
+import {beforeEach, describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+
+var sharedVariables = new Map();
+globalThis.window = globalThis;
+globalThis.SharedVariable = {
+    Get: (key) => (sharedVariables.has(key) ? sharedVariables.get(key) : null),
+    Set: (key, value) => sharedVariables.set(key, value),
+    Remove: (key) => sharedVariables.delete(key)
+};
+var {default: security} = await import('../src/security.js');
+var {default: configRepository} = await import('../src/repository/config.js');
+
+// 'legacy secret' encrypted by the version 1 encrypt with 'hunter2'
+var legacyCiphertext =
+    '0102030405060708090a0b0ca41a0ed0b86a4ecbe972d30979774f47b3a35f013a207e8b919956a57c';
+
+describe('security', () => {
+    beforeEach(() => {
+        sharedVariables.clear();
+        // the lowest count allowed, the default makes every test take seconds
+        configRepository.setInt('VRCX_primaryPasswordIterations', 100000);
+        security.lock();
+    });
+
+    it('decrypts what it encrypted', async () => {
+        var ciphertext = await security.encrypt('secret', 'password');
+
+        assert.match(ciphertext, /^vrcx\$2\$100000\$[0-9a-f]{32}\$[0-9a-f]+$/);
+        assert.ok(security.isEncrypted(ciphertext));
+        assert.notEqual(
+            await security.encrypt('secret', 'password'),
+            ciphertext
+        );
+        assert.equal(await security.decrypt(ciphertext, 'password'), 'secret');
+    });
+
+    it('decrypts version 1 ciphertexts', async () => {
+        assert.ok(!security.isEncrypted(legacyCiphertext));
+        assert.equal(
+            await security.decrypt(legacyCiphertext, 'hunter2'),
+            'legacy secret'
+        );
+    });
+
+    it('migrates version 1 ciphertexts to version 2', async () => {
+        assert.ok(security.needsMigration(legacyCiphertext));
+
+        var migrated = await security.migrate(legacyCiphertext, 'hunter2');
+
+        assert.ok(security.isEncrypted(migrated));
+        assert.ok(!security.needsMigration(migrated));
+        assert.equal(await security.migrate(migrated, 'hunter2'), migrated);
+        assert.equal(
+            await security.decrypt(migrated, 'hunter2'),
+            'legacy secret'
+        );
+    });
+
+    it('migrates with the unlocked key', async () => {
+        await security.unlock('hunter2');
+
+        var migrated = await security.migrate(legacyCiphertext, 'hunter2');
+
+        assert.equal(await security.decrypt(migrated), 'legacy secret');
+    });
+
+    it('rejects a wrong password', async () => {
+        var ciphertext = await security.encrypt('secret', 'password');
+
+        await assert.rejects(security.decrypt(ciphertext, 'wrong'));
+        await assert.rejects(security.decrypt(legacyCiphertext, 'wrong'));
+    });
+
+    it('needs migration after the salt changes', async () => {
+        var ciphertext = await security.encrypt('secret', 'password');
+        assert.ok(!security.needsMigration(ciphertext));
+
+        configRepository.remove('VRCX_primaryPasswordSalt');
+
+        assert.ok(security.needsMigration(ciphertext));
+        var migrated = await security.migrate(ciphertext, 'password');
+        assert.ok(!security.needsMigration(migrated));
+        assert.equal(await security.decrypt(migrated, 'password'), 'secret');
+    });
+
+    it('needs migration after the iteration count goes up', async () => {
+        var ciphertext = await security.encrypt('secret', 'password');
+
+        configRepository.setInt('VRCX_primaryPasswordIterations', 100001);
+
+        assert.ok(security.needsMigration(ciphertext));
+        var migrated = await security.migrate(ciphertext, 'password');
+        assert.match(migrated, /^vrcx\$2\$100001\$/);
+        assert.equal(await security.decrypt(migrated, 'password'), 'secret');
+
+        configRepository.setInt('VRCX_primaryPasswordIterations', 100000);
+
+        assert.ok(!security.needsMigration(migrated));
+    });
+
+    it('needs the password or an unlocked key to decrypt', async () => {
+        var ciphertext = await security.encrypt('secret', 'password');
+
+        await assert.rejects(security.decrypt(ciphertext), /locked/);
+        await assert.rejects(security.encrypt('secret'), /locked/);
+        await assert.rejects(security.decrypt(legacyCiphertext), /locked/);
+
+        await security.unlock('password');
+
+        assert.ok(security.isUnlocked());
+        assert.equal(await security.decrypt(ciphertext), 'secret');
+
+        security.lock();
+
+        await assert.rejects(security.decrypt(ciphertext), /locked/);
+    });
+});
@@ -0,0 +1,83 @@
+// In-memory stand-in for the SQLite binding (SQLite.cs). Rows and errors are
+// handed back asynchronously like the CefSharp callbacks, arguments are bound
+// by their @name the same way SQLiteParameter does.
+
+import initSqlJs from 'sql.js';
+
+var SQL = await initSqlJs();
+
+function bindArgs(args) {
+    var values = {};
+    if (args !== null) {
+        for (var key of Object.keys(args)) {
+            var value = args[key];
+            values[key] = typeof value === 'undefined' ? null : value;
+        }
+    }
+    return values;
+}
+
+function createSQLite() {
+    var db = new SQL.Database();
+    var pending = 0;
+    return {
+        db,
+        Execute(callback, sql, args = null) {
+            ++pending;
+            setImmediate(() => {
+                --pending;
+                try {
+                    var statement = db.prepare(sql);
+                    try {
+                        statement.bind(bindArgs(args));
+                        while (statement.step()) {
+                            callback(null, statement.get());
+                        }
+                    } finally {
+                        statement.free();
+                    }
+                } catch (err) {
+                    callback(err.message, null);
+                    return;
+                }
+                callback(null, null);
+            });
+        },
+        async ExecuteNonQuery(sql, args = null) {
+            ++pending;
+            await new Promise(setImmediate);
+            --pending;
+            db.run(sql, bindArgs(args));
+            return db.getRowsModified();
+        },
+        // waits for statements nobody awaits, like the chunks of insertRows
+        async idle() {
+            do {
+                await new Promise(setImmediate);
+            } while (pending > 0);
+        }
+    };
+}
+
+// src modules expect the browser globals the app runs with
+function installGlobals(sqlite) {
+    globalThis.window = globalThis;
+    globalThis.SQLite = sqlite;
+}
+
+// all rows of a query as objects, straight from the stand-in
+function selectAll(sqlite, sql, args = null) {
+    var statement = sqlite.db.prepare(sql);
+    var rows = [];
+    try {
+        statement.bind(bindArgs(args));
+        while (statement.step()) {
+            rows.push(statement.getAsObject());
+        }
+    } finally {
+        statement.free();
+    }
+    return rows;
+}
+
+export {createSQLite, installGlobals, selectAll};
@@ -19,6 +19,7 @@ module.exports = {
             dependOn: 'vendor'
         },
         'app.dark': './src/app.dark.scss',
+        'app.theme': './src/app.theme.scss',
         flags: './src/flags.scss',
         vr: {
             import: ['./src/vr.js', './src/vr.scss'],